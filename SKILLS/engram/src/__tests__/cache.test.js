@@ -0,0 +1,178 @@
+// @ts-check
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, deleteMemory, importMemories, searchHybrid } from "../memory.js";
+import { runConsolidation } from "../consolidation.js";
+import {
+    contentHash, embedBatchCached, embedCached, pruneEmbeddingCache,
+    getRerankScores, storeRerankScores, pruneRerankCache,
+} from "../cache.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_cache.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+/** Texts the provider was actually asked to embed, one entry per call */
+/** @type {string[][]} */
+let calls = [];
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Hash provider that records every embed / embedBatch call.
+ * @param {number} [dim]
+ */
+function spyProvider(dim) {
+    const hash = createHashProvider({ dim });
+    return {
+        ...hash,
+        embed: async (/** @type {string} */ text) => { calls.push([text]); return hash.embed(text); },
+        embedBatch: async (/** @type {string[]} */ texts) => { calls.push([...texts]); return hash.embedBatch(texts); },
+    };
+}
+
+describe("cache.js — embedding cache", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(spyProvider());
+    });
+
+    beforeEach(() => { calls = []; });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should hash the exact embedded text", () => {
+        assert.equal(contentHash("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+        assert.notEqual(contentHash("abc"), contentHash("abc "));
+    });
+
+    it("should embed misses in one batch and serve repeats from the cache", async () => {
+        const first = await embedBatchCached(client, ["alpha", "beta", "alpha"]);
+        assert.deepEqual(calls, [["alpha", "beta"]], "duplicates within a batch are embedded once");
+        assert.deepEqual(first[0], first[2]);
+
+        calls = [];
+        const second = await embedBatchCached(client, ["beta", "gamma", "alpha"]);
+        assert.deepEqual(calls, [["gamma"]]);
+        assert.deepEqual(second[0], first[1]);
+        assert.deepEqual(second[2], first[0]);
+    });
+
+    it("should key entries by model", async () => {
+        await embedCached(client, "delta");
+        setEmbeddingProvider(spyProvider(64));
+        calls = [];
+        const vec = await embedCached(client, "delta");
+        assert.deepEqual(calls, [["delta"]]);
+        assert.equal(vec.length, 64);
+
+        assert.ok(await pruneEmbeddingCache(client, "hash-1024") >= 1);
+        const left = await client.execute("SELECT DISTINCT model FROM embedding_cache");
+        assert.deepEqual(left.rows.map((r) => r.model), ["hash-1024"]);
+        setEmbeddingProvider(spyProvider());
+    });
+
+    it("should expire old vectors when consolidating", async () => {
+        await embedBatchCached(client, ["expiring", "fresh"]);
+        await client.execute({
+            sql: "UPDATE embedding_cache SET created_at = datetime('now', '-31 days') WHERE content_hash = ?",
+            args: [contentHash("expiring")],
+        });
+        await runConsolidation(client);
+
+        calls = [];
+        await embedBatchCached(client, ["expiring", "fresh"]);
+        assert.deepEqual(calls, [["expiring"]]);
+    });
+
+    it("should let addMemory reuse the vector of previously embedded text", async () => {
+        const input = { type: /** @type {const} */ ("fact"), title: "Cache reuse", content: "embedded once", autoLink: false };
+        const { id } = await addMemory(client, input);
+        await deleteMemory(client, id);
+        calls = [];
+
+        await addMemory(client, input);
+        assert.deepEqual(calls, [], "re-adding the same text should not call the provider");
+    });
+
+    it("should embed an import in a single batched pass", async () => {
+        const memories = [
+            { type: "fact", title: "Import cache one", content: "first imported fact", source_type: "manual" },
+            { type: "fact", title: "Import cache two", content: "second imported fact", source_type: "manual" },
+            { type: "decision", title: "Import cache three", content: "third imported decision", source_type: "manual" },
+        ];
+        const result = await importMemories(client, memories);
+        assert.equal(result.failed, 0);
+        assert.equal(calls.length, 1, "one embedBatch call for all misses");
+        assert.equal(calls[0].length, 3);
+    });
+});
+
+describe("cache.js — rerank score cache", () => {
+    /** @type {Array<{id: number, updated_at: string}>} */
+    let memories = [];
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        for (const title of ["Rerank one", "Rerank two"]) {
+            await client.execute({ sql: "INSERT INTO memories (type, title, content) VALUES ('fact', ?, ?)", args: [title, title] });
+        }
+        const rows = await client.execute("SELECT id, updated_at FROM memories ORDER BY id");
+        memories = rows.rows.map((r) => ({ id: Number(r.id), updated_at: String(r.updated_at) }));
+    });
+
+    after(() => cleanupAll());
+
+    it("should return stored scores for the same query only", async () => {
+        await storeRerankScores(client, "rails jobs", [{ ...memories[0], score: 0.9 }]);
+
+        const hits = await getRerankScores(client, "rails jobs", memories);
+        assert.deepEqual([...hits], [[memories[0].id, 0.9]]);
+        assert.equal((await getRerankScores(client, "rails jobs!", memories)).size, 0);
+    });
+
+    it("should invalidate a score when the memory changes", async () => {
+        await client.execute({
+            sql: "UPDATE memories SET updated_at = datetime('now', '+1 minute') WHERE id = ?",
+            args: [memories[0].id],
+        });
+        const changed = await client.execute({ sql: "SELECT updated_at FROM memories WHERE id = ?", args: [memories[0].id] });
+        const current = [{ id: memories[0].id, updated_at: String(changed.rows[0].updated_at) }];
+
+        assert.equal((await getRerankScores(client, "rails jobs", current)).size, 0);
+        assert.equal(await pruneRerankCache(client), 1, "the stale score is pruned");
+    });
+
+    it("should let searchHybrid skip the cross-encoder when every candidate is cached", async () => {
+        setEmbeddingProvider(createHashProvider());
+        const rows = await client.execute("SELECT id, updated_at FROM memories ORDER BY id");
+        const [one, two] = rows.rows.map((r) => ({ id: Number(r.id), updated_at: String(r.updated_at) }));
+        await storeRerankScores(client, "Rerank", [{ ...one, score: 0.2 }, { ...two, score: 0.7 }]);
+
+        // Would load the reranker model (and fail offline) on any cache miss
+        const results = await searchHybrid(client, "Rerank", { k: 2, rerank: true });
+        assert.deepEqual(results.map((m) => [m.id, m.score]), [[two.id, 0.7], [one.id, 0.2]]);
+        setEmbeddingProvider(null);
+    });
+});
+
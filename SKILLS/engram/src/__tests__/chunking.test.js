@@ -0,0 +1,141 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { chunkText, CHUNK_MAX_CHARS } from "../chunking.js";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, updateMemory, deleteMemory, searchSemantic } from "../memory.js";
+import { recall, formatRecallContext } from "../foa.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_chunking.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<string[]>}
+ */
+async function chunksOf(id) {
+    const rows = await client.execute({
+        sql: "SELECT content FROM memory_chunks WHERE memory_id = ? ORDER BY chunk_index",
+        args: [id],
+    });
+    return rows.rows.map((r) => String(r.content));
+}
+
+const LONG_CONTENT = [
+    "## Database",
+    "LibSQL stores vectors in F32_BLOB columns and builds a DiskANN index for approximate nearest neighbours.",
+    "",
+    "---",
+    "## Deployment",
+    "The service ships as a Docker image behind nginx with TLS certificates renewed by certbot.",
+    "",
+    "---",
+    "[Merged from: Cooking notes]",
+    "Pasta water should be salted generously and the sauce finished in the pan with butter.",
+].join("\n");
+
+describe("chunking.js — chunkText", () => {
+    it("should not chunk short single-section content", () => {
+        assert.deepEqual(chunkText("Short fact about LibSQL."), []);
+    });
+
+    it("should split at merge separators, headings and merge markers", () => {
+        const chunks = chunkText(LONG_CONTENT);
+        assert.equal(chunks.length, 3);
+        assert.ok(chunks[0].startsWith("## Database"));
+        assert.ok(chunks[1].startsWith("## Deployment"));
+        assert.ok(chunks[2].startsWith("[Merged from: Cooking notes]"));
+        assert.ok(chunks.every((c) => !c.includes("---")), "separator lines are dropped");
+    });
+
+    it("should pack paragraphs and respect the size limit", () => {
+        const paragraph = "Sentence about retrieval quality. ".repeat(10).trim();
+        const text = Array.from({ length: 8 }, () => paragraph).join("\n\n");
+        const chunks = chunkText(text, { maxChars: 800 });
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every((c) => c.length <= 800), "every chunk fits the limit");
+        assert.ok(chunks[0].includes("\n\n"), "small paragraphs are packed together");
+    });
+
+    it("should split oversized paragraphs by sentence, then hard-cut", () => {
+        const sentences = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(" ");
+        const chunks = chunkText(sentences, { maxChars: 200 });
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every((c) => c.length <= 200 && c.endsWith(".")), "splits land on sentence ends");
+
+        const blob = "x".repeat(CHUNK_MAX_CHARS * 2 + 10);
+        assert.deepEqual(chunkText(blob).map((c) => c.length), [CHUNK_MAX_CHARS, CHUNK_MAX_CHARS, 10]);
+    });
+});
+
+describe("chunking.js — chunk embeddings in search and recall", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should store chunks for long memories only", async () => {
+        const long = await addMemory(client, { type: "fact", title: "Project notes", content: LONG_CONTENT, autoLink: false });
+        const short = await addMemory(client, { type: "fact", title: "Short note", content: "Nothing to split here", autoLink: false });
+        assert.equal((await chunksOf(long.id)).length, 3);
+        assert.equal((await chunksOf(short.id)).length, 0);
+    });
+
+    it("should score a memory by its best chunk and return that chunk", async () => {
+        const results = await searchSemantic(client, "nginx TLS certificates certbot Docker deployment", { k: 2 });
+        assert.equal(results[0].title, "Project notes");
+        assert.ok(results[0].chunk, "the matching chunk is attached");
+        assert.equal(results[0].chunk?.index, 1);
+        assert.match(String(results[0].chunk?.content), /certbot/);
+        assert.equal(results[0].content, LONG_CONTENT, "full content is still returned");
+    });
+
+    it("should re-chunk on update and drop chunks on delete", async () => {
+        const { id } = await addMemory(client, { type: "decision", title: "Evolving doc", content: LONG_CONTENT, autoLink: false });
+        await updateMemory(client, id, { content: "Now short." });
+        assert.deepEqual(await chunksOf(id), []);
+
+        await updateMemory(client, id, { content: LONG_CONTENT });
+        assert.equal((await chunksOf(id)).length, 3);
+
+        await deleteMemory(client, id);
+        assert.deepEqual(await chunksOf(id), []);
+    });
+
+    it("should let recall return just the matching chunk", async () => {
+        const query = "pasta water salted sauce butter";
+        const full = await recall(client, query, { rerank: false, hops: 0, type: "fact" });
+        const excerpt = await recall(client, query, { rerank: false, hops: 0, type: "fact", chunks: true });
+
+        const fullEntry = full.memories.find((m) => m.title === "Project notes");
+        const chunkEntry = excerpt.memories.find((m) => m.title === "Project notes");
+        assert.ok(fullEntry && chunkEntry);
+        assert.equal(fullEntry.chunk, undefined);
+        assert.equal(chunkEntry.chunk, 2);
+        assert.ok(chunkEntry.content.startsWith("[Merged from: Cooking notes]"));
+        assert.ok(excerpt.totalTokensEstimate < full.totalTokensEstimate);
+        assert.match(formatRecallContext(excerpt), /Project notes \(excerpt — engram get \d+ for full\)/);
+    });
+});
@@ -0,0 +1,139 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { spawn } from "node:child_process";
+import { initDb, resetClient, withWriteTransaction } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_concurrency.db");
+const SRC = resolve(__dirname, "..");
+
+const WRITERS = 4;
+const TITLES = Array.from({ length: 8 }, (_, i) => `Shared fact ${i}`);
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Run a module snippet in a separate node process against the test database.
+ * @param {string} code - Has `db`, `memory`, `providers` (the src modules) and `client` in scope
+ * @returns {Promise<void>}
+ */
+function spawnWriter(code) {
+    const url = (/** @type {string} */ name) => JSON.stringify(pathToFileURL(resolve(SRC, name)).href);
+    const script = `
+        const db = await import(${url("db.js")});
+        const memory = await import(${url("memory.js")});
+        const providers = await import(${url("providers.js")});
+        providers.setEmbeddingProvider(providers.createHashProvider());
+        const { client } = await db.initDb(${JSON.stringify(TEST_DB_PATH)});
+        ${code}
+        await db.closeDb();
+    `;
+    return new Promise((resolvePromise, reject) => {
+        const child = spawn(process.execPath, ["--input-type=module", "-e", script], { stdio: ["ignore", "ignore", "pipe"] });
+        let stderr = "";
+        child.stderr.on("data", (chunk) => { stderr += chunk; });
+        child.on("error", reject);
+        child.on("exit", (code) => code === 0 ? resolvePromise() : reject(new Error(`writer exited with ${code}: ${stderr}`)));
+    });
+}
+
+describe("db.js — concurrent writers", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should use WAL with a busy timeout", async () => {
+        const mode = await client.execute("PRAGMA journal_mode");
+        assert.equal(mode.rows[0].journal_mode, "wal");
+        const timeout = await client.execute("PRAGMA busy_timeout");
+        assert.ok(Number(timeout.rows[0].timeout) > 0);
+    });
+
+    it("should roll back a failed transaction as a whole", async () => {
+        await assert.rejects(() => withWriteTransaction(client, async (tx) => {
+            await tx.execute("INSERT INTO memories (type, title, content) VALUES ('fact', 'Rolled back', 'x')");
+            await tx.batch([
+                { sql: "INSERT INTO tags (name) VALUES ('rolled-back')", args: [] },
+                { sql: "INSERT INTO no_such_table VALUES (1)", args: [] },
+            ], "write");
+        }), /no_such_table/);
+        const left = await client.execute("SELECT (SELECT COUNT(*) FROM memories WHERE title = 'Rolled back') + (SELECT COUNT(*) FROM tags WHERE name = 'rolled-back') AS n");
+        assert.equal(Number(left.rows[0].n), 0);
+
+        const id = await withWriteTransaction(client, async (tx) =>
+            Number((await tx.execute("INSERT INTO memories (type, title, content) VALUES ('fact', 'Committed', 'x')")).lastInsertRowid));
+        assert.ok(id > 0);
+        await client.execute({ sql: "DELETE FROM memories WHERE id = ?", args: [id] });
+    });
+
+    it("should queue a plain write behind a transaction that awaits", async () => {
+        const started = Date.now();
+        const order = /** @type {string[]} */ ([]);
+        const transaction = withWriteTransaction(client, async (tx) => {
+            await tx.execute("INSERT INTO tags (name) VALUES ('in-transaction')");
+            await new Promise((r) => setTimeout(r, 300));
+            order.push("commit");
+        });
+        await new Promise((r) => setTimeout(r, 50));
+        const write = client.execute("INSERT INTO tags (name) VALUES ('plain-write')").then(() => order.push("write"));
+        await Promise.all([transaction, write]);
+        assert.deepEqual(order, ["commit", "write"]);
+        assert.ok(Date.now() - started < 2000, "nobody waited on busy_timeout");
+        await client.execute("DELETE FROM tags WHERE name IN ('in-transaction', 'plain-write')");
+    });
+
+    it("should not duplicate memories added by parallel processes", async () => {
+        // Every writer adds the same memories, each in its own order
+        await Promise.all(Array.from({ length: WRITERS }, (_, w) => spawnWriter(`
+            const titles = ${JSON.stringify(TITLES)};
+            for (let i = 0; i < titles.length; i++) {
+                const title = titles[(i + ${w * 3}) % titles.length];
+                await memory.addMemory(client, { type: "fact", title, content: "Content of " + title, autoLink: false });
+            }
+        `)));
+
+        const rows = await client.execute({
+            sql: "SELECT title, COUNT(*) AS n, SUM(access_count) AS accesses FROM memories WHERE title LIKE 'Shared fact %' GROUP BY title",
+            args: [],
+        });
+        assert.equal(rows.rows.length, TITLES.length);
+        for (const row of rows.rows) {
+            assert.equal(Number(row.n), 1, `${row.title} stored once`);
+            assert.equal(Number(row.accesses), WRITERS - 1, `${row.title}: every other writer counted as a re-encounter`);
+        }
+    });
+
+    it("should keep imports from parallel processes consistent", async () => {
+        const exported = TITLES.map((title, id) => ({ id, type: "decision", title: `Imported ${title}`, content: `Decision ${id}`, source_type: "manual", tags: ["imported"] }));
+        await Promise.all(Array.from({ length: WRITERS }, () => spawnWriter(`
+            const result = await memory.importMemories(client, ${JSON.stringify(exported)});
+            if (result.failed > 0) throw new Error(result.failed + " failed");
+        `)));
+
+        const rows = await client.execute("SELECT COUNT(*) AS n, COUNT(DISTINCT title) AS titles FROM memories WHERE type = 'decision'");
+        assert.equal(Number(rows.rows[0].n), TITLES.length);
+        assert.equal(Number(rows.rows[0].titles), TITLES.length);
+    });
+});
@@ -0,0 +1,127 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getLinks } from "../memory.js";
+import { recall } from "../foa.js";
+import { runConsolidation, getConsolidationPlan } from "../consolidation.js";
+import { undoConsolidationRun } from "../journal.js";
+import { conflictReason, listConflicts, resolveConflict, dismissConflict } from "../conflicts.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_conflicts.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {number} from
+ * @param {number} to
+ * @returns {Promise<string | undefined>}
+ */
+async function relationBetween(from, to) {
+    return (await getLinks(client, from)).find((l) => l.id === to && l.direction === "outgoing")?.relation;
+}
+
+describe("conflicts.js — contradiction detection", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should recognize opposite terms, negation and different values", () => {
+        assert.equal(conflictReason("Use tabs for indentation", "Avoid tabs for indentation"), "opposite terms: use / avoid");
+        assert.equal(conflictReason("We deploy on Fridays", "We don't deploy on Fridays"), "only one is negated");
+        assert.equal(conflictReason("The API timeout is 30 seconds", "The API timeout is 60 seconds"), "different values: 30 / 60");
+        assert.equal(conflictReason("Use tabs for indentation", "Use tabs for indentation, width 4"), null);
+        assert.equal(conflictReason("Never deploy on Fridays", "We can't deploy on Fridays"), null, "both negated");
+    });
+
+    it("should link a contradicting memory on add", async () => {
+        const older = await addMemory(client, { type: "preference", title: "Indentation", content: "Use tabs for indentation in this repo" });
+        const newer = await addMemory(client, { type: "preference", title: "Indentation style", content: "Avoid tabs for indentation in this repo" });
+        assert.deepEqual(newer.conflicts, [{ id: older.id, reason: "opposite terms: avoid / use" }]);
+        assert.equal(await relationBetween(newer.id, older.id), "contradicts");
+
+        const [conflict] = await listConflicts(client);
+        assert.equal(conflict.a.id, newer.id);
+        assert.equal(conflict.b.id, older.id);
+        assert.ok(conflict.similarity >= 0.8);
+    });
+
+    it("should not compare episodes or memories of other scopes", async () => {
+        await addMemory(client, { type: "episode", title: "Deploy", content: "We deploy on Fridays" });
+        const b = await addMemory(client, { type: "episode", title: "Deploy", content: "We never deploy on Fridays", autoLink: false });
+        assert.equal(b.conflicts, undefined);
+        await addMemory(client, { type: "decision", title: "Deploy day", content: "We deploy on Fridays", scope: "api" });
+        const other = await addMemory(client, { type: "decision", title: "Deploy day", content: "We never deploy on Fridays", scope: "web" });
+        assert.equal(other.conflicts, undefined);
+        const off = await addMemory(client, { type: "decision", title: "Release day", content: "We never deploy on Fridays", scope: "api", detectConflicts: false });
+        assert.equal(off.conflicts, undefined);
+    });
+
+    it("should suppress the loser in recall once resolved", async () => {
+        const [conflict] = await listConflicts(client);
+        const query = "tabs for indentation";
+        const ids = async (/** @type {boolean} */ includeSuperseded) =>
+            (await recall(client, query, { rerank: false, hops: 0, includeSuperseded })).memories.map((m) => m.id);
+        assert.ok((await ids(false)).includes(conflict.b.id));
+
+        await resolveConflict(client, conflict.a.id, conflict.b.id);
+        assert.equal(await relationBetween(conflict.a.id, conflict.b.id), "supersedes");
+        assert.deepEqual(await listConflicts(client), []);
+        assert.ok(!(await ids(false)).includes(conflict.b.id), "superseded memory left out");
+        assert.ok((await ids(false)).includes(conflict.a.id));
+        assert.ok((await ids(true)).includes(conflict.b.id));
+
+        await assert.rejects(() => resolveConflict(client, conflict.a.id, conflict.b.id), /No conflict between/);
+    });
+
+    it("should flag conflicts during sleep, and undo them", async () => {
+        const older = await addMemory(client, { type: "fact", title: "API timeout", content: "The API timeout is 30 seconds", detectConflicts: false });
+        const newer = await addMemory(client, { type: "fact", title: "API timeout (gateway)", content: "The API timeout is 60 seconds", detectConflicts: false });
+        const related = await relationBetween(newer.id, older.id);
+
+        const plan = await getConsolidationPlan(client, { mergeThreshold: 0.99 });
+        assert.deepEqual(plan.conflicts.map((c) => [c.a.id, c.b.id, c.reason]), [[newer.id, older.id, "different values: 60 / 30"]]);
+
+        const result = await runConsolidation(client, { mergeThreshold: 0.99 });
+        assert.equal(result.conflicts, 1);
+        assert.equal(await relationBetween(newer.id, older.id), "contradicts");
+
+        await undoConsolidationRun(client, /** @type {number} */ (result.runId));
+        assert.equal(await relationBetween(newer.id, older.id), related, "the replaced link is back");
+
+        assert.equal((await runConsolidation(client, { mergeThreshold: 0.99 })).conflicts, 1);
+        assert.equal((await runConsolidation(client, { mergeThreshold: 0.99 })).conflicts, 0, "flagged pairs aren't flagged twice");
+    });
+
+    it("should never flag a dismissed pair again", async () => {
+        const [conflict] = await listConflicts(client);
+        await dismissConflict(client, conflict.b.id, conflict.a.id);
+        assert.equal(await relationBetween(conflict.a.id, conflict.b.id), "related_to");
+        assert.deepEqual(await listConflicts(client), []);
+        const result = await runConsolidation(client, { mergeThreshold: 0.99 });
+        assert.equal(result.conflicts, 0);
+        await assert.rejects(() => dismissConflict(client, conflict.a.id, conflict.b.id), /No conflict between/);
+    });
+});
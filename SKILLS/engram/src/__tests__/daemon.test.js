@@ -0,0 +1,158 @@
+// @ts-check
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, setMeta, getMeta, acquireLock, releaseLock } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory } from "../memory.js";
+import { runConsolidation } from "../consolidation.js";
+import { runDaemon, getDaemonLog } from "../daemon.js";
+import { startSessionWithConsolidationCheck } from "../session.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_daemon.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/** @returns {Promise<string[]>} */
+async function loggedEvents() {
+    return (await getDaemonLog(client)).map((e) => e.event);
+}
+
+describe("daemon.js — scheduled consolidation", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+        await addMemory(client, { type: "fact", title: "Daemon fact", content: "Consolidated on a schedule", autoLink: false });
+    });
+
+    beforeEach(async () => {
+        await client.execute("DELETE FROM system_meta WHERE key = 'daemon_log' OR key LIKE 'lock:%'");
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should hand a lock to one owner at a time, and take over expired ones", async () => {
+        assert.equal(await acquireLock(client, "test", "a", 60_000), null);
+        assert.equal(await acquireLock(client, "test", "a", 60_000), null, "re-entrant for the same owner");
+        const holder = await acquireLock(client, "test", "b", 60_000);
+        assert.equal(holder?.owner, "a");
+        assert.equal(holder?.pid, process.pid);
+
+        await releaseLock(client, "test", "b");
+        assert.ok(await getMeta(client, "lock:test"), "only the owner releases");
+        await releaseLock(client, "test", "a");
+        assert.equal(await acquireLock(client, "test", "b", -1), null);
+        assert.equal(await acquireLock(client, "test", "c", 60_000), null, "expired lock taken over");
+    });
+
+    it("should refuse a second concurrent consolidation", async () => {
+        assert.equal(await acquireLock(client, "consolidation", "elsewhere", 60_000), null);
+        await assert.rejects(() => runConsolidation(client), /Consolidation is already running \(pid \d+/);
+        const dry = await runConsolidation(client, { dryRun: true });
+        assert.equal(dry.runId, null, "dry runs don't need the lock");
+
+        await releaseLock(client, "consolidation", "elsewhere");
+        const result = await runConsolidation(client);
+        assert.ok(result.runId);
+        assert.equal(await getMeta(client, "lock:consolidation"), null, "released after the run");
+    });
+
+    it("should skip a session's auto-consolidation while another process consolidates", async () => {
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 4 * 86_400_000).toISOString());
+        assert.equal(await acquireLock(client, "consolidation", "elsewhere", 60_000), null);
+        const started = await startSessionWithConsolidationCheck(client, "locked-session", { autoConsolidate: true });
+        await releaseLock(client, "consolidation", "elsewhere");
+        assert.equal(started.consolidationNeeded, true);
+        assert.equal(started.autoRan, false);
+    });
+
+    it("should run when due and log it", async () => {
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 4 * 86_400_000).toISOString());
+        /** @type {import("../daemon.js").DaemonEvent[]} */
+        const events = [];
+        await runDaemon(client, { once: true, intervalDays: 3, onEvent: (e) => events.push(e) });
+
+        assert.deepEqual(events.map((e) => e.event), ["start", "run", "stop"]);
+        const [, run] = await getDaemonLog(client);
+        assert.equal(run.event, "run");
+        assert.ok(run.runId);
+        assert.equal(typeof run.counts?.decayed, "number");
+        assert.equal(run.pid, process.pid);
+
+        // Just ran: nothing due, nothing logged but start/stop
+        events.length = 0;
+        await runDaemon(client, { once: true, intervalDays: 3, onEvent: (e) => events.push(e) });
+        assert.equal(events[1].event, "idle");
+        assert.deepEqual(await loggedEvents(), ["start", "run", "stop", "start", "stop"]);
+    });
+
+    it("should log a run skipped because another process holds the lock", async () => {
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 4 * 86_400_000).toISOString());
+        await acquireLock(client, "consolidation", "elsewhere", 60_000);
+        await runDaemon(client, { once: true });
+        await releaseLock(client, "consolidation", "elsewhere");
+
+        const [, locked] = await getDaemonLog(client);
+        assert.equal(locked.event, "locked");
+        assert.match(locked.message ?? "", /already running/);
+    });
+
+    it("should log an error, not stop, when the due check fails", async () => {
+        const failing = /** @type {import("@libsql/client").Client} */ (new Proxy(client, {
+            get(target, prop) {
+                if (prop !== "execute") return Reflect.get(target, prop);
+                return (/** @type {any} */ stmt) => stmt?.args?.[0] === "last_consolidation_at"
+                    ? Promise.reject(new Error("disk I/O error"))
+                    : target.execute(stmt);
+            },
+        }));
+        await runDaemon(failing, { once: true });
+        assert.deepEqual(await loggedEvents(), ["start", "error", "stop"]);
+        assert.equal((await getDaemonLog(client))[1].message, "disk I/O error");
+    });
+
+    it("should keep every entry when daemons log at once, up to the bound", async () => {
+        await setMeta(client, "last_consolidation_at", new Date().toISOString());
+        await Promise.all(Array.from({ length: 5 }, () => runDaemon(client, { once: true })));
+        const events = await loggedEvents();
+        assert.equal(events.filter((e) => e === "start").length, 5);
+        assert.equal(events.filter((e) => e === "stop").length, 5);
+
+        await setMeta(client, "daemon_log", JSON.stringify(Array.from({ length: 100 }, () => ({ at: "", event: "start", pid: 0 }))));
+        await runDaemon(client, { once: true });
+        const log = await getDaemonLog(client);
+        assert.equal(log.length, 100);
+        assert.deepEqual(log.slice(-2).map((e) => [e.event, e.pid]), [["start", process.pid], ["stop", process.pid]]);
+    });
+
+    it("should stop cleanly when signalled", async () => {
+        const controller = new AbortController();
+        const listeners = process.listenerCount("SIGTERM");
+        const running = runDaemon(client, {
+            checkEveryMs: 60_000,
+            signal: controller.signal,
+            onEvent: (e) => { if (e.event !== "start" && e.event !== "stop") controller.abort(); },
+        });
+        assert.equal(process.listenerCount("SIGTERM"), listeners + 1);
+        await running;
+        assert.equal(process.listenerCount("SIGTERM"), listeners, "signal handlers removed");
+        assert.equal((await loggedEvents()).at(-1), "stop");
+    });
+});
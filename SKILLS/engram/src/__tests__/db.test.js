@@ -3,19 +3,25 @@ import { describe, it, before, after } from "node:test";
 import assert from "node:assert/strict";
 import { resolve, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
-import { unlinkSync, existsSync } from "node:fs";
-import { initDb, closeDb, resetClient, getMeta, setMeta } from "../db.js";
+import { unlinkSync, existsSync, readFileSync } from "node:fs";
+import {
+    initDb, closeDb, resetClient, getClient, getMeta, setMeta,
+    migrateTo, getMigrationStatus, SCHEMA_VERSION,
+} from "../db.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_db.db");
+const V1_DB_PATH = resolve(__dirname, "..", "..", "data", "test_db_v1.db");
+const V1_FIXTURE = resolve(__dirname, "fixtures", "engram_v1.sql");
 
 /**
  * Clean up test database file.
+ * @param {string} [path]
  */
-function cleanupTestDb() {
+function cleanupTestDb(path = TEST_DB_PATH) {
     resetClient();
     for (const suffix of ["", "-journal", "-wal", "-shm"]) {
-        const p = TEST_DB_PATH + suffix;
+        const p = path + suffix;
         if (existsSync(p)) {
             try { unlinkSync(p); } catch { /* ignore */ }
         }
@@ -31,7 +37,7 @@ describe("db.js — Database initialization and schema", () => {
 
         assert.ok(client, "Client should be created");
         assert.equal(migrated, true, "First run should migrate");
-        assert.equal(version, 1, "Schema version should be 1");
+        assert.equal(version, SCHEMA_VERSION, "Schema version should be the latest migration");
 
         // Verify all tables exist
         const tables = await client.execute(
@@ -46,6 +52,17 @@ describe("db.js — Database initialization and schema", () => {
         assert.ok(tableNames.includes("sessions"), "sessions table should exist");
         assert.ok(tableNames.includes("access_log"), "access_log table should exist");
         assert.ok(tableNames.includes("system_meta"), "system_meta table should exist");
+        assert.ok(tableNames.includes("embedding_cache"), "embedding_cache table should exist");
+        assert.ok(tableNames.includes("memory_chunks"), "memory_chunks table should exist");
+        assert.ok(tableNames.includes("rerank_cache"), "rerank_cache table should exist");
+        assert.ok(tableNames.includes("schema_migrations"), "schema_migrations table should exist");
+        assert.ok(tableNames.includes("memory_types"), "memory_types table should exist");
+        assert.ok(tableNames.includes("relation_types"), "relation_types table should exist");
+        assert.ok(tableNames.includes("memory_revisions"), "memory_revisions table should exist");
+        assert.ok(tableNames.includes("consolidation_runs"), "consolidation_runs table should exist");
+        assert.ok(tableNames.includes("consolidation_changes"), "consolidation_changes table should exist");
+        assert.ok(tableNames.includes("merge_proposals"), "merge_proposals table should exist");
+        assert.ok(tableNames.includes("conflict_dismissals"), "conflict_dismissals table should exist");
     });
 
     it("should create FTS5 virtual table", async () => {
@@ -78,7 +95,7 @@ describe("db.js — Database initialization and schema", () => {
         const { client } = await initDb(TEST_DB_PATH);
 
         const schemaVersion = await getMeta(client, "schema_version");
-        assert.equal(schemaVersion, "1", "schema_version should be '1'");
+        assert.equal(schemaVersion, String(SCHEMA_VERSION), "schema_version should be the latest migration");
 
         const createdAt = await getMeta(client, "created_at");
         assert.ok(createdAt, "created_at should be set");
@@ -103,7 +120,7 @@ describe("db.js — Database initialization and schema", () => {
         assert.equal(value, null);
     });
 
-    it("should enforce memory type constraint", async () => {
+    it("should reject memory types missing from the registry", async () => {
         const { client } = await initDb(TEST_DB_PATH);
         await assert.rejects(
             () =>
@@ -111,7 +128,7 @@ describe("db.js — Database initialization and schema", () => {
                     sql: "INSERT INTO memories (type, title, content) VALUES (?, ?, ?)",
                     args: ["invalid_type", "Test", "Content"],
                 }),
-            /CHECK constraint/i,
+            /Unknown memory type/,
             "Invalid type should be rejected"
         );
     });
@@ -129,7 +146,7 @@ describe("db.js — Database initialization and schema", () => {
         );
     });
 
-    it("should enforce link relation constraint", async () => {
+    it("should reject relations missing from the registry", async () => {
         const { client } = await initDb(TEST_DB_PATH);
 
         // First insert two valid memories
@@ -148,7 +165,7 @@ describe("db.js — Database initialization and schema", () => {
                     sql: "INSERT INTO memory_links (source_id, target_id, relation) VALUES (?, ?, ?)",
                     args: [1, 2, "invalid_relation"],
                 }),
-            /CHECK constraint/i,
+            /Unknown relation/,
             "Invalid relation should be rejected"
         );
     });
@@ -271,3 +288,133 @@ describe("db.js — Database initialization and schema", () => {
         assert.ok(client, "Should be able to re-open after close");
     });
 });
+
+describe("db.js — migrations from a v1 store", () => {
+    /** @type {import("@libsql/client").Client} */
+    let client;
+
+    /**
+     * @param {string} type
+     * @param {string} name
+     */
+    async function exists(type, name) {
+        const rows = await client.execute({ sql: "SELECT 1 FROM sqlite_master WHERE type = ? AND name = ?", args: [type, name] });
+        return rows.rows.length > 0;
+    }
+
+    async function memoryColumns() {
+        const info = await client.execute("PRAGMA table_info(memories)");
+        return info.rows.map((r) => String(r.name));
+    }
+
+    /** Fresh copy of the v1 fixture, opened without migrating */
+    async function loadFixture() {
+        cleanupTestDb(V1_DB_PATH);
+        client = getClient(V1_DB_PATH);
+        await client.executeMultiple(readFileSync(V1_FIXTURE, "utf8"));
+    }
+
+    before(() => loadFixture());
+    after(() => cleanupTestDb(V1_DB_PATH));
+
+    it("should upgrade the fixture step by step and keep its data", async () => {
+        resetClient();
+        const upgraded = await initDb(V1_DB_PATH);
+        client = upgraded.client;
+        assert.equal(upgraded.migrated, true);
+        assert.equal(upgraded.version, SCHEMA_VERSION);
+        assert.equal(await getMeta(client, "schema_version"), String(SCHEMA_VERSION));
+
+        const steps = await client.execute("SELECT version, applied_at FROM schema_migrations ORDER BY version");
+        assert.deepEqual(steps.rows.map((r) => Number(r.version)), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        assert.equal(steps.rows[0].applied_at, null, "v1 is adopted, not re-run");
+        assert.ok(steps.rows[1].applied_at, "later steps record when they ran");
+
+        for (const table of ["embedding_cache", "memory_chunks", "rerank_cache"]) {
+            assert.ok(await exists("table", table), `${table} should be created by the upgrade`);
+        }
+        const memories = await client.execute("SELECT id, title, scope, access_count FROM memories ORDER BY id");
+        assert.deepEqual(memories.rows.map((r) => [Number(r.id), r.scope]), [[1, "global"], [2, "global"], [3, "global"]]);
+        assert.equal(Number(memories.rows[0].access_count), 7);
+        assert.deepEqual(memories.rows.map((r) => r.title), [
+            "Wrap vector_top_k in try/catch", "Engram stack", "Reranker cold start",
+        ]);
+        const types = await client.execute("SELECT type FROM memories ORDER BY id");
+        assert.deepEqual(types.rows.map((r) => r.type), ["reflex", "fact", "episode"]);
+        const links = await client.execute("SELECT source_id, relation FROM memory_links ORDER BY source_id");
+        assert.deepEqual(links.rows.map((r) => [Number(r.source_id), r.relation]), [[1, "related_to"], [3, "caused_by"]]);
+        const fts = await client.execute("SELECT rowid FROM memories_fts WHERE memories_fts MATCH 'DiskANN'");
+        assert.deepEqual(fts.rows.map((r) => Number(r.rowid)), [1]);
+    });
+
+    it("should report every step as applied", async () => {
+        const status = await getMigrationStatus(client);
+        assert.equal(status.current, SCHEMA_VERSION);
+        assert.equal(status.latest, SCHEMA_VERSION);
+        assert.deepEqual(status.migrations.map((m) => m.status), Array(12).fill("applied"));
+        assert.deepEqual(status.migrations.map((m) => m.reversible), [false, true, true, true, true, false, true, true, true, true, true, true]);
+    });
+
+    it("should refuse to migrate below an irreversible step", async () => {
+        await assert.rejects(() => migrateTo(client, 5), /Cannot migrate down to v5: migration v6 .* is irreversible/);
+        assert.equal((await getMigrationStatus(client)).current, 12);
+
+        const down = await migrateTo(client, 6);
+        assert.deepEqual(down.reverted, [12, 11, 10, 9, 8, 7]);
+        assert.ok(!(await exists("table", "memory_revisions")));
+        assert.ok(!(await exists("table", "consolidation_runs")));
+        await migrateTo(client);
+    });
+
+    it("should migrate down and back up without losing memories", async () => {
+        await loadFixture();
+        await migrateTo(client, 5);
+        const down = await migrateTo(client, 1);
+        assert.deepEqual(down, { from: 5, to: 1, applied: [], reverted: [5, 4, 3, 2] });
+        assert.ok(!(await memoryColumns()).includes("scope"));
+        assert.ok(!(await exists("table", "memory_chunks")));
+        assert.ok(!(await exists("table", "embedding_cache")));
+        assert.equal(await getMeta(client, "schema_version"), "1");
+        assert.equal(Number((await client.execute("SELECT COUNT(*) AS n FROM memories")).rows[0].n), 3);
+
+        const partial = await migrateTo(client, 3);
+        assert.deepEqual(partial.applied, [2, 3]);
+        assert.equal((await getMigrationStatus(client)).migrations[3].status, "pending");
+
+        const up = await migrateTo(client);
+        assert.deepEqual(up.applied, [4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        assert.ok((await memoryColumns()).includes("scope"));
+        assert.ok((await memoryColumns()).includes("half_life_days"));
+    });
+
+    it("should refuse out-of-range targets and edited migrations", async () => {
+        await assert.rejects(() => migrateTo(client, 0), /Invalid target version/);
+        await assert.rejects(() => migrateTo(client, SCHEMA_VERSION + 1), /Invalid target version/);
+
+        const { checksum } = (await getMigrationStatus(client)).migrations[0];
+        await client.execute("UPDATE schema_migrations SET checksum = 'edited' WHERE version = 1");
+        await assert.rejects(() => migrateTo(client, 1), /checksum mismatch for v1/);
+        assert.equal((await getMigrationStatus(client)).migrations[0].status, "modified");
+        await client.execute({ sql: "UPDATE schema_migrations SET checksum = ? WHERE version = 1", args: [checksum] });
+    });
+
+    it("should refuse a database migrated by a newer engram", async () => {
+        await client.execute("INSERT INTO schema_migrations (version, description, checksum) VALUES (99, 'From the future', 'abc')");
+        const status = await getMigrationStatus(client);
+        assert.equal(status.migrations.at(-1)?.status, "unknown");
+        resetClient();
+        await assert.rejects(() => initDb(V1_DB_PATH), /newer than this engram/);
+    });
+
+    it("should roll back a step that fails halfway", async () => {
+        await loadFixture();
+        await migrateTo(client, 2);
+        // Occupies the name of the index v3 creates after its table
+        await client.execute("CREATE TABLE idx_memory_chunks_memory (x)");
+
+        await assert.rejects(() => migrateTo(client), /Migration v3 .* failed, rolled back/);
+        assert.ok(!(await exists("table", "memory_chunks")), "the table created earlier in the step is rolled back");
+        assert.equal(await getMeta(client, "schema_version"), "2");
+        assert.equal((await getMigrationStatus(client)).current, 2);
+    });
+});
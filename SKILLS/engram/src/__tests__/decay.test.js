@@ -0,0 +1,156 @@
+// @ts-check
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, setMeta } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getMemory, updateMemory } from "../memory.js";
+import { runConsolidation, getConsolidationPlan } from "../consolidation.js";
+import { decayRateForHalfLife } from "../registry.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_decay.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {string} type
+ * @param {string} title
+ * @param {{importance?: number, halfLife?: number}} [extra]
+ * @returns {Promise<number>}
+ */
+async function add(type, title, extra = {}) {
+    return (await addMemory(client, { type, title, content: title, autoLink: false, detectConflicts: false, ...extra })).id;
+}
+
+/**
+ * Full strength everywhere, last sleep `days` ago.
+ * @param {number} days
+ */
+async function lastSleptDaysAgo(days) {
+    await client.execute("UPDATE memories SET strength = 1.0, last_accessed_at = NULL");
+    await setMeta(client, "last_consolidation_at", new Date(Date.now() - days * 86_400_000).toISOString());
+}
+
+/**
+ * @param {import("../consolidation.js").ConsolidationPlan} plan
+ * @param {number} id
+ * @returns {number | undefined}
+ */
+function projected(plan, id) {
+    return plan.decay.find((d) => d.id === id)?.projected;
+}
+
+/**
+ * @param {number | undefined} actual
+ * @param {number} expected
+ * @param {string} [message]
+ */
+function near(actual, expected, message) {
+    assert.ok(actual !== undefined && Math.abs(actual - expected) < 1e-3, `${message ?? ""} ${actual} ≉ ${expected}`);
+}
+
+describe("consolidation.js — decay profiles and spaced repetition", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    beforeEach(async () => {
+        await client.execute("DELETE FROM memories");
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should decay by type profile, with per-memory half-life overrides", async () => {
+        const reflex = await add("reflex", "Profile reflex");
+        const episode = await add("episode", "Profile episode");
+        const fact = await add("fact", "Profile fact");
+        const fleeting = await add("fact", "Profile fleeting fact", { halfLife: 1 });
+        await lastSleptDaysAgo(10);
+
+        const plan = await getConsolidationPlan(client, { decayRate: 0.95 });
+        near(projected(plan, reflex), 0.5 ** (10 / 90), "reflex: 90-day half-life");
+        near(projected(plan, episode), 0.5 ** (10 / 7), "episode: 7-day half-life");
+        near(projected(plan, fact), 0.95 ** 10, "fact: the run's rate");
+        near(projected(plan, fleeting), 0.5 ** 10, "own half-life wins over the type's");
+        assert.deepEqual(plan.prune.map((p) => p.id), [fleeting]);
+
+        await runConsolidation(client, { decayRate: 0.95 });
+        near((await getMemory(client, episode))?.strength, 0.5 ** (10 / 7));
+        assert.equal(await getMemory(client, fleeting), null, "pruned");
+    });
+
+    it("should weight decay by importance when asked", async () => {
+        const vital = await add("fact", "Weighted vital", { importance: 1 });
+        const trivial = await add("fact", "Weighted trivial", { importance: 0 });
+        await lastSleptDaysAgo(10);
+
+        const flat = await getConsolidationPlan(client, { decayRate: 0.95 });
+        near(projected(flat, vital), 0.95 ** 10);
+        near(projected(flat, trivial), 0.95 ** 10);
+
+        const weighted = await getConsolidationPlan(client, { decayRate: 0.95, importanceWeighted: true });
+        near(projected(weighted, vital), 0.95 ** 5, "importance 1.0 decays at half pace");
+        near(projected(weighted, trivial), 0.95 ** 15, "importance 0.0 decays 1.5× faster");
+        assert.equal(weighted.options.importanceWeighted, true);
+    });
+
+    it("should restart the curve on access with spaced repetition", async () => {
+        const reviewed = await add("fact", "Spaced reviewed");
+        const idle = await add("fact", "Spaced idle");
+        await lastSleptDaysAgo(10);
+        await client.execute({ sql: "UPDATE memories SET strength = 0.3, access_count = 5 WHERE id = ?", args: [reviewed] });
+        // Reviewed on two distinct days since the last run
+        for (const ago of ["-5 days", "-2 days", "-2 days"]) {
+            await client.execute({
+                sql: "INSERT INTO access_log (memory_id, accessed_at) VALUES (?, datetime('now', ?))",
+                args: [reviewed, ago],
+            });
+        }
+
+        const flat = await getConsolidationPlan(client, { decayRate: 0.95 });
+        near(projected(flat, reviewed), 0.3 * 0.95 ** 10, "without spacing, accesses don't matter to decay");
+        assert.deepEqual(flat.boost.map((b) => b.id), [reviewed]);
+
+        const plan = await getConsolidationPlan(client, { decayRate: 0.95, spacedRepetition: true });
+        near(projected(plan, reviewed), 0.95 ** (2 / 2), "full strength at the last access, curve flattened by 2 review days");
+        near(projected(plan, idle), 0.95 ** 10);
+        assert.deepEqual(plan.boost, [], "no flat boost");
+
+        const result = await runConsolidation(client, { decayRate: 0.95, spacedRepetition: true });
+        assert.equal(result.boosted, 0);
+        near((await getMemory(client, reviewed))?.strength, 0.95);
+
+        // No access since: the next run only decays for the time in between
+        await runConsolidation(client, { decayRate: 0.95, spacedRepetition: true });
+        near((await getMemory(client, reviewed))?.strength, 0.95);
+    });
+
+    it("should validate and clear half-life overrides", async () => {
+        near(decayRateForHalfLife(90), 0.99233);
+        await assert.rejects(() => addMemory(client, { type: "fact", title: "Bad half-life", content: "x", halfLife: 0 }), /Invalid half-life/);
+
+        const id = await add("fact", "Override", { halfLife: 30 });
+        assert.equal((await getMemory(client, id))?.half_life_days, 30);
+        await assert.rejects(() => updateMemory(client, id, { halfLife: -1 }), /Invalid half-life/);
+        await updateMemory(client, id, { halfLife: null });
+        assert.equal((await getMemory(client, id))?.half_life_days, null);
+    });
+});
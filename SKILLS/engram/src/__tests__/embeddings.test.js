@@ -143,6 +143,16 @@ describe("embeddings.js — Model integration (requires BGE-M3 download)", () =>
         }
     });
 
+    it("should match single embeds across batch boundaries", async () => {
+        const texts = ["Short", "A somewhat longer text that forces padding in the batch", "Третий текст"];
+        const vectors = await embedBatch(texts, { batchSize: 2 });
+        for (let i = 0; i < texts.length; i++) {
+            const single = await embed(texts[i]);
+            const sim = cosineSimilarity(vectors[i], single);
+            assert.ok(sim > 0.99, `Batched vector ${i} should match single embed: ${sim}`);
+        }
+    });
+
     it("should be idempotent — same text → same vector", async () => {
         const a = await embed("Deterministic output test");
         const b = await embed("Deterministic output test");
@@ -0,0 +1,116 @@
+-- Engram store at schema v1 (before schema_migrations, caches, chunks and scopes).
+-- Loaded by db.test.js to exercise upgrades from the oldest released schema.
+
+CREATE TABLE memories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL CHECK(type IN ('reflex', 'episode', 'fact', 'preference', 'decision', 'session_summary')),
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  content_embedding F32_BLOB(1024),
+  importance REAL DEFAULT 0.5 CHECK(importance >= 0.0 AND importance <= 1.0),
+  strength REAL DEFAULT 1.0 CHECK(strength >= 0.0 AND strength <= 1.0),
+  access_count INTEGER DEFAULT 0,
+  last_accessed_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  source_conversation_id TEXT,
+  source_type TEXT DEFAULT 'manual' CHECK(source_type IN ('manual', 'auto', 'migration')),
+  archived INTEGER DEFAULT 0
+);
+
+CREATE VIRTUAL TABLE memories_fts USING fts5(
+  title, content, type,
+  content='memories', content_rowid='id'
+);
+
+CREATE TRIGGER memories_ai AFTER INSERT ON memories BEGIN
+  INSERT INTO memories_fts(rowid, title, content, type)
+  VALUES (new.id, new.title, new.content, new.type);
+END;
+
+CREATE TRIGGER memories_ad AFTER DELETE ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, title, content, type)
+  VALUES ('delete', old.id, old.title, old.content, old.type);
+END;
+
+CREATE TRIGGER memories_au AFTER UPDATE ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, title, content, type)
+  VALUES ('delete', old.id, old.title, old.content, old.type);
+  INSERT INTO memories_fts(rowid, title, content, type)
+  VALUES (new.id, new.title, new.content, new.type);
+END;
+
+CREATE TABLE tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL
+);
+
+CREATE TABLE memory_tags (
+  memory_id INTEGER REFERENCES memories(id) ON DELETE CASCADE,
+  tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (memory_id, tag_id)
+);
+
+CREATE TABLE memory_links (
+  source_id INTEGER REFERENCES memories(id) ON DELETE CASCADE,
+  target_id INTEGER REFERENCES memories(id) ON DELETE CASCADE,
+  relation TEXT NOT NULL CHECK(relation IN ('related_to', 'caused_by', 'evolved_from', 'contradicts', 'supersedes')),
+  strength REAL DEFAULT 0.5,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (source_id, target_id)
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  title TEXT,
+  summary TEXT,
+  summary_embedding F32_BLOB(1024),
+  started_at TEXT DEFAULT (datetime('now')),
+  ended_at TEXT,
+  memory_ids_accessed TEXT DEFAULT '[]'
+);
+
+CREATE TABLE access_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  memory_id INTEGER REFERENCES memories(id) ON DELETE CASCADE,
+  session_id TEXT,
+  query TEXT,
+  relevance_score REAL,
+  accessed_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE system_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_memories_type ON memories(type);
+CREATE INDEX idx_memories_strength ON memories(strength);
+CREATE INDEX idx_memories_archived ON memories(archived);
+CREATE INDEX idx_memory_tags_memory ON memory_tags(memory_id);
+CREATE INDEX idx_memory_tags_tag ON memory_tags(tag_id);
+CREATE INDEX idx_memory_links_source ON memory_links(source_id);
+CREATE INDEX idx_memory_links_target ON memory_links(target_id);
+CREATE INDEX idx_access_log_memory ON access_log(memory_id);
+CREATE INDEX idx_access_log_session ON access_log(session_id);
+
+CREATE INDEX memories_vec_idx ON memories (
+  libsql_vector_idx(content_embedding, 'metric=cosine', 'compress_neighbors=float8', 'max_neighbors=20')
+);
+
+INSERT INTO system_meta (key, value) VALUES ('schema_version', '1');
+INSERT INTO system_meta (key, value) VALUES ('last_consolidation_at', '2025-01-10T08:00:00.000Z');
+INSERT INTO system_meta (key, value) VALUES ('created_at', '2025-01-01 12:00:00');
+
+INSERT INTO memories (id, type, title, content, importance, strength, access_count, created_at, updated_at)
+VALUES
+  (1, 'reflex', 'Wrap vector_top_k in try/catch', 'DiskANN may be missing on some platforms; fall back to brute force.', 0.9, 1.0, 7, '2025-01-02 09:00:00', '2025-01-02 09:00:00'),
+  (2, 'fact', 'Engram stack', 'Node.js, LibSQL, BGE-M3, Commander.', 0.6, 0.8, 2, '2025-01-03 10:00:00', '2025-01-03 10:00:00'),
+  (3, 'episode', 'Reranker cold start', 'First rerank took 40s while ONNX compiled.', 0.5, 0.4, 0, '2025-01-04 11:00:00', '2025-01-04 11:00:00');
+
+INSERT INTO tags (id, name) VALUES (1, 'permanent'), (2, 'libsql');
+INSERT INTO memory_tags (memory_id, tag_id) VALUES (1, 1), (1, 2), (2, 2);
+INSERT INTO memory_links (source_id, target_id, relation) VALUES (1, 2, 'related_to'), (3, 2, 'caused_by');
+INSERT INTO sessions (id, title, summary, started_at, ended_at) VALUES ('s-1', 'Setup', 'Installed engram', '2025-01-02 08:00:00', '2025-01-02 09:30:00');
+INSERT INTO access_log (memory_id, session_id, query) VALUES (1, 's-1', 'vector index');
@@ -0,0 +1,291 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, addTag, linkMemories, searchHybrid } from "../memory.js";
+import { recall, formatRecallContext } from "../foa.js";
+import { walkGraph, findPath, formatPath, exportGraph, graphStats } from "../graph.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_graph.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {string} type
+ * @param {string} title
+ * @param {string} [scope]
+ * @returns {Promise<number>}
+ */
+async function add(type, title, scope) {
+    return (await addMemory(client, { type, title, content: title, scope, autoLink: false, detectConflicts: false })).id;
+}
+
+/**
+ * @param {import("../graph.js").GraphNode[] | null} nodes
+ * @returns {number[]} Reached ids in walk order, start left out
+ */
+function reachedIds(nodes) {
+    assert.ok(nodes);
+    return nodes.slice(1).map((n) => n.id);
+}
+
+describe("graph.js — graph walks", () => {
+    /** @type {Record<string, number>} */
+    const ids = {};
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        ids.a = await add("decision", "Move sessions to Redis");
+        ids.b = await add("episode", "Session store ran out of memory");
+        ids.c = await add("fact", "Process memory is capped at 512 MB");
+        ids.d = await add("fact", "Redis runs in the shared cluster");
+        ids.e = await add("fact", "The cap is set in the deploy manifest");
+        ids.f = await add("fact", "Sessions average 40 KB", "other");
+        ids.x = await add("fact", "Archived neighbour");
+        await client.execute({ sql: "UPDATE memories SET archived = 1 WHERE id = ?", args: [ids.x] });
+
+        await linkMemories(client, ids.a, ids.b, "caused_by", 0.9);
+        await linkMemories(client, ids.b, ids.c, "related_to", 0.5);
+        await linkMemories(client, ids.d, ids.a, "related_to", 0.8);
+        await linkMemories(client, ids.c, ids.e, "related_to", 0.2);
+        await linkMemories(client, ids.a, ids.f, "related_to", 0.3);
+        await linkMemories(client, ids.f, ids.c, "related_to", 0.9);
+        await linkMemories(client, ids.a, ids.x, "related_to", 1.0);
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should walk breadth-first with scores and paths", async () => {
+        const nodes = await walkGraph(client, ids.a);
+        assert.ok(nodes);
+        assert.deepEqual(nodes[0], { id: ids.a, type: "decision", title: "Move sessions to Redis", scope: "global", depth: 0, score: 1, path: [] });
+        assert.deepEqual(reachedIds(nodes), [ids.b, ids.d, ids.f, ids.c], "by depth, then score; archived and too deep left out");
+
+        const c = nodes.find((n) => n.id === ids.c);
+        assert.equal(c?.depth, 2);
+        assert.ok(Math.abs((c?.score ?? 0) - 0.45) < 1e-9, "best path: 0.9 × 0.5 beats 0.3 × 0.9");
+        assert.equal(formatPath(ids.a, c?.path ?? []), `#${ids.a} —caused_by→ #${ids.b} —related_to→ #${ids.c}`);
+
+        const d = nodes.find((n) => n.id === ids.d);
+        assert.deepEqual(d?.path, [{ from: ids.a, to: ids.d, relation: "related_to", direction: "incoming", strength: 0.8 }]);
+        assert.equal(formatPath(ids.a, d?.path ?? []), `#${ids.a} ←related_to— #${ids.d}`);
+
+        assert.equal(await walkGraph(client, ids.x), null, "archived start");
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { limit: 1 })), [ids.b]);
+    });
+
+    it("should filter by direction, relation, strength and scope", async () => {
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { direction: "out", maxDepth: 1 })), [ids.b, ids.f]);
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { direction: "in" })), [ids.d]);
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { relations: ["caused_by"] })), [ids.b]);
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { minStrength: 0.6, maxDepth: 3 })), [ids.b, ids.d]);
+        assert.deepEqual(reachedIds(await walkGraph(client, ids.a, { scope: "global", maxDepth: 3 })), [ids.b, ids.d, ids.c, ids.e]);
+
+        await assert.rejects(() => walkGraph(client, ids.a, { relations: ["depends_on"] }), /Invalid relation/);
+        await assert.rejects(() => walkGraph(client, ids.a, { direction: /** @type {any} */ ("up") }), /Invalid direction/);
+        await assert.rejects(() => walkGraph(client, ids.a, { maxDepth: -1 }), /Invalid depth/);
+    });
+
+    it("should walk depth-first, strongest links first", async () => {
+        const nodes = await walkGraph(client, ids.a, { order: "dfs", maxDepth: 3 });
+        assert.deepEqual(reachedIds(nodes), [ids.b, ids.c, ids.f, ids.e, ids.d]);
+        const f = nodes?.find((n) => n.id === ids.f);
+        assert.equal(f?.depth, 3, "first path found, not the shortest");
+        assert.equal(formatPath(ids.a, f?.path ?? []), `#${ids.a} —caused_by→ #${ids.b} —related_to→ #${ids.c} ←related_to— #${ids.f}`);
+    });
+
+    it("should score hop-linked search results along the link", async () => {
+        const results = await searchHybrid(client, "sessions", { type: "decision", k: 10, hops: 1 });
+        const [hit, ...linked] = results;
+        assert.equal(hit.id, ids.a);
+        assert.deepEqual(linked.map((m) => m.id), [ids.b, ids.d, ids.f], "strongest link first");
+        for (const mem of linked) {
+            const via = mem.explanation?.path[0];
+            assert.equal(mem.explanation?.seed, ids.a);
+            assert.ok(Math.abs(/** @type {number} */ (mem.score) - /** @type {number} */ (hit.score) * /** @type {number} */ (via?.strength)) < 1e-12);
+        }
+        assert.equal(linked[1].explanation?.path[0].direction, "incoming");
+        assert.equal(hit.explanation, undefined, "matched, not linked in");
+    });
+
+    it("should find the shortest path between two memories", async () => {
+        const nodes = await findPath(client, ids.d, ids.e);
+        assert.deepEqual(nodes?.map((n) => n.id), [ids.d, ids.a, ids.b, ids.c, ids.e]);
+        const end = nodes?.[nodes.length - 1];
+        assert.equal(end?.depth, 4);
+        assert.equal(formatPath(ids.d, end?.path ?? []),
+            `#${ids.d} —related_to→ #${ids.a} —caused_by→ #${ids.b} —related_to→ #${ids.c} —related_to→ #${ids.e}`);
+
+        assert.deepEqual((await findPath(client, ids.a, ids.c))?.map((n) => n.id), [ids.a, ids.b, ids.c], "best of the equally short");
+        assert.equal(await findPath(client, ids.d, ids.e, { maxDepth: 3 }), null);
+        assert.equal(await findPath(client, ids.e, ids.d, { direction: "out" }), null);
+        assert.equal(await findPath(client, ids.a, ids.x), null, "archived");
+    });
+
+    it("should explain every memory linked into recall", async () => {
+        const results = await searchHybrid(client, "sessions", { type: "decision", k: 10, hops: 2 });
+        const c = results.find((m) => m.id === ids.c);
+        assert.deepEqual(c?.explanation?.seed, ids.a);
+        assert.deepEqual(c?.explanation?.path.map((e) => [e.from, e.relation, e.to]), [[ids.a, "caused_by", ids.b], [ids.b, "related_to", ids.c]]);
+
+        const recalled = await recall(client, "sessions", { type: "decision", rerank: false, hops: 2 });
+        const entry = recalled.memories.find((m) => m.id === ids.c);
+        assert.deepEqual(entry?.explanation, c?.explanation);
+        assert.ok(formatRecallContext(recalled).includes(`_Linked: #${ids.a} —caused_by→ #${ids.b} —related_to→ #${ids.c}_`));
+    });
+
+    it("should export the graph as DOT, filtered by type, tag, scope or root", async () => {
+        /** @param {string} dot */
+        const nodeIds = (dot) => [...dot.matchAll(/^ {2}m(\d+) \[/gm)].map((m) => Number(m[1]));
+        /** @param {string} dot */
+        const edgeIds = (dot) => [...dot.matchAll(/^ {2}m(\d+) -> m(\d+)/gm)].map((m) => [Number(m[1]), Number(m[2])]);
+
+        const all = await exportGraph(client, "dot");
+        assert.match(all, /^digraph engram \{/);
+        assert.deepEqual(nodeIds(all), [ids.a, ids.b, ids.c, ids.d, ids.e, ids.f], "archived left out");
+        assert.equal(edgeIds(all).length, 6);
+        assert.ok(all.includes(`  m${ids.a} -> m${ids.b} [label="caused_by", penwidth=2.75];`), "labeled by relation, thicker when stronger");
+        assert.ok(all.includes(`  m${ids.a} [label="#${ids.a} Move sessions to Redis\\n[decision]", fillcolor="#cdb4db", width=1.50, fontsize=15];`));
+
+        const facts = await exportGraph(client, "dot", { types: ["fact"] });
+        assert.deepEqual(nodeIds(facts), [ids.c, ids.d, ids.e, ids.f]);
+        assert.deepEqual(edgeIds(facts), [[ids.c, ids.e], [ids.f, ids.c]], "only links between exported memories");
+
+        const around = await exportGraph(client, "dot", { root: ids.b, depth: 1 });
+        assert.deepEqual(nodeIds(around), [ids.a, ids.b, ids.c]);
+        assert.deepEqual(nodeIds(await exportGraph(client, "dot", { scope: "other" })), [ids.f]);
+        await addTag(client, ids.c, "capacity");
+        assert.deepEqual(nodeIds(await exportGraph(client, "dot", { tag: "Capacity" })), [ids.c]);
+
+        await assert.rejects(() => exportGraph(client, "dot", { root: ids.x }), /Memory #\d+ not found/);
+        await assert.rejects(() => exportGraph(client, /** @type {any} */ ("svg")), /Invalid format/);
+    });
+
+    it("should export GraphML and Mermaid with escaped labels", async () => {
+        const quoted = await add("fact", `Use "<b>" & not <i>`);
+        await linkMemories(client, quoted, ids.c, "related_to", 0.4);
+
+        const graphml = await exportGraph(client, "graphml", { root: quoted, depth: 1 });
+        assert.match(graphml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<graphml /);
+        assert.equal([...graphml.matchAll(/<node id=/g)].length, 2);
+        assert.ok(graphml.includes(`<data key="label">#${quoted} Use &quot;&lt;b&gt;&quot; &amp; not &lt;i&gt;</data>`));
+        assert.ok(graphml.includes(`<edge id="e0" source="m${quoted}" target="m${ids.c}"><data key="relation">related_to</data><data key="link_strength">0.4</data></edge>`));
+
+        const mermaid = await exportGraph(client, "mermaid", { root: quoted, depth: 1 });
+        assert.deepEqual(mermaid.split("\n").slice(0, 4), [
+            "graph LR",
+            `  m${ids.c}["#${ids.c} Process memory is capped at 512 MB"]:::fact`,
+            `  m${quoted}["#${quoted} Use #quot;<b>#quot; & not <i>"]:::fact`,
+            `  m${quoted} -- "related_to" --> m${ids.c}`,
+        ]);
+        assert.ok(mermaid.includes("  classDef fact fill:#b7e4c7,stroke:#333"));
+        assert.match(mermaid, new RegExp(`style m${ids.c} stroke-width:\\d\\.\\dpx`));
+    });
+});
+
+describe("graph.js — graph stats", () => {
+    /** @type {Record<string, number>} */
+    const ids = {};
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        // Two triangles joined by a weak link, a separate pair, and an orphan
+        ids.a1 = await add("fact", "Deploy notes");
+        ids.a2 = await add("fact", "Deploys run at noon");
+        ids.a3 = await add("episode", "Friday deploy broke checkout");
+        ids.a4 = await add("episode", "Rollback took an hour");
+        ids.b1 = await add("decision", "Freeze deploys on Fridays");
+        ids.b2 = await add("decision", "Require two approvals");
+        ids.b3 = await add("decision", "Canary every release");
+        ids.u = await add("reflex", "Check the release calendar");
+        ids.v = await add("reflex", "Announce freezes in chat");
+        ids.o = await add("preference", "Tabs over spaces");
+
+        for (const [source, target] of [["a1", "a2"], ["a1", "a3"], ["a2", "a3"], ["a1", "a4"], ["b1", "b2"], ["b1", "b3"], ["b2", "b3"], ["u", "v"]]) {
+            await linkMemories(client, ids[source], ids[target], "related_to", 0.9);
+        }
+        await linkMemories(client, ids.b1, ids.a1, "caused_by", 0.1);
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should find components, communities and orphans", async () => {
+        const stats = await graphStats(client);
+        assert.equal(stats.memories, 10);
+        assert.equal(stats.links, 9);
+        assert.ok(Math.abs(stats.averageDegree - 1.8) < 1e-9);
+        assert.equal(stats.componentCount, 3);
+        assert.deepEqual(stats.components.map((c) => c.members), [
+            [ids.a1, ids.a2, ids.a3, ids.a4, ids.b1, ids.b2, ids.b3],
+            [ids.u, ids.v],
+        ]);
+        assert.equal(stats.components[0].links, 8);
+        assert.deepEqual(stats.components[0].types, { fact: 2, episode: 2, decision: 3 });
+        assert.deepEqual(stats.communities.map((c) => c.members), [
+            [ids.a1, ids.a2, ids.a3, ids.a4],
+            [ids.b1, ids.b2, ids.b3],
+            [ids.u, ids.v],
+        ], "the weak link doesn't pull the triangles together");
+        assert.equal(stats.communities[0].hub.id, ids.a1);
+        assert.deepEqual(stats.orphans, [{ id: ids.o, type: "preference", title: "Tabs over spaces" }]);
+    });
+
+    it("should rank hubs by PageRank or degree", async () => {
+        const { hubs } = await graphStats(client, { top: 3 });
+        assert.equal(hubs.length, 3);
+        assert.equal(hubs[0].id, ids.a1);
+        assert.deepEqual([hubs[0].degree, hubs[0].inDegree, hubs[0].outDegree], [4, 1, 3]);
+        assert.ok(hubs[0].pagerank > hubs[1].pagerank);
+
+        const byDegree = await graphStats(client, { rankBy: "degree" });
+        assert.deepEqual(byDegree.hubs.slice(0, 2).map((h) => [h.id, h.degree]), [[ids.a1, 4], [ids.b1, 3]]);
+        await assert.rejects(() => graphStats(client, { rankBy: /** @type {any} */ ("size") }), /Invalid ranking: size/);
+    });
+
+    it("should report cross-type bridges", async () => {
+        const { bridges } = await graphStats(client);
+        assert.deepEqual(bridges.types, [
+            { from: "fact", to: "episode", links: 3 },
+            { from: "decision", to: "fact", links: 1 },
+        ]);
+        assert.deepEqual(bridges.memories[0], { id: ids.a1, type: "fact", title: "Deploy notes", links: 3, types: ["decision", "episode"] });
+    });
+
+    it("should analyze only the selected part of the graph", async () => {
+        const reflexes = await graphStats(client, { types: ["reflex"] });
+        assert.equal(reflexes.memories, 2);
+        assert.equal(reflexes.links, 1);
+        assert.deepEqual(reflexes.bridges.types, []);
+
+        const around = await graphStats(client, { root: ids.b2, depth: 1 });
+        assert.deepEqual(around.components.map((c) => c.members), [[ids.b1, ids.b2, ids.b3]]);
+    });
+});
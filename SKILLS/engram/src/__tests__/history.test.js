@@ -0,0 +1,132 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getMemory, updateMemory, revertMemory, deleteMemory } from "../memory.js";
+import { listRevisions, getRevision, diffLines, formatDiff, diffRevision } from "../history.js";
+import { runConsolidation } from "../consolidation.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_history.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<string>}
+ */
+async function embeddingOf(id) {
+    const result = await client.execute({ sql: "SELECT vector_extract(content_embedding) AS v FROM memories WHERE id = ?", args: [id] });
+    return String(result.rows[0].v);
+}
+
+describe("history.js — memory revisions", () => {
+    /** @type {number} */
+    let id;
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should record the previous version on update", async () => {
+        ({ id } = await addMemory(client, {
+            type: "fact", title: "Deploy steps", content: "build\ntest\npush", importance: 0.5, autoLink: false,
+        }));
+        assert.deepEqual(await listRevisions(client, id), [], "a new memory has no revisions");
+
+        await updateMemory(client, id, { content: "build\nlint\ntest\npush", importance: 0.8 });
+        const revisions = await listRevisions(client, id);
+        assert.equal(revisions.length, 1);
+        assert.equal(revisions[0].revision, 1);
+        assert.equal(revisions[0].cause, "update");
+        assert.equal(revisions[0].content, "build\ntest\npush");
+        assert.equal(revisions[0].importance, 0.5);
+        assert.equal(revisions[0].type, "fact");
+    });
+
+    it("should skip revisions for updates that don't change versioned fields", async () => {
+        await updateMemory(client, id, { importance: 0.8 });
+        await updateMemory(client, id, { tags: ["deploy"] });
+        assert.equal((await listRevisions(client, id)).length, 1);
+    });
+
+    it("should diff a revision against the current version", async () => {
+        const diff = await diffRevision(client, id, 1);
+        assert.ok(diff);
+        assert.deepEqual(diff.fields, { importance: { from: 0.5, to: 0.8 } });
+        assert.deepEqual(diff.content.filter((l) => l.op !== " "), [{ op: "+", line: "lint" }]);
+        assert.equal(await diffRevision(client, id, 9), null);
+    });
+
+    it("should produce minimal line diffs with collapsed context", () => {
+        const before = ["a", "b", "c", "d", "e", "f", "g", "h"].join("\n");
+        const after = ["a", "b", "c", "d", "e", "f", "G", "h"].join("\n");
+        const lines = diffLines(before, after);
+        assert.deepEqual(lines.filter((l) => l.op !== " "), [{ op: "-", line: "g" }, { op: "+", line: "G" }]);
+        assert.equal(formatDiff(lines, 1), "  …\n  f\n- g\n+ G\n  h");
+        assert.deepEqual(diffLines("same", "same"), [{ op: " ", line: "same" }]);
+    });
+
+    it("should revert, re-embed, and record the replaced version", async () => {
+        const original = (await addMemory(client, {
+            type: "fact", title: "Cache TTL", content: "Session cache entries expire after 15 minutes", autoLink: false,
+        })).id;
+        const originalEmbedding = await embeddingOf(original);
+        await updateMemory(client, original, { title: "Cache TTL (raised)", content: "Session cache entries expire after 2 hours", type: "decision" });
+        assert.notEqual(await embeddingOf(original), originalEmbedding);
+
+        assert.equal(await revertMemory(client, original, 1), true);
+        const mem = await getMemory(client, original);
+        assert.equal(mem?.title, "Cache TTL");
+        assert.equal(mem?.content, "Session cache entries expire after 15 minutes");
+        assert.equal(mem?.type, "fact");
+        assert.equal(await embeddingOf(original), originalEmbedding, "embedding matches the restored text");
+
+        const saved = await getRevision(client, original, 2);
+        assert.equal(saved?.cause, "revert");
+        assert.equal(saved?.title, "Cache TTL (raised)");
+
+        // The revert itself can be undone
+        await revertMemory(client, original, 2);
+        assert.equal((await getMemory(client, original))?.content, "Session cache entries expire after 2 hours");
+        assert.equal(await revertMemory(client, original, 99), false);
+    });
+
+    it("should record the kept memory's version before a consolidation merge", async () => {
+        const content = "The billing worker retries failed charges three times with exponential backoff";
+        const a = await addMemory(client, { type: "episode", title: "Billing retries", content, autoLink: false });
+        const b = await addMemory(client, { type: "episode", title: "Billing retries!", content, autoLink: false });
+
+        const result = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.equal(result.merged, 1);
+        const keptId = (await getMemory(client, a.id)) ? a.id : b.id;
+        const revisions = await listRevisions(client, keptId);
+        assert.equal(revisions.at(-1)?.cause, "consolidation");
+    });
+
+    it("should delete revisions with their memory", async () => {
+        await deleteMemory(client, id);
+        assert.deepEqual(await listRevisions(client, id), []);
+    });
+});
@@ -0,0 +1,214 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, acquireLock, releaseLock } from "../db.js";
+import { createHttpServer } from "../http.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_http.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+/** @type {import("node:http").Server} */
+let server;
+let baseUrl = "";
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Insert a memory row directly (no embedding needed).
+ * @param {string} title
+ * @returns {Promise<number>}
+ */
+async function insertRaw(title) {
+    const res = await client.execute({
+        sql: "INSERT INTO memories (type, title, content) VALUES ('fact', ?, ?)",
+        args: [title, `${title} content`],
+    });
+    return Number(res.lastInsertRowid);
+}
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {any} [body]
+ * @returns {Promise<{status: number, body: any}>}
+ */
+async function request(method, path, body) {
+    const res = await fetch(baseUrl + path, {
+        method,
+        headers: body !== undefined ? { "Content-Type": "application/json" } : {},
+        body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+describe("http.js — HTTP/JSON API", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        server = createHttpServer(client);
+        await new Promise((r) => server.listen(0, "127.0.0.1", () => r(undefined)));
+        const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+        baseUrl = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        await new Promise((r) => server.close(() => r(undefined)));
+        cleanupAll();
+    });
+
+    it("should get a memory by ID", async () => {
+        const id = await insertRaw("HTTP readable");
+        const res = await request("GET", `/memories/${id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.title, "HTTP readable");
+        assert.deepEqual(res.body.tags, []);
+    });
+
+    it("should return structured 404 errors", async () => {
+        const res = await request("GET", "/memories/99999");
+        assert.equal(res.status, 404);
+        assert.equal(res.body.error.code, "not_found");
+        assert.match(res.body.error.message, /99999/);
+
+        const noRoute = await request("GET", "/nope");
+        assert.equal(noRoute.status, 404);
+    });
+
+    it("should reject bad input with 400", async () => {
+        const badId = await request("GET", "/memories/abc");
+        assert.equal(badId.status, 400);
+        assert.equal(badId.body.error.code, "invalid_argument");
+
+        const badJson = await request("POST", "/recall", "{not json");
+        assert.equal(badJson.status, 400);
+        assert.equal(badJson.body.error.code, "invalid_json");
+
+        const noQuery = await request("GET", "/search");
+        assert.equal(noQuery.status, 400);
+
+        const badEscape = await request("GET", "/tags/%E0");
+        assert.equal(badEscape.status, 400);
+        assert.equal(badEscape.body.error.code, "invalid_argument");
+
+        const noContent = await request("POST", "/memories", { type: "fact", title: "Title only" });
+        assert.equal(noContent.status, 400);
+        assert.match(noContent.body.error.message, /"content" is required/);
+
+        const badType = await request("POST", "/memories", { type: "nope", title: "Typed", content: "x" });
+        assert.equal(badType.status, 400);
+        assert.match(badType.body.error.message, /^Invalid type/);
+
+        for (const importance of [5, "high"]) {
+            const res = await request("POST", "/memories", { type: "fact", title: "Ranked", content: "x", importance });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.code, "invalid_argument");
+            assert.match(res.body.error.message, /"importance" must be a number between 0 and 1/);
+        }
+        const badLink = await request("POST", "/memories", { type: "fact", title: "Linked", content: "x", links: [{ targetId: "one" }] });
+        assert.equal(badLink.status, 400);
+        assert.match(badLink.body.error.message, /"links\[0\]\.targetId" must be an integer/);
+
+        const badUpdate = await request("PATCH", "/memories/1", { strength: -1 });
+        assert.equal(badUpdate.status, 400);
+        assert.match(badUpdate.body.error.message, /"strength" must be a number between 0 and 1/);
+
+        const badK = await request("POST", "/recall", { query: "x", k: "abc" });
+        assert.equal(badK.status, 400);
+        assert.match(badK.body.error.message, /"k" must be an integer of at least 1/);
+
+        const badSleep = await request("POST", "/sleep", { decayRate: "fast", dryRun: true });
+        assert.equal(badSleep.status, 400);
+        assert.match(badSleep.body.error.message, /"decayRate" must be a number between 0 and 1/);
+    });
+
+    it("should answer 409 while another process consolidates", async () => {
+        await acquireLock(client, "consolidation", "elsewhere", 60_000);
+        const res = await request("POST", "/sleep", {});
+        await releaseLock(client, "consolidation", "elsewhere");
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, "conflict");
+    });
+
+    it("should answer 405 for a known path with the wrong method", async () => {
+        const res = await request("PUT", "/stats", {});
+        assert.equal(res.status, 405);
+        assert.equal(res.body.error.code, "method_not_allowed");
+    });
+
+    it("should update importance without re-embedding", async () => {
+        const id = await insertRaw("HTTP updatable");
+        const res = await request("PATCH", `/memories/${id}`, { importance: 0.9 });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.importance, 0.9);
+
+        const empty = await request("PATCH", `/memories/${id}`, {});
+        assert.equal(empty.status, 400);
+    });
+
+    it("should delete a memory", async () => {
+        const id = await insertRaw("HTTP deletable");
+        const res = await request("DELETE", `/memories/${id}`);
+        assert.equal(res.status, 200);
+        assert.equal((await request("DELETE", `/memories/${id}`)).status, 404);
+    });
+
+    it("should manage tags", async () => {
+        const id = await insertRaw("HTTP taggable");
+        assert.equal((await request("POST", "/tags", { memoryId: id, tag: "api" })).status, 201);
+
+        const byTag = await request("GET", "/tags/api");
+        assert.deepEqual(byTag.body.map((/** @type {any} */ m) => m.id), [id]);
+
+        await request("DELETE", `/tags/api?memoryId=${id}`);
+        const all = await request("GET", "/tags");
+        assert.equal(all.body.find((/** @type {any} */ t) => t.name === "api").count, 0);
+    });
+
+    it("should create and list links", async () => {
+        const a = await insertRaw("HTTP link A");
+        const b = await insertRaw("HTTP link B");
+        const res = await request("POST", "/links", { sourceId: a, targetId: b, relation: "caused_by" });
+        assert.equal(res.status, 201);
+
+        const links = await request("GET", `/links?memoryId=${a}`);
+        assert.deepEqual(links.body.map((/** @type {any} */ l) => [l.id, l.relation, l.direction]), [[b, "caused_by", "outgoing"]]);
+
+        const invalid = await request("POST", "/links", { sourceId: a, targetId: b, relation: "bogus" });
+        assert.equal(invalid.status, 400);
+    });
+
+    it("should start, inspect and end sessions", async () => {
+        const started = await request("POST", "/sessions", { id: "http-sess", title: "HTTP session" });
+        assert.equal(started.status, 201);
+        assert.equal(started.body.id, "http-sess");
+
+        const list = await request("GET", "/sessions");
+        assert.ok(list.body.some((/** @type {any} */ s) => s.id === "http-sess"));
+
+        const ended = await request("POST", "/sessions/http-sess/end", {});
+        assert.equal(ended.status, 200);
+        const ctx = await request("GET", "/sessions/http-sess");
+        assert.ok(ctx.body.session.ended_at);
+
+        assert.equal((await request("POST", "/sessions/missing/end", {})).status, 404);
+    });
+
+    it("should report stats", async () => {
+        const res = await request("GET", "/stats");
+        assert.equal(res.status, 200);
+        assert.equal(typeof res.body.totalMemories, "number");
+        assert.ok("lastConsolidation" in res.body);
+    });
+});
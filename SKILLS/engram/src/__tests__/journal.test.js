@@ -0,0 +1,186 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, getMeta, setMeta, acquireLock, releaseLock } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getMemory, updateMemory, linkMemories, getLinks, logAccess } from "../memory.js";
+import { runConsolidation } from "../consolidation.js";
+import { listConsolidationRuns, undoConsolidationRun, pruneConsolidationJournal } from "../journal.js";
+import { listRevisions } from "../history.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_journal.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Snapshot the columns a sleep run can change, plus the embedding.
+ * @returns {Promise<string>}
+ */
+async function snapshot() {
+    const rows = await client.execute(
+        `SELECT id, content, importance, strength, archived, access_count, updated_at,
+                vector_extract(content_embedding) AS embedding
+         FROM memories ORDER BY id`
+    );
+    const links = await client.execute("SELECT source_id, target_id, relation, strength, reinforced_at FROM memory_links ORDER BY source_id, target_id");
+    return JSON.stringify([rows.rows, links.rows]);
+}
+
+describe("journal.js — consolidation undo", () => {
+    const content = "The nightly backup job writes a compressed dump of the production database to object storage";
+    /** @type {{keep: number, dup: number, other: number, weak: number}} */
+    const ids = { keep: 0, dup: 0, other: 0, weak: 0 };
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        ids.keep = (await addMemory(client, { type: "episode", title: "Backup job", content, importance: 0.7, autoLink: false })).id;
+        ids.dup = (await addMemory(client, { type: "episode", title: "Backup job!", content, autoLink: false })).id;
+        ids.other = (await addMemory(client, { type: "fact", title: "Storage vendor", content: "Object storage is hosted by the vendor", autoLink: false })).id;
+        ids.weak = (await addMemory(client, { type: "fact", title: "Old office wifi", content: "The password was on the fridge", autoLink: false })).id;
+        await linkMemories(client, ids.dup, ids.other, "related_to");
+        await client.execute({ sql: "UPDATE memories SET strength = 0.01 WHERE id = ?", args: [ids.weak] });
+        await client.execute("UPDATE memories SET last_accessed_at = datetime('now', '-2 days')");
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 2 * 86_400_000).toISOString());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should journal nothing on dry runs", async () => {
+        const result = await runConsolidation(client, { mergeThreshold: 0.9, dryRun: true });
+        assert.equal(result.runId, null);
+        assert.deepEqual(await listConsolidationRuns(client), []);
+    });
+
+    it("should restore decay, prune, merge and moved links on undo", async () => {
+        const beforeRun = await snapshot();
+        const lastRunAt = await getMeta(client, "last_consolidation_at");
+
+        const result = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.equal(result.merged, 1);
+        assert.equal(result.pruned, 1);
+        assert.equal(await getMemory(client, ids.dup), null, "the duplicate is archived");
+        assert.deepEqual((await getLinks(client, ids.keep)).map((l) => l.id), [ids.other]);
+
+        const [run] = await listConsolidationRuns(client);
+        assert.equal(run.id, result.runId);
+        assert.equal(run.merged, 1);
+        assert.equal(run.options.mergeThreshold, 0.9);
+        assert.ok(run.changes >= 8, "4 decays + prune + 2 merge rows + link move + link decay");
+
+        const undone = await undoConsolidationRun(client, /** @type {number} */ (result.runId));
+        assert.equal(undone.links, 2, "moved, then decayed");
+        assert.equal(undone.reembedded, 1);
+        assert.equal(await snapshot(), beforeRun);
+        assert.equal(await getMeta(client, "last_consolidation_at"), lastRunAt);
+        assert.equal((await listRevisions(client, ids.keep)).at(-1)?.cause, "undo");
+        assert.ok((await listConsolidationRuns(client))[0].undoneAt);
+
+        await assert.rejects(() => undoConsolidationRun(client, /** @type {number} */ (result.runId)), /already undone/);
+        await assert.rejects(() => undoConsolidationRun(client, 999), /not found/);
+    });
+
+    it("should refuse to undo when a touched memory was edited since", async () => {
+        const { runId } = await runConsolidation(client, { mergeThreshold: 0.9 });
+        await updateMemory(client, ids.keep, { importance: 0.9 });
+        await assert.rejects(
+            () => undoConsolidationRun(client, /** @type {number} */ (runId)),
+            new RegExp(`Cannot undo consolidation run #${runId}: 1 memories changed since \\(#${ids.keep}\\)`)
+        );
+    });
+
+    it("should require later runs to be undone first", async () => {
+        const first = await runConsolidation(client, { mergeThreshold: 0.9 });
+        const second = await runConsolidation(client, { mergeThreshold: 0.9 });
+        await assert.rejects(
+            () => undoConsolidationRun(client, /** @type {number} */ (first.runId)),
+            new RegExp(`run #${second.runId} ran after #${first.runId}`)
+        );
+        await undoConsolidationRun(client, /** @type {number} */ (second.runId));
+        await undoConsolidationRun(client, /** @type {number} */ (first.runId));
+    });
+
+    it("should keep accesses made after the run", async () => {
+        const keep = await addMemory(client, { type: "decision", title: "Use zstd", content: "zstd for dumps", importance: 0.8, autoLink: false });
+        const dup = await addMemory(client, { type: "decision", title: "Use zstd!", content: "zstd for dumps", autoLink: false });
+        await logAccess(client, dup.id);
+        const { runId } = await runConsolidation(client, { mergeThreshold: 0.9 });
+        const merged = await getMemory(client, keep.id);
+        assert.equal(merged?.access_count, 1, "the duplicate's access was merged in");
+
+        await logAccess(client, keep.id);
+        await undoConsolidationRun(client, /** @type {number} */ (runId));
+        assert.equal((await getMemory(client, keep.id))?.access_count, 1, "merged access removed, new access kept");
+        assert.ok(await getMemory(client, dup.id), "the duplicate is back");
+    });
+
+    it("should undo an interrupted run from what it journaled", async () => {
+        const keep = await addMemory(client, { type: "decision", title: "Use lz4", content: "lz4 for logs", importance: 0.8, autoLink: false });
+        const dup = await addMemory(client, { type: "decision", title: "Use lz4!", content: "lz4 for logs", autoLink: false });
+        const { runId } = await runConsolidation(client, { mergeThreshold: 0.9 });
+        // As if the process died before finishing the run
+        await client.execute({ sql: "UPDATE consolidation_runs SET finished_at = NULL WHERE id = ?", args: [runId] });
+        await pruneConsolidationJournal(client);
+        const [run] = await listConsolidationRuns(client);
+        assert.equal(run.finishedAt, null);
+        assert.ok(run.changes > 0, "an interrupted run keeps its journal");
+
+        await acquireLock(client, "consolidation", "elsewhere", 60_000);
+        await assert.rejects(
+            () => undoConsolidationRun(client, /** @type {number} */ (runId)),
+            new RegExp(`run #${runId} has not finished and a consolidation is running`)
+        );
+        await releaseLock(client, "consolidation", "elsewhere");
+
+        await undoConsolidationRun(client, /** @type {number} */ (runId));
+        assert.ok(await getMemory(client, dup.id), "the duplicate is back");
+        assert.equal((await getMemory(client, keep.id))?.content, "lz4 for logs");
+    });
+
+    it("should check for edits in the same transaction as the restore", async () => {
+        const keep = await addMemory(client, { type: "decision", title: "Use brotli", content: "brotli for assets", importance: 0.8, autoLink: false });
+        await addMemory(client, { type: "decision", title: "Use brotli!", content: "brotli for assets", autoLink: false });
+        const { runId } = await runConsolidation(client, { mergeThreshold: 0.9 });
+
+        // The edit lands while the undo is under way
+        const undo = undoConsolidationRun(client, /** @type {number} */ (runId));
+        const edit = updateMemory(client, keep.id, { importance: 0.95 });
+        await assert.rejects(undo, /changed since/);
+        await edit;
+        assert.equal((await getMemory(client, keep.id))?.importance, 0.95, "the edit wins over the undo");
+    });
+
+    it("should keep only the runs that can still be undone", async () => {
+        const undone = (await listConsolidationRuns(client, 100)).filter((r) => r.undoneAt);
+        assert.ok(undone.length > 0);
+        assert.ok(undone.every((r) => r.changes === 0), "undone runs keep no changes");
+
+        const oldest = Math.min(...(await listConsolidationRuns(client, 100)).map((r) => r.id));
+        for (let i = 0; i < 10; i++) await runConsolidation(client);
+        const runs = await listConsolidationRuns(client, 100);
+        assert.equal(runs.length, 10);
+        assert.ok(runs.every((r) => r.id > oldest));
+        await assert.rejects(() => undoConsolidationRun(client, oldest), /not found/);
+        const orphaned = await client.execute("SELECT COUNT(*) AS n FROM consolidation_changes WHERE run_id NOT IN (SELECT id FROM consolidation_runs)");
+        assert.equal(Number(orphaned.rows[0].n), 0);
+    });
+});
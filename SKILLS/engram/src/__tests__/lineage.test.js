@@ -0,0 +1,143 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, linkMemories, searchHybrid } from "../memory.js";
+import { recall, formatRecallContext } from "../foa.js";
+import { getLineages, getSupersededBy } from "../lineage.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_lineage.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {string} type
+ * @param {string} title
+ * @param {string} content
+ * @returns {Promise<number>}
+ */
+async function add(type, title, content) {
+    return (await addMemory(client, { type, title, content, autoLink: false, detectConflicts: false })).id;
+}
+
+describe("lineage.js — supersession-aware retrieval", () => {
+    /** @type {Record<string, number>} */
+    const ids = {};
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        // A decision revised twice: v3 evolved from v2, which evolved from v1
+        ids.v1 = await add("decision", "Cache layer v1", "Cache sessions in process memory");
+        ids.v2 = await add("decision", "Cache layer v2", "Cache sessions in Redis with a one hour expiry");
+        ids.v3 = await add("decision", "Cache layer v3", "Cache sessions in Redis with sliding expiry per user");
+        await linkMemories(client, ids.v2, ids.v1, "evolved_from");
+        await linkMemories(client, ids.v3, ids.v2, "evolved_from");
+
+        // A pattern evolved from an episode of another type — provenance, not a version
+        ids.episode = await add("episode", "Redis outage", "Sessions were lost when Redis restarted");
+        ids.reflex = await add("reflex", "Persist Redis sessions", "When sessions live in Redis, enable persistence");
+        await linkMemories(client, ids.reflex, ids.episode, "evolved_from");
+
+        // A superseded fact, and a neighbour linked to it
+        ids.old = await add("fact", "Deploy target", "Deploys go to the staging cluster in Frankfurt");
+        ids.new = await add("fact", "Deploy target (current)", "Deploys go to the production cluster in Dublin");
+        await linkMemories(client, ids.new, ids.old, "supersedes");
+        ids.neighbour = await add("fact", "Frankfurt datacenter", "The Frankfurt staging cluster runs on bare metal");
+        await linkMemories(client, ids.neighbour, ids.old, "related_to");
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should resolve chains to their newest version", async () => {
+        const lineages = await getLineages(client, [ids.v1, ids.v3, ids.episode, ids.old]);
+        const { path: fromV1, ...v1 } = /** @type {import("../lineage.js").Lineage} */ (lineages.get(ids.v1));
+        assert.deepEqual(v1, { head: ids.v3, lineage: [ids.v2, ids.v1] });
+        assert.deepEqual(fromV1.map((e) => [e.from, e.relation, e.direction, e.to]),
+            [[ids.v1, "evolved_from", "incoming", ids.v2], [ids.v2, "evolved_from", "incoming", ids.v3]]);
+        assert.deepEqual(lineages.get(ids.v3), { head: ids.v3, lineage: [ids.v2, ids.v1], path: [] });
+        assert.equal(lineages.has(ids.episode), false, "cross-type evolved_from doesn't chain");
+        assert.equal(lineages.has(ids.old), false);
+
+        assert.deepEqual([...await getSupersededBy(client, [ids.old, ids.new])], [[ids.old, ids.new]]);
+    });
+
+    it("should collapse a chain into its newest memory in search", async () => {
+        const results = await searchHybrid(client, "cache sessions in process memory", { k: 5 });
+        const cache = results.filter((m) => m.title.startsWith("Cache layer"));
+        assert.equal(cache.length, 1, "one entry for the whole chain");
+        assert.equal(cache[0].id, ids.v3);
+        assert.deepEqual(cache[0].lineage, [ids.v2, ids.v1]);
+
+        const episodes = await searchHybrid(client, "sessions were lost when Redis restarted", { k: 5 });
+        assert.ok(episodes.some((m) => m.id === ids.episode), "an episode isn't replaced by its pattern");
+    });
+
+    it("should leave superseded memories out unless included", async () => {
+        const query = "deploys go to the staging cluster in Frankfurt";
+        const current = await searchHybrid(client, query, { k: 10 });
+        assert.ok(!current.some((m) => m.id === ids.old));
+        assert.ok(current.some((m) => m.id === ids.new));
+
+        const all = await searchHybrid(client, query, { k: 10, includeSuperseded: true });
+        const last = all[all.length - 1];
+        assert.equal(last.id, ids.old, "superseded memories are listed last");
+        assert.equal(last.supersededBy, ids.new);
+
+        const recalled = await recall(client, query, { rerank: false, hops: 0, includeSuperseded: true });
+        const entry = recalled.memories.find((m) => m.id === ids.old);
+        assert.equal(entry?.supersededBy, ids.new);
+        assert.match(formatRecallContext(recalled), new RegExp(`_Superseded by #${ids.new}_`));
+    });
+
+    it("should not hop into superseded memories", async () => {
+        const hopped = await searchHybrid(client, "bare metal", { k: 10, hops: 1 });
+        assert.ok(hopped.some((m) => m.id === ids.neighbour));
+        assert.ok(!hopped.some((m) => m.id === ids.old));
+        const included = await searchHybrid(client, "bare metal", { k: 10, hops: 1, includeSuperseded: true });
+        assert.ok(included.some((m) => m.id === ids.old));
+    });
+
+    it("should show the lineage in recall and bring back the superseded once archived", async () => {
+        const recalled = await recall(client, "cache sessions", { rerank: false, hops: 0 });
+        const entry = recalled.memories.find((m) => m.id === ids.v3);
+        assert.deepEqual(entry?.lineage, [ids.v2, ids.v1]);
+        assert.ok(!recalled.memories.some((m) => m.id === ids.v1 || m.id === ids.v2));
+        assert.match(formatRecallContext(recalled), new RegExp(`_Evolved from #${ids.v2} ← #${ids.v1}_`));
+
+        await client.execute({ sql: "UPDATE memories SET archived = 1 WHERE id = ?", args: [ids.new] });
+        const results = await searchHybrid(client, "deploys go to the staging cluster in Frankfurt", { k: 10 });
+        assert.ok(results.some((m) => m.id === ids.old && m.supersededBy === undefined));
+    });
+
+    it("should explain a hop into an older version up to the newest one", async () => {
+        const bench = await add("fact", "Session benchmark", "Benchmark of lookup latency");
+        await linkMemories(client, bench, ids.v1, "related_to");
+        const results = await searchHybrid(client, "benchmark lookup latency", { type: "fact", k: 10, hops: 1 });
+        assert.equal(results[0].id, bench);
+        const head = results.find((m) => m.id === ids.v3);
+        assert.equal(head?.explanation?.seed, bench);
+        assert.deepEqual(head?.explanation?.path.map((e) => [e.from, e.relation, e.to]),
+            [[bench, "related_to", ids.v1], [ids.v1, "evolved_from", ids.v2], [ids.v2, "evolved_from", ids.v3]]);
+    });
+});
@@ -0,0 +1,177 @@
+// @ts-check
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, setMeta } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, linkMemories, logAccess } from "../memory.js";
+import { runConsolidation, getConsolidationPlan } from "../consolidation.js";
+import { undoConsolidationRun } from "../journal.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_links.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * @param {string} title
+ * @returns {Promise<number>}
+ */
+async function add(title) {
+    return (await addMemory(client, { type: "fact", title, content: `${title}: details`, autoLink: false, detectConflicts: false })).id;
+}
+
+/**
+ * @param {number} source
+ * @param {number} target
+ * @param {number} strength
+ * @param {'manual' | 'auto'} origin
+ */
+async function link(source, target, strength, origin) {
+    await client.execute({
+        sql: "INSERT INTO memory_links (source_id, target_id, relation, strength, origin, created_at) VALUES (?, ?, 'related_to', ?, ?, datetime('now', '-20 days'))",
+        args: [source, target, strength, origin],
+    });
+}
+
+/** @returns {Promise<string>} */
+async function snapshot() {
+    const links = await client.execute(
+        "SELECT source_id, target_id, relation, strength, origin, created_at, reinforced_at FROM memory_links ORDER BY source_id, target_id"
+    );
+    return JSON.stringify(links.rows);
+}
+
+/**
+ * @param {number} source
+ * @param {number} target
+ * @returns {Promise<Record<string, any> | undefined>}
+ */
+async function getLink(source, target) {
+    const found = await client.execute({
+        sql: "SELECT strength, origin, reinforced_at FROM memory_links WHERE source_id = ? AND target_id = ?",
+        args: [source, target],
+    });
+    return found.rows[0];
+}
+
+/**
+ * @param {number | undefined} actual
+ * @param {number} expected
+ */
+function near(actual, expected) {
+    assert.ok(actual !== undefined && Math.abs(actual - expected) < 1e-3, `${actual} ≉ ${expected}`);
+}
+
+describe("consolidation.js — link learning", () => {
+    /** @type {{a: number, b: number, c: number}} */
+    const ids = { a: 0, b: 0, c: 0 };
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    beforeEach(async () => {
+        await client.execute("DELETE FROM memories");
+        await client.execute("DELETE FROM consolidation_runs");
+        ids.a = await add("Deploy pipeline");
+        ids.b = await add("Staging cluster");
+        ids.c = await add("Release calendar");
+        await client.execute("UPDATE memories SET last_accessed_at = NULL");
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 10 * 86_400_000).toISOString());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should make a link manual when it is relinked by hand", async () => {
+        await link(ids.a, ids.b, 0.4, "auto");
+        await linkMemories(client, ids.a, ids.b, "caused_by");
+        assert.equal((await getLink(ids.a, ids.b))?.origin, "manual");
+    });
+
+    it("should reinforce co-retrieved links and decay the others", async () => {
+        await link(ids.a, ids.b, 0.5, "manual");
+        await link(ids.b, ids.c, 0.5, "manual");
+        // Together in one session, and in one recall without a session
+        await logAccess(client, ids.a, "session-1", "deploy");
+        await logAccess(client, ids.b, "session-1", "staging");
+        await logAccess(client, ids.a, null, "where do we deploy");
+        await logAccess(client, ids.b, null, "where do we deploy");
+        await logAccess(client, ids.c, "session-2", "release");
+
+        const plan = await getConsolidationPlan(client);
+        const ab = plan.links.find((l) => l.source === ids.a && l.target === ids.b);
+        const bc = plan.links.find((l) => l.source === ids.b && l.target === ids.c);
+        assert.equal(ab?.coRetrieved, 2);
+        near(ab?.projected, 1 - 0.5 * 0.9 * 0.9);
+        assert.equal(bc?.coRetrieved, 0);
+        near(bc?.projected, 0.5 * Math.pow(0.99, 10));
+
+        const result = await runConsolidation(client);
+        assert.equal(result.linksReinforced, 1);
+        assert.equal(result.linksDecayed, 1);
+        near(Number((await getLink(ids.a, ids.b))?.strength), /** @type {number} */ (ab?.projected));
+        assert.ok((await getLink(ids.a, ids.b))?.reinforced_at);
+        assert.equal((await getLink(ids.b, ids.c))?.reinforced_at, null);
+
+        // Only recalls since the last run count
+        const again = await getConsolidationPlan(client);
+        assert.equal(again.links.find((l) => l.source === ids.a)?.coRetrieved, 0);
+    });
+
+    it("should prune weak auto-links but never manual ones", async () => {
+        await link(ids.a, ids.b, 0.105, "auto");
+        await link(ids.a, ids.c, 0.105, "manual");
+        await link(ids.b, ids.c, 0.3, "auto");
+
+        const plan = await getConsolidationPlan(client);
+        assert.deepEqual(plan.links.filter((l) => l.prune).map((l) => [l.source, l.target]), [[ids.a, ids.b]]);
+
+        const result = await runConsolidation(client);
+        assert.equal(result.linksPruned, 1);
+        assert.equal(await getLink(ids.a, ids.b), undefined);
+        near(Number((await getLink(ids.a, ids.c))?.strength), 0.105 * Math.pow(0.99, 10));
+        assert.ok(await getLink(ids.b, ids.c));
+    });
+
+    it("should restore strengths and pruned links on undo", async () => {
+        await link(ids.a, ids.b, 0.5, "manual");
+        await link(ids.b, ids.c, 0.105, "auto");
+        await logAccess(client, ids.a, "session-1", "deploy");
+        await logAccess(client, ids.b, "session-1", "staging");
+        const beforeRun = await snapshot();
+
+        const { runId, linksPruned } = await runConsolidation(client);
+        assert.equal(linksPruned, 1);
+        const undone = await undoConsolidationRun(client, /** @type {number} */ (runId));
+        assert.equal(undone.links, 2);
+        assert.equal(await snapshot(), beforeRun);
+    });
+
+    it("should refuse to undo once a learned link was changed by hand", async () => {
+        await link(ids.a, ids.b, 0.5, "manual");
+        const { runId } = await runConsolidation(client);
+        await linkMemories(client, ids.a, ids.b, "related_to", 0.9);
+        await assert.rejects(
+            () => undoConsolidationRun(client, /** @type {number} */ (runId)),
+            /Cannot undo consolidation run #\d+: 2 memories changed since/
+        );
+    });
+});
@@ -0,0 +1,193 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { PassThrough } from "node:stream";
+import { initDb, resetClient } from "../db.js";
+import { createMcpHandler, serveMcp } from "../mcp.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_mcp.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Insert a memory row directly (no embedding needed).
+ * @param {string} title
+ * @returns {Promise<number>}
+ */
+async function insertRaw(title) {
+    const res = await client.execute({
+        sql: "INSERT INTO memories (type, title, content) VALUES ('fact', ?, ?)",
+        args: [title, `${title} content`],
+    });
+    return Number(res.lastInsertRowid);
+}
+
+describe("mcp.js — JSON-RPC handler", () => {
+    /** @type {(message: any) => Promise<any>} */
+    let handle;
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        handle = createMcpHandler(client);
+    });
+
+    after(() => cleanupAll());
+
+    it("should answer initialize with server info and tool capability", async () => {
+        const res = await handle({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05" } });
+        assert.equal(res.id, 1);
+        assert.equal(res.result.serverInfo.name, "engram");
+        assert.equal(res.result.protocolVersion, "2024-11-05");
+        assert.ok(res.result.capabilities.tools);
+    });
+
+    it("should not reply to notifications", async () => {
+        const res = await handle({ jsonrpc: "2.0", method: "notifications/initialized" });
+        assert.equal(res, null);
+    });
+
+    it("should list all tools with input schemas", async () => {
+        const res = await handle({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+        const names = res.result.tools.map((/** @type {any} */ t) => t.name);
+        for (const expected of ["recall", "add_memory", "search", "get_memory", "link_memories", "add_tag", "remove_tag", "list_tags", "session_start", "session_end"]) {
+            assert.ok(names.includes(expected), `tools/list should include ${expected}`);
+        }
+        const add = res.result.tools.find((/** @type {any} */ t) => t.name === "add_memory");
+        assert.deepEqual(add.inputSchema.required, ["type", "title", "content"]);
+        assert.ok(add.inputSchema.properties.type.enum.includes("reflex"));
+    });
+
+    it("should get a memory through tools/call", async () => {
+        const id = await insertRaw("MCP readable");
+        const res = await handle({ jsonrpc: "2.0", id: 3, method: "tools/call", params: { name: "get_memory", arguments: { id } } });
+        assert.equal(res.result.isError, undefined);
+        const memory = JSON.parse(res.result.content[0].text);
+        assert.equal(memory.id, id);
+        assert.equal(memory.title, "MCP readable");
+    });
+
+    it("should report tool failures in-band with isError", async () => {
+        const res = await handle({ jsonrpc: "2.0", id: 4, method: "tools/call", params: { name: "get_memory", arguments: { id: 99999 } } });
+        assert.equal(res.result.isError, true);
+        assert.match(res.result.content[0].text, /not found/);
+    });
+
+    it("should manage tags through tools/call", async () => {
+        const id = await insertRaw("MCP taggable");
+        await handle({ jsonrpc: "2.0", id: 5, method: "tools/call", params: { name: "add_tag", arguments: { memoryId: id, tag: "mcp" } } });
+        const res = await handle({ jsonrpc: "2.0", id: 6, method: "tools/call", params: { name: "list_tags", arguments: {} } });
+        const tags = JSON.parse(res.result.content[0].text);
+        assert.ok(tags.some((/** @type {any} */ t) => t.name === "mcp" && t.count === 1));
+    });
+
+    it("should link memories through tools/call", async () => {
+        const a = await insertRaw("MCP link source");
+        const b = await insertRaw("MCP link target");
+        const res = await handle({ jsonrpc: "2.0", id: 7, method: "tools/call", params: { name: "link_memories", arguments: { sourceId: a, targetId: b, relation: "caused_by" } } });
+        assert.equal(res.result.isError, undefined);
+        const links = await client.execute({ sql: "SELECT relation FROM memory_links WHERE source_id = ? AND target_id = ?", args: [a, b] });
+        assert.equal(links.rows[0].relation, "caused_by");
+    });
+
+    it("should reject arguments that violate the schema", async () => {
+        const missing = await handle({ jsonrpc: "2.0", id: 8, method: "tools/call", params: { name: "recall", arguments: {} } });
+        assert.equal(missing.error.code, -32602);
+        assert.match(missing.error.message, /query/);
+
+        const badEnum = await handle({ jsonrpc: "2.0", id: 9, method: "tools/call", params: { name: "add_memory", arguments: { type: "nope", title: "x", content: "y" } } });
+        assert.equal(badEnum.error.code, -32602);
+    });
+
+    it("should reject arguments out of the schema's bounds or item shapes", async () => {
+        const cases = [
+            ["add_memory", { type: "fact", title: "x", content: "y", importance: 5 }, /importance.*at most 1/],
+            ["add_memory", { type: "fact", title: "x", content: "y", tags: ["ok", 3] }, /tags\[1\].*string/],
+            ["add_memory", { type: "fact", title: "x", content: "y", links: [{ relation: "related_to" }] }, /links\[0\]\.targetId/],
+            ["add_memory", { type: "fact", title: "x", content: "y", links: [{ targetId: 1, relation: "nope" }] }, /links\[0\]\.relation.*one of/],
+            ["add_memory", { type: "fact", title: "x", content: "y", links: ["1"] }, /links\[0\].*object/],
+            ["recall", { query: "x", k: 0 }, /k.*at least 1/],
+            ["link_memories", { sourceId: 1, targetId: 2, strength: -1 }, /strength.*at least 0/],
+        ];
+        for (const [name, args, message] of cases) {
+            const res = await handle({ jsonrpc: "2.0", id: 15, method: "tools/call", params: { name, arguments: args } });
+            assert.equal(res.error?.code, -32602, `${name} ${JSON.stringify(args)}`);
+            assert.match(res.error.message, message);
+        }
+        const count = await client.execute("SELECT COUNT(*) AS n FROM memories WHERE title = 'x'");
+        assert.equal(Number(count.rows[0].n), 0);
+    });
+
+    it("should return JSON-RPC errors for unknown tools and methods", async () => {
+        const tool = await handle({ jsonrpc: "2.0", id: 10, method: "tools/call", params: { name: "nope" } });
+        assert.equal(tool.error.code, -32602);
+        const method = await handle({ jsonrpc: "2.0", id: 11, method: "resources/list" });
+        assert.equal(method.error.code, -32601);
+        const invalid = await handle({ id: 12, method: "ping" });
+        assert.equal(invalid.error.code, -32600);
+    });
+
+    it("should reject params that aren't an object", async () => {
+        for (const params of [null, "get_memory", [1]]) {
+            const res = await handle({ jsonrpc: "2.0", id: 13, method: "tools/call", params });
+            assert.equal(res.id, 13);
+            assert.equal(res.error.code, -32602);
+        }
+        const init = await handle({ jsonrpc: "2.0", id: 14, method: "initialize", params: null });
+        assert.equal(init.error.code, -32602);
+    });
+
+    it("should turn failures outside a tool into INTERNAL_ERROR with the request id", async () => {
+        const broken = createMcpHandler(/** @type {any} */ ({ execute: async () => { throw new Error("database is locked"); } }));
+        const res = await broken({ jsonrpc: "2.0", id: 15, method: "tools/list" });
+        assert.deepEqual(res, { jsonrpc: "2.0", id: 15, error: { code: -32603, message: "database is locked" } });
+        assert.equal(await broken({ jsonrpc: "2.0", method: "tools/list" }), null, "notifications still get no reply");
+    });
+});
+
+describe("mcp.js — stdio transport", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+    });
+
+    after(() => cleanupAll());
+
+    it("should serve newline-delimited JSON-RPC until input closes", async () => {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        /** @type {string[]} */
+        const chunks = [];
+        output.on("data", (c) => chunks.push(String(c)));
+
+        const done = serveMcp(client, { input, output, warmup: false });
+        input.write(JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }) + "\n");
+        input.write("not json\n");
+        input.write(JSON.stringify({ jsonrpc: "2.0", id: 3, method: "tools/call", params: null }) + "\n");
+        input.write(JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" }) + "\n");
+        input.end(JSON.stringify({ jsonrpc: "2.0", id: 2, method: "tools/list" }) + "\n");
+        await done;
+
+        const responses = chunks.join("").trim().split("\n").map((l) => JSON.parse(l));
+        assert.equal(responses.length, 4, "notification should get no reply");
+        assert.deepEqual(responses.find((r) => r.id === 1).result, {});
+        assert.equal(responses.find((r) => r.error?.code === -32700).id, null);
+        assert.equal(responses.find((r) => r.id === 3).error.code, -32602);
+        assert.ok(responses.find((r) => r.id === 2).result.tools.length > 0);
+    });
+});
@@ -0,0 +1,151 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getMemory, linkMemories, getLinks } from "../memory.js";
+import { runConsolidation, acceptMergeProposal } from "../consolidation.js";
+import { listMergeProposals, editMergeProposal, rejectMergeProposal, getMergeProposal } from "../merges.js";
+import { listRevisions } from "../history.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_merges.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Add a pair of identical-content memories; the first one is kept on merge.
+ * @param {string} title
+ * @param {string} content
+ * @returns {Promise<{keep: number, dup: number}>}
+ */
+async function addPair(title, content) {
+    const keep = (await addMemory(client, { type: "decision", title, content, importance: 0.8, autoLink: false })).id;
+    const dup = (await addMemory(client, { type: "decision", title: `${title}!`, content, autoLink: false })).id;
+    return { keep, dup };
+}
+
+describe("merges.js — merge review queue", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should queue proposals instead of merging in review mode", async () => {
+        const { keep, dup } = await addPair("Retry budget", "Outbound webhooks are retried at most five times");
+
+        const plan = await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true, dryRun: true });
+        assert.equal(plan.merged, 0);
+        assert.equal(plan.proposed, 1);
+
+        const result = await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        assert.equal(result.merged, 0);
+        assert.equal(result.proposed, 1);
+        assert.ok(await getMemory(client, dup), "nothing is archived until accepted");
+
+        const [proposal] = await listMergeProposals(client);
+        assert.equal(proposal.keep.id, keep);
+        assert.equal(proposal.remove.id, dup);
+        assert.equal(proposal.source, "consolidation");
+        assert.equal(proposal.status, "pending");
+
+        const again = await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        assert.equal(again.proposed, 0, "a pending pair isn't queued twice");
+        assert.equal((await listMergeProposals(client, { status: "all" })).length, 1);
+    });
+
+    it("should apply edits and move links on accept", async () => {
+        const [proposal] = await listMergeProposals(client);
+        const other = (await addMemory(client, { type: "fact", title: "Webhook queue", content: "Webhooks go through the jobs queue", autoLink: false })).id;
+        await linkMemories(client, proposal.remove.id, other, "related_to");
+
+        const edited = await editMergeProposal(client, proposal.id, { content: "Outbound webhooks are retried at most five times, then dropped" });
+        assert.equal(edited.title, null, "the kept title is used unless edited");
+
+        const { keepId, removeId } = await acceptMergeProposal(client, proposal.id);
+        const kept = await getMemory(client, keepId);
+        assert.equal(kept?.title, "Retry budget");
+        assert.equal(kept?.content, "Outbound webhooks are retried at most five times, then dropped");
+        assert.equal(await getMemory(client, removeId), null, "the removed side is archived");
+        assert.deepEqual((await getLinks(client, keepId)).map((l) => l.id), [other]);
+        assert.equal((await listRevisions(client, keepId)).at(-1)?.cause, "consolidation");
+        assert.equal((await getMergeProposal(client, proposal.id))?.status, "accepted");
+
+        await assert.rejects(() => acceptMergeProposal(client, proposal.id), /is already accepted/);
+        await assert.rejects(() => acceptMergeProposal(client, 999), /Merge proposal #999 not found/);
+    });
+
+    it("should never propose or auto-merge a rejected pair again", async () => {
+        const { keep, dup } = await addPair("Staging database", "Staging uses a nightly copy of production");
+        await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        const [proposal] = await listMergeProposals(client);
+        await rejectMergeProposal(client, proposal.id);
+
+        const reviewed = await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        assert.equal(reviewed.proposed, 0);
+        const merged = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.equal(merged.merged, 0);
+        assert.ok(await getMemory(client, keep));
+        assert.ok(await getMemory(client, dup));
+        await assert.rejects(() => editMergeProposal(client, proposal.id, { title: "x" }), /is already rejected/);
+    });
+
+    it("should mark proposals stale when a side is archived", async () => {
+        const { dup } = await addPair("Log retention", "Application logs are kept for 30 days");
+        await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        const [proposal] = await listMergeProposals(client);
+        await client.execute({ sql: "UPDATE memories SET archived = 1 WHERE id = ?", args: [dup] });
+
+        await assert.rejects(() => acceptMergeProposal(client, proposal.id), new RegExp(`is stale: memory #${dup} was archived`));
+        assert.equal((await getMergeProposal(client, proposal.id))?.status, "stale");
+        assert.deepEqual(await listMergeProposals(client), []);
+    });
+
+    it("should reject unknown statuses and empty edits", async () => {
+        await assert.rejects(() => listMergeProposals(client, { status: /** @type {any} */ ("done") }), /Invalid status: done/);
+        const { keep } = await addPair("Feature flags", "Flags are evaluated server side");
+        await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        const [proposal] = await listMergeProposals(client);
+        assert.equal(proposal.keep.id, keep);
+        await assert.rejects(() => editMergeProposal(client, proposal.id, {}), /No edits specified/);
+    });
+
+    it("should embed the merged chunks before taking the write lock on accept", async () => {
+        const { keep } = await addPair("On-call runbook", "Page the secondary after 15 minutes");
+        await runConsolidation(client, { mergeThreshold: 0.9, reviewMerges: true });
+        const proposal = /** @type {import("../merges.js").MergeProposal} */ ((await listMergeProposals(client)).find((p) => p.keep.id === keep));
+        const steps = Array.from({ length: 4 }, (_, i) => `## Step ${i + 1}\n${"Check the dashboards, then page the secondary. ".repeat(8)}`);
+        await editMergeProposal(client, proposal.id, { content: steps.join("\n\n") });
+
+        const hash = createHashProvider();
+        /** @type {number[]} */
+        const batches = [];
+        setEmbeddingProvider({ ...hash, embedBatch: async (texts) => { batches.push(texts.length); return hash.embedBatch(texts); } });
+        try {
+            await acceptMergeProposal(client, proposal.id);
+        } finally {
+            setEmbeddingProvider(hash);
+        }
+        assert.equal(batches.length, 1, "the memory and its chunks are embedded in one pass");
+        assert.ok(batches[0] > 1);
+    });
+});
@@ -0,0 +1,149 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { createScriptedChatProvider, setChatProvider } from "../llm.js";
+import { addMemory, getMemory, linkMemories, getLinks } from "../memory.js";
+import { runConsolidation, getConsolidationPlan } from "../consolidation.js";
+import { findPatternClusters, parsePatternReply } from "../patterns.js";
+import { undoConsolidationRun } from "../journal.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_patterns.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+describe("patterns.js — pattern extraction", () => {
+    /** @type {number[]} */
+    const episodes = [];
+    /** @type {number} */
+    let loner;
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        for (const [title, content] of [
+            ["Deploy failed on Monday", "Migration locked the users table during deploy"],
+            ["Deploy failed again", "A long migration blocked writes while deploying"],
+            ["Friday deploy incident", "Schema change held a lock on orders during deploy"],
+        ]) {
+            episodes.push((await addMemory(client, { type: "episode", title, content, autoLink: false })).id);
+        }
+        await linkMemories(client, episodes[0], episodes[1], "related_to");
+        await linkMemories(client, episodes[2], episodes[1], "caused_by");
+        loner = (await addMemory(client, { type: "episode", title: "Team lunch", content: "Tried the new ramen place", autoLink: false })).id;
+    });
+
+    after(() => {
+        setChatProvider(undefined);
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should cluster linked episodes and leave unrelated ones out", async () => {
+        const clusters = await findPatternClusters(client, { threshold: 0.99 });
+        assert.equal(clusters.length, 1);
+        assert.deepEqual(clusters[0].memories.map((m) => m.id).sort((a, b) => a - b), episodes);
+        assert.equal(clusters[0].scope, "global");
+        assert.deepEqual(await findPatternClusters(client, { threshold: 0.99, exclude: new Set([episodes[0]]) }), []);
+    });
+
+    it("should parse fenced replies and drop invalid patterns", () => {
+        const reply = "Here you go:\n```json\n" + JSON.stringify({
+            patterns: [
+                { type: "reflex", title: "Run long migrations separately", content: "When a migration locks a table, run it outside the deploy", sources: [1, 2, 99] },
+                { type: "episode", title: "Wrong type", content: "x", sources: [1, 2] },
+                { type: "fact", title: "One source", content: "x", sources: [1] },
+                { type: "fact", title: "Whole cluster", content: "Deploys run migrations inline", importance: 3 },
+            ],
+        }) + "\n```";
+        assert.deepEqual(parsePatternReply(reply, [1, 2, 3]), [
+            { type: "reflex", title: "Run long migrations separately", content: "When a migration locks a table, run it outside the deploy", importance: undefined, sources: [1, 2] },
+            { type: "fact", title: "Whole cluster", content: "Deploys run migrations inline", importance: 1, sources: [1, 2, 3] },
+        ]);
+        assert.throws(() => parsePatternReply("no idea", [1, 2]), /no JSON object/);
+    });
+
+    it("should skip extraction without a chat provider", async () => {
+        setChatProvider(null);
+        const plan = await getConsolidationPlan(client, { clusterThreshold: 0.99 });
+        assert.equal(plan.options.extractPatterns, false);
+        assert.deepEqual(plan.extract, []);
+        const result = await runConsolidation(client, { clusterThreshold: 0.99 });
+        assert.deepEqual(result.patterns, []);
+    });
+
+    it("should store patterns as auto memories evolved from their episodes", async () => {
+        const chat = createScriptedChatProvider([
+            JSON.stringify({
+                patterns: [{
+                    type: "reflex",
+                    title: "Run long migrations before deploying",
+                    content: "When a deploy includes a locking migration, run it separately first",
+                    importance: 0.9,
+                    sources: episodes,
+                }],
+            }),
+        ]);
+        setChatProvider(chat);
+
+        const plan = await getConsolidationPlan(client, { clusterThreshold: 0.99 });
+        assert.equal(plan.extract.length, 1);
+
+        const result = await runConsolidation(client, { clusterThreshold: 0.99 });
+        assert.equal(chat.calls.length, 1);
+        assert.match(chat.calls[0][1].content, new RegExp(`#${episodes[0]} Deploy failed on Monday`));
+        assert.doesNotMatch(chat.calls[0][1].content, /Team lunch/);
+
+        assert.equal(result.patterns.length, 1);
+        const [pattern] = result.patterns;
+        assert.deepEqual(pattern.sources, episodes);
+        const mem = await getMemory(client, pattern.id);
+        assert.equal(mem?.type, "reflex");
+        assert.equal(mem?.source_type, "auto");
+        assert.equal(mem?.importance, 0.9);
+        const evolved = (await getLinks(client, pattern.id)).filter((l) => l.relation === "evolved_from");
+        assert.deepEqual(evolved.map((l) => l.id).sort((a, b) => a - b), episodes);
+
+        // Generalized episodes aren't sent again
+        const again = await runConsolidation(client, { clusterThreshold: 0.99 });
+        assert.deepEqual(again.patterns, []);
+        assert.equal(chat.calls.length, 1);
+
+        // Undoing the run archives the pattern, so its episodes can be clustered again
+        await undoConsolidationRun(client, /** @type {number} */ (again.runId));
+        await undoConsolidationRun(client, /** @type {number} */ (result.runId));
+        assert.equal(await getMemory(client, pattern.id), null);
+        assert.equal((await findPatternClusters(client, { threshold: 0.99 })).length, 1);
+    });
+
+    it("should survive unparseable replies and failing endpoints", async () => {
+        setChatProvider(createScriptedChatProvider(["I think these are about deploys."]));
+        const garbled = await runConsolidation(client, { clusterThreshold: 0.99 });
+        assert.deepEqual(garbled.patterns, []);
+
+        setChatProvider(createScriptedChatProvider([() => { throw new Error("connect ECONNREFUSED"); }]));
+        const failed = await runConsolidation(client, { clusterThreshold: 0.99 });
+        assert.deepEqual(failed.patterns, []);
+        assert.ok(await getMemory(client, loner));
+
+        const off = await runConsolidation(client, { clusterThreshold: 0.99, extractPatterns: false });
+        assert.deepEqual(off.patterns, []);
+    });
+});
@@ -0,0 +1,232 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import {
+    createHashProvider, createOpenAIProvider, createProvider, createTransformersProvider,
+    getEmbeddingProvider, setEmbeddingProvider, getStoreEmbeddingModel,
+} from "../providers.js";
+import { cosineSimilarity, resetEmbeddings } from "../embeddings.js";
+import { initDb, resetClient } from "../db.js";
+import { addMemory, searchSemantic } from "../memory.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_providers.db");
+
+function cleanupDb() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+describe("providers.js — hash provider", () => {
+    const provider = createHashProvider();
+
+    it("should produce deterministic, normalized 1024-dim vectors", async () => {
+        const a = await provider.embed("LibSQL vector search");
+        const b = await provider.embed("LibSQL vector search");
+        assert.equal(provider.dim(), 1024);
+        assert.equal(a.length, 1024);
+        assert.deepEqual(a, b);
+
+        let norm = 0;
+        for (const x of a) norm += x * x;
+        assert.ok(Math.abs(norm - 1) < 1e-5, `norm should be 1, got ${norm}`);
+    });
+
+    it("should place texts with shared vocabulary closer together", async () => {
+        const [query, near, far] = await provider.embedBatch([
+            "SQLite vector index for embeddings",
+            "vector index in SQLite stores embeddings",
+            "cooking pasta with tomato sauce",
+        ]);
+        assert.ok(cosineSimilarity(query, near) > cosineSimilarity(query, far));
+    });
+
+    it("should honour a custom dimension", async () => {
+        const small = createHashProvider({ dim: 64 });
+        assert.equal((await small.embed("x")).length, 64);
+        assert.equal(small.model, "hash-64");
+    });
+
+    it("should not return a zero vector for empty text", async () => {
+        const vec = await provider.embed("");
+        assert.equal(vec[0], 1);
+    });
+});
+
+describe("providers.js — OpenAI-compatible provider", () => {
+    /** @type {import("node:http").Server} */
+    let server;
+    let baseUrl = "";
+    /** @type {any[]} */
+    const requests = [];
+
+    before(async () => {
+        // Local stand-in for LM Studio / Ollama: returns [len, 1, 0] per input, reversed order
+        server = createServer(async (req, res) => {
+            let raw = "";
+            for await (const chunk of req) raw += chunk;
+            const body = JSON.parse(raw);
+            requests.push({ body, auth: req.headers.authorization });
+            if (body.input.includes("fail")) {
+                res.writeHead(500).end("boom");
+                return;
+            }
+            const data = body.input.map((/** @type {string} */ text, /** @type {number} */ index) => ({ index, embedding: [text.length, 1, 0] }));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ data: data.reverse() }));
+        });
+        await new Promise((r) => server.listen(0, "127.0.0.1", () => r(undefined)));
+        const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+        baseUrl = `http://127.0.0.1:${address.port}/v1`;
+    });
+
+    after(async () => {
+        await new Promise((r) => server.close(() => r(undefined)));
+    });
+
+    it("should detect the dimension on init", async () => {
+        const provider = createOpenAIProvider({ baseUrl, model: "test-model", apiKey: "secret" });
+        assert.equal(provider.dim(), 0);
+        await provider.init();
+        assert.equal(provider.dim(), 3);
+        assert.equal(requests.at(-1).body.model, "test-model");
+        assert.equal(requests.at(-1).auth, "Bearer secret");
+    });
+
+    it("should batch inputs in one request and restore order by index", async () => {
+        const provider = createOpenAIProvider({ baseUrl, dim: 3 });
+        const before = requests.length;
+        const [a, b] = await provider.embedBatch(["a", "abcd"]);
+        assert.equal(requests.length, before + 1);
+        // [1,1,0] and [4,1,0], normalized
+        assert.ok(Math.abs(a[0] - a[1]) < 1e-6);
+        assert.ok(b[0] > b[1]);
+    });
+
+    it("should surface HTTP errors", async () => {
+        const provider = createOpenAIProvider({ baseUrl, dim: 3 });
+        await assert.rejects(() => provider.embed("fail"), /500/);
+    });
+
+    it("should reject vectors of an unexpected dimension", async () => {
+        const provider = createOpenAIProvider({ baseUrl, dim: 8 });
+        await assert.rejects(() => provider.embed("x"), /dimension mismatch/);
+    });
+});
+
+describe("providers.js — transformers provider", () => {
+    /** @type {string[]} */
+    const loads = [];
+
+    /**
+     * Stub pipeline factory: "models" named stub-<dim> emit constant vectors of that dimension.
+     * @param {string} _task
+     * @param {string} model
+     */
+    const pipeline = async (_task, model) => {
+        loads.push(model);
+        const dim = Number(model.split("-")[1]);
+        return async (/** @type {string | string[]} */ input) => {
+            const n = Array.isArray(input) ? input.length : 1;
+            return { data: new Float32Array(n * dim).fill(1 / Math.sqrt(dim)), dims: [n, dim] };
+        };
+    };
+
+    after(() => resetEmbeddings());
+
+    it("should measure the dimension from the model's output", async () => {
+        resetEmbeddings();
+        const provider = createTransformersProvider({ modelId: "stub-384", pipeline });
+        await provider.init();
+        assert.equal(provider.dim(), 384);
+        const [a, b] = await provider.embedBatch(["a", "b"]);
+        assert.equal(a.length, 384);
+        assert.equal(b.length, 384);
+    });
+
+    it("should reload when another model id is asked for", async () => {
+        resetEmbeddings();
+        loads.length = 0;
+        const small = createTransformersProvider({ modelId: "stub-384", pipeline });
+        const large = createTransformersProvider({ modelId: "stub-768", pipeline });
+        assert.equal((await small.embed("x")).length, 384);
+        assert.equal((await small.embed("y")).length, 384);
+        assert.equal((await large.embed("x")).length, 768);
+        assert.equal(large.dim(), 768);
+        assert.deepEqual(loads, ["stub-384", "stub-768"]);
+    });
+
+    it("should honour an explicit dimension and reject a model that disagrees", async () => {
+        resetEmbeddings();
+        assert.equal(createProvider("transformers", { model: "stub-512", dim: 512 }).dim(), 512);
+        const provider = createTransformersProvider({ modelId: "stub-384", dim: 1024, pipeline });
+        await assert.rejects(() => provider.init(), /dimension mismatch/);
+    });
+});
+
+describe("providers.js — selection", () => {
+    const original = process.env.ENGRAM_EMBEDDING_PROVIDER;
+
+    after(() => {
+        if (original === undefined) delete process.env.ENGRAM_EMBEDDING_PROVIDER;
+        else process.env.ENGRAM_EMBEDDING_PROVIDER = original;
+        setEmbeddingProvider(null);
+    });
+
+    it("should create providers by name", () => {
+        assert.equal(createProvider("hash").name, "hash");
+        assert.equal(createProvider("openai").name, "openai");
+        assert.equal(createProvider("transformers").model, "Xenova/bge-m3");
+        assert.throws(() => createProvider("nope"), /Invalid embedding provider/);
+    });
+
+    it("should read ENGRAM_EMBEDDING_PROVIDER lazily", () => {
+        setEmbeddingProvider(null);
+        process.env.ENGRAM_EMBEDDING_PROVIDER = "hash";
+        assert.equal(getEmbeddingProvider().name, "hash");
+    });
+
+    it("should route memory writes and searches through the active provider", async () => {
+        cleanupDb();
+        const { client } = await initDb(TEST_DB_PATH);
+        const hash = createHashProvider();
+        /** @type {string[]} */
+        const seen = [];
+        setEmbeddingProvider({
+            ...hash,
+            embed: (text) => { seen.push(text); return hash.embed(text); },
+            embedBatch: (texts) => { seen.push(...texts); return hash.embedBatch(texts); },
+        });
+
+        const { id } = await addMemory(client, { type: "fact", title: "Provider routing", content: "goes through the interface" });
+        const results = await searchSemantic(client, "provider routing interface", { k: 1 });
+
+        assert.deepEqual(seen, ["Provider routing\ngoes through the interface", "provider routing interface"]);
+        assert.equal(results[0].id, id);
+        cleanupDb();
+    });
+
+    it("should create a new store's vector columns at the provider's dimension", async () => {
+        cleanupDb();
+        const { client } = await initDb(TEST_DB_PATH);
+        setEmbeddingProvider(createHashProvider({ dim: 256 }));
+
+        const { id } = await addMemory(client, { type: "fact", title: "Small vectors", content: "a 256-dim model works out of the box" });
+        assert.equal((await searchSemantic(client, "small vectors", { k: 1 }))[0].id, id);
+        assert.deepEqual(await getStoreEmbeddingModel(client), { provider: "hash", model: "hash-256", dim: 256 });
+
+        setEmbeddingProvider(createHashProvider({ dim: 64 }));
+        await assert.rejects(
+            () => addMemory(client, { type: "fact", title: "Smaller vectors", content: "refused" }),
+            /Embedding model mismatch: .*engram reembed --model hash-64/
+        );
+        cleanupDb();
+    });
+});
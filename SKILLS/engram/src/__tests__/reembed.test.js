@@ -0,0 +1,133 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, getMeta } from "../db.js";
+import { createHashProvider, setEmbeddingProvider, getStoreEmbeddingModel } from "../providers.js";
+import { addMemory, searchSemantic } from "../memory.js";
+import { startSession, endSession } from "../session.js";
+import { reembedStore } from "../reembed.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_reembed.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+/**
+ * Declared type of a column, e.g. "F32_BLOB(64)".
+ * @param {string} table
+ * @param {string} column
+ * @returns {Promise<string | undefined>}
+ */
+async function columnType(table, column) {
+    const info = await client.execute(`PRAGMA table_info(${table})`);
+    const row = info.rows.find((r) => r.name === column);
+    return row ? String(row.type) : undefined;
+}
+
+describe("reembed.js — model migration", () => {
+    const original = createHashProvider();
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(original);
+
+        await addMemory(client, { type: "fact", title: "Reembed alpha", content: "LibSQL stores vectors" });
+        await addMemory(client, { type: "fact", title: "Reembed beta", content: "cooking pasta with tomato" });
+        await addMemory(client, { type: "reflex", title: "Reembed gamma", content: "git rebase onto main" });
+        await startSession(client, "reembed-sess", "Reembed session");
+        await endSession(client, "reembed-sess", "Discussed LibSQL vectors");
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should record the model that first claims the store", async () => {
+        assert.deepEqual(await getStoreEmbeddingModel(client), { provider: "hash", model: "hash-1024", dim: 1024 });
+    });
+
+    it("should skip when the store already uses the target model", async () => {
+        const result = await reembedStore(client, createHashProvider());
+        assert.equal(result.skipped, true);
+        assert.equal(result.memories, 0);
+    });
+
+    it("should resume an interrupted run for the same target", async () => {
+        const target = createHashProvider({ dim: 64 });
+        let calls = 0;
+        const flaky = {
+            ...target,
+            embedBatch: async (/** @type {string[]} */ texts) => {
+                if (++calls > 1) throw new Error("endpoint went away");
+                return target.embedBatch(texts);
+            },
+        };
+
+        await assert.rejects(() => reembedStore(client, flaky, { batchSize: 2 }), /endpoint went away/);
+        assert.equal(JSON.parse(String(await getMeta(client, "reembed_target"))).dim, 64);
+        assert.equal(await columnType("memories", "content_embedding_next"), "F32_BLOB(64)");
+
+        /** @type {string[]} */
+        const progress = [];
+        const result = await reembedStore(client, target, {
+            batchSize: 2,
+            onProgress: ({ phase, done, total }) => progress.push(`${phase} ${done}/${total}`),
+        });
+
+        assert.equal(result.resumed, true);
+        assert.equal(result.memories, 1, "only the memory left over from the failed batch");
+        assert.equal(result.sessions, 1);
+        assert.deepEqual(progress, ["memories 3/3", "sessions 1/1"]);
+    });
+
+    it("should swap the columns and record the new model", async () => {
+        assert.equal(await columnType("memories", "content_embedding"), "F32_BLOB(64)");
+        assert.equal(await columnType("sessions", "summary_embedding"), "F32_BLOB(64)");
+        assert.equal(await columnType("memory_chunks", "embedding"), "F32_BLOB(64)");
+        assert.equal(await columnType("memories", "content_embedding_next"), undefined);
+        assert.equal(await getMeta(client, "reembed_target"), null);
+        assert.deepEqual(await getStoreEmbeddingModel(client), { provider: "hash", model: "hash-64", dim: 64 });
+    });
+
+    it("should search and write with the new model afterwards", async () => {
+        const { id } = await addMemory(client, { type: "fact", title: "Reembed delta", content: "written after the swap" });
+        const results = await searchSemantic(client, "pasta tomato", { k: 1 });
+        assert.equal(results[0].title, "Reembed beta");
+        assert.ok(id > 0);
+    });
+
+    it("should refuse to search when the loaded model differs from the store", async () => {
+        setEmbeddingProvider(original);
+        await assert.rejects(() => searchSemantic(client, "anything"), /Embedding model mismatch.*hash-64.*reembed --model hash-1024/);
+        await assert.rejects(
+            () => addMemory(client, { type: "fact", title: "Wrong model", content: "should not be written" }),
+            /Embedding model mismatch/
+        );
+    });
+
+    it("should discard an unfinished run for a different target", async () => {
+        const first = createHashProvider({ dim: 32 });
+        const failing = { ...first, embedBatch: async () => { throw new Error("stop"); } };
+        await assert.rejects(() => reembedStore(client, failing), /stop/);
+
+        const result = await reembedStore(client, createHashProvider({ dim: 128 }));
+        assert.equal(result.resumed, false);
+        assert.equal(result.memories, 4);
+        assert.equal(await columnType("memories", "content_embedding"), "F32_BLOB(128)");
+    });
+});
@@ -0,0 +1,151 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient, setMeta } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import { addMemory, getMemory, updateMemory, linkMemories, getLinks, importMemories } from "../memory.js";
+import {
+    listMemoryTypes, getMemoryType, addMemoryType, updateMemoryType, removeMemoryType,
+    listRelationTypes, addRelationType, removeRelationType,
+} from "../registry.js";
+import { runConsolidation } from "../consolidation.js";
+import { createMcpHandler } from "../mcp.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_registry.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+describe("registry.js — memory types and relations", () => {
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should seed the built-in types and relations", async () => {
+        const types = await listMemoryTypes(client);
+        assert.deepEqual(
+            types.map((t) => t.name).sort(),
+            ["decision", "episode", "fact", "preference", "reflex", "session_summary"]
+        );
+        assert.ok(types.every((t) => t.builtin && t.importance === 0.5 && !t.permanent));
+        assert.deepEqual(
+            Object.fromEntries(types.map((t) => [t.name, t.halfLifeDays === null ? null : Math.round(t.halfLifeDays)])),
+            { reflex: 90, episode: 7, fact: null, preference: 90, decision: null, session_summary: null },
+            "decay profiles: reflexes and preferences fade slowest, episodes fastest"
+        );
+        const relations = await listRelationTypes(client);
+        assert.deepEqual(
+            relations.map((r) => r.name).sort(),
+            ["caused_by", "contradicts", "evolved_from", "related_to", "supersedes"]
+        );
+    });
+
+    it("should register custom types and apply their default importance", async () => {
+        await addMemoryType(client, { name: "runbook", description: "Operational procedure", importance: 0.8 });
+        const { id } = await addMemory(client, { type: "runbook", title: "Restart the queue", content: "systemctl restart worker", autoLink: false });
+        assert.equal((await getMemory(client, id))?.importance, 0.8);
+
+        const explicit = await addMemory(client, {
+            type: "runbook", title: "Rotate logs", content: "logrotate -f", importance: 0.3, autoLink: false,
+        });
+        assert.equal((await getMemory(client, explicit.id))?.importance, 0.3);
+    });
+
+    it("should validate type names and defaults", async () => {
+        await assert.rejects(() => addMemoryType(client, { name: "Api Contract" }), /Invalid type name/);
+        await assert.rejects(() => addMemoryType(client, { name: "runbook" }), /already exists/);
+        await assert.rejects(() => addMemoryType(client, { name: "bug", importance: 2 }), /Invalid importance/);
+        await assert.rejects(() => addMemoryType(client, { name: "bug", decayRate: 0 }), /Invalid decay rate/);
+    });
+
+    it("should reject unregistered types everywhere", async () => {
+        await assert.rejects(
+            () => addMemory(client, { type: "api_contract", title: "Orders API", content: "v2", autoLink: false }),
+            /Invalid type: api_contract. Must be one of: .*runbook/
+        );
+        const { id } = await addMemory(client, { type: "fact", title: "Registry fact", content: "x", autoLink: false });
+        await assert.rejects(() => updateMemory(client, id, { type: "api_contract" }), /Invalid type/);
+
+        const result = await importMemories(client, [
+            { type: "api_contract", title: "Imported contract", content: "x", source_type: "manual" },
+        ]);
+        assert.equal(result.failed, 1);
+    });
+
+    it("should link with custom relations and reject unknown ones", async () => {
+        await addRelationType(client, { name: "depends_on", description: "Needs the target to work" });
+        const a = await addMemory(client, { type: "fact", title: "Service A", content: "calls B", autoLink: false });
+        const b = await addMemory(client, { type: "fact", title: "Service B", content: "standalone", autoLink: false });
+
+        await linkMemories(client, a.id, b.id, "depends_on");
+        assert.deepEqual((await getLinks(client, a.id)).map((l) => l.relation), ["depends_on"]);
+        await assert.rejects(() => linkMemories(client, a.id, b.id, "implements"), /Invalid relation: implements/);
+        await assert.rejects(
+            () => addMemory(client, { type: "fact", title: "Service C", content: "x", links: [{ targetId: b.id, relation: "implements" }], autoLink: false }),
+            /Invalid relation/
+        );
+    });
+
+    it("should refuse to remove built-ins and entries still in use", async () => {
+        await assert.rejects(() => removeMemoryType(client, "fact"), /built in/);
+        await assert.rejects(() => removeMemoryType(client, "runbook"), /used by 2 memories/);
+        await assert.rejects(() => removeRelationType(client, "related_to"), /built in/);
+        await assert.rejects(() => removeRelationType(client, "depends_on"), /used by 1 links/);
+
+        await addRelationType(client, { name: "example_of" });
+        await removeRelationType(client, "example_of");
+        assert.ok(!(await listRelationTypes(client)).some((r) => r.name === "example_of"));
+    });
+
+    it("should apply per-type decay rates and permanence during sleep", async () => {
+        await addMemoryType(client, { name: "bug", decayRate: 0.5 });
+        await updateMemoryType(client, "runbook", { permanent: true });
+        assert.equal((await getMemoryType(client, "runbook"))?.permanent, true);
+
+        const bug = await addMemory(client, { type: "bug", title: "Flaky test", content: "race in setup", autoLink: false });
+        const fact = await addMemory(client, { type: "fact", title: "Decay baseline", content: "plain fact", autoLink: false });
+        const runbook = await addMemory(client, { type: "runbook", title: "Failover", content: "promote replica", autoLink: false });
+        await client.execute("UPDATE memories SET strength = 1.0, last_accessed_at = datetime('now', '-1 day')");
+        await setMeta(client, "last_consolidation_at", new Date(Date.now() - 86_400_000).toISOString());
+
+        await runConsolidation(client, { decayRate: 0.9, mergeThreshold: 1.1 });
+        const strength = async (/** @type {number} */ id) => Number((await getMemory(client, id))?.strength);
+        assert.ok(Math.abs(await strength(bug.id) - 0.5) < 0.01, "bug uses its own rate");
+        assert.ok(Math.abs(await strength(fact.id) - 0.9) < 0.01, "fact uses the run's rate");
+        assert.equal(await strength(runbook.id), 1, "permanent types don't decay");
+    });
+
+    it("should expose registered names as MCP schema enums", async () => {
+        const handle = createMcpHandler(client);
+        const res = /** @type {any} */ (await handle({ jsonrpc: "2.0", id: 1, method: "tools/list" }));
+        const add = res.result.tools.find((/** @type {any} */ t) => t.name === "add_memory");
+        assert.ok(add.inputSchema.properties.type.enum.includes("runbook"));
+        assert.ok(add.inputSchema.properties.links.items.properties.relation.enum.includes("depends_on"));
+
+        const call = /** @type {any} */ (await handle({
+            jsonrpc: "2.0", id: 2, method: "tools/call",
+            params: { name: "add_memory", arguments: { type: "api_contract", title: "x", content: "y" } },
+        }));
+        assert.match(call.error.message, /argument "type" must be one of: .*bug/);
+    });
+});
@@ -89,6 +89,17 @@ describe("reranker — cross-encoder scoring", () => {
         );
     });
 
+    it("should score the same across batch sizes", async () => {
+        const query = "database migration";
+        const documents = ["SQL schema migration", "Bird migration", "Data migration to PostgreSQL"];
+        const batched = await rerank(query, documents, { batchSize: 2 });
+        const single = await rerank(query, documents, { batchSize: 1 });
+        for (const r of batched) {
+            const s = /** @type {import("../embeddings.js").RerankResult} */ (single.find((x) => x.index === r.index));
+            assert.ok(Math.abs(r.score - s.score) < 1e-3, `Pair ${r.index}: ${r.score} vs ${s.score}`);
+        }
+    });
+
     it("should preserve original indices in results", async () => {
         const results = await rerank("test query", ["doc A", "doc B", "doc C"]);
 
@@ -171,6 +182,15 @@ describe("reranker — searchHybrid integration", () => {
         assert.ok(results[0].score !== undefined, "Should have RRF score");
     });
 
+    it("should reuse cached scores for a repeated query", async () => {
+        const first = await searchHybrid(client, "Rails background jobs crash", { k: 3, rerank: true });
+        const cached = await client.execute("SELECT COUNT(*) as n FROM rerank_cache");
+        assert.ok(Number(cached.rows[0].n) > 0, "scores should be cached");
+
+        const second = await searchHybrid(client, "Rails background jobs crash", { k: 3, rerank: true });
+        assert.deepEqual(second.map((m) => [m.id, m.score]), first.map((m) => [m.id, m.score]));
+    });
+
     it("should have reranker scores between 0 and 1", async () => {
         const results = await searchHybrid(client, "Ruby web framework", {
             k: 3,
@@ -0,0 +1,158 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { unlinkSync, existsSync } from "node:fs";
+import { initDb, resetClient } from "../db.js";
+import { createHashProvider, setEmbeddingProvider } from "../providers.js";
+import {
+    addMemory, getMemory, updateMemory, linkMemories,
+    searchSemantic, searchFTS, searchHybrid,
+    getStats, exportMemories, importMemories, normalizeScope,
+} from "../memory.js";
+import { recall, resolveRecallScopes } from "../foa.js";
+import { runConsolidation } from "../consolidation.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DB_PATH = resolve(__dirname, "..", "..", "data", "test_scope.db");
+
+/** @type {import("@libsql/client").Client} */
+let client;
+
+function cleanupAll() {
+    resetClient();
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        const p = TEST_DB_PATH + suffix;
+        if (existsSync(p)) { try { unlinkSync(p); } catch { /* */ } }
+    }
+}
+
+describe("scopes — memory namespaces", () => {
+    /** @type {Record<string, number>} */
+    const ids = {};
+
+    before(async () => {
+        cleanupAll();
+        const db = await initDb(TEST_DB_PATH);
+        client = db.client;
+        setEmbeddingProvider(createHashProvider());
+
+        const add = async (/** @type {string} */ key, /** @type {any} */ input) => {
+            ids[key] = (await addMemory(client, { autoLink: false, ...input })).id;
+        };
+        await add("globalTests", { type: "reflex", title: "Run the test suite", content: "Run npm test before pushing any branch" });
+        await add("alphaTests", { type: "reflex", title: "Run the test suite", content: "Run bundle exec rspec before pushing", scope: "alpha" });
+        await add("alphaDeploy", { type: "fact", title: "Alpha deploys", content: "Alpha deploys with capistrano to the staging box", scope: "alpha" });
+        await add("betaDeploy", { type: "fact", title: "Beta deploys", content: "Beta deploys with kubectl to the staging cluster", scope: "beta" });
+        await add("globalDeploy", { type: "preference", title: "Deploy hours", content: "Never deploy to staging on Friday evenings" });
+    });
+
+    after(() => {
+        setEmbeddingProvider(null);
+        cleanupAll();
+    });
+
+    it("should default to the global scope and normalize names", async () => {
+        assert.equal((await getMemory(client, ids.globalTests))?.scope, "global");
+        assert.equal((await getMemory(client, ids.alphaTests))?.scope, "alpha");
+        assert.equal(normalizeScope("  Org/Repo-2 "), "org/repo-2");
+        assert.equal(normalizeScope(""), "global");
+        assert.throws(() => normalizeScope("two words"), /Invalid scope/);
+    });
+
+    it("should dedup within a scope only", async () => {
+        assert.notEqual(ids.alphaTests, ids.globalTests, "same type + title in another scope is a new memory");
+        const again = await addMemory(client, {
+            type: "reflex", title: "Run the test suite", content: "anything", scope: "ALPHA", autoLink: false,
+        });
+        assert.deepEqual(again, { id: ids.alphaTests, status: "duplicate" });
+    });
+
+    it("should restrict search to the requested scope", async () => {
+        const semantic = await searchSemantic(client, "deploys staging", { k: 10, scope: "beta" });
+        assert.deepEqual(semantic.map((m) => m.id), [ids.betaDeploy]);
+
+        const fts = await searchFTS(client, "staging", { k: 10, scope: ["alpha", "global"] });
+        assert.deepEqual(fts.map((m) => m.id).sort(), [ids.alphaDeploy, ids.globalDeploy].sort());
+
+        const all = await searchHybrid(client, "staging", { k: 10 });
+        assert.deepEqual([...new Set(all.map((m) => m.scope))].sort(), ["alpha", "beta", "global"], "no scope means every scope");
+    });
+
+    it("should resolve recall scopes to the current scope plus global", () => {
+        assert.deepEqual(resolveRecallScopes("Alpha"), ["alpha", "global"]);
+        assert.deepEqual(resolveRecallScopes("global"), ["global"]);
+    });
+
+    it("should blend the current scope with global memories in recall", async () => {
+        const result = await recall(client, "deploy to staging", { rerank: false, hops: 0, scope: "alpha" });
+        const found = result.memories.map((m) => m.id);
+        assert.ok(found.includes(ids.alphaDeploy));
+        assert.ok(found.includes(ids.globalDeploy));
+        assert.ok(!found.includes(ids.betaDeploy), "other scopes never leak into recall");
+        assert.ok(result.memories.every((m) => m.scope === "alpha" || m.scope === "global"));
+    });
+
+    it("should let a scoped memory shadow the global one with the same title", async () => {
+        const alpha = await recall(client, "run the test suite before pushing", { rerank: false, hops: 0, scope: "alpha" });
+        const matching = alpha.memories.filter((m) => m.title === "Run the test suite");
+        assert.deepEqual(matching.map((m) => m.id), [ids.alphaTests]);
+
+        const beta = await recall(client, "run the test suite before pushing", { rerank: false, hops: 0, scope: "beta" });
+        assert.ok(beta.memories.some((m) => m.id === ids.globalTests), "without an override the global memory applies");
+    });
+
+    it("should not follow graph links out of the visible scopes", async () => {
+        await linkMemories(client, ids.alphaDeploy, ids.betaDeploy, "related_to");
+        const result = await recall(client, "capistrano", { rerank: false, hops: 1, scope: "alpha" });
+        assert.ok(result.memories.some((m) => m.id === ids.alphaDeploy));
+        assert.ok(!result.memories.some((m) => m.id === ids.betaDeploy));
+    });
+
+    it("should report stats per scope", async () => {
+        const all = await getStats(client);
+        assert.deepEqual(all.byScope, { alpha: 2, beta: 1, global: 2 });
+
+        const alpha = await getStats(client, { scope: "alpha" });
+        assert.equal(alpha.totalMemories, 2);
+        assert.deepEqual(alpha.byType, { reflex: 1, fact: 1 });
+        assert.equal(alpha.totalLinks, 1, "links leaving the scope");
+    });
+
+    it("should export one scope and keep scopes on import", async () => {
+        const exported = JSON.parse(await exportMemories(client, "json", { scope: "beta" }));
+        assert.deepEqual(exported.map((/** @type {any} */ m) => m.id), [ids.betaDeploy]);
+        assert.equal(exported[0].scope, "beta");
+
+        const result = await importMemories(client, [
+            { type: "fact", title: "Beta deploys", content: "restored copy", scope: "beta", source_type: "manual" },
+            { type: "fact", title: "Beta deploys", content: "same title, new scope", scope: "gamma", source_type: "manual" },
+        ]);
+        assert.equal(result.duplicates, 1);
+        assert.equal(result.created, 1);
+        assert.equal((await getStats(client, { scope: "gamma" })).totalMemories, 1);
+    });
+
+    it("should move a memory between scopes on update", async () => {
+        await updateMemory(client, ids.globalDeploy, { scope: "Beta" });
+        assert.equal((await getMemory(client, ids.globalDeploy))?.scope, "beta");
+        await updateMemory(client, ids.globalDeploy, { scope: "global" });
+    });
+
+    it("should never merge near-duplicates across scopes during consolidation", async () => {
+        const content = "The nightly backup job writes a compressed dump of the production database to object storage";
+        const a = await addMemory(client, { type: "episode", title: "Backup job", content, scope: "alpha", autoLink: false });
+        const b = await addMemory(client, { type: "episode", title: "Backup job.", content, scope: "beta", autoLink: false });
+
+        const crossScope = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.equal(crossScope.merged, 0);
+        assert.ok(await getMemory(client, a.id));
+        assert.ok(await getMemory(client, b.id));
+
+        await addMemory(client, { type: "episode", title: "Backup job!", content, scope: "alpha", autoLink: false });
+        const sameScope = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.equal(sameScope.merged, 1);
+        assert.ok(await getMemory(client, b.id), "the beta copy is untouched");
+    });
+});
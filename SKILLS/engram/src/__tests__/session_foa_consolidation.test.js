@@ -223,6 +223,41 @@ describe("consolidation.js — Sleep Consolidation", () => {
         assert.ok(Array.isArray(preview.duplicateCandidates));
     });
 
+    it("should plan every step on dry run, matching the real run", async () => {
+        await clearTables();
+        const content = "The nightly backup job writes a compressed dump of the production database to object storage";
+        const keep = await addMemory(client, { type: "episode", title: "Plan backup", content, importance: 0.8, autoLink: false });
+        // Not merged on write (as it would be under BGE-M3), so that consolidation has the pair to merge
+        const dup = await addMemory(client, { type: "episode", title: "Plan backup!", content, autoLink: false, mergeThreshold: 1 });
+        const weak = await addMemory(client, { type: "fact", title: "Plan weak", content: "Fading detail", autoLink: false });
+        const popular = await addMemory(client, { type: "fact", title: "Plan popular", content: "Looked up all the time", autoLink: false });
+        await client.execute("UPDATE memories SET last_accessed_at = datetime('now', '-2 days'), strength = 0.5");
+        await client.execute({ sql: "UPDATE memories SET strength = 0.01 WHERE id = ?", args: [weak.id] });
+        await client.execute({ sql: "UPDATE memories SET access_count = 5 WHERE id = ?", args: [popular.id] });
+
+        const dry = await runConsolidation(client, { mergeThreshold: 0.9, dryRun: true });
+        const plan = /** @type {import("../consolidation.js").ConsolidationPlan} */ (dry.plan);
+        assert.equal(plan.decay.length, 4);
+        const decayed = plan.decay.find((d) => d.id === popular.id);
+        assert.ok(decayed && decayed.projected < decayed.strength, "projected strength after decay");
+        assert.deepEqual(plan.prune.map((p) => p.id), [weak.id]);
+        assert.deepEqual(plan.merge.map((m) => [m.keep.id, m.remove.id]), [[keep.id, dup.id]]);
+        assert.ok(plan.merge[0].similarity >= 0.9);
+        assert.deepEqual(plan.boost.map((b) => b.id), [popular.id]);
+
+        const preview = await getConsolidationPreview(client, { mergeThreshold: 0.9 });
+        assert.deepEqual(preview.merge, plan.merge);
+        assert.equal(preview.duplicateCandidates[0].count, 1);
+
+        const real = await runConsolidation(client, { mergeThreshold: 0.9 });
+        assert.deepEqual(
+            [real.decayed, real.pruned, real.merged, real.boosted],
+            [dry.decayed, dry.pruned, dry.merged, dry.boosted]
+        );
+        const boosted = await client.execute({ sql: "SELECT strength FROM memories WHERE id = ?", args: [popular.id] });
+        assert.ok(Math.abs(Number(boosted.rows[0].strength) - plan.boost[0].projected) < 1e-3);
+    });
+
     it("should update last_consolidation_at after run", async () => {
         await clearTables();
         await addMemory(client, { type: "fact", title: "Timestamp Test", content: "Check timestamp" });
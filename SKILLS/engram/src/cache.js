@@ -0,0 +1,197 @@
+// @ts-check
+/**
+ * Persistent caches for model output.
+ *
+ * Embedding cache — vectors keyed by (SHA-256 of the embedded text, model).
+ * The same title+content is embedded again on merges, imports, re-ingests and
+ * migration re-runs; with the cache only text the model has never seen costs a
+ * forward pass. Bulk paths call embedBatchCached() up front so the misses go
+ * through one batched embedBatch, and the per-memory embedCached() calls that
+ * follow are all hits.
+ *
+ * Rerank cache — cross-encoder scores keyed by (query hash, memory id,
+ * updated_at). Agents repeat the same recall queries within a session; the
+ * score of an unchanged memory for an identical query is reused instead of
+ * rescored. Editing a memory bumps updated_at, which invalidates its scores.
+ */
+
+import { createHash } from "node:crypto";
+import { vectorToBlob, blobToVector } from "./embeddings.js";
+import { getEmbeddingProvider, assertEmbeddingModel } from "./providers.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Keep IN (...) lists well under SQLite's bound-parameter limit */
+const LOOKUP_CHUNK = 500;
+
+/** Cached vectors older than this are dropped by pruneEmbeddingCache() */
+const EMBEDDING_TTL = "-30 days";
+
+/** Rerank scores older than this are neither reused nor kept by pruneRerankCache() */
+const RERANK_TTL = "-7 days";
+
+/**
+ * SHA-256 hex digest of the exact text that gets embedded.
+ * @param {string} text
+ * @returns {string}
+ */
+export function contentHash(text) {
+    return createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+/**
+ * Embed texts with the active provider, reusing cached vectors where possible.
+ * Misses are embedded in one embedBatch call and written back to the cache.
+ *
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {string[]} texts
+ * @returns {Promise<Float32Array[]>} Vectors in input order
+ */
+export async function embedBatchCached(client, texts) {
+    if (texts.length === 0) return [];
+    const provider = getEmbeddingProvider();
+    const hashes = texts.map(contentHash);
+    const unique = [...new Set(hashes)];
+
+    /** @type {Map<string, Float32Array>} */
+    const found = new Map();
+    for (let i = 0; i < unique.length; i += LOOKUP_CHUNK) {
+        const chunk = unique.slice(i, i + LOOKUP_CHUNK);
+        const rows = await client.execute({
+            sql: `SELECT content_hash, embedding FROM embedding_cache
+                  WHERE model = ? AND content_hash IN (${chunk.map(() => "?").join(", ")})`,
+            args: [provider.model, ...chunk],
+        });
+        for (const r of rows.rows) {
+            found.set(String(r.content_hash), blobToVector(/** @type {ArrayBuffer} */(r.embedding)));
+        }
+    }
+
+    /** @type {Map<string, string>} hash → text, first occurrence of each miss */
+    const misses = new Map();
+    hashes.forEach((h, i) => { if (!found.has(h) && !misses.has(h)) misses.set(h, texts[i]); });
+
+    if (misses.size > 0) {
+        const vectors = await provider.embedBatch([...misses.values()]);
+        const missHashes = [...misses.keys()];
+        await client.batch(missHashes.map((h, i) => ({
+            sql: "INSERT OR IGNORE INTO embedding_cache (content_hash, model, embedding) VALUES (?, ?, ?)",
+            args: [h, provider.model, vectorToBlob(vectors[i])],
+        })), "write");
+        missHashes.forEach((h, i) => found.set(h, vectors[i]));
+    }
+
+    trace(`[engram] embedding cache: ${unique.length - misses.size} hit, ${misses.size} miss (${provider.model})`);
+    return hashes.map((h) => /** @type {Float32Array} */(found.get(h)));
+}
+
+/**
+ * Embed one text with the active provider, reusing a cached vector if present.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {string} text
+ * @returns {Promise<Float32Array>}
+ */
+export async function embedCached(client, text) {
+    return (await embedBatchCached(client, [text]))[0];
+}
+
+/**
+ * Pre-compute vectors for a bulk write in one batched pass. Failures are only
+ * traced — the per-memory writes that follow embed (and report) on their own.
+ * @param {import("@libsql/client").Client} client
+ * @param {string[]} texts
+ * @returns {Promise<void>}
+ */
+export async function warmEmbeddingCache(client, texts) {
+    if (texts.length === 0) return;
+    try {
+        await assertEmbeddingModel(client);
+        await embedBatchCached(client, texts);
+    } catch (/** @type {any} */ err) {
+        trace("[engram] embedding cache warm-up skipped:", err?.message || String(err));
+    }
+}
+
+/**
+ * Drop cached vectors older than 30 days — an expired vector is just
+ * embedded again if its text comes back — and, with `keepModel`, those of
+ * every other model: they can never be hit again once the store has moved on.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} [keepModel]
+ * @returns {Promise<number>} Rows removed
+ */
+export async function pruneEmbeddingCache(client, keepModel) {
+    const result = await client.execute({
+        sql: `DELETE FROM embedding_cache
+              WHERE created_at < datetime('now', '${EMBEDDING_TTL}')${keepModel === undefined ? "" : " OR model != ?"}`,
+        args: keepModel === undefined ? [] : [keepModel],
+    });
+    return result.rowsAffected;
+}
+
+// ---------------------------------------------------------------------------
+// Rerank score cache
+// ---------------------------------------------------------------------------
+
+/**
+ * Look up cached cross-encoder scores for a query.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} query
+ * @param {Array<{id: number, updated_at: string}>} memories - Candidates (current updated_at)
+ * @returns {Promise<Map<number, number>>} memory id → score, for cache hits only
+ */
+export async function getRerankScores(client, query, memories) {
+    /** @type {Map<number, number>} */
+    const scores = new Map();
+    if (memories.length === 0) return scores;
+
+    const queryHash = contentHash(query);
+    const current = new Map(memories.map((m) => [m.id, m.updated_at]));
+    const ids = [...current.keys()];
+    for (let i = 0; i < ids.length; i += LOOKUP_CHUNK) {
+        const chunk = ids.slice(i, i + LOOKUP_CHUNK);
+        const rows = await client.execute({
+            sql: `SELECT memory_id, updated_at, score FROM rerank_cache
+                  WHERE query_hash = ? AND created_at >= datetime('now', '${RERANK_TTL}')
+                  AND memory_id IN (${chunk.map(() => "?").join(", ")})`,
+            args: [queryHash, ...chunk],
+        });
+        for (const r of rows.rows) {
+            const id = Number(r.memory_id);
+            if (current.get(id) === String(r.updated_at)) scores.set(id, Number(r.score));
+        }
+    }
+    trace(`[engram] rerank cache: ${scores.size} hit, ${memories.length - scores.size} miss`);
+    return scores;
+}
+
+/**
+ * Store cross-encoder scores for a query.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} query
+ * @param {Array<{id: number, updated_at: string, score: number}>} entries
+ */
+export async function storeRerankScores(client, query, entries) {
+    if (entries.length === 0) return;
+    const queryHash = contentHash(query);
+    await client.batch(entries.map((e) => ({
+        sql: `INSERT OR REPLACE INTO rerank_cache (query_hash, memory_id, updated_at, score, created_at)
+              VALUES (?, ?, ?, ?, datetime('now'))`,
+        args: [queryHash, e.id, e.updated_at, e.score],
+    })), "write");
+}
+
+/**
+ * Drop expired scores and scores of memories that changed since.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<number>} Rows removed
+ */
+export async function pruneRerankCache(client) {
+    const result = await client.execute(
+        `DELETE FROM rerank_cache
+         WHERE created_at < datetime('now', '${RERANK_TTL}')
+         OR updated_at != (SELECT m.updated_at FROM memories m WHERE m.id = rerank_cache.memory_id)`
+    );
+    return result.rowsAffected;
+}
@@ -0,0 +1,111 @@
+// @ts-check
+/**
+ * Chunking — split long memory content into retrieval-sized passages.
+ *
+ * One vector for a long memory is the average of everything in it, and
+ * merge-on-write keeps appending `---` sections, so long memories drift away
+ * from any specific query. Each chunk gets its own vector (memory_chunks) and
+ * search scores a memory by its best chunk.
+ *
+ * Splitting is structure-aware: merge separators (`---`, `[Merged from: ...]`)
+ * and markdown headings always start a new chunk; paragraphs are packed up to
+ * the size limit; oversized paragraphs fall back to sentences, then hard cuts.
+ */
+
+/** Content at or below this size is embedded as a single vector — no chunks */
+export const CHUNK_MAX_CHARS = 800;
+
+/**
+ * Split text into sections at merge separators and headings.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSections(text) {
+    /** @type {string[]} */
+    const sections = [];
+    /** @type {string[]} */
+    let current = [];
+    const flush = () => {
+        const section = current.join("\n").trim();
+        if (section) sections.push(section);
+        current = [];
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        if (/^\s*-{3,}\s*$/.test(line)) {
+            flush(); // separator line itself carries no content
+            continue;
+        }
+        if (/^#{1,6}\s/.test(line) || line.startsWith("[Merged from:")) {
+            flush();
+        }
+        current.push(line);
+    }
+    flush();
+    return sections;
+}
+
+/**
+ * Break a paragraph that exceeds the limit into sentence-packed pieces.
+ * @param {string} paragraph
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLongParagraph(paragraph, maxChars) {
+    /** @type {string[]} */
+    const pieces = [];
+    let current = "";
+    for (const sentence of paragraph.split(/(?<=[.!?…])\s+/)) {
+        if (sentence.length > maxChars) {
+            if (current) { pieces.push(current); current = ""; }
+            for (let i = 0; i < sentence.length; i += maxChars) {
+                pieces.push(sentence.slice(i, i + maxChars));
+            }
+            continue;
+        }
+        if (current && current.length + 1 + sentence.length > maxChars) {
+            pieces.push(current);
+            current = sentence;
+        } else {
+            current = current ? `${current} ${sentence}` : sentence;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Split content into chunks of at most `maxChars` characters.
+ *
+ * Returns an empty array when the content fits in one chunk — short memories
+ * are served by their memory-level vector alone.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.maxChars] - Max characters per chunk (default 800)
+ * @returns {string[]}
+ */
+export function chunkText(text, options = {}) {
+    const { maxChars = CHUNK_MAX_CHARS } = options;
+    const sections = splitSections(text);
+    if (text.trim().length <= maxChars && sections.length <= 1) return [];
+
+    /** @type {string[]} */
+    const chunks = [];
+    for (const section of sections) {
+        let current = "";
+        for (const paragraph of section.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean)) {
+            const pieces = paragraph.length > maxChars ? splitLongParagraph(paragraph, maxChars) : [paragraph];
+            for (const piece of pieces) {
+                if (current && current.length + 2 + piece.length > maxChars) {
+                    chunks.push(current);
+                    current = piece;
+                } else {
+                    current = current ? `${current}\n\n${piece}` : piece;
+                }
+            }
+        }
+        if (current) chunks.push(current);
+    }
+    return chunks.length > 1 ? chunks : [];
+}
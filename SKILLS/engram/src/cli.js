@@ -5,9 +5,9 @@
  */
 
 import { Command } from "commander";
-import { initDb, closeDb, getMeta } from "./db.js";
+import { initDb, closeDb, getMeta, getClient, runMigrations, migrateTo, getMigrationStatus, SCHEMA_VERSION } from "./db.js";
 import {
-    addMemory, getMemory, updateMemory, deleteMemory,
+    addMemory, getMemory, updateMemory, revertMemory, deleteMemory,
     searchSemantic, searchFTS, searchHybrid,
     addTag, removeTag, getAllTags,
     linkMemories, getLinks,
@@ -17,9 +17,24 @@ import {
 } from "./memory.js";
 import { startSession, endSession, listSessions, startSessionWithConsolidationCheck } from "./session.js";
 import { recall, formatRecallContext } from "./foa.js";
-import { runConsolidation, shouldConsolidate, getConsolidationPreview } from "./consolidation.js";
+import { runConsolidation, shouldConsolidate, getConsolidationPlan, acceptMergeProposal } from "./consolidation.js";
+import { listMergeProposals, rejectMergeProposal, editMergeProposal } from "./merges.js";
+import { listConflicts, resolveConflict, dismissConflict } from "./conflicts.js";
+import { listConsolidationRuns, undoConsolidationRun } from "./journal.js";
 import { getDevice, isInitialized } from "./embeddings.js";
 import { migrateFromSkill } from "./migrate.js";
+import { serveMcp } from "./mcp.js";
+import { serveHttp } from "./http.js";
+import { runDaemon, getDaemonLog } from "./daemon.js";
+import { walkGraph, findPath, formatPath, exportGraph, graphStats, GRAPH_FORMATS } from "./graph.js";
+import { createProvider, getStoreEmbeddingModel, PROVIDER_NAMES } from "./providers.js";
+import { reembedStore } from "./reembed.js";
+import { warmEmbeddingCache } from "./cache.js";
+import { listRevisions, diffRevision, formatDiff } from "./history.js";
+import {
+    listMemoryTypes, addMemoryType, updateMemoryType, removeMemoryType,
+    listRelationTypes, addRelationType, removeRelationType, getRegistryNames, decayRateForHalfLife,
+} from "./registry.js";
 
 /**
  * Parse --link-to format: "133:related_to,134:evolved_from" or "133,134" (defaults to related_to)
@@ -37,6 +52,78 @@ function parseLinkTo(input) {
     }).filter((l) => !isNaN(l.target));
 }
 
+/**
+ * Run a command body, reporting validation errors as a one-line message with
+ * exit code 1 instead of an unhandled rejection.
+ * @param {() => Promise<void>} fn
+ */
+async function exitOnError(fn) {
+    try {
+        await fn();
+    } catch (/** @type {any} */ err) {
+        console.error(`Error: ${err?.message || String(err)}`);
+        await closeDb();
+        process.exit(1);
+    }
+    await closeDb();
+}
+
+/**
+ * Print rows as aligned columns under a header row; nothing but "(none)" if empty.
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ */
+function printTable(headers, rows) {
+    if (rows.length === 0) {
+        console.log("  (none)");
+        return;
+    }
+    const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+    const line = (/** @type {string[]} */ cells) => "  " + cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+    console.log(line(headers));
+    console.log(line(widths.map((w) => "─".repeat(w))));
+    for (const row of rows) console.log(line(row));
+}
+
+/**
+ * Shorten text to a column width.
+ * @param {string} text
+ * @param {number} [max]
+ * @returns {string}
+ */
+function clip(text, max = 40) {
+    return text.length > max ? text.slice(0, max - 1) + "…" : text;
+}
+
+/**
+ * Parse a --decay-rate value; "none" clears the type's own rate.
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseDecayRate(value) {
+    return value === "none" ? null : parseFloat(value);
+}
+
+/**
+ * Parse a --half-life value in days; "none" clears the override.
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseHalfLife(value) {
+    return value === "none" ? null : parseFloat(value);
+}
+
+/**
+ * A type's daily decay rate from --decay-rate or --half-life (days).
+ * @param {{decayRate?: string, halfLife?: string}} opts
+ * @returns {number | null | undefined} undefined if neither was given
+ */
+function typeDecayRate(opts) {
+    if (opts.halfLife === undefined) return opts.decayRate !== undefined ? parseDecayRate(opts.decayRate) : undefined;
+    const days = parseHalfLife(opts.halfLife);
+    return days === null ? null : decayRateForHalfLife(days);
+}
+
 const program = new Command();
 
 program
@@ -48,31 +135,43 @@ program
 program
     .command("add")
     .description("Add a new memory")
-    .argument("<type>", "Memory type: reflex | episode | fact | preference | decision")
+    .argument("<type>", "Memory type: reflex | episode | fact | preference | decision | … (engram types list)")
     .argument("<title>", "Memory title")
     .option("-c, --content <text>", "Memory content (or pipe via stdin)")
     .option("-t, --tags <tags>", "Comma-separated tags")
-    .option("-i, --importance <n>", "Importance 0.0-1.0", "0.5")
+    .option("-i, --importance <n>", "Importance 0.0-1.0 (default: the type's default, 0.5 unless changed)")
     .option("--no-auto-link", "Disable auto-linking of related memories")
     .option("--permanent", "Mark as permanent (exempt from decay/prune)")
+    .option("--half-life <days>", "Days for strength to halve during sleep (default: the type's decay rate)")
     .option("-l, --link-to <links>", "Link to existing memories: targetId:relation,... (e.g. 133:related_to,134:evolved_from)")
+    .option("--scope <name>", "Scope (namespace), e.g. a project name", process.env.ENGRAM_SCOPE || "global")
+    .option("--review-merge", "Queue a near-duplicate as a merge proposal instead of merging (default: $ENGRAM_MERGE_REVIEW=1)")
     .action(async (type, title, opts) => {
         const { client } = await initDb();
         const content = opts.content || title;
         const tags = opts.tags ? opts.tags.split(",").map((t) => t.trim()) : [];
         if (opts.permanent && !tags.includes("permanent")) tags.push("permanent");
-        const importance = parseFloat(opts.importance);
+        const importance = opts.importance !== undefined ? parseFloat(opts.importance) : undefined;
+        const halfLife = opts.halfLife !== undefined ? parseFloat(opts.halfLife) : undefined;
 
-        const result = await addMemory(client, { type, title, content, tags, importance, autoLink: opts.autoLink !== false });
+        const result = await addMemory(client, {
+            type, title, content, tags, importance, halfLife, scope: opts.scope, autoLink: opts.autoLink !== false, reviewMerges: opts.reviewMerge,
+        });
         if (result.status === "duplicate") {
             console.log(`♻️  Memory #${result.id} already exists [${type}] "${title}" — bumped access count`);
         } else if (result.status === "merged") {
             console.log(`🔀 Memory #${result.id} merged [${type}] "${title}" — content appended to existing`);
         } else {
             console.log(`✅ Memory #${result.id} created [${type}] "${title}"`);
+            if (result.mergeProposal) console.log(`   🔀 Near-duplicate found — merge proposal #${result.mergeProposal} queued (engram merges list)`);
+            for (const c of result.conflicts ?? []) {
+                console.log(`   ⚠️  Contradicts #${c.id} (${c.reason}) — resolve with: engram conflicts resolve <winner> <loser>`);
+            }
         }
         if (tags.length) console.log(`   Tags: ${tags.join(", ")}`);
+        if (opts.scope !== "global") console.log(`   Scope: ${opts.scope}`);
         if (opts.permanent) console.log(`   🔒 Permanent (exempt from decay/prune)`);
+        if (halfLife !== undefined && result.status === "created") console.log(`   ⏳ Half-life: ${halfLife} days`);
 
         // Process --link-to
         if (opts.linkTo) {
@@ -96,23 +195,29 @@ program
     .option("--rerank", "Re-score results with cross-encoder reranker")
     .option("--since <period>", "Time filter: 1h, 1d, 7d, 30d")
     .option("--hops <n>", "Follow graph links N hops deep", "0")
+    .option("--scope <name>", "Only search this scope (default: all scopes)")
+    .option("--include-superseded", "Keep superseded memories (hybrid mode), listed last")
     .action(async (query, opts) => {
         const { client } = await initDb();
         const k = parseInt(opts.limit);
         const type = opts.type;
         const since = opts.since;
         const hops = parseInt(opts.hops);
+        const scope = opts.scope;
         let results;
 
         switch (opts.mode) {
             case "semantic":
-                results = await searchSemantic(client, query, { k, type, since });
+                results = await searchSemantic(client, query, { k, type, since, scope });
                 break;
             case "fts":
-                results = await searchFTS(client, query, { k, type, since });
+                results = await searchFTS(client, query, { k, type, since, scope });
                 break;
             default:
-                results = await searchHybrid(client, query, { k, type, rerank: opts.rerank || false, since, hops });
+                results = await searchHybrid(client, query, {
+                    k, type, rerank: opts.rerank || false, since, hops, scope,
+                    includeSuperseded: opts.includeSuperseded || false,
+                });
         }
 
         if (results.length === 0) {
@@ -120,10 +225,12 @@ program
         } else {
             console.log(`\n🔍 ${results.length} results (${opts.mode} search):\n`);
             for (const mem of results) {
-                const score = mem.score !== undefined && mem.score >= 0
-                    ? ` (score: ${mem.score.toFixed(4)})`
-                    : mem.score === -1 ? " (linked)" : "";
-                console.log(`  #${mem.id} [${mem.type}] ${mem.title}${score}`);
+                const score = mem.score !== undefined ? ` (score: ${mem.score.toFixed(4)})` : "";
+                const scopeLabel = mem.scope !== "global" ? ` {${mem.scope}}` : "";
+                console.log(`  #${mem.id} [${mem.type}]${scopeLabel} ${mem.title}${score}`);
+                if (mem.explanation) console.log(`    ↔ linked: ${formatPath(mem.explanation.seed, mem.explanation.path)}`);
+                if (mem.supersededBy !== undefined) console.log(`    ⤳ superseded by #${mem.supersededBy}`);
+                if (mem.lineage) console.log(`    ↳ evolved from ${mem.lineage.map((id) => `#${id}`).join(", ")}`);
                 console.log(`    ${mem.content.substring(0, 120)}${mem.content.length > 120 ? "..." : ""}`);
                 console.log();
             }
@@ -140,12 +247,18 @@ program
     .option("-t, --type <type>", "Filter by memory type")
     .option("-s, --session <id>", "Include session context")
     .option("--short", "Compact preview (truncated content)")
+    .option("--chunks", "Return only the matching passage of long memories")
+    .option("--scope <name>", "Current scope — recalls it blended with global memories (default: $ENGRAM_SCOPE, else all scopes)", process.env.ENGRAM_SCOPE)
+    .option("--include-superseded", "Keep superseded memories, ranked lower")
     .action(async (query, opts) => {
         const { client } = await initDb();
         const result = await recall(client, query, {
             budget: parseInt(opts.budget),
             type: opts.type,
             sessionId: opts.session,
+            chunks: opts.chunks,
+            scope: opts.scope,
+            includeSuperseded: opts.includeSuperseded || false,
         });
 
         if (opts.short) {
@@ -157,6 +270,7 @@ program
             }
             for (const mem of result.memories) {
                 console.log(`  #${mem.id} [${mem.type}] ${mem.title}`);
+                if (mem.explanation) console.log(`    ↔ linked: ${formatPath(mem.explanation.seed, mem.explanation.path)}`);
                 console.log(`    ${mem.content.substring(0, 120)}${mem.content.length > 120 ? "..." : ""}`);
                 console.log();
             }
@@ -173,7 +287,7 @@ program
     .description("Link memories (supports multiple targets: engram link 5 1,2,3)")
     .argument("<sourceId>", "Source memory ID")
     .argument("<targetIds>", "Target memory ID(s), comma-separated (e.g. 133,134,135)")
-    .option("-r, --relation <type>", "Relation: related_to | caused_by | evolved_from | contradicts | supersedes", "related_to")
+    .option("-r, --relation <type>", "Relation: related_to | caused_by | evolved_from | contradicts | supersedes | … (engram relations list)", "related_to")
     .action(async (sourceId, targetIds, opts) => {
         const { client } = await initDb();
         const source = parseInt(sourceId);
@@ -260,13 +374,67 @@ sessionCmd
         await closeDb();
     });
 
+// -- db --
+// Every other command upgrades the schema to the latest version on start;
+// these open the store without migrating it.
+const dbCmd = program
+    .command("db")
+    .description("Schema migrations");
+
+dbCmd
+    .command("status")
+    .description("Show applied and pending schema migrations")
+    .action(async () => {
+        const status = await getMigrationStatus(getClient());
+        console.log(`\n🗄️  Schema v${status.current} (latest: v${status.latest})\n`);
+        const icons = { applied: "✅", pending: "⏳", modified: "⚠️", unknown: "❓" };
+        for (const m of status.migrations) {
+            const when = m.appliedAt ? ` — ${m.appliedAt}` : "";
+            const reversible = m.reversible ? "" : " (irreversible)";
+            console.log(`  ${icons[m.status]} v${m.version} ${m.status.padEnd(8)} ${m.description}${reversible}${when}`);
+        }
+        if (status.migrations.some((m) => m.status === "modified")) {
+            console.log("\n  ⚠️ Modified: the applied migration no longer matches this build's checksum.");
+        }
+        console.log();
+        await closeDb();
+    });
+
+dbCmd
+    .command("migrate")
+    .description("Migrate the schema up or down to a version")
+    .option("--to <n>", "Target version (default: latest)")
+    .action(async (opts) => {
+        const client = getClient();
+        const target = opts.to === undefined ? SCHEMA_VERSION : Number(opts.to);
+        try {
+            const before = (await getMigrationStatus(client)).current;
+            const result = await migrateTo(client, target);
+            // Recreates vector indexes dropped by earlier down-migrations
+            if (target === SCHEMA_VERSION) await runMigrations(client);
+            if (result.applied.length === 0 && result.reverted.length === 0) {
+                console.log(`✅ Schema already at v${target}`);
+            } else {
+                for (const v of result.reverted) console.log(`  ↩️  Reverted v${v}`);
+                for (const v of result.applied) console.log(`  ⬆️  Applied v${v}`);
+                console.log(`✅ Schema migrated from v${before} to v${target}`);
+            }
+        } catch (/** @type {any} */ err) {
+            console.error(`Error: ${err.message}`);
+            await closeDb();
+            process.exit(1);
+        }
+        await closeDb();
+    });
+
 // -- stats --
 program
     .command("stats")
     .description("Show memory statistics")
-    .action(async () => {
+    .option("--scope <name>", "Only count this scope")
+    .action(async (opts) => {
         const { client, vectorIndex } = await initDb();
-        const stats = await getStats(client);
+        const stats = await getStats(client, { scope: opts.scope });
         const lastConsolidation = await getMeta(client, "last_consolidation_at");
         const tags = await getAllTags(client);
 
@@ -276,10 +444,16 @@ program
         for (const [type, count] of Object.entries(stats.byType)) {
             console.log(`    ${type}: ${count}`);
         }
+        console.log(`  By scope:`);
+        for (const [scope, count] of Object.entries(stats.byScope)) {
+            console.log(`    ${scope}: ${count}`);
+        }
         console.log(`  Total links:    ${stats.totalLinks}`);
         console.log(`  Avg strength:   ${stats.avgStrength.toFixed(3)}`);
         console.log(`  Vector index:   ${vectorIndex ? "✅ DiskANN" : "⚠️ brute-force"}`);
         console.log(`  Device:         ${isInitialized() ? getDevice() : "not loaded"}`);
+        const model = await getStoreEmbeddingModel(client);
+        console.log(`  Embeddings:     ${model ? `${model.model} (${model.provider}, ${model.dim}-dim)` : "not recorded"}`);
         console.log(`  Last sleep:     ${lastConsolidation || "never"}`);
         if (tags.length > 0) {
             console.log(`  Top tags:       ${tags.slice(0, 5).map((t) => `${t.name}(${t.count})`).join(", ")}`);
@@ -291,60 +465,239 @@ program
 // -- sleep --
 program
     .command("sleep")
-    .description("Run sleep consolidation (decay, prune, merge, boost)")
+    .description("Run sleep consolidation (decay, prune, merge, conflicts, extract, boost, links)")
     .option("--dry-run", "Preview without making changes")
     .option("--decay-rate <n>", "Daily decay rate", "0.95")
     .option("--prune <n>", "Prune threshold", "0.05")
     .option("--merge <n>", "Merge similarity threshold", "0.92")
-    .action(async (opts) => {
+    .option("--review-merges", "Queue merge proposals instead of merging (default: $ENGRAM_MERGE_REVIEW=1)")
+    .option("--no-extract", "Skip pattern extraction (runs only with $ENGRAM_LLM_PROVIDER set)")
+    .option("--importance-weighted", "Decay important memories slower and unimportant ones faster")
+    .option("--spaced", "Spaced repetition: accesses restart the decay curve (replaces boost)")
+    .option("--link-learning-rate <n>", "Share of the gap to 1.0 a link gains when its ends are recalled together", "0.1")
+    .option("--link-decay-rate <n>", "Daily decay rate of links not recalled together", "0.99")
+    .option("--link-prune <n>", "Strength below which auto-links are deleted", "0.1")
+    .option("--json", "With --dry-run: print the plan as JSON")
+    .option("--list-runs", "List recent consolidation runs")
+    .option("--undo <runId>", "Restore the state before a run (if nothing changed since)")
+    .action((opts) => exitOnError(async () => {
         const { client } = await initDb();
 
-        if (opts.dryRun) {
-            const preview = await getConsolidationPreview(client, {
+        if (opts.listRuns) {
+            const runs = await listConsolidationRuns(client);
+            if (runs.length === 0) {
+                console.log("No consolidation runs recorded.");
+            } else {
+                console.log("\n💤 Consolidation runs\n");
+                for (const r of runs) {
+                    const status = r.undoneAt ? `undone ${r.undoneAt}` : r.finishedAt ? "" : "interrupted";
+                    console.log(`  #${r.id}  ${r.startedAt}  decayed ${r.decayed}, pruned ${r.pruned}, merged ${r.merged}, boosted ${r.boosted} — ${r.changes} changes${status ? `  [${status}]` : ""}`);
+                    console.log(`        merge ${r.options.mergeThreshold}, prune ${r.options.pruneThreshold}, decay ${r.options.decayRate}`);
+                }
+                console.log();
+            }
+        } else if (opts.undo !== undefined) {
+            const undone = await undoConsolidationRun(client, parseInt(opts.undo));
+            console.log(`⏪ Undid consolidation run #${undone.runId}: ${undone.memories} memories and ${undone.links} links restored`);
+            if (undone.reembedded > 0) console.log(`   Re-embedded ${undone.reembedded} unmerged memories`);
+        } else if (opts.dryRun) {
+            const plan = await getConsolidationPlan(client, {
+                decayRate: parseFloat(opts.decayRate),
                 pruneThreshold: parseFloat(opts.prune),
                 mergeThreshold: parseFloat(opts.merge),
+                reviewMerges: opts.reviewMerges,
+                extractPatterns: opts.extract,
+                importanceWeighted: opts.importanceWeighted || false,
+                spacedRepetition: opts.spaced || false,
+                linkLearningRate: parseFloat(opts.linkLearningRate),
+                linkDecayRate: parseFloat(opts.linkDecayRate),
+                linkPruneThreshold: parseFloat(opts.linkPrune),
             });
-            console.log("\n💤 Sleep Consolidation Preview (dry run)\n");
-            console.log("Weakest memories:");
-            for (const m of preview.weakest) {
-                console.log(`  #${m.id} [${m.type}] ${m.title} — strength: ${m.strength.toFixed(3)}, accesses: ${m.access_count}`);
+            if (opts.json) {
+                console.log(JSON.stringify(plan, null, 2));
+                return;
+            }
+            const strength = (/** @type {number} */ n) => n.toFixed(3);
+            console.log("\n💤 Sleep Consolidation Plan (dry run)\n");
+
+            console.log(`Decay — ${plan.decay.length} memories:`);
+            printTable(["ID", "Type", "Title", "Strength", "After"],
+                plan.decay.map((m) => [`#${m.id}`, m.type, clip(m.title), strength(m.strength), strength(m.projected)]));
+
+            console.log(`\nPrune — ${plan.prune.length} memories below ${plan.options.pruneThreshold} would be archived:`);
+            printTable(["ID", "Type", "Title", "Strength", "After decay"],
+                plan.prune.map((m) => [`#${m.id}`, m.type, clip(m.title), strength(m.strength), strength(m.projected)]));
+
+            const mergeAction = plan.options.reviewMerges ? "proposed for review" : "merged";
+            console.log(`\nMerge — ${plan.merge.length} pairs at similarity ≥ ${plan.options.mergeThreshold} would be ${mergeAction}:`);
+            printTable(["Keep", "Title", "Remove", "Title", "Similarity"],
+                plan.merge.map((d) => [`#${d.keep.id}`, clip(d.keep.title, 30), `#${d.remove.id}`, clip(d.remove.title, 30), d.similarity.toFixed(3)]));
+
+            console.log(`\nConflicts — ${plan.conflicts.length} pairs at similarity ≥ ${plan.options.conflictThreshold} would be linked as contradicting:`);
+            printTable(["Newer", "Title", "Older", "Title", "Reason"],
+                plan.conflicts.map((c) => [`#${c.a.id}`, clip(c.a.title, 30), `#${c.b.id}`, clip(c.b.title, 30), c.reason]));
+
+            if (plan.options.extractPatterns) {
+                console.log(`\nExtract — ${plan.extract.length} episode clusters would be sent to the chat model:`);
+                printTable(["Scope", "Episodes", "Titles"],
+                    plan.extract.map((c) => [c.scope, c.memories.map((m) => `#${m.id}`).join(" "), clip(c.memories.map((m) => m.title).join(" · "), 60)]));
+            } else {
+                console.log("\nExtract — skipped (no chat provider, see $ENGRAM_LLM_PROVIDER)");
+            }
+
+            if (plan.options.spacedRepetition) {
+                console.log("\nBoost — skipped (spaced repetition: accesses restart the decay curve instead)");
+            } else if (plan.boostDue) {
+                console.log(`\nBoost — ${plan.boost.length} memories with ≥ ${plan.options.boostMinAccess} accesses:`);
+                printTable(["ID", "Type", "Title", "Accesses", "Strength", "After"],
+                    plan.boost.map((m) => [`#${m.id}`, m.type, clip(m.title), String(m.accessCount), strength(m.strength), strength(m.projected)]));
+            } else {
+                console.log("\nBoost — skipped (last run less than a day ago)");
             }
-            console.log(`\nDuplicate candidates: ${preview.duplicateCandidates[0]?.count || 0}`);
+
+            const reinforced = plan.links.filter((l) => l.coRetrieved > 0);
+            const unlinked = plan.links.filter((l) => l.prune);
+            const decayed = plan.links.length - reinforced.length - unlinked.length;
+            console.log(`\nLinks — ${reinforced.length} recalled together would be reinforced, ${decayed} decayed, ${unlinked.length} auto-links below ${plan.options.linkPruneThreshold} pruned:`);
+            printTable(["Source", "Target", "Relation", "Origin", "Together", "Strength", "After"],
+                [...reinforced, ...unlinked].map((l) => [
+                    `#${l.source}`, `#${l.target}`, l.relation, l.origin, String(l.coRetrieved),
+                    strength(l.strength), l.prune ? "pruned" : strength(l.projected),
+                ]));
+            console.log();
         } else {
             const result = await runConsolidation(client, {
                 decayRate: parseFloat(opts.decayRate),
                 pruneThreshold: parseFloat(opts.prune),
                 mergeThreshold: parseFloat(opts.merge),
+                reviewMerges: opts.reviewMerges,
+                extractPatterns: opts.extract,
+                importanceWeighted: opts.importanceWeighted || false,
+                spacedRepetition: opts.spaced || false,
+                linkLearningRate: parseFloat(opts.linkLearningRate),
+                linkDecayRate: parseFloat(opts.linkDecayRate),
+                linkPruneThreshold: parseFloat(opts.linkPrune),
                 dryRun: false,
             });
-            console.log(`\n💤 Consolidation complete in ${result.elapsed_ms}ms`);
+            console.log(`\n💤 Consolidation run #${result.runId} complete in ${result.elapsed_ms}ms`);
             console.log(`  Decayed:  ${result.decayed}`);
             console.log(`  Pruned:   ${result.pruned}`);
             console.log(`  Merged:   ${result.merged}`);
+            if (result.proposed > 0) console.log(`  Proposed: ${result.proposed} merges queued for review (engram merges list)`);
+            if (result.conflicts > 0) console.log(`  Conflicts: ${result.conflicts} contradicting pairs flagged (engram conflicts list)`);
             console.log(`  Boosted:  ${result.boosted}`);
+            console.log(`  Links:    ${result.linksReinforced} reinforced, ${result.linksDecayed} decayed, ${result.linksPruned} pruned`);
+            if (result.patterns.length > 0) {
+                console.log(`  Patterns: ${result.patterns.length}`);
+                for (const p of result.patterns) {
+                    console.log(`    #${p.id} [${p.type}] ${p.title} ← ${p.sources.map((id) => `#${id}`).join(", ")}`);
+                }
+            }
+            console.log(`  Undo with: engram sleep --undo ${result.runId}`);
+        }
+    }));
+
+// -- daemon --
+program
+    .command("daemon")
+    .description("Run sleep consolidation in the background whenever it's due")
+    .option("--interval <days>", "Days between consolidations", "3")
+    .option("--check-every <minutes>", "Minutes between checks", "10")
+    .option("--once", "Check once, consolidate if due, and exit")
+    .option("--log", "Print the daemon's run log and exit")
+    .option("--decay-rate <n>", "Daily decay rate", "0.95")
+    .option("--review-merges", "Queue merge proposals instead of merging (default: $ENGRAM_MERGE_REVIEW=1)")
+    .option("--no-extract", "Skip pattern extraction")
+    .option("--importance-weighted", "Decay important memories slower and unimportant ones faster")
+    .option("--spaced", "Spaced repetition: accesses restart the decay curve (replaces boost)")
+    .action((opts) => exitOnError(async () => {
+        const { client } = await initDb();
+
+        if (opts.log) {
+            const entries = await getDaemonLog(client);
+            if (entries.length === 0) {
+                console.log("No daemon activity recorded.");
+                return;
+            }
+            console.log("\n🌙 Daemon log\n");
+            for (const e of entries) {
+                const detail = e.event === "run"
+                    ? `#${e.runId} — ${Object.entries(e.counts ?? {}).map(([k, v]) => `${k} ${v}`).join(", ")}`
+                    : e.message ?? "";
+                console.log(`  ${e.at}  pid ${e.pid}  ${e.event.padEnd(6)}  ${detail}`.trimEnd());
+            }
+            console.log();
+            return;
         }
-        await closeDb();
-    });
+
+        const intervalDays = parseFloat(opts.interval);
+        const checkEvery = parseFloat(opts.checkEvery);
+        if (!(intervalDays >= 0) || !(checkEvery > 0)) {
+            throw new Error(`Invalid schedule: --interval ${opts.interval}, --check-every ${opts.checkEvery}`);
+        }
+        if (!opts.once) console.log(`🌙 Engram daemon: consolidating every ${intervalDays} days, checking every ${checkEvery} min (Ctrl-C to stop)`);
+        await runDaemon(client, {
+            intervalDays,
+            checkEveryMs: checkEvery * 60 * 1000,
+            once: opts.once || false,
+            consolidation: {
+                decayRate: parseFloat(opts.decayRate),
+                reviewMerges: opts.reviewMerges,
+                extractPatterns: opts.extract,
+                importanceWeighted: opts.importanceWeighted || false,
+                spacedRepetition: opts.spaced || false,
+            },
+            onEvent: (e) => {
+                if (e.event === "run") {
+                    const c = e.counts ?? {};
+                    console.log(`${e.at}  💤 run #${e.runId}: decayed ${c.decayed}, pruned ${c.pruned}, merged ${c.merged}, boosted ${c.boosted} (${c.elapsed_ms}ms)`);
+                } else if (e.event === "locked" || e.event === "error") {
+                    console.log(`${e.at}  ⚠️  ${e.message}`);
+                } else if (e.event === "idle" && opts.once) {
+                    console.log(`Not due: last run ${e.daysSinceLast?.toFixed(1)} days ago (interval ${intervalDays} days)`);
+                } else if (e.event === "stop" && !opts.once) {
+                    console.log(`${e.at}  Daemon stopped`);
+                }
+            },
+        });
+    }));
 
 // -- export --
 program
     .command("export")
-    .description("Export memories to file (with tags and links)")
-    .option("-f, --format <fmt>", "Format: json | md", "json")
+    .description("Export memories to file (with tags and links), or the link graph for visualization")
+    .option("-f, --format <fmt>", "Format: json | md | dot | graphml | mermaid", "json")
     .option("-o, --output <path>", "Output file path")
-    .action(async (opts) => {
+    .option("--scope <name>", "Only export this scope (default: all scopes)")
+    .option("-t, --type <types>", "Graph formats: only these memory types, comma-separated")
+    .option("--tag <name>", "Graph formats: only memories with this tag")
+    .option("--root <id>", "Graph formats: only memories linked to this one, within --depth links")
+    .option("--depth <n>", "Graph formats: links to follow from --root", "2")
+    .action((opts) => exitOnError(async () => {
         const { client } = await initDb();
-        const output = await exportMemories(client, opts.format);
+        let output;
+        if (GRAPH_FORMATS.includes(opts.format)) {
+            output = await exportGraph(client, opts.format, {
+                types: opts.type?.split(",").map((/** @type {string} */ t) => t.trim()).filter(Boolean),
+                tag: opts.tag,
+                scope: opts.scope,
+                root: opts.root === undefined ? undefined : parseInt(opts.root),
+                depth: Number(opts.depth),
+            });
+        } else if (opts.type || opts.tag || opts.root) {
+            throw new Error(`--type, --tag and --root only apply to graph formats: ${GRAPH_FORMATS.join(", ")}`);
+        } else {
+            output = await exportMemories(client, opts.format, { scope: opts.scope });
+        }
 
         if (opts.output) {
             const { writeFileSync } = await import("node:fs");
             writeFileSync(opts.output, output);
-            console.log(`📦 Exported memories to ${opts.output}`);
+            console.log(`📦 Exported ${GRAPH_FORMATS.includes(opts.format) ? "graph" : "memories"} to ${opts.output}`);
         } else {
             console.log(output);
         }
-        await closeDb();
-    });
+    }));
 
 // -- get --
 program
@@ -359,10 +712,12 @@ program
         } else {
             console.log(`\n📝 Memory #${mem.id}\n`);
             console.log(`  Type:       ${mem.type}`);
+            console.log(`  Scope:      ${mem.scope}`);
             console.log(`  Title:      ${mem.title}`);
             console.log(`  Content:    ${mem.content}`);
             console.log(`  Importance: ${mem.importance}`);
             console.log(`  Strength:   ${mem.strength.toFixed(3)}`);
+            if (mem.half_life_days != null) console.log(`  Half-life:  ${mem.half_life_days} days`);
             console.log(`  Accesses:   ${mem.access_count}`);
             console.log(`  Created:    ${mem.created_at}`);
             if (mem.tags?.length) console.log(`  Tags:       ${mem.tags.join(", ")}`);
@@ -385,18 +740,22 @@ program
     .option("-c, --content <text>", "New content")
     .option("-i, --importance <n>", "New importance 0.0-1.0")
     .option("--type <type>", "Change memory type")
+    .option("--scope <name>", "Move the memory to another scope")
+    .option("--half-life <days>", "Days for strength to halve during sleep, or \"none\" for the type's decay rate")
     .action(async (id, opts) => {
         const { client } = await initDb();
         const memId = parseInt(id);
-        /** @type {Partial<{title: string, content: string, importance: number, type: string}>} */
+        /** @type {Partial<{title: string, content: string, importance: number, type: string, scope: string, halfLife: number | null}>} */
         const updates = {};
         if (opts.title) updates.title = opts.title;
         if (opts.content) updates.content = opts.content;
         if (opts.importance !== undefined) updates.importance = parseFloat(opts.importance);
         if (opts.type) updates.type = opts.type;
+        if (opts.scope) updates.scope = opts.scope;
+        if (opts.halfLife !== undefined) updates.halfLife = parseHalfLife(opts.halfLife);
 
         if (Object.keys(updates).length === 0) {
-            console.log("No updates specified. Use --title, --content, --importance, or --type.");
+            console.log("No updates specified. Use --title, --content, --importance, --type, --scope, or --half-life.");
             await closeDb();
             return;
         }
@@ -413,6 +772,76 @@ program
         await closeDb();
     });
 
+// -- history --
+program
+    .command("history")
+    .description("Show the revisions of a memory")
+    .argument("<id>", "Memory ID")
+    .action(async (id) => {
+        const { client } = await initDb();
+        const memId = parseInt(id);
+        const mem = await getMemory(client, memId);
+        if (!mem) {
+            console.log(`Memory #${id} not found.`);
+        } else {
+            const revisions = await listRevisions(client, memId);
+            console.log(`\n🕰️  Memory #${memId} — ${revisions.length} revision${revisions.length === 1 ? "" : "s"}\n`);
+            for (const r of revisions) {
+                console.log(`  rev ${r.revision}  [${r.type}] ${r.title} — ${r.content.length} chars, importance ${r.importance}`);
+                console.log(`         replaced ${r.created_at} by ${r.cause}`);
+            }
+            console.log(`  current [${mem.type}] ${mem.title} — ${mem.content.length} chars, importance ${mem.importance}`);
+            console.log();
+        }
+        await closeDb();
+    });
+
+// -- diff --
+program
+    .command("diff")
+    .description("Compare a revision with the current version of a memory")
+    .argument("<id>", "Memory ID")
+    .argument("<rev>", "Revision number (see engram history)")
+    .option("-C, --context <n>", "Unchanged lines shown around each change", "3")
+    .action(async (id, rev, opts) => {
+        const { client } = await initDb();
+        const diff = await diffRevision(client, parseInt(id), parseInt(rev));
+        if (!diff) {
+            console.log(`Memory #${id} has no revision ${rev}.`);
+        } else {
+            console.log(`\n🔍 Memory #${diff.memoryId}: rev ${diff.revision} → current\n`);
+            for (const [field, { from, to }] of Object.entries(diff.fields)) {
+                console.log(`  ${field}: ${from} → ${to}`);
+            }
+            if (diff.content.every((l) => l.op === " ")) {
+                console.log("  content: unchanged");
+            } else {
+                console.log(formatDiff(diff.content, parseInt(opts.context)));
+            }
+            console.log();
+        }
+        await closeDb();
+    });
+
+// -- revert --
+program
+    .command("revert")
+    .description("Restore a memory to an earlier revision (re-embeds it)")
+    .argument("<id>", "Memory ID")
+    .argument("<rev>", "Revision number (see engram history)")
+    .action(async (id, rev) => {
+        const { client } = await initDb();
+        const memId = parseInt(id);
+        if (await revertMemory(client, memId, parseInt(rev))) {
+            const saved = (await listRevisions(client, memId)).at(-1);
+            console.log(`⏪ Memory #${memId} reverted to rev ${rev}`);
+            if (saved?.cause === "revert") console.log(`   Previous version saved as rev ${saved.revision}`);
+        } else {
+            console.log(`Memory #${id} has no revision ${rev}.`);
+        }
+        await closeDb();
+    });
+
 // -- delete --
 program
     .command("delete")
@@ -471,6 +900,372 @@ tagCmd
         }
         await closeDb();
     });
+
+// -- types --
+const typesCmd = program
+    .command("types")
+    .description("Memory type registry");
+
+typesCmd
+    .command("list")
+    .description("List memory types and their defaults")
+    .action(() => exitOnError(async () => {
+        const { client } = await initDb();
+        const types = await listMemoryTypes(client);
+        console.log(`\n🧩 ${types.length} memory types:\n`);
+        for (const t of types) {
+            const defaults = [
+                `importance ${t.importance}`,
+                t.decayRate === null ? "decay default" : `decay ${t.decayRate.toFixed(4)}${t.halfLifeDays !== null ? ` (half-life ${Math.round(t.halfLifeDays)}d)` : ""}`,
+                t.permanent ? "permanent" : null,
+            ].filter(Boolean).join(", ");
+            console.log(`  ${t.name}${t.builtin ? "" : " (custom)"} — ${defaults}`);
+            if (t.description) console.log(`    ${t.description}`);
+        }
+        console.log();
+    }));
+
+typesCmd
+    .command("add")
+    .description("Register a memory type")
+    .argument("<name>", "Type name, lowercase snake_case (e.g. runbook, api_contract)")
+    .option("-d, --description <text>", "What memories of this type hold")
+    .option("-i, --importance <n>", "Default importance 0.0-1.0", "0.5")
+    .option("--decay-rate <n>", "Daily decay rate (default: the sleep run's rate)")
+    .option("--half-life <days>", "Decay rate as the days for strength to halve (instead of --decay-rate)")
+    .option("--permanent", "Exempt memories of this type from decay/prune")
+    .action((name, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const type = await addMemoryType(client, {
+            name,
+            description: opts.description,
+            importance: parseFloat(opts.importance),
+            decayRate: typeDecayRate(opts) ?? null,
+            permanent: opts.permanent || false,
+        });
+        console.log(`🧩 Memory type "${type.name}" registered`);
+    }));
+
+typesCmd
+    .command("update")
+    .description("Change a memory type's description or defaults")
+    .argument("<name>", "Type name")
+    .option("-d, --description <text>", "New description")
+    .option("-i, --importance <n>", "New default importance 0.0-1.0")
+    .option("--decay-rate <n>", "New daily decay rate, or \"none\" for the sleep run's rate")
+    .option("--half-life <days>", "New decay rate as the days for strength to halve, or \"none\"")
+    .option("--permanent", "Exempt memories of this type from decay/prune")
+    .option("--no-permanent", "Let memories of this type decay again")
+    .action((name, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        await updateMemoryType(client, name, {
+            description: opts.description,
+            importance: opts.importance !== undefined ? parseFloat(opts.importance) : undefined,
+            decayRate: typeDecayRate(opts),
+            permanent: opts.permanent,
+        });
+        console.log(`🧩 Memory type "${name}" updated`);
+    }));
+
+typesCmd
+    .command("remove")
+    .description("Remove an unused custom memory type")
+    .argument("<name>", "Type name")
+    .action((name) => exitOnError(async () => {
+        const { client } = await initDb();
+        await removeMemoryType(client, name);
+        console.log(`🧩 Memory type "${name}" removed`);
+    }));
+
+// -- relations --
+const relationsCmd = program
+    .command("relations")
+    .description("Link relation registry");
+
+relationsCmd
+    .command("list")
+    .description("List link relations")
+    .action(() => exitOnError(async () => {
+        const { client } = await initDb();
+        const relations = await listRelationTypes(client);
+        console.log(`\n🔗 ${relations.length} relations:\n`);
+        for (const r of relations) {
+            console.log(`  ${r.name}${r.builtin ? "" : " (custom)"}${r.description ? ` — ${r.description}` : ""}`);
+        }
+        console.log();
+    }));
+
+relationsCmd
+    .command("add")
+    .description("Register a link relation")
+    .argument("<name>", "Relation name, lowercase snake_case (e.g. depends_on)")
+    .option("-d, --description <text>", "What the relation means")
+    .action((name, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const relation = await addRelationType(client, { name, description: opts.description });
+        console.log(`🔗 Relation "${relation.name}" registered`);
+    }));
+
+relationsCmd
+    .command("remove")
+    .description("Remove an unused custom link relation")
+    .argument("<name>", "Relation name")
+    .action((name) => exitOnError(async () => {
+        const { client } = await initDb();
+        await removeRelationType(client, name);
+        console.log(`🔗 Relation "${name}" removed`);
+    }));
+
+// -- graph --
+const graphCmd = program
+    .command("graph")
+    .description("Explore the links between memories");
+
+graphCmd
+    .command("walk")
+    .description("Memories reachable from one through its links, with the path to each")
+    .argument("<id>", "Memory ID to start from")
+    .option("-r, --relation <names>", "Only follow these relations, comma-separated (default: all)")
+    .option("-d, --direction <dir>", "out (source → target) | in (target → source) | both", "both")
+    .option("--depth <n>", "Links to follow from the start", "2")
+    .option("--min-strength <n>", "Skip links weaker than this", "0")
+    .option("--dfs", "Depth-first, strongest links first (default: breadth-first)")
+    .option("-n, --limit <n>", "Max memories to show", "50")
+    .option("--scope <name>", "Only walk through this scope (default: all scopes)")
+    .option("--json", "Print the walk as JSON")
+    .action((id, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const startId = parseInt(id);
+        const nodes = await walkGraph(client, startId, {
+            relations: opts.relation?.split(",").map((/** @type {string} */ r) => r.trim()).filter(Boolean),
+            direction: opts.direction,
+            maxDepth: Number(opts.depth),
+            minStrength: Number(opts.minStrength),
+            order: opts.dfs ? "dfs" : "bfs",
+            limit: parseInt(opts.limit),
+            scope: opts.scope,
+        });
+        if (!nodes) {
+            console.log(`Memory #${startId} not found.`);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(nodes, null, 2));
+            return;
+        }
+        const [start, ...reached] = nodes;
+        console.log(`\n🕸️  #${start.id} [${start.type}] ${start.title} — ${reached.length} reachable:\n`);
+        for (const node of reached) {
+            console.log(`  #${node.id} [${node.type}] ${node.title}  (depth ${node.depth}, score ${node.score.toFixed(3)})`);
+            console.log(`    ${formatPath(start.id, node.path)}`);
+        }
+        if (reached.length > 0) console.log();
+    }));
+
+graphCmd
+    .command("path")
+    .description("Shortest chain of links between two memories")
+    .argument("<from>", "Memory ID")
+    .argument("<to>", "Memory ID")
+    .option("-r, --relation <names>", "Only follow these relations, comma-separated (default: all)")
+    .option("-d, --direction <dir>", "out (source → target) | in (target → source) | both", "both")
+    .option("--max-depth <n>", "Longest chain to look for", "6")
+    .option("--min-strength <n>", "Skip links weaker than this", "0")
+    .option("--scope <name>", "Only walk through this scope (default: all scopes)")
+    .option("--json", "Print the path as JSON")
+    .action((from, to, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const [fromId, toId] = [parseInt(from), parseInt(to)];
+        const nodes = await findPath(client, fromId, toId, {
+            relations: opts.relation?.split(",").map((/** @type {string} */ r) => r.trim()).filter(Boolean),
+            direction: opts.direction,
+            maxDepth: Number(opts.maxDepth),
+            minStrength: Number(opts.minStrength),
+            scope: opts.scope,
+        });
+        if (opts.json) {
+            console.log(JSON.stringify(nodes, null, 2));
+            return;
+        }
+        if (!nodes) {
+            console.log(`No path from #${fromId} to #${toId} within ${opts.maxDepth} links.`);
+            return;
+        }
+        const end = nodes[nodes.length - 1];
+        console.log(`\n🧭 #${fromId} → #${toId}: ${end.depth} links (score ${end.score.toFixed(3)})\n`);
+        console.log(`  #${nodes[0].id} [${nodes[0].type}] ${nodes[0].title}`);
+        for (const [i, edge] of end.path.entries()) {
+            const node = nodes[i + 1];
+            const arrow = edge.direction === "outgoing" ? `—${edge.relation}→` : `←${edge.relation}—`;
+            console.log(`    ${arrow} #${node.id} [${node.type}] ${node.title}  (strength ${edge.strength})`);
+        }
+        console.log();
+    }));
+
+graphCmd
+    .command("stats")
+    .description("Components, communities, hubs, orphans and cross-type bridges of the graph")
+    .option("-n, --top <n>", "Hubs, groups, orphans and bridges to show", "10")
+    .option("--by <ranking>", "Rank hubs by pagerank | degree", "pagerank")
+    .option("--scope <name>", "Only this scope (default: all scopes)")
+    .option("-t, --type <types>", "Only these memory types, comma-separated")
+    .option("--tag <name>", "Only memories with this tag")
+    .option("--root <id>", "Only memories linked to this one, within --depth links")
+    .option("--depth <n>", "Links to follow from --root", "2")
+    .option("--json", "Print the stats as JSON")
+    .action((opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const top = parseInt(opts.top);
+        const stats = await graphStats(client, {
+            top,
+            rankBy: opts.by,
+            scope: opts.scope,
+            types: opts.type?.split(",").map((/** @type {string} */ t) => t.trim()).filter(Boolean),
+            tag: opts.tag,
+            root: opts.root === undefined ? undefined : parseInt(opts.root),
+            depth: Number(opts.depth),
+        });
+        if (opts.json) {
+            console.log(JSON.stringify(stats, null, 2));
+            return;
+        }
+        const types = (/** @type {Record<string, number>} */ t) => Object.entries(t).map(([type, n]) => `${type} ${n}`).join(", ");
+        const groupRows = (/** @type {import("./graph.js").GraphGroup[]} */ groups) => groups.slice(0, top).map((g) =>
+            [String(g.size), String(g.links), `#${g.hub.id} ${clip(g.hub.title)}`, types(g.types)]);
+
+        console.log(`\n🕸️  Graph: ${stats.memories} memories, ${stats.links} links (${stats.averageDegree.toFixed(2)} per memory), ${stats.componentCount} components\n`);
+
+        const [largest, ...islands] = stats.components;
+        console.log(`Components — largest ${largest?.size ?? 0} memories, ${islands.length} islands, ${stats.orphans.length} orphans:`);
+        printTable(["Size", "Links", "Hub", "Types"], groupRows(stats.components));
+
+        console.log(`\nCommunities — ${stats.communities.length}:`);
+        printTable(["Size", "Links", "Hub", "Types"], groupRows(stats.communities));
+
+        console.log(`\nHubs — by ${opts.by}:`);
+        printTable(["ID", "Type", "Title", "Links", "In", "Out", "PageRank"],
+            stats.hubs.map((h) => [`#${h.id}`, h.type, clip(h.title), String(h.degree), String(h.inDegree), String(h.outDegree), h.pagerank.toFixed(4)]));
+
+        console.log(`\nOrphans — ${stats.orphans.length} without links:`);
+        printTable(["ID", "Type", "Title"], stats.orphans.slice(0, top).map((o) => [`#${o.id}`, o.type, clip(o.title)]));
+        if (stats.orphans.length > top) console.log(`  … and ${stats.orphans.length - top} more (--json for all)`);
+
+        const crossing = stats.bridges.types.reduce((sum, b) => sum + b.links, 0);
+        console.log(`\nCross-type bridges — ${crossing} links between memories of different types:`);
+        printTable(["From", "To", "Links"], stats.bridges.types.slice(0, top).map((b) => [b.from, b.to, String(b.links)]));
+        console.log("\nBridge memories — linked to the most other types:");
+        printTable(["ID", "Type", "Title", "Links", "To types"],
+            stats.bridges.memories.map((m) => [`#${m.id}`, m.type, clip(m.title), String(m.links), m.types.join(", ")]));
+        console.log();
+    }));
+
+// -- merges --
+const mergesCmd = program
+    .command("merges")
+    .description("Review queued merge proposals");
+
+mergesCmd
+    .command("list")
+    .description("List merge proposals (pending by default)")
+    .option("-s, --status <status>", "pending | accepted | rejected | stale | all", "pending")
+    .action((opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const proposals = await listMergeProposals(client, { status: opts.status });
+        if (proposals.length === 0) {
+            console.log(`No ${opts.status === "all" ? "" : `${opts.status} `}merge proposals.`);
+            return;
+        }
+        console.log(`\n🔀 ${proposals.length} merge proposals:\n`);
+        for (const p of proposals) {
+            const status = opts.status === "pending" ? "" : `  [${p.status}]`;
+            console.log(`  #${p.id}  keep #${p.keep.id} "${p.keep.title}" ← #${p.remove.id} "${p.remove.title}"${status}`);
+            console.log(`        similarity ${p.similarity.toFixed(3)}, found by ${p.source === "write" ? "add" : "sleep"} ${p.created_at}`);
+            if (p.title !== null) console.log(`        merged title: ${p.title}`);
+            if (p.content !== null) console.log(`        merged content: ${clip(p.content.replace(/\s+/g, " "), 80)}`);
+        }
+        console.log();
+    }));
+
+mergesCmd
+    .command("accept")
+    .description("Merge the pair: the removed memory is archived, its links move to the kept one")
+    .argument("<id>", "Proposal ID")
+    .action((id) => exitOnError(async () => {
+        const { client } = await initDb();
+        const { keepId, removeId } = await acceptMergeProposal(client, parseInt(id));
+        console.log(`🔀 Merged #${removeId} into #${keepId} (proposal #${id})`);
+    }));
+
+mergesCmd
+    .command("reject")
+    .description("Keep both memories; the pair won't be proposed or merged again")
+    .argument("<id>", "Proposal ID")
+    .action((id) => exitOnError(async () => {
+        const { client } = await initDb();
+        await rejectMergeProposal(client, parseInt(id));
+        console.log(`🚫 Merge proposal #${id} rejected`);
+    }));
+
+mergesCmd
+    .command("edit")
+    .description("Set the title/content the merged memory gets on accept")
+    .argument("<id>", "Proposal ID")
+    .option("-t, --title <title>", "Merged title (default: the kept memory's)")
+    .option("-c, --content <text>", "Merged content (default: both contents)")
+    .action((id, opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const proposal = await editMergeProposal(client, parseInt(id), { title: opts.title, content: opts.content });
+        console.log(`✏️  Merge proposal #${proposal.id} updated — accept with: engram merges accept ${proposal.id}`);
+    }));
+
+// -- conflicts --
+const conflictsCmd = program
+    .command("conflicts")
+    .description("Review memories that contradict each other");
+
+conflictsCmd
+    .command("list")
+    .description("List open conflicts (contradicts links)")
+    .option("--scope <name>", "Only this scope (default: all scopes)")
+    .action((opts) => exitOnError(async () => {
+        const { client } = await initDb();
+        const conflicts = await listConflicts(client, { scope: opts.scope });
+        if (conflicts.length === 0) {
+            console.log("No open conflicts.");
+            return;
+        }
+        console.log(`\n⚠️  ${conflicts.length} conflicts:\n`);
+        for (const c of conflicts) {
+            console.log(`  #${c.a.id} [${c.a.type}] "${c.a.title}"  ${c.a.created_at}`);
+            console.log(`        ${clip(c.a.content.replace(/\s+/g, " "), 80)}`);
+            console.log(`  #${c.b.id} [${c.b.type}] "${c.b.title}"  ${c.b.created_at}`);
+            console.log(`        ${clip(c.b.content.replace(/\s+/g, " "), 80)}`);
+            console.log(`    ${c.reason}, similarity ${c.similarity.toFixed(2)}\n`);
+        }
+    }));
+
+conflictsCmd
+    .command("resolve")
+    .description("Keep the winner; the loser is marked superseded and left out of recall")
+    .argument("<winner>", "ID of the memory that holds")
+    .argument("<loser>", "ID of the outdated memory")
+    .action((winner, loser) => exitOnError(async () => {
+        const { client } = await initDb();
+        await resolveConflict(client, parseInt(winner), parseInt(loser));
+        console.log(`✅ #${winner} supersedes #${loser}`);
+    }));
+
+conflictsCmd
+    .command("dismiss")
+    .description("Not a conflict: keep both, linked as related, and never flag the pair again")
+    .argument("<a>", "Memory ID")
+    .argument("<b>", "Memory ID")
+    .action((a, b) => exitOnError(async () => {
+        const { client } = await initDb();
+        await dismissConflict(client, parseInt(a), parseInt(b));
+        console.log(`🆗 Conflict between #${a} and #${b} dismissed`);
+    }));
+
 // -- diagnostics --
 program
     .command("diagnostics")
@@ -497,6 +1292,11 @@ program
                 console.log(`    #${d.a.id} ↔ #${d.b.id} (${(d.similarity * 100).toFixed(1)}%) — "${d.a.title}" / "${d.b.title}"`);
             }
         }
+
+        const graph = await graphStats(client, { top: 1 });
+        const islands = Math.max(0, graph.components.length - 1);
+        const hub = graph.hubs[0] ? `, top hub #${graph.hubs[0].id} "${graph.hubs[0].title}" (${graph.hubs[0].degree} links)` : "";
+        console.log(`\n  Graph: ${islands} islands, ${graph.orphans.length} orphans${hub} — details: engram graph stats`);
         console.log();
         await closeDb();
     });
@@ -539,6 +1339,7 @@ program
     .option("-f, --file <path>", "Read JSON from file")
     .option("--remove-file", "Delete the source file after successful ingest (only with --file)")
     .option("-l, --link-to <links>", "Link ALL ingested memories to targets: targetId:relation,... (e.g. 133:related_to)")
+    .option("--scope <name>", "Scope for memories without their own \"scope\" field", process.env.ENGRAM_SCOPE || "global")
     .action(async (jsonArg, opts) => {
         let raw;
         if (opts.file) {
@@ -573,15 +1374,16 @@ program
             process.exit(1);
         }
 
-        const VALID_TYPES = new Set(["reflex", "episode", "fact", "preference", "decision"]);
+        const { client } = await initDb();
+        const validTypes = (await getRegistryNames(client)).types;
         for (let i = 0; i < memories.length; i++) {
             const m = memories[i];
             if (!m.type || !m.title) {
                 console.error(`Error: memory[${i}] missing required field "type" or "title".`);
                 process.exit(1);
             }
-            if (!VALID_TYPES.has(m.type)) {
-                console.error(`Error: memory[${i}] has invalid type "${m.type}". Valid: ${[...VALID_TYPES].join(", ")}`);
+            if (!validTypes.includes(m.type)) {
+                console.error(`Error: memory[${i}] has invalid type "${m.type}". Valid: ${validTypes.join(", ")}`);
                 process.exit(1);
             }
         }
@@ -589,9 +1391,11 @@ program
         // Parse global --link-to
         const globalLinks = opts.linkTo ? parseLinkTo(opts.linkTo) : [];
 
-        const { client } = await initDb();
         const results = [];
 
+        // One batched embedding pass up front — each addMemory below is then a cache hit
+        await warmEmbeddingCache(client, memories.map((m) => `${m.title}\n${m.content || m.title}`));
+
         for (let i = 0; i < memories.length; i++) {
             const m = memories[i];
             const tags = m.tags ? (Array.isArray(m.tags) ? m.tags : m.tags.split(",").map((t) => t.trim())) : [];
@@ -603,7 +1407,8 @@ program
                     title: m.title,
                     content: m.content || m.title,
                     tags,
-                    importance: m.importance ?? 0.5,
+                    importance: m.importance,
+                    scope: m.scope || opts.scope,
                     autoLink: m.autoLink !== false,
                 });
                 results.push({ id: result.id, title: m.title, type: m.type, ok: true, status: result.status });
@@ -704,6 +1509,75 @@ program
         await closeDb();
     });
 
+// -- serve --
+program
+    .command("serve")
+    .description("Run a long-lived server that keeps the model and DB warm")
+    .option("--mcp", "Serve MCP (Model Context Protocol) tools over stdio")
+    .option("--http <port>", "Serve the HTTP/JSON API on a local port")
+    .option("--host <addr>", "Bind address for --http", "127.0.0.1")
+    .action(async (opts) => {
+        if (!opts.mcp === !opts.http) {
+            console.error("Error: choose exactly one transport: --mcp or --http <port>");
+            process.exit(1);
+        }
+        const { client } = await initDb();
+        if (opts.mcp) {
+            // stdout carries protocol messages — never console.log in this mode
+            await serveMcp(client);
+        } else {
+            const port = parseInt(opts.http);
+            if (isNaN(port)) {
+                console.error(`Error: invalid port "${opts.http}"`);
+                process.exit(1);
+            }
+            await serveHttp(client, {
+                port,
+                host: opts.host,
+                onListening: ({ host, port }) => console.log(`🌐 Engram HTTP API on http://${host}:${port}`),
+            });
+        }
+        await closeDb();
+    });
+
+// -- reembed --
+program
+    .command("reembed")
+    .description("Re-embed all memories and sessions with a new embedding model")
+    .requiredOption("-m, --model <id>", "Target model ID")
+    .option("-p, --provider <name>", `Embedding provider (${PROVIDER_NAMES.join(", ")})`, process.env.ENGRAM_EMBEDDING_PROVIDER || "transformers")
+    .option("--dim <n>", "Vector dimension (detected from the model when omitted)")
+    .option("-b, --batch-size <n>", "Texts per embedding batch", "32")
+    .option("--force", "Re-embed even if the store already uses this model")
+    .action(async (opts) => {
+        const { client } = await initDb();
+        const provider = createProvider(opts.provider, {
+            model: opts.model,
+            dim: opts.dim ? parseInt(opts.dim) : undefined,
+        });
+
+        console.log(`\n🔄 Re-embedding with ${provider.model} (${provider.name})...\n`);
+        const result = await reembedStore(client, provider, {
+            batchSize: parseInt(opts.batchSize),
+            force: opts.force,
+            onProgress: ({ phase, done, total }) => process.stdout.write(`\r  ${phase}: ${done}/${total}`),
+        });
+
+        if (result.skipped) {
+            if (result.chunked > 0) console.log(`\n  Chunked:      ${result.chunked} memories`);
+            console.log(`✅ Store already uses ${result.model} (${result.dim}-dim). Use --force to re-embed anyway.`);
+        } else {
+            console.log(`\n\n✅ Re-embed ${result.resumed ? "resumed and " : ""}complete:`);
+            console.log(`  Model:        ${result.model} (${result.dim}-dim)`);
+            console.log(`  Memories:     ${result.memories}`);
+            console.log(`  Sessions:     ${result.sessions}`);
+            console.log(`  Chunked:      ${result.chunked}`);
+            console.log(`  Vector index: ${result.vectorIndex ? "✅ DiskANN" : "⚠️ brute-force"}`);
+        }
+        console.log();
+        await closeDb();
+    });
+
 // Force exit after all commands complete — transformers.js worker threads
 // keep the process alive otherwise, causing a hang after output is printed.
 program.hook("postAction", () => {
@@ -0,0 +1,321 @@
+// @ts-check
+/**
+ * Contradiction detection and resolution.
+ *
+ * Two memories of the same scope conflict when they are about the same thing
+ * (cosine ≥ threshold) but say opposite things: one uses a term and the other
+ * its opposite (use/avoid, enable/disable…), only one of them is negated, or
+ * they give different numbers. Episodes record what happened and never
+ * conflict.
+ *
+ * A conflict is a `contradicts` link from the newer memory to the older one,
+ * created by addMemory and by sleep. It is resolved by marking one memory as
+ * superseding the other (retrieval then leaves the superseded one out, see
+ * lineage.js), or
+ * dismissed, after which the pair is never flagged again.
+ */
+
+import { blobToVector, cosineSimilarity } from "./embeddings.js";
+import { pairKey } from "./merges.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+const NEGATIONS = new Set(["not", "no", "never", "none", "nothing", "nor", "without", "cannot"]);
+
+/** Term pairs that flip a claim */
+const OPPOSITES = [
+    ["use", "avoid"], ["prefer", "avoid"], ["enable", "disable"], ["enabled", "disabled"],
+    ["always", "never"], ["allow", "forbid"], ["allow", "deny"], ["accept", "reject"],
+    ["include", "exclude"], ["increase", "decrease"], ["true", "false"], ["keep", "remove"],
+];
+
+/**
+ * @typedef {Object} ConflictSide
+ * @property {number} id
+ * @property {string} type
+ * @property {string} title
+ * @property {string} content
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Conflict
+ * @property {ConflictSide} a       - The newer memory (link source)
+ * @property {ConflictSide} b       - The older memory (link target)
+ * @property {number} similarity
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} ConflictCandidate
+ * @property {{id: number, title: string}} a   - The newer memory
+ * @property {{id: number, title: string}} b   - The older memory
+ * @property {number} similarity
+ * @property {string} reason
+ */
+
+/**
+ * Whether memories of a type can contradict each other.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function canConflict(type) {
+    return type !== "episode";
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return text.toLowerCase().replace(/’/g, "'").match(/[\p{L}\p{N}.']+/gu)?.map((t) => t.replace(/^[.']+|[.']+$/g, "")).filter(Boolean) ?? [];
+}
+
+/**
+ * Why two texts about the same thing contradict each other, or null if they
+ * don't appear to.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string | null}
+ */
+export function conflictReason(a, b) {
+    const tokensA = tokenize(a);
+    const tokensB = tokenize(b);
+    const wordsA = new Set(tokensA);
+    const wordsB = new Set(tokensB);
+
+    for (const [x, y] of OPPOSITES) {
+        if (wordsA.has(x) && !wordsA.has(y) && wordsB.has(y) && !wordsB.has(x)) return `opposite terms: ${x} / ${y}`;
+        if (wordsA.has(y) && !wordsA.has(x) && wordsB.has(x) && !wordsB.has(y)) return `opposite terms: ${y} / ${x}`;
+    }
+
+    const negations = (/** @type {string[]} */ tokens) =>
+        tokens.filter((t) => NEGATIONS.has(t) || t.endsWith("n't")).length % 2;
+    if (negations(tokensA) !== negations(tokensB)) return "only one is negated";
+
+    const numbers = (/** @type {string[]} */ tokens) => new Set(tokens.filter((t) => /^\d+(\.\d+)?$/.test(t)));
+    const numbersA = numbers(tokensA);
+    const numbersB = numbers(tokensB);
+    if (numbersA.size > 0 && numbersB.size > 0) {
+        const onlyA = [...numbersA].filter((n) => !numbersB.has(n));
+        const onlyB = [...numbersB].filter((n) => !numbersA.has(n));
+        if (onlyA.length > 0 && onlyB.length > 0) return `different values: ${onlyA.join(", ")} / ${onlyB.join(", ")}`;
+    }
+    return null;
+}
+
+/**
+ * Keys (see pairKey) of pairs that are never flagged: already linked as
+ * contradicting or superseding, or dismissed.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @returns {Promise<Set<string>>}
+ */
+async function getSettledPairs(client) {
+    const result = await client.execute(
+        `SELECT source_id AS x, target_id AS y FROM memory_links WHERE relation IN ('contradicts', 'supersedes')
+         UNION ALL SELECT low_id, high_id FROM conflict_dismissals`
+    );
+    return new Set(result.rows.map((r) => pairKey(Number(r.x), Number(r.y))));
+}
+
+/**
+ * Memories a newly written memory conflicts with: its nearest neighbours of
+ * the same scope at cosine ≥ threshold that contradict it.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {{id: number, title: string, content: string, scope: string, embedding: Uint8Array}} memory
+ * @param {number} [threshold] - Default 0.8
+ * @returns {Promise<Array<{id: number, similarity: number, reason: string}>>}
+ */
+export async function findConflictsFor(client, memory, threshold = 0.8) {
+    const filter = "m.id != ? AND m.archived = 0 AND m.scope = ? AND m.type != 'episode'";
+    let rows;
+    try {
+        const result = await client.execute({
+            sql: `SELECT m.id, m.title, m.content, vector_distance_cos(m.content_embedding, vector(?)) AS dist
+                  FROM vector_top_k('memories_vec_idx', vector(?), 10) v
+                  JOIN memories m ON m.rowid = v.id
+                  WHERE ${filter} ORDER BY dist ASC`,
+            args: [memory.embedding, memory.embedding, memory.id, memory.scope],
+        });
+        rows = result.rows;
+    } catch (/** @type {any} */ err) {
+        trace("[engram] vector_top_k failed, conflict check falls back to brute-force:", err?.message || String(err));
+        const result = await client.execute({
+            sql: `SELECT m.id, m.title, m.content, vector_distance_cos(m.content_embedding, vector(?)) AS dist
+                  FROM memories m WHERE m.content_embedding IS NOT NULL AND ${filter} ORDER BY dist ASC LIMIT 10`,
+            args: [memory.embedding, memory.id, memory.scope],
+        });
+        rows = result.rows;
+    }
+
+    const settled = await getSettledPairs(client);
+    const text = `${memory.title}\n${memory.content}`;
+    /** @type {Array<{id: number, similarity: number, reason: string}>} */
+    const conflicts = [];
+    for (const row of rows) {
+        const similarity = 1 - Number(row.dist);
+        if (similarity < threshold || settled.has(pairKey(memory.id, Number(row.id)))) continue;
+        const reason = conflictReason(text, `${row.title}\n${row.content}`);
+        if (reason) conflicts.push({ id: Number(row.id), similarity, reason });
+    }
+    return conflicts;
+}
+
+/**
+ * All conflicting pairs in the store — what sleep flags (O(n²) over memories
+ * of conflicting types, like the brute-force merge scan).
+ * @param {import("@libsql/client").Client} client
+ * @param {number} threshold
+ * @param {Set<number>} [exclude] - Memory ids to leave out (e.g. about to be pruned or merged away)
+ * @returns {Promise<ConflictCandidate[]>}
+ */
+export async function findConflictCandidates(client, threshold, exclude = new Set()) {
+    const rows = await client.execute(
+        `SELECT id, scope, title, content, content_embedding FROM memories
+         WHERE archived = 0 AND type != 'episode' AND content_embedding IS NOT NULL ORDER BY id`
+    );
+    const memories = rows.rows.filter((r) => !exclude.has(Number(r.id))).map((r) => ({
+        id: Number(r.id),
+        scope: String(r.scope),
+        title: String(r.title),
+        text: `${r.title}\n${r.content}`,
+        embedding: blobToVector(/** @type {Uint8Array} */(/** @type {unknown} */(r.content_embedding))),
+    }));
+    const settled = await getSettledPairs(client);
+
+    /** @type {ConflictCandidate[]} */
+    const candidates = [];
+    for (let i = 0; i < memories.length; i++) {
+        for (let j = i + 1; j < memories.length; j++) {
+            const older = memories[i], newer = memories[j];
+            if (older.scope !== newer.scope || settled.has(pairKey(older.id, newer.id))) continue;
+            const similarity = cosineSimilarity(older.embedding, newer.embedding);
+            if (similarity < threshold) continue;
+            const reason = conflictReason(newer.text, older.text);
+            if (!reason) continue;
+            candidates.push({ a: { id: newer.id, title: newer.title }, b: { id: older.id, title: older.title }, similarity, reason });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Link a conflicting pair with `contradicts`, newer → older. An existing link
+ * in that direction (e.g. an auto `related_to`) is replaced.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} newerId
+ * @param {number} olderId
+ * @param {number} similarity
+ * @returns {Promise<{relation: string, strength: number, origin: string} | null>} The replaced link, if any
+ */
+export async function flagConflict(client, newerId, olderId, similarity) {
+    const existing = await client.execute({
+        sql: "SELECT relation, strength, origin FROM memory_links WHERE source_id = ? AND target_id = ?",
+        args: [newerId, olderId],
+    });
+    await client.execute({
+        sql: "INSERT OR REPLACE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, 'contradicts', ?)",
+        args: [newerId, olderId, Math.round(similarity * 100) / 100],
+    });
+    trace(`[engram] Conflict flagged: #${newerId} contradicts #${olderId} (${similarity.toFixed(3)})`);
+    const row = existing.rows[0];
+    return row ? { relation: String(row.relation), strength: Number(row.strength), origin: String(row.origin) } : null;
+}
+
+/**
+ * Open conflicts, oldest first.
+ * @param {import("@libsql/client").Client} client
+ * @param {{scope?: string}} [options] - Default: all scopes
+ * @returns {Promise<Conflict[]>}
+ */
+export async function listConflicts(client, options = {}) {
+    const result = await client.execute({
+        sql: `SELECT l.strength,
+                     a.id AS a_id, a.type AS a_type, a.title AS a_title, a.content AS a_content, a.created_at AS a_created,
+                     b.id AS b_id, b.type AS b_type, b.title AS b_title, b.content AS b_content, b.created_at AS b_created
+              FROM memory_links l
+              JOIN memories a ON a.id = l.source_id
+              JOIN memories b ON b.id = l.target_id
+              WHERE l.relation = 'contradicts' AND a.archived = 0 AND b.archived = 0
+                ${options.scope !== undefined ? "AND a.scope = ?" : ""}
+              ORDER BY l.created_at, l.source_id`,
+        args: options.scope !== undefined ? [options.scope] : [],
+    });
+    return result.rows.map((r) => {
+        const side = (/** @type {string} */ p) => ({
+            id: Number(r[`${p}_id`]),
+            type: String(r[`${p}_type`]),
+            title: String(r[`${p}_title`]),
+            content: String(r[`${p}_content`]),
+            created_at: String(r[`${p}_created`]),
+        });
+        const a = side("a"), b = side("b");
+        return {
+            a, b,
+            similarity: Number(r.strength),
+            // Not stored: recomputed, and gone if either side was edited since
+            reason: conflictReason(`${a.title}\n${a.content}`, `${b.title}\n${b.content}`) ?? "flagged (edited since)",
+        };
+    });
+}
+
+/**
+ * @param {import("@libsql/client").Client} client
+ * @param {number} x
+ * @param {number} y
+ */
+async function requireConflict(client, x, y) {
+    const result = await client.execute({
+        sql: `SELECT 1 FROM memory_links WHERE relation = 'contradicts'
+              AND ((source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?))`,
+        args: [x, y, y, x],
+    });
+    if (result.rows.length === 0) throw new Error(`No conflict between #${x} and #${y} — see engram conflicts list`);
+}
+
+/**
+ * Resolve a conflict: the winner `supersedes` the loser, replacing the
+ * `contradicts` link. Recall leaves superseded memories out.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} winnerId
+ * @param {number} loserId
+ */
+export async function resolveConflict(client, winnerId, loserId) {
+    await requireConflict(client, winnerId, loserId);
+    await client.batch([
+        {
+            sql: `DELETE FROM memory_links WHERE relation = 'contradicts'
+                  AND ((source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?))`,
+            args: [winnerId, loserId, loserId, winnerId],
+        },
+        {
+            sql: "INSERT OR REPLACE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, 'supersedes', 1.0)",
+            args: [winnerId, loserId],
+        },
+    ], "write");
+    trace(`[engram] Conflict resolved: #${winnerId} supersedes #${loserId}`);
+}
+
+/**
+ * Dismiss a conflict: both memories stand, linked as `related_to`, and the
+ * pair is never flagged again.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} x
+ * @param {number} y
+ */
+export async function dismissConflict(client, x, y) {
+    await requireConflict(client, x, y);
+    await client.batch([
+        {
+            sql: `UPDATE memory_links SET relation = 'related_to' WHERE relation = 'contradicts'
+                  AND ((source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?))`,
+            args: [x, y, y, x],
+        },
+        {
+            sql: "INSERT OR IGNORE INTO conflict_dismissals (low_id, high_id) VALUES (?, ?)",
+            args: [Math.min(x, y), Math.max(x, y)],
+        },
+    ], "write");
+    trace(`[engram] Conflict dismissed: #${x} / #${y}`);
+}
@@ -5,50 +5,135 @@
  * Implements the Ebbinghaus forgetting curve, duplicate merging,
  * pattern extraction, and active memory boosting.
  *
+ * Decay follows a profile: a memory's own half-life, else its type's decay
+ * rate (see registry.js), else the run's. It can optionally be weighted by
+ * importance, and with spaced repetition each access restarts the curve.
+ *
+ * Links learn from use: a link is reinforced when a recall or session
+ * returned both of its ends, decays when nothing did, and auto-links that
+ * decay below a threshold are pruned.
+ *
  * Designed to run periodically (e.g. every 3 days).
  */
 
-import { embed, cosineSimilarity, vectorToBlob, blobToVector } from "./embeddings.js";
+import { randomUUID } from "node:crypto";
+import { getMeta, setMeta, acquireLock, releaseLock, withWriteTransaction } from "./db.js";
+import { cosineSimilarity, vectorToBlob, blobToVector } from "./embeddings.js";
+import { assertEmbeddingModel } from "./providers.js";
+import { embedBatchCached, pruneEmbeddingCache, pruneRerankCache } from "./cache.js";
+import { indexChunks, embeddingTexts } from "./memory.js";
+import { recordRevision } from "./history.js";
+import {
+    startConsolidationRun, recordConsolidationChanges, finishConsolidationRun, pruneConsolidationJournal,
+    CONSOLIDATION_LOCK,
+} from "./journal.js";
+import {
+    proposeMerge, mergeReviewDefault, requirePendingProposal, setProposalStatus, staleProposalsFor,
+    getRejectedPairs, pairKey,
+} from "./merges.js";
+import { getChatProvider } from "./llm.js";
+import { findPatternClusters, extractPatterns } from "./patterns.js";
+import { findConflictCandidates, flagConflict } from "./conflicts.js";
+import { EngramError } from "./errors.js";
 
 /** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
 const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
-import { getMeta, setMeta } from "./db.js";
+
+/** A crashed run's lock is taken over after this long */
+const CONSOLIDATION_LOCK_TTL_MS = 60 * 60 * 1000;
+/** A live run renews its lock this often, so a long run is never taken over */
+const CONSOLIDATION_LOCK_RENEW_MS = CONSOLIDATION_LOCK_TTL_MS / 4;
 
 /**
  * @typedef {Object} ConsolidationResult
  * @property {number} decayed      - Number of memories with reduced strength
  * @property {number} pruned       - Number of archived memories
  * @property {number} merged       - Number of merged duplicates
+ * @property {number} proposed     - Merge proposals queued instead (reviewMerges)
+ * @property {number} conflicts    - Contradicting pairs newly linked with `contradicts`
  * @property {number} boosted      - Number of boosted memories
- * @property {string[]} patterns   - Extracted patterns (if LLM available)
+ * @property {number} linksReinforced - Links whose ends were recalled together since the last run
+ * @property {number} linksDecayed - Links weakened for lack of use
+ * @property {number} linksPruned  - Weak auto-links deleted
+ * @property {import("./patterns.js").ExtractedPattern[]} patterns - Reflexes/facts generalized from episodes (needs a chat provider)
  * @property {number} elapsed_ms   - Total time
+ * @property {number | null} runId - Journal id for `undoConsolidationRun` (null on dry runs)
+ * @property {ConsolidationPlan} [plan] - Dry runs only: what a real run would change
  */
 
 /**
  * @typedef {Object} ConsolidationOptions
- * @property {number} [decayRate]         - Daily decay rate (default 0.95)
+ * @property {number} [decayRate]         - Daily decay rate for types without their own (default 0.95)
  * @property {number} [pruneThreshold]    - Strength below which to archive (default 0.05)
  * @property {number} [mergeThreshold]    - Cosine similarity for merging (default 0.92)
  * @property {number} [boostFactor]       - Multiplier for frequently accessed memories (default 1.1)
  * @property {number} [boostMinAccess]    - Min access count to qualify for boost (default 3)
- * @property {boolean} [dryRun]           - If true, don't modify data
+ * @property {boolean} [importanceWeighted] - Important memories decay slower, unimportant ones faster (default false)
+ * @property {boolean} [spacedRepetition] - Accesses restart the decay curve instead of the boost step (default false)
+ * @property {boolean} [reviewMerges]     - Queue merge proposals instead of merging (default: ENGRAM_MERGE_REVIEW=1)
+ * @property {number} [conflictThreshold] - Cosine similarity for contradiction checks (default 0.8)
+ * @property {boolean} [extractPatterns]  - Generalize episode clusters with the chat model, if one is configured (default true)
+ * @property {number} [clusterThreshold]  - Cosine similarity that relates two episodes for extraction (default 0.75)
+ * @property {number} [linkLearningRate]  - Share of the gap to 1.0 a link gains per co-retrieval (default 0.1)
+ * @property {number} [linkDecayRate]     - Daily decay rate of links not co-retrieved (default 0.99)
+ * @property {number} [linkPruneThreshold] - Strength below which auto-links are deleted (default 0.1)
+ * @property {boolean} [dryRun]           - If true, don't modify data; the result carries the plan
  */
 
 /**
  * Run the full sleep consolidation cycle.
  *
  * Steps:
- *  1. Decay — reduce strength based on time since last access
+ *  1. Decay — reduce strength based on time since last run (or, with spacedRepetition, last access)
  *  2. Prune — archive memories below threshold
  *  3. Merge — find and merge near-duplicates
- *  4. Extract — identify patterns (optional, LLM)
- *  5. Boost — strengthen frequently accessed memories
+ *  4. Conflicts — link close memories that contradict each other (see conflicts.js)
+ *  5. Extract — generalize episode clusters into reflexes/facts (needs a chat provider, see llm.js)
+ *  6. Boost — strengthen frequently accessed memories (skipped with spacedRepetition)
+ *  7. Links — reinforce co-retrieved links, decay the others, prune weak auto-links
+ *
+ * Every change is journaled under a run id (see journal.js). With dryRun
+ * nothing is written and the result carries the full plan instead.
+ *
+ * A run holds the database's consolidation lock, renewed while it lasts: if
+ * another process is already consolidating, this throws "Consolidation is
+ * already running". Dry runs don't take the lock. The lock only keeps runs
+ * apart; ordinary writes (add, update, recall…) don't take it, and are kept
+ * consistent with a run by each change being its own write transaction
+ * (see withWriteTransaction in db.js).
  *
  * @param {import("@libsql/client").Client} client
  * @param {ConsolidationOptions} [options]
  * @returns {Promise<ConsolidationResult>}
  */
 export async function runConsolidation(client, options = {}) {
+    if (options.dryRun) return consolidate(client, options);
+    const owner = randomUUID();
+    const holder = await acquireLock(client, CONSOLIDATION_LOCK, owner, CONSOLIDATION_LOCK_TTL_MS);
+    if (holder) {
+        throw new EngramError("conflict", `Consolidation is already running (pid ${holder.pid} on ${holder.host} since ${holder.acquiredAt})`);
+    }
+    const renew = setInterval(() => {
+        acquireLock(client, CONSOLIDATION_LOCK, owner, CONSOLIDATION_LOCK_TTL_MS)
+            .then((taken) => taken && trace(`[engram] Consolidation lock lost to pid ${taken.pid} on ${taken.host}`))
+            .catch((/** @type {any} */ err) => trace("[engram] Consolidation lock renewal failed:", err?.message || String(err)));
+    }, CONSOLIDATION_LOCK_RENEW_MS);
+    renew.unref();
+    try {
+        return await consolidate(client, options);
+    } finally {
+        clearInterval(renew);
+        await releaseLock(client, CONSOLIDATION_LOCK, owner);
+    }
+}
+
+/**
+ * The consolidation cycle itself; runConsolidation handles the lock.
+ * @param {import("@libsql/client").Client} client
+ * @param {ConsolidationOptions} options
+ * @returns {Promise<ConsolidationResult>}
+ */
+async function consolidate(client, options) {
     const startTime = Date.now();
     const {
         decayRate = 0.95,
@@ -56,6 +141,15 @@ export async function runConsolidation(client, options = {}) {
         mergeThreshold = 0.92,
         boostFactor = 1.1,
         boostMinAccess = 3,
+        importanceWeighted = false,
+        spacedRepetition = false,
+        reviewMerges = mergeReviewDefault(),
+        conflictThreshold = 0.8,
+        extractPatterns: extract = true,
+        clusterThreshold = 0.75,
+        linkLearningRate = 0.1,
+        linkDecayRate = 0.99,
+        linkPruneThreshold = 0.1,
         dryRun = false,
     } = options;
 
@@ -69,43 +163,209 @@ export async function runConsolidation(client, options = {}) {
         : null;
     trace(`[engram]   Last run: ${lastRunAt ?? 'never'} (${daysSinceLast?.toFixed(1) ?? '∞'} days ago)`);
 
+    if (dryRun) {
+        const plan = await getConsolidationPlan(client, options);
+        return {
+            decayed: plan.decay.length,
+            pruned: plan.prune.length,
+            merged: reviewMerges ? 0 : plan.merge.length,
+            proposed: reviewMerges ? plan.merge.length : 0,
+            conflicts: plan.conflicts.length,
+            boosted: plan.boost.length,
+            linksReinforced: plan.links.filter((l) => l.coRetrieved > 0).length,
+            linksDecayed: plan.links.filter((l) => l.coRetrieved === 0 && !l.prune).length,
+            linksPruned: plan.links.filter((l) => l.prune).length,
+            patterns: [],
+            elapsed_ms: Date.now() - startTime,
+            runId: null,
+            plan,
+        };
+    }
+
+    const runId = await startConsolidationRun(
+        client, {
+            decayRate, pruneThreshold, mergeThreshold, boostFactor, boostMinAccess, importanceWeighted, spacedRepetition,
+            reviewMerges, conflictThreshold, extractPatterns: extract, linkLearningRate, linkDecayRate, linkPruneThreshold,
+        }, lastRunAt
+    );
+    /** @type {import("./journal.js").JournalChange[]} */
+    const journal = [];
+    // Journal each step as soon as it's done
+    const flush = () => recordConsolidationChanges(client, runId, journal.splice(0));
+
     // Step 1: Decay — only for the period since last consolidation
-    const decayed = await stepDecay(client, decayRate, dryRun, lastRunAt);
+    const decayed = await stepDecay(client, decayedStrength(decayRate, lastRunAt, { importanceWeighted, spacedRepetition }), journal);
+    await flush();
     trace(`[engram]   Decay: ${decayed} memories affected`);
 
     // Step 2: Prune
-    const pruned = await stepPrune(client, pruneThreshold, dryRun);
+    const pruned = await stepPrune(client, pruneThreshold, journal);
+    await flush();
     trace(`[engram]   Prune: ${pruned} memories archived`);
 
-    // Step 3: Merge
-    const merged = await stepMerge(client, mergeThreshold, dryRun);
-    trace(`[engram]   Merge: ${merged} duplicates merged`);
+    // Step 3: Merge — or queue proposals for review
+    let merged = 0, proposed = 0;
+    if (reviewMerges) {
+        proposed = await stepProposeMerges(client, mergeThreshold);
+        trace(`[engram]   Merge: ${proposed} proposals queued for review`);
+    } else {
+        merged = await stepMerge(client, mergeThreshold, journal);
+        await flush();
+        trace(`[engram]   Merge: ${merged} duplicates merged`);
+    }
+
+    // Step 4: Conflicts
+    const conflicts = await stepConflicts(client, conflictThreshold, journal);
+    await flush();
+    trace(`[engram]   Conflicts: ${conflicts} pairs flagged`);
 
-    // Step 4: Extract — placeholder for future LLM-based pattern extraction.
-    // When implemented, this step will analyze clusters of related memories
-    // and extract common patterns, generalizations, or meta-rules.
-    // Requires access to a local LLM (e.g. via LM Studio API).
-    /** @type {string[]} */
-    const patterns = [];
+    // Step 5: Extract — only with a chat model configured
+    /** @type {import("./patterns.js").ExtractedPattern[]} */
+    let patterns = [];
+    const chat = extract ? getChatProvider() : null;
+    if (chat) {
+        patterns = await stepExtract(client, chat, clusterThreshold, journal);
+        await flush();
+        trace(`[engram]   Extract: ${patterns.length} patterns`);
+    } else {
+        trace("[engram]   Extract: skipped (no chat provider)");
+    }
 
-    // Step 5: Boost — only if ≥1 day since last consolidation (idempotency guard)
+    // Step 6: Boost — only if ≥1 day since last consolidation (idempotency guard)
     let boosted = 0;
-    if (daysSinceLast === null || daysSinceLast >= 1.0) {
-        boosted = await stepBoost(client, boostFactor, boostMinAccess, dryRun);
+    if (spacedRepetition) {
+        trace("[engram]   Boost: skipped (spaced repetition — accesses restarted the decay curve)");
+    } else if (boostDue(daysSinceLast)) {
+        boosted = await stepBoost(client, boostFactor, boostMinAccess, journal);
+        await flush();
         trace(`[engram]   Boost: ${boosted} memories strengthened`);
     } else {
         trace(`[engram]   Boost: skipped (only ${daysSinceLast.toFixed(1)} days since last run, need ≥1)`);
     }
 
-    // Update last consolidation timestamp
-    if (!dryRun) {
-        await setMeta(client, "last_consolidation_at", new Date().toISOString());
-    }
+    // Step 7: Links — learn from what recalls returned together since the last run
+    const { reinforced: linksReinforced, decayed: linksDecayed, pruned: linksPruned } = await stepLinks(
+        client, await linkChanges(client, { learningRate: linkLearningRate, decayRate: linkDecayRate, pruneThreshold: linkPruneThreshold, lastRunAt }), journal
+    );
+    await flush();
+    trace(`[engram]   Links: ${linksReinforced} reinforced, ${linksDecayed} decayed, ${linksPruned} pruned`);
+
+    // Update last consolidation timestamp; keep the journal and the model caches bounded
+    await finishConsolidationRun(client, runId, { decayed, pruned, merged, boosted });
+    await setMeta(client, "last_consolidation_at", new Date().toISOString());
+    const droppedChanges = await pruneConsolidationJournal(client);
+    trace(`[engram]   Journal: ${droppedChanges} changes of old runs dropped`);
+    const staleScores = await pruneRerankCache(client);
+    const expiredVectors = await pruneEmbeddingCache(client);
+    trace(`[engram]   Caches: ${staleScores} stale rerank scores, ${expiredVectors} expired vectors dropped`);
 
     const elapsed_ms = Date.now() - startTime;
     trace(`[engram] 💤 Consolidation complete in ${elapsed_ms}ms`);
 
-    return { decayed, pruned, merged, boosted, patterns, elapsed_ms };
+    return {
+        decayed, pruned, merged, proposed, conflicts, boosted, linksReinforced, linksDecayed, linksPruned,
+        patterns, elapsed_ms, runId,
+    };
+}
+
+/**
+ * Boost runs at most once a day (idempotency guard).
+ * @param {number | null} daysSinceLast - null if consolidation never ran
+ * @returns {boolean}
+ */
+function boostDue(daysSinceLast) {
+    return daysSinceLast === null || daysSinceLast >= 1.0;
+}
+
+/**
+ * SQL condition matching memories exempt from decay and pruning (F026):
+ * tagged 'permanent', or of a memory type registered as permanent.
+ * @param {string} [alias] - Table alias prefix for memories, e.g. "m."
+ * @returns {string}
+ */
+function permanentCondition(alias = "") {
+    return `(${alias}id IN (
+        SELECT mt.memory_id FROM memory_tags mt
+        JOIN tags t ON t.id = mt.tag_id WHERE t.name = 'permanent'
+    )
+    OR ${alias}type IN (SELECT name FROM memory_types WHERE permanent = 1))`;
+}
+
+/**
+ * SQL condition excluding memories exempt from decay and pruning.
+ * @param {string} [alias] - Table alias prefix for memories, e.g. "m."
+ * @returns {string}
+ */
+function permanentExclude(alias = "") {
+    return `AND NOT ${permanentCondition(alias)}`;
+}
+
+/**
+ * Strength of a `memories` row after decay, as an SQL expression and its
+ * arguments.
+ *
+ * The daily rate comes from the memory's half_life_days, else its type's
+ * decay_rate, else the run's. With importanceWeighted, elapsed days count
+ * (1.5 − importance) times: importance 1.0 halves the pace, 0.5 is neutral.
+ *
+ * With spacedRepetition, a memory accessed since the last run (per
+ * access_log) restarts at full strength from its latest access, and the
+ * curve flattens with every distinct day the memory was accessed on — the
+ * spacing effect: ten reviews on ten days outlast ten on one.
+ *
+ * @param {number} decayRate - Rate for memories and types without their own
+ * @param {string | null} lastRunAt - ISO timestamp of last consolidation
+ * @param {{importanceWeighted?: boolean, spacedRepetition?: boolean}} [options]
+ * @returns {{sql: string, args: any[]}}
+ */
+function decayedStrength(decayRate, lastRunAt, { importanceWeighted = false, spacedRepetition = false } = {}) {
+    const rate = `COALESCE(POWER(0.5, 1.0 / memories.half_life_days),
+              (SELECT mty.decay_rate FROM memory_types mty WHERE mty.name = memories.type), ?)`;
+    const since = "julianday(COALESCE(?, memories.last_accessed_at, memories.created_at))";
+    const weight = importanceWeighted ? " * (1.5 - memories.importance)" : "";
+    if (!spacedRepetition) {
+        return {
+            sql: `memories.strength * POWER(${rate}, MAX(0, julianday('now') - ${since})${weight})`,
+            args: [decayRate, lastRunAt],
+        };
+    }
+
+    const lastAccess = "(SELECT MAX(julianday(a.accessed_at)) FROM access_log a WHERE a.memory_id = memories.id)";
+    const reviewDays = "(SELECT MAX(1, COUNT(DISTINCT date(a.accessed_at))) FROM access_log a WHERE a.memory_id = memories.id)";
+    // Accessed since the last run — or at all, on a first run
+    const reset = `COALESCE(${lastAccess} > julianday(?), ${lastAccess} IS NOT NULL)`;
+    return {
+        sql: `(CASE WHEN ${reset} THEN 1.0 ELSE memories.strength END) * POWER(${rate},
+              MAX(0, julianday('now') - (CASE WHEN ${reset} THEN ${lastAccess} ELSE ${since} END))${weight} / ${reviewDays})`,
+        args: [lastRunAt, decayRate, lastRunAt, lastRunAt],
+    };
+}
+
+/**
+ * UPDATE memories and journal the given columns, before and after, for every
+ * row it changed. Run it inside a write transaction, so that no other write
+ * lands between reading the before values and the UPDATE.
+ * @param {import("@libsql/client").Transaction} client
+ * @param {import("./journal.js").JournalChange[]} journal
+ * @param {import("./journal.js").ChangeStep} step
+ * @param {string[]} columns - Columns the UPDATE writes
+ * @param {{set: string, where: string, setArgs?: any[], whereArgs?: any[]}} statement
+ * @returns {Promise<number>} Rows changed
+ */
+async function journaledUpdate(client, journal, step, columns, { set, where, setArgs = [], whereArgs = [] }) {
+    const list = columns.join(", ");
+    const before = await client.execute({ sql: `SELECT id, ${list} FROM memories WHERE ${where}`, args: whereArgs });
+    const after = await client.execute({
+        sql: `UPDATE memories SET ${set} WHERE ${where} RETURNING id, ${list}`,
+        args: [...setArgs, ...whereArgs],
+    });
+    const previous = new Map(before.rows.map((r) => [Number(r.id), r]));
+    const pick = (/** @type {Record<string, any>} */ row) => Object.fromEntries(columns.map((c) => [c, row[c]]));
+    for (const row of after.rows) {
+        const old = previous.get(Number(row.id));
+        if (old) journal.push({ step, memoryId: Number(row.id), before: pick(old), after: pick(row) });
+    }
+    return after.rows.length;
 }
 
 /**
@@ -117,42 +377,21 @@ export async function runConsolidation(client, options = {}) {
  *
  * Formula: strength *= decayRate ^ daysSinceLastConsolidation
  * First run (no history): uses days since last_accessed_at as fallback.
+ * The rate and the curve come from the decay profile (see decayedStrength).
  *
  * @param {import("@libsql/client").Client} client
- * @param {number} decayRate
- * @param {boolean} dryRun
- * @param {string | null} lastRunAt - ISO timestamp of last consolidation
+ * @param {{sql: string, args: any[]}} decayed - From decayedStrength()
+ * @param {import("./journal.js").JournalChange[]} journal
  * @returns {Promise<number>}
  */
-async function stepDecay(client, decayRate, dryRun, lastRunAt) {
-    // F026: Exclude memories tagged 'permanent' from decay
-    const permanentExclude = `AND m.id NOT IN (
-        SELECT mt.memory_id FROM memory_tags mt
-        JOIN tags t ON t.id = mt.tag_id WHERE t.name = 'permanent'
-    )`;
-
-    if (dryRun) {
-        const count = await client.execute(
-            `SELECT COUNT(*) as n FROM memories m WHERE m.archived = 0 AND m.last_accessed_at IS NOT NULL ${permanentExclude}`
-        );
-        return Number(count.rows[0].n);
-    }
-
+async function stepDecay(client, decayed, journal) {
     // Idempotent decay: only decay for the days SINCE the last consolidation run.
     // If no prior run, fall back to days since last access (first-time catch-up).
-    const result = await client.execute({
-        sql: `UPDATE memories SET 
-          strength = strength * POWER(?, MAX(0, julianday('now') - julianday(COALESCE(?, last_accessed_at, created_at)))),
-          updated_at = datetime('now')
-          WHERE archived = 0 AND strength > 0
-          AND id NOT IN (
-              SELECT mt.memory_id FROM memory_tags mt
-              JOIN tags t ON t.id = mt.tag_id WHERE t.name = 'permanent'
-          )`,
-        args: [decayRate, lastRunAt],
-    });
-
-    return result.rowsAffected;
+    return withWriteTransaction(client, (tx) => journaledUpdate(tx, journal, "decay", ["strength", "updated_at"], {
+        set: `strength = ${decayed.sql}, updated_at = datetime('now')`,
+        setArgs: decayed.args,
+        where: `archived = 0 AND strength > 0 ${permanentExclude()}`,
+    }));
 }
 
 /**
@@ -160,93 +399,175 @@ async function stepDecay(client, decayRate, dryRun, lastRunAt) {
  *
  * @param {import("@libsql/client").Client} client
  * @param {number} threshold
- * @param {boolean} dryRun
+ * @param {import("./journal.js").JournalChange[]} journal
  * @returns {Promise<number>}
  */
-async function stepPrune(client, threshold, dryRun) {
-    // F026: Exclude memories tagged 'permanent' from pruning
-    const permanentExclude = `AND id NOT IN (
-        SELECT mt.memory_id FROM memory_tags mt
-        JOIN tags t ON t.id = mt.tag_id WHERE t.name = 'permanent'
-    )`;
-
-    if (dryRun) {
-        const count = await client.execute({
-            sql: `SELECT COUNT(*) as n FROM memories WHERE archived = 0 AND strength < ? ${permanentExclude}`,
-            args: [threshold],
-        });
-        return Number(count.rows[0].n);
-    }
-
-    const result = await client.execute({
-        sql: `UPDATE memories SET archived = 1, updated_at = datetime('now') WHERE archived = 0 AND strength < ? ${permanentExclude}`,
-        args: [threshold],
-    });
-
-    return result.rowsAffected;
+async function stepPrune(client, threshold, journal) {
+    return withWriteTransaction(client, (tx) => journaledUpdate(tx, journal, "prune", ["archived", "updated_at"], {
+        set: "archived = 1, updated_at = datetime('now')",
+        where: `archived = 0 AND strength < ? ${permanentExclude()}`,
+        whereArgs: [threshold],
+    }));
 }
 
 /**
- * Step 3: Merge — find near-duplicates and merge them.
- *
- * Uses DiskANN vector_top_k for O(n × k) neighbor lookup instead of O(n²)
- * brute-force pairwise comparison. Falls back to brute-force when index
- * is unavailable.
+ * Step 3: Merge — find near-duplicates and merge them. Only memories of the
+ * same type and scope are ever merged.
  *
  * @param {import("@libsql/client").Client} client
  * @param {number} threshold - Cosine similarity threshold (0.92 = very similar)
- * @param {boolean} dryRun
+ * @param {import("./journal.js").JournalChange[]} journal
  * @returns {Promise<number>}
  */
-async function stepMerge(client, threshold, dryRun) {
-    // Try DiskANN path first
-    let duplicates;
-    try {
-        duplicates = await _findMergeCandidatesDiskANN(client, threshold);
-    } catch (/** @type {any} */ err) {
-        trace("[engram] DiskANN merge-scan failed, falling back to brute-force:", err?.message || String(err));
-        duplicates = await _findMergeCandidatesBruteForce(client, threshold);
+async function stepMerge(client, threshold, journal) {
+    const duplicates = await findMergeCandidates(client, threshold);
+    if (duplicates.length > 0) await assertEmbeddingModel(client);
+
+    // Merge content: append unique parts from removed memory
+    const mergedContents = duplicates.map((dup) => mergedContentOf(dup.keep, dup.remove));
+
+    // Re-embed all merged contents, chunks included, in one batched pass
+    // before any write lock is taken
+    const texts = duplicates.map((dup, i) => embeddingTexts(dup.keep.title, mergedContents[i]));
+    const vectors = await embedBatchCached(client, texts.flat());
+    let offset = 0;
+    const newEmbeddings = texts.map((group) => {
+        const embedding = vectors[offset];
+        offset += group.length;
+        return embedding;
+    });
+
+    // Execute merges, each in a transaction of its own: never half done
+    for (const [i, dup] of duplicates.entries()) {
+        await withWriteTransaction(client, (tx) => applyMerge(tx, dup, {
+            title: dup.keep.title, content: mergedContents[i], embedding: newEmbeddings[i], cause: "consolidation",
+        }, journal));
     }
 
-    if (dryRun) return duplicates.length;
-
-    // Execute merges
-    for (const dup of duplicates) {
-        // Merge content: append unique parts from removed memory
-        const mergedContent = `${dup.keep.content}\n\n[Merged from: ${dup.remove.title}]\n${dup.remove.content}`;
-        const mergedImportance = Math.max(dup.keep.importance, dup.remove.importance);
-        const mergedStrength = Math.max(dup.keep.strength, dup.remove.strength);
-
-        // Re-embed merged content
-        const newEmbedding = await embed(`${dup.keep.title}\n${mergedContent}`);
-        const embeddingBlob = vectorToBlob(newEmbedding);
-
-        await client.execute({
-            sql: `UPDATE memories SET 
-            content = ?, content_embedding = vector(?), importance = ?, strength = ?,
-            access_count = access_count + ?, updated_at = datetime('now')
-            WHERE id = ?`,
-            args: [mergedContent, embeddingBlob, mergedImportance, mergedStrength, dup.remove.accessCount, dup.keep.id],
+    return duplicates.length;
+}
+
+/**
+ * Step 3 with merge review: queue each near-duplicate pair as a merge
+ * proposal instead of merging it (see merges.js).
+ * @param {import("@libsql/client").Client} client
+ * @param {number} threshold
+ * @returns {Promise<number>} New proposals; pairs already pending aren't counted
+ */
+async function stepProposeMerges(client, threshold) {
+    let proposed = 0;
+    for (const dup of await findMergeCandidates(client, threshold)) {
+        const id = await proposeMerge(client, {
+            keepId: dup.keep.id, removeId: dup.remove.id, similarity: dup.similarity, source: "consolidation",
         });
+        if (id !== null) proposed++;
+    }
+    return proposed;
+}
+
+/**
+ * Default content of a merged memory: the kept content, then the removed one under its title.
+ * @param {{content: string}} keep
+ * @param {{title: string, content: string}} remove
+ * @returns {string}
+ */
+function mergedContentOf(keep, remove) {
+    return `${keep.content}\n\n[Merged from: ${remove.title}]\n${remove.content}`;
+}
+
+/**
+ * Merge one pair: rewrite the kept memory, archive the removed one and move
+ * its links over. Importance and strength take the higher of the two, access
+ * counts add up. Pending proposals involving the removed memory go stale.
+ * @param {import("@libsql/client").Transaction} client
+ * @param {MergeCandidate} dup
+ * @param {{title: string, content: string, embedding: Float32Array, cause: import("./history.js").RevisionCause}} merged
+ * @param {import("./journal.js").JournalChange[]} journal
+ */
+async function applyMerge(client, dup, merged, journal) {
+    const mergedImportance = Math.max(dup.keep.importance, dup.remove.importance);
+    const mergedStrength = Math.max(dup.keep.strength, dup.remove.strength);
+
+    await recordRevision(client, dup.keep.id, merged.cause);
+    await journaledUpdate(client, journal, "merge", ["title", "content", "importance", "strength", "access_count", "updated_at"], {
+        set: `title = ?, content = ?, content_embedding = vector(?), importance = ?, strength = ?,
+            access_count = access_count + ?, updated_at = datetime('now')`,
+        setArgs: [merged.title, merged.content, vectorToBlob(merged.embedding), mergedImportance, mergedStrength, dup.remove.accessCount],
+        where: "id = ?",
+        whereArgs: [dup.keep.id],
+    });
+    await indexChunks(client, dup.keep.id, merged.title, merged.content);
 
-        // Archive the duplicate (don't delete — keep for audit)
-        await client.execute({
-            sql: "UPDATE memories SET archived = 1, updated_at = datetime('now') WHERE id = ?",
+    // Archive the duplicate (don't delete — keep for audit)
+    await journaledUpdate(client, journal, "merge", ["archived", "updated_at"], {
+        set: "archived = 1, updated_at = datetime('now')",
+        where: "id = ?",
+        whereArgs: [dup.remove.id],
+    });
+    await staleProposalsFor(client, dup.remove.id);
+
+    // Transfer links from removed to kept, one at a time so each move is journaled
+    for (const column of /** @type {const} */ (["source_id", "target_id"])) {
+        const moving = await client.execute({
+            sql: `SELECT source_id, target_id FROM memory_links WHERE ${column} = ?`,
             args: [dup.remove.id],
         });
+        for (const link of moving.rows) {
+            const before = { source_id: Number(link.source_id), target_id: Number(link.target_id) };
+            const moved = await client.execute({
+                sql: `UPDATE OR IGNORE memory_links SET ${column} = ? WHERE source_id = ? AND target_id = ?`,
+                args: [dup.keep.id, before.source_id, before.target_id],
+            });
+            if (moved.rowsAffected > 0) {
+                journal.push({ step: "link", memoryId: dup.remove.id, before, after: { ...before, [column]: dup.keep.id } });
+            }
+        }
+    }
+}
 
-        // Transfer links from removed to kept
-        await client.execute({
-            sql: "UPDATE OR IGNORE memory_links SET source_id = ? WHERE source_id = ?",
-            args: [dup.keep.id, dup.remove.id],
-        });
-        await client.execute({
-            sql: "UPDATE OR IGNORE memory_links SET target_id = ? WHERE target_id = ?",
-            args: [dup.keep.id, dup.remove.id],
-        });
+/**
+ * Accept a pending merge proposal: merge the pair the way sleep does, using
+ * the proposal's edited title/content if set.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ * @returns {Promise<{keepId: number, removeId: number}>}
+ */
+export async function acceptMergeProposal(client, id) {
+    const proposal = await requirePendingProposal(client, id);
+    const rows = await client.execute({
+        sql: "SELECT id, title, content, importance, strength, access_count, archived FROM memories WHERE id IN (?, ?)",
+        args: [proposal.keep.id, proposal.remove.id],
+    });
+    const sides = [proposal.keep.id, proposal.remove.id].map((memoryId) => rows.rows.find((r) => Number(r.id) === memoryId));
+    const gone = sides.findIndex((r) => !r || Number(r.archived) === 1);
+    if (gone !== -1) {
+        await setProposalStatus(client, id, "stale");
+        throw new Error(`Merge proposal #${id} is stale: memory #${gone === 0 ? proposal.keep.id : proposal.remove.id} was archived`);
     }
+    const [keep, remove] = sides.map((r) => {
+        const row = /** @type {Record<string, any>} */ (r);
+        return {
+            id: Number(row.id),
+            title: String(row.title),
+            content: String(row.content),
+            importance: Number(row.importance),
+            strength: Number(row.strength),
+            accessCount: Number(row.access_count),
+        };
+    });
 
-    return duplicates.length;
+    const title = proposal.title ?? keep.title;
+    const content = proposal.content ?? mergedContentOf(keep, remove);
+    await assertEmbeddingModel(client);
+    const [embedding] = await embedBatchCached(client, embeddingTexts(title, content));
+    await withWriteTransaction(client, async (tx) => {
+        await applyMerge(tx, { keep, remove, similarity: proposal.similarity }, {
+            title, content, embedding, cause: proposal.source === "write" ? "merge" : "consolidation",
+        }, []);
+        await setProposalStatus(tx, id, "accepted");
+    });
+    trace(`[engram] Accepted merge proposal #${id}: #${remove.id} into #${keep.id}`);
+    return { keepId: keep.id, removeId: remove.id };
 }
 
 /**
@@ -256,26 +577,52 @@ async function stepMerge(client, threshold, dryRun) {
  * @property {number} similarity
  */
 
+/**
+ * Find near-duplicate pairs of the same type and scope.
+ *
+ * Uses DiskANN vector_top_k for O(n × k) neighbor lookup instead of O(n²)
+ * brute-force pairwise comparison. Falls back to brute-force when index
+ * is unavailable.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {number} threshold
+ * @param {Set<number>} [exclude] - Memory ids to leave out (e.g. about to be pruned)
+ * @returns {Promise<MergeCandidate[]>} Pairs rejected in merge review are never returned
+ */
+async function findMergeCandidates(client, threshold, exclude = new Set()) {
+    const rejected = await getRejectedPairs(client);
+    try {
+        return await _findMergeCandidatesDiskANN(client, threshold, exclude, rejected);
+    } catch (/** @type {any} */ err) {
+        trace("[engram] DiskANN merge-scan failed, falling back to brute-force:", err?.message || String(err));
+        return _findMergeCandidatesBruteForce(client, threshold, exclude, rejected);
+    }
+}
+
 /**
  * DiskANN-accelerated merge candidate detection — O(n × k).
  * @param {import("@libsql/client").Client} client
  * @param {number} threshold
+ * @param {Set<number>} exclude
+ * @param {Set<string>} rejected - pairKey()s never to merge
  * @returns {Promise<MergeCandidate[]>}
  */
-async function _findMergeCandidatesDiskANN(client, threshold) {
+async function _findMergeCandidatesDiskANN(client, threshold, exclude, rejected) {
     const memories = await client.execute(
-        "SELECT id, type, title, content, content_embedding, importance, strength, access_count FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL ORDER BY id"
+        "SELECT id, type, scope, title, content, content_embedding, importance, strength, access_count FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL ORDER BY id"
     );
 
     if (memories.rows.length < 2) return [];
 
     // Build lookup map
-    /** @type {Map<number, {id: number, type: string, title: string, content: string, importance: number, strength: number, accessCount: number, embedding: any}>} */
+    /** @type {Map<number, {id: number, type: string, scope: string, title: string, content: string, importance: number, strength: number, accessCount: number, embedding: any}>} */
     const memMap = new Map();
     for (const r of memories.rows) {
+        if (exclude.has(Number(r.id))) continue;
         memMap.set(Number(r.id), {
             id: Number(r.id),
             type: String(r.type),
+            scope: String(r.scope),
             title: String(r.title),
             content: String(r.content),
             importance: Number(r.importance),
@@ -297,13 +644,14 @@ async function _findMergeCandidatesDiskANN(client, threshold) {
             sql: `SELECT m.id, m.type, v.distance as dist
                   FROM vector_top_k('memories_vec_idx', vector(?), ?) v
                   JOIN memories m ON m.rowid = v.id
-                  WHERE m.id != ? AND m.archived = 0 AND m.type = ?`,
-            args: [mem.embedding, neighborsK, id, mem.type],
+                  WHERE m.id != ? AND m.archived = 0 AND m.type = ? AND m.scope = ?`,
+            args: [mem.embedding, neighborsK, id, mem.type, mem.scope],
         });
 
         for (const neighbor of neighbors.rows) {
             const neighborId = Number(neighbor.id);
             if (toRemove.has(neighborId)) continue;
+            if (rejected.has(pairKey(id, neighborId))) continue;
 
             const similarity = 1 - Number(neighbor.dist);
             if (similarity < threshold) continue;
@@ -333,18 +681,21 @@ async function _findMergeCandidatesDiskANN(client, threshold) {
  * Brute-force O(n²) merge candidate detection — fallback.
  * @param {import("@libsql/client").Client} client
  * @param {number} threshold
+ * @param {Set<number>} exclude
+ * @param {Set<string>} rejected - pairKey()s never to merge
  * @returns {Promise<MergeCandidate[]>}
  */
-async function _findMergeCandidatesBruteForce(client, threshold) {
+async function _findMergeCandidatesBruteForce(client, threshold, exclude, rejected) {
     const memories = await client.execute(
-        "SELECT id, type, title, content, content_embedding, importance, strength, access_count FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL ORDER BY id"
+        "SELECT id, type, scope, title, content, content_embedding, importance, strength, access_count FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL ORDER BY id"
     );
 
     if (memories.rows.length < 2) return [];
 
-    const parsedMemories = memories.rows.map((r) => ({
+    const parsedMemories = memories.rows.filter((r) => !exclude.has(Number(r.id))).map((r) => ({
         id: Number(r.id),
         type: String(r.type),
+        scope: String(r.scope),
         title: String(r.title),
         content: String(r.content),
         embedding: r.content_embedding ? blobToVector(/** @type {Uint8Array} */(/** @type {unknown} */(r.content_embedding))) : null,
@@ -365,6 +716,8 @@ async function _findMergeCandidatesBruteForce(client, threshold) {
             if (toRemove.has(parsedMemories[j].id)) continue;
             if (!parsedMemories[j].embedding) continue;
             if (parsedMemories[i].type !== parsedMemories[j].type) continue;
+            if (parsedMemories[i].scope !== parsedMemories[j].scope) continue; // never merge across scopes
+            if (rejected.has(pairKey(parsedMemories[i].id, parsedMemories[j].id))) continue;
 
             const sim = cosineSimilarity(
         /** @type {Float32Array} */(parsedMemories[i].embedding),
@@ -389,33 +742,177 @@ async function _findMergeCandidatesBruteForce(client, threshold) {
     return duplicates;
 }
 
+/**
+ * Step 4: Conflicts — link each pair of close memories that contradict each
+ * other, newer → older. Each link is journaled with the link it replaced.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} threshold
+ * @param {import("./journal.js").JournalChange[]} journal
+ * @returns {Promise<number>}
+ */
+async function stepConflicts(client, threshold, journal) {
+    const candidates = await findConflictCandidates(client, threshold);
+    for (const c of candidates) {
+        const replaced = await flagConflict(client, c.a.id, c.b.id, c.similarity);
+        journal.push({
+            step: "conflict",
+            memoryId: c.a.id,
+            before: { source_id: c.a.id, target_id: c.b.id, ...replaced },
+            after: { source_id: c.a.id, target_id: c.b.id, relation: "contradicts" },
+        });
+    }
+    return candidates.length;
+}
+
+/**
+ * Step 5: Extract — generalize clusters of related episodes into reflexes and
+ * facts (see patterns.js). Each new memory is journaled as un-archived, so
+ * undoing the run archives it again.
+ * @param {import("@libsql/client").Client} client
+ * @param {import("./llm.js").ChatProvider} chat
+ * @param {number} clusterThreshold
+ * @param {import("./journal.js").JournalChange[]} journal
+ * @returns {Promise<import("./patterns.js").ExtractedPattern[]>}
+ */
+async function stepExtract(client, chat, clusterThreshold, journal) {
+    const clusters = await findPatternClusters(client, { threshold: clusterThreshold });
+    if (clusters.length > 0) await assertEmbeddingModel(client);
+    const patterns = await extractPatterns(client, chat, clusters);
+    for (const p of patterns) {
+        journal.push({ step: "extract", memoryId: p.id, before: { archived: 1 }, after: { archived: 0 } });
+    }
+    return patterns;
+}
+
 /**
  * Step 5: Boost — strengthen frequently accessed memories.
  *
  * @param {import("@libsql/client").Client} client
  * @param {number} factor
  * @param {number} minAccess
- * @param {boolean} dryRun
+ * @param {import("./journal.js").JournalChange[]} journal
  * @returns {Promise<number>}
  */
-async function stepBoost(client, factor, minAccess, dryRun) {
-    if (dryRun) {
-        const count = await client.execute({
-            sql: "SELECT COUNT(*) as n FROM memories WHERE archived = 0 AND access_count >= ?",
-            args: [minAccess],
-        });
-        return Number(count.rows[0].n);
-    }
+async function stepBoost(client, factor, minAccess, journal) {
+    return withWriteTransaction(client, (tx) => journaledUpdate(tx, journal, "boost", ["strength", "updated_at"], {
+        set: "strength = MIN(1.0, strength * ?), updated_at = datetime('now')",
+        setArgs: [factor],
+        where: "archived = 0 AND access_count >= ?",
+        whereArgs: [minAccess],
+    }));
+}
 
+/**
+ * How each link between live memories would change in step 7.
+ *
+ * A link counts as co-retrieved once per recall event since the last run
+ * (all of them on a first run) that returned both of its ends: per session,
+ * or per query and minute for recalls without one. Each event closes
+ * `learningRate` of the gap to 1.0; strength = 1 − (1 − strength)(1 − rate)^n.
+ * Links not co-retrieved decay by `decayRate` per day since the last run (or
+ * since they were last reinforced or created, on a first run), and auto-links
+ * that end up below `pruneThreshold` are pruned. Manual links are never pruned.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {{learningRate: number, decayRate: number, pruneThreshold: number, lastRunAt: string | null, exclude?: Set<number>}} options
+ *   exclude: memories whose links are skipped (e.g. pruned earlier in the plan)
+ * @returns {Promise<PlannedLink[]>} Changed links only, by source and target
+ */
+async function linkChanges(client, { learningRate, decayRate, pruneThreshold, lastRunAt, exclude = new Set() }) {
     const result = await client.execute({
-        sql: `UPDATE memories SET 
-          strength = MIN(1.0, strength * ?),
-          updated_at = datetime('now')
-          WHERE archived = 0 AND access_count >= ?`,
-        args: [factor, minAccess],
+        sql: `WITH seen AS (
+                  SELECT DISTINCT memory_id,
+                         COALESCE('s:' || session_id, 'q:' || COALESCE(query, '') || '@' || strftime('%Y-%m-%d %H:%M', accessed_at)) AS event
+                  FROM access_log
+                  WHERE ? IS NULL OR julianday(accessed_at) > julianday(?)
+              )
+              SELECT l.source_id, l.target_id, l.relation, l.origin, l.strength,
+                     MAX(0, julianday('now') - MAX(julianday(l.created_at),
+                         julianday(COALESCE(?, l.reinforced_at, l.created_at)))) AS days,
+                     (SELECT COUNT(DISTINCT a.event) FROM seen a
+                      JOIN seen b ON b.event = a.event AND b.memory_id = l.target_id
+                      WHERE a.memory_id = l.source_id) AS together
+              FROM memory_links l
+              JOIN memories s ON s.id = l.source_id AND s.archived = 0
+              JOIN memories t ON t.id = l.target_id AND t.archived = 0
+              ORDER BY l.source_id, l.target_id`,
+        args: [lastRunAt, lastRunAt, lastRunAt],
     });
 
-    return result.rowsAffected;
+    /** @type {PlannedLink[]} */
+    const changes = [];
+    for (const r of result.rows) {
+        const source = Number(r.source_id), target = Number(r.target_id);
+        if (exclude.has(source) || exclude.has(target)) continue;
+        const strength = Number(r.strength);
+        const coRetrieved = Number(r.together);
+        const origin = r.origin === "auto" ? "auto" : "manual";
+        const projected = coRetrieved > 0
+            ? 1 - (1 - strength) * Math.pow(1 - learningRate, coRetrieved)
+            : strength * Math.pow(decayRate, Number(r.days));
+        const prune = origin === "auto" && projected < pruneThreshold;
+        if (projected === strength && !prune) continue;
+        changes.push({ source, target, relation: String(r.relation), origin, coRetrieved, strength, projected, prune });
+    }
+    return changes;
+}
+
+/**
+ * Step 7: Links — apply linkChanges() in one transaction. Reinforced links
+ * get reinforced_at; pruned ones are journaled whole, so undo re-creates them.
+ * @param {import("@libsql/client").Client} client
+ * @param {PlannedLink[]} changes
+ * @param {import("./journal.js").JournalChange[]} journal
+ * @returns {Promise<{reinforced: number, decayed: number, pruned: number}>}
+ */
+async function stepLinks(client, changes, journal) {
+    const counts = { reinforced: 0, decayed: 0, pruned: 0 };
+    if (changes.length === 0) return counts;
+    await withWriteTransaction(client, async (tx) => {
+        for (const link of changes) {
+            const pair = { source_id: link.source, target_id: link.target };
+            if (link.prune) {
+                const removed = await tx.execute({
+                    sql: `DELETE FROM memory_links WHERE source_id = ? AND target_id = ?
+                          RETURNING relation, strength, origin, created_at, reinforced_at`,
+                    args: [link.source, link.target],
+                });
+                const row = removed.rows[0];
+                if (!row) continue;
+                journal.push({
+                    step: "link_prune",
+                    memoryId: link.source,
+                    before: {
+                        ...pair, relation: row.relation, strength: row.strength, origin: row.origin,
+                        created_at: row.created_at, reinforced_at: row.reinforced_at,
+                    },
+                    after: pair,
+                });
+                counts.pruned++;
+                continue;
+            }
+            const reinforced = link.coRetrieved > 0;
+            const before = await tx.execute({
+                sql: "SELECT strength, reinforced_at FROM memory_links WHERE source_id = ? AND target_id = ?",
+                args: [link.source, link.target],
+            });
+            const after = await tx.execute({
+                sql: `UPDATE memory_links SET strength = ?, reinforced_at = ${reinforced ? "datetime('now')" : "reinforced_at"}
+                      WHERE source_id = ? AND target_id = ? RETURNING strength, reinforced_at`,
+                args: [link.projected, link.source, link.target],
+            });
+            const [old, now] = [before.rows[0], after.rows[0]];
+            if (!old || !now) continue;
+            journal.push({
+                step: "link_weight",
+                memoryId: link.source,
+                before: { ...pair, strength: old.strength, reinforced_at: old.reinforced_at },
+                after: { ...pair, strength: now.strength, reinforced_at: now.reinforced_at },
+            });
+            counts[reinforced ? "reinforced" : "decayed"]++;
+        }
+    });
+    return counts;
 }
 
 /**
@@ -432,14 +929,169 @@ export async function shouldConsolidate(client, intervalDays = 3) {
     return { shouldRun: daysSinceLast >= intervalDays, daysSinceLast };
 }
 
+// ---------------------------------------------------------------------------
+// Dry-run plan
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} PlannedMemory
+ * @property {number} id
+ * @property {string} type
+ * @property {string} title
+ * @property {number} strength    - Strength before the step
+ * @property {number} projected   - Strength after the step
+ */
+
+/**
+ * @typedef {Object} PlannedMerge
+ * @property {{id: number, title: string}} keep
+ * @property {{id: number, title: string}} remove   - Archived; its links move to `keep`
+ * @property {number} similarity
+ */
+
+/**
+ * @typedef {Object} PlannedLink
+ * @property {number} source
+ * @property {number} target
+ * @property {string} relation
+ * @property {'manual' | 'auto'} origin
+ * @property {number} coRetrieved - Recall events since the last run that returned both ends (0: decays)
+ * @property {number} strength    - Strength before the step
+ * @property {number} projected   - Strength after reinforcement or decay
+ * @property {boolean} prune      - An auto-link below the threshold, deleted
+ */
+
+/**
+ * What a consolidation run would do right now, step by step. Each step
+ * sees the outcome of the previous ones: prune uses the decayed strength,
+ * merge skips pruned memories, boost sees merged strengths and access counts.
+ * @typedef {Object} ConsolidationPlan
+ * @property {PlannedMemory[]} decay
+ * @property {PlannedMemory[]} prune      - projected = strength after decay, below the threshold
+ * @property {PlannedMerge[]} merge      - Merged, or queued as proposals when options.reviewMerges is set
+ * @property {import("./conflicts.js").ConflictCandidate[]} conflicts - Pairs that would be linked as contradicting
+ * @property {import("./patterns.js").PatternCluster[]} extract - Episode clusters the chat model would see (empty without one)
+ * @property {(PlannedMemory & {accessCount: number})[]} boost
+ * @property {boolean} boostDue           - false if the last run was less than a day ago (boost is also empty with spacedRepetition)
+ * @property {PlannedLink[]} links        - Links that would be reinforced, decayed or pruned (pruned and merged-away memories' links aside)
+ * @property {string | null} lastRunAt
+ * @property {Required<Omit<ConsolidationOptions, "dryRun">>} options - extractPatterns: whether extraction would run
+ */
+
 /**
- * Get consolidation candidates for preview (dry run).
+ * Simulate a consolidation run without writing anything.
  * @param {import("@libsql/client").Client} client
  * @param {ConsolidationOptions} [options]
- * @returns {Promise<{weakest: object[], duplicateCandidates: object[]}>}
+ * @returns {Promise<ConsolidationPlan>}
+ */
+export async function getConsolidationPlan(client, options = {}) {
+    const {
+        decayRate = 0.95,
+        pruneThreshold = 0.05,
+        mergeThreshold = 0.92,
+        boostFactor = 1.1,
+        boostMinAccess = 3,
+        importanceWeighted = false,
+        spacedRepetition = false,
+        reviewMerges = mergeReviewDefault(),
+        conflictThreshold = 0.8,
+        extractPatterns: extract = true,
+        clusterThreshold = 0.75,
+        linkLearningRate = 0.1,
+        linkDecayRate = 0.99,
+        linkPruneThreshold = 0.1,
+    } = options;
+    const lastRunAt = (await getMeta(client, "last_consolidation_at")) || null;
+    const daysSinceLast = lastRunAt ? (Date.now() - new Date(lastRunAt).getTime()) / 86_400_000 : null;
+
+    const decayed = decayedStrength(decayRate, lastRunAt, { importanceWeighted, spacedRepetition });
+    const rows = await client.execute({
+        sql: `SELECT id, type, title, strength, access_count,
+                     ${permanentCondition()} AS permanent,
+                     ${decayed.sql} AS decayed
+              FROM memories WHERE archived = 0 ORDER BY id`,
+        args: decayed.args,
+    });
+
+    /** @type {Map<number, {id: number, type: string, title: string, strength: number, accessCount: number}>} */
+    const active = new Map();
+    /** @type {ConsolidationPlan["decay"]} */
+    const decay = [];
+    /** @type {ConsolidationPlan["prune"]} */
+    const prune = [];
+    for (const r of rows.rows) {
+        const mem = { id: Number(r.id), type: String(r.type), title: String(r.title), strength: Number(r.strength), accessCount: Number(r.access_count) };
+        const permanent = Boolean(r.permanent);
+        if (!permanent && mem.strength > 0) {
+            decay.push({ id: mem.id, type: mem.type, title: mem.title, strength: mem.strength, projected: Number(r.decayed) });
+            mem.strength = Number(r.decayed);
+        }
+        if (!permanent && mem.strength < pruneThreshold) {
+            prune.push({ id: mem.id, type: mem.type, title: mem.title, strength: Number(r.strength), projected: mem.strength });
+            continue;
+        }
+        active.set(mem.id, mem);
+    }
+
+    const candidates = await findMergeCandidates(client, mergeThreshold, new Set(prune.map((p) => p.id)));
+    /** @type {ConsolidationPlan["merge"]} */
+    const merge = [];
+    for (const dup of candidates) {
+        const keep = active.get(dup.keep.id);
+        const remove = active.get(dup.remove.id);
+        if (!keep || !remove) continue;
+        if (!reviewMerges) {
+            keep.strength = Math.max(keep.strength, remove.strength);
+            keep.accessCount += remove.accessCount;
+            active.delete(remove.id);
+        }
+        merge.push({ keep: { id: keep.id, title: keep.title }, remove: { id: remove.id, title: remove.title }, similarity: dup.similarity });
+    }
+
+    const gone = new Set([...prune.map((p) => p.id), ...(reviewMerges ? [] : merge.map((m) => m.remove.id))]);
+    const conflicts = await findConflictCandidates(client, conflictThreshold, gone);
+
+    const extracting = extract && getChatProvider() !== null;
+    const clusters = extracting ? await findPatternClusters(client, { threshold: clusterThreshold, exclude: gone }) : [];
+
+    /** @type {ConsolidationPlan["boost"]} */
+    const boost = [];
+    const due = boostDue(daysSinceLast);
+    if (due && !spacedRepetition) {
+        for (const mem of active.values()) {
+            if (mem.accessCount < boostMinAccess) continue;
+            boost.push({
+                id: mem.id, type: mem.type, title: mem.title, accessCount: mem.accessCount,
+                strength: mem.strength, projected: Math.min(1.0, mem.strength * boostFactor),
+            });
+        }
+    }
+
+    const links = await linkChanges(client, {
+        learningRate: linkLearningRate, decayRate: linkDecayRate, pruneThreshold: linkPruneThreshold, lastRunAt, exclude: gone,
+    });
+
+    return {
+        decay, prune, merge, conflicts, extract: clusters, boost, links,
+        boostDue: due,
+        lastRunAt,
+        options: {
+            decayRate, pruneThreshold, mergeThreshold, boostFactor, boostMinAccess, importanceWeighted, spacedRepetition,
+            reviewMerges, conflictThreshold, extractPatterns: extracting, clusterThreshold,
+            linkLearningRate, linkDecayRate, linkPruneThreshold,
+        },
+    };
+}
+
+/**
+ * Get consolidation candidates for preview (dry run): the full plan, plus
+ * the ten weakest memories and the merge count.
+ * @param {import("@libsql/client").Client} client
+ * @param {ConsolidationOptions} [options]
+ * @returns {Promise<ConsolidationPlan & {weakest: object[], duplicateCandidates: object[]}>}
  */
 export async function getConsolidationPreview(client, options = {}) {
-    const { pruneThreshold = 0.05, mergeThreshold = 0.92 } = options;
+    const plan = await getConsolidationPlan(client, options);
 
     // Weakest memories (candidates for pruning)
     const weakest = await client.execute({
@@ -449,10 +1101,8 @@ export async function getConsolidationPreview(client, options = {}) {
         args: [],
     });
 
-    // Run merge in dry-run to count duplicates
-    const mergeCount = await stepMerge(client, mergeThreshold, true);
-
     return {
+        ...plan,
         weakest: weakest.rows.map((r) => ({
             id: Number(r.id),
             type: String(r.type),
@@ -461,6 +1111,6 @@ export async function getConsolidationPreview(client, options = {}) {
             access_count: Number(r.access_count),
             last_accessed_at: r.last_accessed_at ? String(r.last_accessed_at) : null,
         })),
-        duplicateCandidates: [{ count: mergeCount, threshold: mergeThreshold }],
+        duplicateCandidates: [{ count: plan.merge.length, threshold: plan.options.mergeThreshold }],
     };
 }
@@ -0,0 +1,168 @@
+// @ts-check
+/**
+ * Daemon — sleep consolidation on a schedule.
+ *
+ * Wakes up every `checkEveryMs`, asks shouldConsolidate whether a run is due
+ * and, if so, runs it. The run holds the database's consolidation lock (see
+ * runConsolidation), so a `sleep` started from another process never
+ * collides with it: whichever comes second is skipped and logged as `locked`.
+ *
+ * Every start, stop and run attempt is appended to a bounded log in
+ * system_meta (`daemon_log`). SIGINT/SIGTERM let the current run finish,
+ * then stop the loop.
+ */
+
+import { setTimeout as sleep } from "node:timers/promises";
+import { getMeta } from "./db.js";
+import { shouldConsolidate, runConsolidation } from "./consolidation.js";
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+const DAEMON_LOG_KEY = "daemon_log";
+/** Entries kept in the log; older ones are dropped */
+const DAEMON_LOG_MAX = 100;
+/** Default time between checks */
+export const DEFAULT_CHECK_EVERY_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} DaemonLogEntry
+ * @property {string} at          - ISO timestamp
+ * @property {'start' | 'stop' | 'run' | 'locked' | 'error'} event
+ * @property {number} pid
+ * @property {number | null} [runId]      - run: journal id (see journal.js)
+ * @property {Record<string, number>} [counts] - run: decayed, pruned, merged, … and elapsed_ms
+ * @property {string} [message]           - locked/error: why the run didn't happen
+ */
+
+/**
+ * @typedef {Object} DaemonEvent
+ * @property {string} at
+ * @property {DaemonLogEntry['event'] | 'idle'} event - idle: checked, nothing due (not logged)
+ * @property {number | null} [daysSinceLast]
+ * @property {number | null} [runId]
+ * @property {Record<string, number>} [counts]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} DaemonOptions
+ * @property {number} [intervalDays]  - Days between consolidations (default 3)
+ * @property {number} [checkEveryMs]  - Time between checks (default 10 minutes)
+ * @property {boolean} [once]         - Check (and run if due) once, then return
+ * @property {AbortSignal} [signal]   - Stops the loop, like SIGINT/SIGTERM
+ * @property {(event: DaemonEvent) => void} [onEvent] - Called on every check
+ * @property {import("./consolidation.js").ConsolidationOptions} [consolidation] - Passed to each run
+ */
+
+/**
+ * Recent daemon log entries, oldest first.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} [limit]
+ * @returns {Promise<DaemonLogEntry[]>}
+ */
+export async function getDaemonLog(client, limit = DAEMON_LOG_MAX) {
+    const raw = await getMeta(client, DAEMON_LOG_KEY);
+    /** @type {DaemonLogEntry[]} */
+    const entries = raw ? JSON.parse(raw) : [];
+    return entries.slice(-limit);
+}
+
+/**
+ * Append to the log in a single statement, so that daemons and other
+ * processes logging at the same time never overwrite each other's entries.
+ * @param {import("@libsql/client").Client} client
+ * @param {Omit<DaemonLogEntry, 'at' | 'pid'>} entry
+ * @returns {Promise<DaemonLogEntry>}
+ */
+async function appendLog(client, entry) {
+    const logged = { at: new Date().toISOString(), pid: process.pid, ...entry };
+    const json = JSON.stringify(logged);
+    await client.execute({
+        sql: `INSERT INTO system_meta (key, value, updated_at) VALUES (?, json_array(json(?)), datetime('now'))
+              ON CONFLICT(key) DO UPDATE SET
+                  value = json_insert(
+                      CASE WHEN json_array_length(system_meta.value) >= ? THEN json_remove(system_meta.value, '$[0]') ELSE system_meta.value END,
+                      '$[#]', json(?)),
+                  updated_at = datetime('now')`,
+        args: [DAEMON_LOG_KEY, json, DAEMON_LOG_MAX, json],
+    });
+    return logged;
+}
+
+/**
+ * One check: run consolidation if it's due.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} intervalDays
+ * @param {import("./consolidation.js").ConsolidationOptions} consolidation
+ * @returns {Promise<DaemonEvent>}
+ */
+async function tick(client, intervalDays, consolidation) {
+    /** @type {number | null} */
+    let daysSinceLast = null;
+    try {
+        const due = await shouldConsolidate(client, intervalDays);
+        daysSinceLast = due.daysSinceLast;
+        if (!due.shouldRun) return { at: new Date().toISOString(), event: "idle", daysSinceLast };
+
+        const result = await runConsolidation(client, { ...consolidation, dryRun: false });
+        const { runId, patterns, plan: _plan, ...counts } = result;
+        return { daysSinceLast, ...await appendLog(client, { event: "run", runId, counts: { ...counts, patterns: patterns.length } }) };
+    } catch (/** @type {any} */ err) {
+        const message = err?.message || String(err);
+        const event = err instanceof EngramError && err.code === "conflict" ? "locked" : "error";
+        trace(`[engram] Daemon: ${message}`);
+        return { daysSinceLast, ...await appendLog(client, { event, message }) };
+    }
+}
+
+/**
+ * Run consolidation whenever it's due, until stopped by a signal (or after
+ * one check with `once`). A failed run is logged and retried at the next
+ * check; it doesn't stop the daemon.
+ * @param {import("@libsql/client").Client} client
+ * @param {DaemonOptions} [options]
+ */
+export async function runDaemon(client, options = {}) {
+    const {
+        intervalDays = 3,
+        checkEveryMs = DEFAULT_CHECK_EVERY_MS,
+        once = false,
+        signal,
+        onEvent,
+        consolidation = {},
+    } = options;
+
+    const stop = new AbortController();
+    const shutdown = () => {
+        trace("[engram] Daemon stopping");
+        stop.abort();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+    if (signal?.aborted) stop.abort();
+    signal?.addEventListener("abort", shutdown, { once: true });
+
+    try {
+        const started = await appendLog(client, { event: "start" });
+        onEvent?.(started);
+        trace(`[engram] Daemon started: consolidating every ${intervalDays} days, checking every ${checkEveryMs / 1000}s`);
+        while (!stop.signal.aborted) {
+            const checked = await tick(client, intervalDays, consolidation);
+            onEvent?.(checked);
+            if (once) break;
+            try {
+                await sleep(checkEveryMs, undefined, { signal: stop.signal });
+            } catch {
+                // Aborted: stop
+            }
+        }
+    } finally {
+        process.off("SIGINT", shutdown);
+        process.off("SIGTERM", shutdown);
+        signal?.removeEventListener("abort", shutdown);
+        const stopped = await appendLog(client, { event: "stop" });
+        onEvent?.(stopped);
+    }
+}
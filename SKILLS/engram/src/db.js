@@ -3,6 +3,9 @@ import { createClient } from "@libsql/client";
 import { resolve, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 import { mkdirSync, existsSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { hostname } from "node:os";
+import { EngramError } from "./errors.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DEFAULT_DB_PATH = resolve(__dirname, "..", "data", "engram.db");
@@ -10,8 +13,42 @@ const DEFAULT_DB_PATH = resolve(__dirname, "..", "data", "engram.db");
 /** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
 const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
 
+/** How long a statement waits for another process's write lock before failing with SQLITE_BUSY */
+const BUSY_TIMEOUT_MS = 10_000;
+
 /** @type {import("@libsql/client").Client | null} */
 let _client = null;
+/** @type {string | null} */
+let _url = null;
+/**
+ * Connection the singleton reads on.
+ * @type {import("@libsql/client").Client | null}
+ */
+let _reader = null;
+/**
+ * Connection the singleton writes on: every write and every
+ * withWriteTransaction, one at a time (see _writeQueue).
+ * @type {import("@libsql/client").Client | null}
+ */
+let _writer = null;
+/** Settles when this process's latest write or write transaction has ended */
+let _writeQueue = Promise.resolve();
+
+/**
+ * Open a connection to a database file: writers wait up to BUSY_TIMEOUT_MS
+ * for each other instead of failing, and WAL lets readers run alongside a
+ * writer. Statements on a local connection run synchronously, so the pragmas
+ * are in effect before any statement issued after this returns.
+ * @param {string} url
+ * @returns {import("@libsql/client").Client}
+ */
+function openConnection(url) {
+  const client = createClient({ url });
+  for (const pragma of [`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`, "PRAGMA journal_mode = WAL"]) {
+    client.execute(pragma).catch((err) => trace(`[engram] ${pragma} failed:`, err?.message || String(err)));
+  }
+  return client;
+}
 
 /**
  * Get or create the LibSQL client singleton.
@@ -27,44 +64,228 @@ export function getClient(dbPath) {
     mkdirSync(dir, { recursive: true });
   }
 
-  _client = createClient({
-    url: `file:${resolvedPath}`,
-  });
+  _url = `file:${resolvedPath}`;
+  _reader = openConnection(_url);
+  _client = queuedWrites(_reader);
 
   return _client;
 }
 
+/** Statements that only read, and so need not wait for the write queue */
+const READ_ONLY = /^\s*(SELECT|WITH|EXPLAIN)\b/i;
+
+/**
+ * The singleton: reads run on `reader`, writes wait their turn in _writeQueue
+ * and run on the writer connection. A plain write issued while a
+ * withWriteTransaction awaits something would otherwise block the event loop
+ * on the transaction's lock (local statements run synchronously) and fail
+ * with SQLITE_BUSY once busy_timeout runs out.
+ * @param {import("@libsql/client").Client} reader
+ * @returns {import("@libsql/client").Client}
+ */
+function queuedWrites(reader) {
+  const writer = () => (_writer ??= openConnection(/** @type {string} */ (_url)));
+  return /** @type {import("@libsql/client").Client} */ (/** @type {unknown} */ ({
+    execute: (/** @type {any} */ stmt, /** @type {any} */ args) =>
+      READ_ONLY.test(typeof stmt === "string" ? stmt : stmt.sql)
+        ? reader.execute(stmt, args)
+        : enqueueWrite(() => writer().execute(stmt, args)),
+    batch: (/** @type {any[]} */ stmts, /** @type {any} */ mode) =>
+      mode === "read" ? reader.batch(stmts, mode) : enqueueWrite(() => writer().batch(stmts, mode)),
+    migrate: (/** @type {any[]} */ stmts) => enqueueWrite(() => writer().migrate(stmts)),
+    executeMultiple: (/** @type {string} */ sql) => enqueueWrite(() => writer().executeMultiple(sql)),
+    transaction: (/** @type {any} */ mode) => reader.transaction(mode),
+    sync: () => reader.sync(),
+    close: () => reader.close(),
+    get closed() { return reader.closed; },
+    protocol: reader.protocol,
+  }));
+}
+
+/**
+ * Run `write` once every earlier write of this process has ended.
+ * @template T
+ * @param {() => Promise<T>} write
+ * @returns {Promise<T>}
+ */
+function enqueueWrite(write) {
+  const run = _writeQueue.then(write);
+  _writeQueue = run.catch(() => undefined);
+  return run;
+}
+
 /**
  * Close the database connection and reset the singleton.
  */
 export async function closeDb() {
-  if (_client) {
-    _client.close();
-    _client = null;
-  }
+  resetClient();
 }
 
 /**
  * Reset the singleton (for testing with different DB paths).
  */
 export function resetClient() {
-  if (_client) {
-    _client.close();
+  if (_reader) {
+    _reader.close();
+  }
+  if (_writer) {
+    _writer.close();
   }
   _client = null;
+  _reader = null;
+  _writer = null;
+  _url = null;
+}
+
+// ---------------------------------------------------------------------------
+// Write transactions
+// ---------------------------------------------------------------------------
+
+/**
+ * Run `fn` as one write transaction. It starts with `BEGIN IMMEDIATE`, which
+ * takes the database's write lock up front, so a check-then-write in `fn`
+ * (e.g. addMemory's duplicate checks before its insert) can't interleave
+ * with another process doing the same — the other one waits. Commits when
+ * `fn` resolves, rolls back when it throws.
+ *
+ * Every statement of `fn` must go through `tx`: the client's writes wait for
+ * the transaction to end, so a write on `client` inside `fn` would wait forever.
+ * Transactions and writes of one process run one after the other; don't nest
+ * transactions.
+ *
+ * @template T
+ * @param {import("@libsql/client").Client} client
+ * @param {(tx: import("@libsql/client").Transaction) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function withWriteTransaction(client, fn) {
+  return enqueueWrite(() => client === _client ? onWriter(fn) : onTransaction(client, fn));
+}
+
+/**
+ * Run `fn` in a transaction on the singleton's writer connection.
+ * client.transaction() would hand over the client's connection and open a
+ * new one every time, without ever closing the old.
+ * @template T
+ * @param {(tx: import("@libsql/client").Transaction) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function onWriter(fn) {
+  const writer = (_writer ??= openConnection(/** @type {string} */ (_url)));
+  let savepoints = 0;
+  const tx = /** @type {import("@libsql/client").Transaction} */ (/** @type {unknown} */ ({
+    execute: (/** @type {any} */ stmt) => writer.execute(stmt),
+    // All-or-nothing like Client.batch, through a savepoint of the open transaction
+    batch: async (/** @type {any[]} */ stmts) => {
+      const name = `batch_${++savepoints}`;
+      await writer.execute(`SAVEPOINT ${name}`);
+      try {
+        const results = [];
+        for (const stmt of stmts) results.push(await writer.execute(stmt));
+        await writer.execute(`RELEASE ${name}`);
+        return results;
+      } catch (err) {
+        await writer.execute(`ROLLBACK TO ${name}`);
+        await writer.execute(`RELEASE ${name}`);
+        throw err;
+      }
+    },
+  }));
+
+  await writer.execute("BEGIN IMMEDIATE");
+  try {
+    const result = await fn(tx);
+    await writer.execute("COMMIT");
+    return result;
+  } catch (err) {
+    await writer.execute("ROLLBACK").catch(() => undefined);
+    throw err;
+  }
+}
+
+/**
+ * Run `fn` in a transaction of a client that isn't the singleton.
+ * @template T
+ * @param {import("@libsql/client").Client} client
+ * @param {(tx: import("@libsql/client").Transaction) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function onTransaction(client, fn) {
+  const tx = await client.transaction("write");
+  try {
+    const result = await fn(tx);
+    await tx.commit();
+    return result;
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  } finally {
+    tx.close();
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Schema & Migrations
 // ---------------------------------------------------------------------------
 
-const SCHEMA_VERSION = 1;
+/**
+ * DDL for the memory_chunks table — also used by reembed to recreate it at a new dimension.
+ * @param {number} dim - Embedding dimension
+ * @returns {string[]}
+ */
+export function memoryChunksSchema(dim) {
+  return [
+    `CREATE TABLE IF NOT EXISTS memory_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      memory_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+      chunk_index INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      embedding F32_BLOB(${dim}),
+      UNIQUE (memory_id, chunk_index)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_memory_chunks_memory ON memory_chunks(memory_id)`,
+  ];
+}
+
+/**
+ * Recreate the embedding columns and memory_chunks at a new dimension. Drops
+ * every stored vector — only for a store that has none yet; the vector
+ * indexes are left to rebuildVectorIndex.
+ * @param {number} dim - Embedding dimension
+ * @returns {string[]}
+ */
+export function emptyVectorColumnsSchema(dim) {
+  return [
+    "DROP INDEX IF EXISTS memories_vec_idx",
+    "ALTER TABLE memories DROP COLUMN content_embedding",
+    `ALTER TABLE memories ADD COLUMN content_embedding F32_BLOB(${dim})`,
+    "ALTER TABLE sessions DROP COLUMN summary_embedding",
+    `ALTER TABLE sessions ADD COLUMN summary_embedding F32_BLOB(${dim})`,
+    "DROP INDEX IF EXISTS memory_chunks_vec_idx",
+    "DROP TABLE memory_chunks",
+    ...memoryChunksSchema(dim),
+  ];
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {string} description
+ * @property {string[]} up        - Statements applied in one transaction
+ * @property {string[]} [down]    - Statements that revert `up`; omitted for irreversible steps
+ */
 
+/**
+ * Schema history. Applied migrations are recorded in schema_migrations with a
+ * checksum of their `up` statements — never edit an entry once released, add
+ * a new one instead.
+ * @type {Migration[]}
+ */
 const MIGRATIONS = [
   {
     version: 1,
     description: "Initial schema: memories, FTS5, tags, links, sessions, access_log, system_meta",
-    statements: [
+    up: [
       // Main memories table
       `CREATE TABLE IF NOT EXISTS memories (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -158,7 +379,7 @@ const MIGRATIONS = [
       )`,
 
       // Seed system meta
-      `INSERT OR IGNORE INTO system_meta (key, value) VALUES ('schema_version', '${SCHEMA_VERSION}')`,
+      `INSERT OR IGNORE INTO system_meta (key, value) VALUES ('schema_version', '1')`,
       `INSERT OR IGNORE INTO system_meta (key, value) VALUES ('last_consolidation_at', NULL)`,
       `INSERT OR IGNORE INTO system_meta (key, value) VALUES ('created_at', datetime('now'))`,
 
@@ -174,13 +395,267 @@ const MIGRATIONS = [
       `CREATE INDEX IF NOT EXISTS idx_access_log_session ON access_log(session_id)`,
     ],
   },
+  {
+    version: 2,
+    description: "Embedding cache keyed by content hash and model",
+    up: [
+      // Vectors stored as plain BLOBs — the cache outlives dimension changes of the memories column
+      `CREATE TABLE IF NOT EXISTS embedding_cache (
+        content_hash TEXT NOT NULL,
+        model TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (content_hash, model)
+      )`,
+    ],
+    down: [`DROP TABLE IF EXISTS embedding_cache`],
+  },
+  {
+    version: 3,
+    description: "Per-chunk embeddings for long memories",
+    up: memoryChunksSchema(1024),
+    down: [`DROP INDEX IF EXISTS memory_chunks_vec_idx`, `DROP TABLE IF EXISTS memory_chunks`],
+  },
+  {
+    version: 4,
+    description: "Cross-encoder score cache",
+    up: [
+      // A memory's score for a query is valid until the memory changes (updated_at)
+      `CREATE TABLE IF NOT EXISTS rerank_cache (
+        query_hash TEXT NOT NULL,
+        memory_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        updated_at TEXT NOT NULL,
+        score REAL NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (query_hash, memory_id, updated_at)
+      )`,
+    ],
+    down: [`DROP TABLE IF EXISTS rerank_cache`],
+  },
+  {
+    version: 5,
+    description: "Memory scopes (namespaces)",
+    up: [
+      // Existing memories stay visible everywhere: they land in the global scope
+      `ALTER TABLE memories ADD COLUMN scope TEXT NOT NULL DEFAULT 'global'`,
+      `CREATE INDEX IF NOT EXISTS idx_memories_scope ON memories(scope)`,
+    ],
+    down: [
+      `DROP INDEX IF EXISTS idx_memories_scope`,
+      `ALTER TABLE memories DROP COLUMN scope`,
+    ],
+  },
+  {
+    version: 6,
+    description: "Type registry: memory_types and relation_types replace the CHECK constraints",
+    up: [
+      `CREATE TABLE IF NOT EXISTS memory_types (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        default_importance REAL NOT NULL DEFAULT 0.5 CHECK(default_importance >= 0.0 AND default_importance <= 1.0),
+        decay_rate REAL CHECK(decay_rate IS NULL OR (decay_rate > 0.0 AND decay_rate <= 1.0)),
+        permanent INTEGER NOT NULL DEFAULT 0,
+        builtin INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS relation_types (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        builtin INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      )`,
+      `INSERT OR IGNORE INTO memory_types (name, description, builtin) VALUES
+        ('reflex', 'Gotcha or rule: if X happens, do Y', 1),
+        ('episode', 'Solved problem: trigger, cause, solution, prevention', 1),
+        ('fact', 'Stable knowledge: stack, structure, key files', 1),
+        ('preference', 'How the user likes things done', 1),
+        ('decision', 'Choice made and its rationale', 1),
+        ('session_summary', 'Summary of a finished session', 1)`,
+      `INSERT OR IGNORE INTO relation_types (name, description, builtin) VALUES
+        ('related_to', 'General association', 1),
+        ('caused_by', 'Causal chain', 1),
+        ('evolved_from', 'Refinement over time', 1),
+        ('contradicts', 'Conflicting information', 1),
+        ('supersedes', 'Replacement', 1)`,
+
+      // memories.type: swap the CHECK-constrained column for a plain one. The
+      // FTS triggers and the type index reference it, so they are recreated.
+      `DROP TRIGGER IF EXISTS memories_ai`,
+      `DROP TRIGGER IF EXISTS memories_ad`,
+      `DROP TRIGGER IF EXISTS memories_au`,
+      `DROP INDEX IF EXISTS idx_memories_type`,
+      `ALTER TABLE memories ADD COLUMN type_registered TEXT`,
+      `UPDATE memories SET type_registered = type`,
+      `ALTER TABLE memories DROP COLUMN type`,
+      `ALTER TABLE memories RENAME COLUMN type_registered TO type`,
+      `CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type)`,
+      `CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+        INSERT INTO memories_fts(rowid, title, content, type)
+        VALUES (new.id, new.title, new.content, new.type);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, title, content, type)
+        VALUES ('delete', old.id, old.title, old.content, old.type);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, title, content, type)
+        VALUES ('delete', old.id, old.title, old.content, old.type);
+        INSERT INTO memories_fts(rowid, title, content, type)
+        VALUES (new.id, new.title, new.content, new.type);
+      END`,
+
+      // memory_links.relation: same swap
+      `ALTER TABLE memory_links ADD COLUMN relation_registered TEXT`,
+      `UPDATE memory_links SET relation_registered = relation`,
+      `ALTER TABLE memory_links DROP COLUMN relation`,
+      `ALTER TABLE memory_links RENAME COLUMN relation_registered TO relation`,
+
+      // Enforce the registry at the database level (NULL fails too)
+      `CREATE TRIGGER IF NOT EXISTS memories_type_insert BEFORE INSERT ON memories
+        WHEN NOT EXISTS (SELECT 1 FROM memory_types WHERE name = new.type) BEGIN
+        SELECT RAISE(ABORT, 'Unknown memory type — see engram types list');
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS memories_type_update BEFORE UPDATE OF type ON memories
+        WHEN NOT EXISTS (SELECT 1 FROM memory_types WHERE name = new.type) BEGIN
+        SELECT RAISE(ABORT, 'Unknown memory type — see engram types list');
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS memory_links_relation_insert BEFORE INSERT ON memory_links
+        WHEN NOT EXISTS (SELECT 1 FROM relation_types WHERE name = new.relation) BEGIN
+        SELECT RAISE(ABORT, 'Unknown relation — see engram relations list');
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS memory_links_relation_update BEFORE UPDATE OF relation ON memory_links
+        WHEN NOT EXISTS (SELECT 1 FROM relation_types WHERE name = new.relation) BEGIN
+        SELECT RAISE(ABORT, 'Unknown relation — see engram relations list');
+      END`,
+    ],
+    // Irreversible: custom types and relations can't be expressed by the v5 CHECK constraints
+  },
+  {
+    version: 7,
+    description: "Memory revisions: prior title/content/importance/type per change",
+    up: [
+      `CREATE TABLE IF NOT EXISTS memory_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        memory_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        importance REAL,
+        type TEXT NOT NULL,
+        cause TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE (memory_id, revision)
+      )`,
+    ],
+    down: [`DROP TABLE IF EXISTS memory_revisions`],
+  },
+  {
+    version: 8,
+    description: "Consolidation journal: sleep runs and their row-level changes",
+    up: [
+      `CREATE TABLE IF NOT EXISTS consolidation_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        options TEXT,
+        decayed INTEGER DEFAULT 0,
+        pruned INTEGER DEFAULT 0,
+        merged INTEGER DEFAULT 0,
+        boosted INTEGER DEFAULT 0,
+        previous_run_at TEXT,
+        started_at TEXT DEFAULT (datetime('now')),
+        finished_at TEXT,
+        undone_at TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS consolidation_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+        step TEXT NOT NULL,
+        memory_id INTEGER NOT NULL,
+        before TEXT NOT NULL,
+        after TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_consolidation_changes_run ON consolidation_changes(run_id)`,
+    ],
+    down: [
+      `DROP TABLE IF EXISTS consolidation_changes`,
+      `DROP TABLE IF EXISTS consolidation_runs`,
+    ],
+  },
+  {
+    version: 9,
+    description: "Merge proposals: near-duplicate pairs queued for review",
+    up: [
+      `CREATE TABLE IF NOT EXISTS merge_proposals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        keep_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        remove_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        similarity REAL NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        title TEXT,
+        content TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        resolved_at TEXT
+      )`,
+      // One proposal per pair, whichever side is kept — rejections stick
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_merge_proposals_pair
+        ON merge_proposals(min(keep_id, remove_id), max(keep_id, remove_id))`,
+      `CREATE INDEX IF NOT EXISTS idx_merge_proposals_status ON merge_proposals(status)`,
+    ],
+    down: [`DROP TABLE IF EXISTS merge_proposals`],
+  },
+  {
+    version: 10,
+    description: "Conflict dismissals: memory pairs reviewed as not contradicting",
+    up: [
+      `CREATE TABLE IF NOT EXISTS conflict_dismissals (
+        low_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        high_id INTEGER NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (low_id, high_id)
+      )`,
+    ],
+    down: [`DROP TABLE IF EXISTS conflict_dismissals`],
+  },
+  {
+    version: 11,
+    description: "Decay profiles: per-memory half-life, slower reflexes/preferences, faster episodes",
+    up: [
+      `ALTER TABLE memories ADD COLUMN half_life_days REAL`,
+      `UPDATE memory_types SET decay_rate = POWER(0.5, 1.0 / 90)
+        WHERE name IN ('reflex', 'preference') AND builtin = 1 AND decay_rate IS NULL`,
+      `UPDATE memory_types SET decay_rate = POWER(0.5, 1.0 / 7)
+        WHERE name = 'episode' AND builtin = 1 AND decay_rate IS NULL`,
+    ],
+    down: [
+      `UPDATE memory_types SET decay_rate = NULL
+        WHERE (name IN ('reflex', 'preference') AND decay_rate = POWER(0.5, 1.0 / 90))
+           OR (name = 'episode' AND decay_rate = POWER(0.5, 1.0 / 7))`,
+      `ALTER TABLE memories DROP COLUMN half_life_days`,
+    ],
+  },
+  {
+    version: 12,
+    description: "Link learning: auto/manual link origin, last reinforcement",
+    up: [
+      // Links made before this step can't be told apart: keep them all as manual, never pruned
+      `ALTER TABLE memory_links ADD COLUMN origin TEXT NOT NULL DEFAULT 'manual' CHECK(origin IN ('manual', 'auto'))`,
+      `ALTER TABLE memory_links ADD COLUMN reinforced_at TEXT`,
+    ],
+    down: [
+      `ALTER TABLE memory_links DROP COLUMN reinforced_at`,
+      `ALTER TABLE memory_links DROP COLUMN origin`,
+    ],
+  },
 ];
 
+/** Latest schema version this build knows about */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
 /**
- * Try to create a vector index. May fail on some platforms — that's okay,
- * we fall back to brute-force cosine distance queries.
+ * Try to create the vector indexes (memories + chunks). May fail on some
+ * platforms — that's okay, we fall back to brute-force cosine distance queries.
  * @param {import("@libsql/client").Client} client
- * @returns {Promise<boolean>} true if vector index was created
+ * @returns {Promise<boolean>} true if vector indexes were created
  */
 async function tryCreateVectorIndex(client) {
   try {
@@ -189,6 +664,11 @@ async function tryCreateVectorIndex(client) {
         libsql_vector_idx(content_embedding, 'metric=cosine', 'compress_neighbors=float8', 'max_neighbors=20')
       )`
     );
+    await client.execute(
+      `CREATE INDEX IF NOT EXISTS memory_chunks_vec_idx ON memory_chunks (
+        libsql_vector_idx(embedding, 'metric=cosine', 'compress_neighbors=float8', 'max_neighbors=20')
+      )`
+    );
     return true;
   } catch (err) {
     trace("[engram] Vector index creation failed (brute-force fallback will be used):", err.message);
@@ -197,37 +677,214 @@ async function tryCreateVectorIndex(client) {
 }
 
 /**
- * Run all pending migrations.
+ * Drop and recreate the vector indexes (e.g. after the embedding columns changed dimension).
  * @param {import("@libsql/client").Client} client
- * @returns {Promise<{migrated: boolean, version: number, vectorIndex: boolean}>}
+ * @returns {Promise<boolean>} true if the vector indexes were recreated
  */
-export async function runMigrations(client) {
-  // Check current schema version
-  let currentVersion = 0;
-  try {
-    const result = await client.execute("SELECT value FROM system_meta WHERE key = 'schema_version'");
-    if (result.rows.length > 0) {
-      currentVersion = parseInt(/** @type {string} */(result.rows[0].value), 10);
+export async function rebuildVectorIndex(client) {
+  await client.execute("DROP INDEX IF EXISTS memories_vec_idx");
+  await client.execute("DROP INDEX IF EXISTS memory_chunks_vec_idx");
+  return tryCreateVectorIndex(client);
+}
+
+// ---------------------------------------------------------------------------
+// Migration runner
+// ---------------------------------------------------------------------------
+
+/**
+ * SHA-256 of a migration's `up` statements — detects edits to applied migrations.
+ * @param {Migration} migration
+ * @returns {string}
+ */
+function migrationChecksum(migration) {
+  return createHash("sha256").update(migration.up.join(";\n"), "utf8").digest("hex");
+}
+
+/**
+ * Load applied steps from schema_migrations, creating it if missing. Stores
+ * from before it existed only have system_meta.schema_version — their steps up
+ * to that version are adopted as applied, with the checksums of this build.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<Map<number, {description: string, checksum: string, appliedAt: string | null}>>} Applied steps by version
+ */
+async function loadAppliedMigrations(client) {
+  await client.execute(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  const select = "SELECT version, description, checksum, applied_at FROM schema_migrations ORDER BY version";
+  let rows = (await client.execute(select)).rows;
+  if (rows.length === 0) {
+    let legacyVersion = 0;
+    try {
+      legacyVersion = parseInt(String(await getMeta(client, "schema_version")), 10) || 0;
+    } catch {
+      // No system_meta yet — fresh database
+    }
+    const adopted = MIGRATIONS.filter((m) => m.version <= legacyVersion);
+    if (adopted.length > 0) {
+      trace(`[engram] Adopting schema v${legacyVersion} into schema_migrations`);
+      // applied_at stays NULL — the real date is unknown
+      await client.batch(adopted.map((m) => ({
+        sql: "INSERT INTO schema_migrations (version, description, checksum, applied_at) VALUES (?, ?, ?, NULL)",
+        args: [m.version, m.description, migrationChecksum(m)],
+      })), "write");
+      rows = (await client.execute(select)).rows;
     }
-  } catch {
-    // Table doesn't exist yet — version 0
   }
 
-  let migrated = false;
-  for (const migration of MIGRATIONS) {
-    if (migration.version > currentVersion) {
-      trace(`[engram] Running migration v${migration.version}: ${migration.description}`);
-      for (const sql of migration.statements) {
-        await client.execute(sql);
-      }
-      migrated = true;
+  return new Map(rows.map((r) => [Number(r.version), {
+    description: String(r.description),
+    checksum: String(r.checksum),
+    appliedAt: r.applied_at ? String(r.applied_at) : null,
+  }]));
+}
+
+/**
+ * Refuse to touch a schema this build cannot vouch for: applied migrations
+ * edited since they ran, or versions newer than this build.
+ * @param {Map<number, {checksum: string}>} applied
+ */
+function validateApplied(applied) {
+  for (const [version, row] of applied) {
+    const migration = MIGRATIONS.find((m) => m.version === version);
+    if (!migration) {
+      throw new Error(`Database schema has migration v${version}, newer than this engram (v${SCHEMA_VERSION}) — upgrade engram`);
     }
+    if (row.checksum !== migrationChecksum(migration)) {
+      throw new Error(`Migration checksum mismatch for v${version} (${migration.description}) — the applied migration was edited. See \`engram db status\``);
+    }
+  }
+}
+
+/**
+ * Apply or revert one migration inside a write transaction, together with its
+ * schema_migrations bookkeeping. On error nothing of the step is kept.
+ * @param {import("@libsql/client").Client} client
+ * @param {Migration} migration
+ * @param {'up' | 'down'} direction
+ */
+async function runMigrationStep(client, migration, direction) {
+  const statements = direction === "up" ? migration.up : migration.down ?? [];
+  try {
+    await withWriteTransaction(client, async (tx) => {
+      for (const sql of statements) {
+        await tx.execute(sql);
+      }
+      if (direction === "up") {
+        await tx.execute({
+          sql: "INSERT INTO schema_migrations (version, description, checksum) VALUES (?, ?, ?)",
+          args: [migration.version, migration.description, migrationChecksum(migration)],
+        });
+      } else {
+        await tx.execute({ sql: "DELETE FROM schema_migrations WHERE version = ?", args: [migration.version] });
+      }
+      // system_meta.schema_version mirrors the latest applied step
+      await tx.execute({
+        sql: "UPDATE system_meta SET value = ?, updated_at = datetime('now') WHERE key = 'schema_version'",
+        args: [String(direction === "up" ? migration.version : migration.version - 1)],
+      });
+    });
+  } catch (err) {
+    throw new Error(`Migration v${migration.version} (${migration.description}) failed, rolled back: ${err?.message || String(err)}`);
   }
+}
+
+/**
+ * Migrate the schema up or down to a target version, one transaction per step.
+ * A downgrade is refused up front if any step on the way is irreversible.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} [target] - Target version (default: latest)
+ * @returns {Promise<{from: number, to: number, applied: number[], reverted: number[]}>}
+ */
+export async function migrateTo(client, target = SCHEMA_VERSION) {
+  if (!Number.isInteger(target) || target < 1 || target > SCHEMA_VERSION) {
+    throw new EngramError("invalid_argument", `Invalid target version: ${target}. Must be between 1 and ${SCHEMA_VERSION}`);
+  }
+  const applied = await loadAppliedMigrations(client);
+  validateApplied(applied);
+  const from = Math.max(0, ...applied.keys());
+
+  const toRevert = MIGRATIONS.filter((m) => applied.has(m.version) && m.version > target).reverse();
+  const irreversible = toRevert.find((m) => !m.down);
+  if (irreversible) {
+    throw new Error(`Cannot migrate down to v${target}: migration v${irreversible.version} (${irreversible.description}) is irreversible`);
+  }
+
+  /** @type {number[]} */
+  const reverted = [];
+  for (const migration of toRevert) {
+    trace(`[engram] Reverting migration v${migration.version}: ${migration.description}`);
+    await runMigrationStep(client, migration, "down");
+    reverted.push(migration.version);
+  }
+
+  /** @type {number[]} */
+  const appliedNow = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > target || applied.has(migration.version)) continue;
+    trace(`[engram] Running migration v${migration.version}: ${migration.description}`);
+    await runMigrationStep(client, migration, "up");
+    appliedNow.push(migration.version);
+  }
+
+  return { from, to: target, applied: appliedNow, reverted };
+}
+
+/**
+ * @typedef {Object} MigrationStatus
+ * @property {number} version
+ * @property {string} description
+ * @property {'applied' | 'pending' | 'modified' | 'unknown'} status - `modified`: checksum differs from this build; `unknown`: not in this build
+ * @property {string} checksum      - Recorded checksum if applied, else this build's
+ * @property {string | null} appliedAt
+ * @property {boolean} reversible
+ */
+
+/**
+ * Per-migration status, as shown by `engram db status`.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<{current: number, latest: number, migrations: MigrationStatus[]}>}
+ */
+export async function getMigrationStatus(client) {
+  const applied = await loadAppliedMigrations(client);
+
+  /** @type {MigrationStatus[]} */
+  const migrations = MIGRATIONS.map((m) => {
+    const row = applied.get(m.version);
+    const checksum = migrationChecksum(m);
+    return {
+      version: m.version,
+      description: m.description,
+      status: !row ? "pending" : row.checksum === checksum ? "applied" : "modified",
+      checksum: row?.checksum ?? checksum,
+      appliedAt: row?.appliedAt ?? null,
+      reversible: Boolean(m.down),
+    };
+  });
+  for (const [version, row] of applied) {
+    if (MIGRATIONS.some((m) => m.version === version)) continue;
+    migrations.push({ version, description: row.description, status: "unknown", checksum: row.checksum, appliedAt: row.appliedAt, reversible: false });
+  }
+
+  return { current: Math.max(0, ...applied.keys()), latest: SCHEMA_VERSION, migrations };
+}
+
+/**
+ * Run all pending migrations.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<{migrated: boolean, version: number, vectorIndex: boolean}>}
+ */
+export async function runMigrations(client) {
+  const { applied } = await migrateTo(client, SCHEMA_VERSION);
 
   // Try vector index (separate from main migration — may fail on some platforms)
   const vectorIndex = await tryCreateVectorIndex(client);
 
-  return { migrated, version: SCHEMA_VERSION, vectorIndex };
+  return { migrated: applied.length > 0, version: SCHEMA_VERSION, vectorIndex };
 }
 
 /**
@@ -269,3 +926,80 @@ export async function setMeta(client, key, value) {
     args: [key, value],
   });
 }
+
+/**
+ * @typedef {Object} LockHolder
+ * @property {string} owner      - Unique per acquisition
+ * @property {number} pid
+ * @property {string} host
+ * @property {string} acquiredAt - ISO timestamp
+ * @property {string} expiresAt  - ISO timestamp; an expired lock can be taken over
+ */
+
+/**
+ * Take a named lock kept in system_meta (`lock:<name>`), shared by every
+ * process using the database. Taking it is a single statement, so two
+ * processes can't both get it. A holder that dies without releasing it
+ * blocks others only until `ttlMs` has passed; a live holder renews it by
+ * calling this again with the same `owner`.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @param {string} owner - Identifies this acquisition; pass it to releaseLock
+ * @param {number} ttlMs
+ * @returns {Promise<LockHolder | null>} null if acquired, else the current holder
+ */
+export async function acquireLock(client, name, owner, ttlMs) {
+  const now = new Date();
+  /** @type {LockHolder} */
+  const holder = {
+    owner,
+    pid: process.pid,
+    host: hostname(),
+    acquiredAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+  };
+  const taken = await client.execute({
+    sql: `INSERT INTO system_meta (key, value, updated_at) VALUES (?, ?, datetime('now'))
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = datetime('now')
+          WHERE system_meta.value IS NULL
+             OR json_extract(system_meta.value, '$.expiresAt') < ?
+             OR json_extract(system_meta.value, '$.owner') = ?
+          RETURNING key`,
+    args: [`lock:${name}`, JSON.stringify(holder), holder.acquiredAt, owner],
+  });
+  if (taken.rows.length > 0) {
+    trace(`[engram] Lock "${name}" acquired by ${owner}`);
+    return null;
+  }
+  const current = await getMeta(client, `lock:${name}`);
+  return current ? JSON.parse(current) : null;
+}
+
+/**
+ * The holder of a lock taken with acquireLock, or null when it is free or
+ * has expired.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @returns {Promise<LockHolder | null>}
+ */
+export async function getLockHolder(client, name) {
+  const current = await getMeta(client, `lock:${name}`);
+  if (!current) return null;
+  const holder = /** @type {LockHolder} */ (JSON.parse(current));
+  return holder.expiresAt < new Date().toISOString() ? null : holder;
+}
+
+/**
+ * Release a lock taken with acquireLock. Does nothing if `owner` no longer
+ * holds it (e.g. it expired and was taken over).
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @param {string} owner
+ */
+export async function releaseLock(client, name, owner) {
+  await client.execute({
+    sql: "DELETE FROM system_meta WHERE key = ? AND json_extract(value, '$.owner') = ?",
+    args: [`lock:${name}`, owner],
+  });
+  trace(`[engram] Lock "${name}" released by ${owner}`);
+}
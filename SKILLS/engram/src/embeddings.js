@@ -21,11 +21,18 @@ const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.wr
 const CACHE_DIR = join(__dirname, "..", "data", "models");
 
 const MODEL_ID = "Xenova/bge-m3";
+/** BGE-M3's dimension — reported until a model is loaded and measured */
 const EMBEDDING_DIM = 1024;
 
 /** @type {any} */
 let _pipeline = null;
 
+/** @type {string | null} Model the loaded pipeline came from */
+let _modelId = null;
+
+/** @type {number} Dimension of the loaded model's vectors (0 until loaded) */
+let _dim = 0;
+
 /** @type {string} */
 let _device = "cpu";
 
@@ -57,19 +64,25 @@ async function detectDevice() {
 
 /**
  * Initialize the embedding pipeline (lazy — called on first embed()).
+ * Asking for a different model than the loaded one replaces it.
  * @param {object} [options]
  * @param {string} [options.device] - Force device: 'webgpu' | 'cpu'
- * @param {string} [options.modelId] - Override model ID
+ * @param {string} [options.modelId] - Override model ID (default: the loaded model, else BGE-M3)
+ * @param {(task: string, model: string, options: object) => Promise<any>} [options.pipeline] - Pipeline factory (default: transformers' pipeline; tests inject a stub)
  * @returns {Promise<void>}
  */
 export async function initEmbeddings(options = {}) {
-    if (_initialized && _pipeline) return;
-
-    const { pipeline, env } = await import("@huggingface/transformers");
-    env.cacheDir = CACHE_DIR;
+    const modelId = options.modelId || _modelId || MODEL_ID;
+    if (_initialized && _pipeline && modelId === _modelId) return;
+
+    let pipeline = options.pipeline;
+    if (!pipeline) {
+        const transformers = await import("@huggingface/transformers");
+        transformers.env.cacheDir = CACHE_DIR;
+        pipeline = /** @type {any} */ (transformers.pipeline);
+    }
 
     _device = options.device || await detectDevice();
-    const modelId = options.modelId || MODEL_ID;
 
     trace(`[engram] Loading embedding model: ${modelId} (device: ${_device})`);
     const startTime = Date.now();
@@ -79,8 +92,13 @@ export async function initEmbeddings(options = {}) {
         device: _device,
     });
 
+    // The dimension is whatever the model emits — measure it rather than assume BGE-M3
+    const probe = await _pipeline("dimension probe", { pooling: "cls", normalize: true });
+    _dim = probe.dims[probe.dims.length - 1];
+    _modelId = modelId;
+
     const elapsed = Date.now() - startTime;
-    trace(`[engram] Model loaded in ${elapsed}ms`);
+    trace(`[engram] Model loaded in ${elapsed}ms (${_dim}-dim)`);
 
     _initialized = true;
 }
@@ -89,7 +107,7 @@ export async function initEmbeddings(options = {}) {
  * Generate an embedding vector for the given text.
  *
  * @param {string} text - Text to embed (max ~8192 tokens)
- * @returns {Promise<Float32Array>} 1024-dimensional embedding vector
+ * @returns {Promise<Float32Array>} Embedding vector (1024-dim for BGE-M3)
  */
 export async function embed(text) {
     if (!_initialized || !_pipeline) {
@@ -105,16 +123,37 @@ export async function embed(text) {
     return new Float32Array(output.data);
 }
 
+/** Texts per forward pass — padding grows with the longest text, so keep batches modest on CPU */
+const DEFAULT_BATCH_SIZE = 8;
+
 /**
- * Generate embeddings for multiple texts (batch).
+ * Generate embeddings for multiple texts in batched forward passes.
  *
  * @param {string[]} texts - Array of texts to embed
- * @returns {Promise<Float32Array[]>} Array of 1024-dim vectors
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Texts per forward pass (default 8)
+ * @returns {Promise<Float32Array[]>} Array of vectors, in input order
  */
-export async function embedBatch(texts) {
+export async function embedBatch(texts, options = {}) {
+    if (texts.length === 0) return [];
+    if (!_initialized || !_pipeline) {
+        await initEmbeddings();
+    }
+
+    const batchSize = Math.max(1, options.batchSize || DEFAULT_BATCH_SIZE);
     const results = [];
-    for (const text of texts) {
-        results.push(await embed(text));
+    for (let i = 0; i < texts.length; i += batchSize) {
+        const chunk = texts.slice(i, i + batchSize);
+        const output = await _pipeline(chunk, {
+            pooling: "cls",
+            normalize: true,
+        });
+
+        // output.data is the flattened [chunk.length, dim] tensor
+        const dim = output.dims[output.dims.length - 1];
+        for (let j = 0; j < chunk.length; j++) {
+            results.push(new Float32Array(output.data.subarray(j * dim, (j + 1) * dim)));
+        }
     }
     return results;
 }
@@ -149,11 +188,19 @@ export function cosineSimilarity(a, b) {
 }
 
 /**
- * Get the embedding dimension.
+ * Get the embedding dimension of the loaded model (BGE-M3's 1024 before one is loaded).
  * @returns {number}
  */
 export function getEmbeddingDim() {
-    return EMBEDDING_DIM;
+    return _dim || EMBEDDING_DIM;
+}
+
+/**
+ * Get the model the loaded pipeline came from.
+ * @returns {string | null}
+ */
+export function getEmbeddingModelId() {
+    return _modelId;
 }
 
 /**
@@ -177,6 +224,8 @@ export function isInitialized() {
  */
 export function resetEmbeddings() {
     _pipeline = null;
+    _modelId = null;
+    _dim = 0;
     _initialized = false;
     _device = "cpu";
 }
@@ -264,16 +313,25 @@ export function resetReranker() {
  * @property {string} text  - The document text
  */
 
+/** (query, document) pairs per forward pass */
+const DEFAULT_RERANK_BATCH_SIZE = 16;
+
+/** Max tokens per pair — BGE-reranker-base was trained on 512 */
+const DEFAULT_RERANK_MAX_LENGTH = 512;
+
 /**
  * Re-rank documents by cross-encoder relevance to a query.
  *
  * Cross-encoders process (query, document) pairs jointly via attention,
  * making them much more accurate than bi-encoders for relevance scoring.
+ * Pairs are scored in batched forward passes.
  *
  * @param {string} query
  * @param {string[]} documents - Texts to re-rank
  * @param {object} [options]
  * @param {number} [options.topK] - Return only top-K results (default: all)
+ * @param {number} [options.batchSize] - Pairs per forward pass (default 16, or ENGRAM_RERANK_BATCH_SIZE)
+ * @param {number} [options.maxLength] - Truncate each pair to this many tokens (default 512, or ENGRAM_RERANK_MAX_LENGTH)
  * @returns {Promise<RerankResult[]>} Sorted by score descending
  */
 export async function rerank(query, documents, options = {}) {
@@ -281,27 +339,35 @@ export async function rerank(query, documents, options = {}) {
         await initReranker();
     }
 
-    const { topK } = options;
+    const {
+        topK,
+        batchSize = Number(process.env.ENGRAM_RERANK_BATCH_SIZE) || DEFAULT_RERANK_BATCH_SIZE,
+        maxLength = Number(process.env.ENGRAM_RERANK_MAX_LENGTH) || DEFAULT_RERANK_MAX_LENGTH,
+    } = options;
 
     /** @type {RerankResult[]} */
     const results = [];
 
-    // Score each (query, document) pair
-    for (let i = 0; i < documents.length; i++) {
-        const inputs = _rerankerTokenizer([query], {
-            text_pair: [documents[i]],
+    // Score (query, document) pairs, one batch per forward pass
+    const step = Math.max(1, batchSize);
+    for (let start = 0; start < documents.length; start += step) {
+        const batch = documents.slice(start, start + step);
+        const inputs = _rerankerTokenizer(batch.map(() => query), {
+            text_pair: batch,
             padding: true,
             truncation: true,
+            max_length: maxLength,
         });
 
         const output = await _rerankerModel(inputs);
 
-        // output.logits is a Tensor with shape [1, 1]
+        // output.logits is a Tensor with shape [batch, 1]
         // Apply sigmoid to get a 0-1 relevance score
-        const logit = Number(output.logits.data[0]);
-        const score = 1 / (1 + Math.exp(-logit)); // sigmoid
-
-        results.push({ index: i, score, text: documents[i] });
+        for (let j = 0; j < batch.length; j++) {
+            const logit = Number(output.logits.data[j]);
+            const score = 1 / (1 + Math.exp(-logit)); // sigmoid
+            results.push({ index: start + j, score, text: batch[j] });
+        }
     }
 
     // Sort by score descending
@@ -0,0 +1,22 @@
+// @ts-check
+/**
+ * Errors the interfaces (HTTP API, daemon) tell apart by `code` rather than
+ * by message text:
+ *  - invalid_argument  a value the caller passed is out of range or unknown ("Invalid type: ...")
+ *  - conflict          the operation can't run now ("Consolidation is already running")
+ *
+ * Anything else is a plain Error.
+ */
+
+/** @typedef {'invalid_argument' | 'conflict'} ErrorCode */
+
+export class EngramError extends Error {
+    /**
+     * @param {ErrorCode} code
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
@@ -4,13 +4,24 @@
  *
  * Inspired by CogMem: reconstructs concise, task-relevant context at each turn.
  * Combines hybrid search with session context and ranks by composite score.
+ *
+ * Scope resolution: recall in scope S sees S plus global memories. S wins
+ * over global — its memories get a score boost, and a global memory with the
+ * same type and title as one in S is shadowed by it.
  */
 
-import { searchHybrid, logAccess } from "./memory.js";
+import { searchHybrid, logAccess, normalizeScope, GLOBAL_SCOPE } from "./memory.js";
 import { getSessionContext } from "./session.js";
+import { formatPath } from "./graph.js";
 
 const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
 
+/** Composite-score multiplier for memories of the current scope over global ones */
+const SCOPE_BOOST = 1.2;
+
+/** Composite-score multiplier for superseded memories, when they are included */
+const SUPERSEDED_PENALTY = 0.5;
+
 /**
  * @typedef {Object} RecallOptions
  * @property {number} [k]             - Number of results (default 10)
@@ -19,11 +30,14 @@ const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.wr
  * @property {string} [sessionId]     - Include session context
  * @property {boolean} [rerank]       - Re-score with cross-encoder (default true)
  * @property {number} [hops]          - Follow graph links N hops deep (default 1)
+ * @property {boolean} [chunks]       - Return only the best-matching chunk of long memories (default false)
+ * @property {string} [scope]         - Current scope, blended with global (default: all scopes)
+ * @property {boolean} [includeSuperseded] - Keep memories superseded by another, demoted (default false)
  */
 
 /**
  * @typedef {Object} RecallResult
- * @property {Array<{id: number, type: string, title: string, content: string, score: number}>} memories
+ * @property {Array<{id: number, type: string, scope: string, title: string, content: string, score: number, chunk?: number, lineage?: number[], supersededBy?: number, explanation?: import("./memory.js").Explanation}>} memories
  * @property {string | null} sessionContext
  * @property {number} totalTokensEstimate
  */
@@ -38,6 +52,48 @@ function estimateTokens(text) {
     return Math.ceil(text.length / 3.5);
 }
 
+/**
+ * Shape a scored memory as a recall entry. With `useChunks`, a memory that
+ * matched through one of its chunks contributes only that chunk.
+ * @param {import("./memory.js").Memory & {score: number}} mem
+ * @param {boolean} useChunks
+ * @returns {RecallResult["memories"][number]}
+ */
+function toRecallEntry(mem, useChunks) {
+    /** @type {RecallResult["memories"][number]} */
+    const entry = { id: mem.id, type: mem.type, scope: mem.scope, title: mem.title, content: mem.content, score: mem.score };
+    if (mem.lineage) entry.lineage = mem.lineage;
+    if (mem.supersededBy !== undefined) entry.supersededBy = mem.supersededBy;
+    if (mem.explanation) entry.explanation = mem.explanation;
+    if (useChunks && mem.chunk) {
+        return { ...entry, content: mem.chunk.content, chunk: mem.chunk.index };
+    }
+    return entry;
+}
+
+/**
+ * Scopes visible from a scope: itself plus global.
+ * @param {string} scope
+ * @returns {string[]}
+ */
+export function resolveRecallScopes(scope) {
+    const current = normalizeScope(scope);
+    return current === GLOBAL_SCOPE ? [GLOBAL_SCOPE] : [current, GLOBAL_SCOPE];
+}
+
+/**
+ * Drop global memories shadowed by a current-scope memory of the same type and title.
+ * @template {import("./memory.js").Memory} T
+ * @param {T[]} memories
+ * @param {string} current - Normalized current scope
+ * @returns {T[]}
+ */
+function applyShadowing(memories, current) {
+    if (current === GLOBAL_SCOPE) return memories;
+    const local = new Set(memories.filter((m) => m.scope === current).map((m) => `${m.type}\n${m.title}`));
+    return memories.filter((m) => m.scope === current || !local.has(`${m.type}\n${m.title}`));
+}
+
 /**
  * Recall relevant memories for a query, assembling a focused context.
  *
@@ -54,10 +110,19 @@ export async function recall(client, query, options = {}) {
         sessionId,
         rerank = true,
         hops = 1,
+        chunks = false,
+        scope,
+        includeSuperseded = false,
     } = options;
+    const current = scope === undefined ? undefined : normalizeScope(scope);
 
-    // 1. Hybrid search — recall is the "smart" command: rerank + hops by default
-    const searchResults = await searchHybrid(client, query, { k, type, rerank, hops });
+    // 1. Hybrid search — recall is the "smart" command: rerank + hops by default.
+    // Outdated versions are collapsed or left out there (see lineage.js).
+    let searchResults = await searchHybrid(client, query, {
+        k, type, rerank, hops, includeSuperseded,
+        scope: current === undefined ? undefined : resolveRecallScopes(current),
+    });
+    if (current !== undefined) searchResults = applyShadowing(searchResults, current);
 
     // 2. Score and rank: relevance × importance × strength × recency
     const now = Date.now();
@@ -73,8 +138,12 @@ export async function recall(client, query, options = {}) {
             recencyBonus = Math.max(0.1, 1.0 - daysSinceAccess * 0.1); // Decay over 10 days
         }
 
-        const compositeScore = relevance * importance * strength * recencyBonus;
-        trace(`[engram]   #${mem.id} [${mem.type}] "${mem.title}" — rel=${relevance.toFixed(4)} imp=${importance} str=${strength.toFixed(3)} rec=${recencyBonus.toFixed(2)} → composite=${compositeScore.toFixed(6)}`);
+        const scopeBoost = current !== undefined && current !== GLOBAL_SCOPE && mem.scope === current ? SCOPE_BOOST : 1;
+
+        const outdated = mem.supersededBy !== undefined ? SUPERSEDED_PENALTY : 1;
+
+        const compositeScore = relevance * importance * strength * recencyBonus * scopeBoost * outdated;
+        trace(`[engram]   #${mem.id} [${mem.type}] "${mem.title}" — rel=${relevance.toFixed(4)} imp=${importance} str=${strength.toFixed(3)} rec=${recencyBonus.toFixed(2)} scope=${mem.scope} → composite=${compositeScore.toFixed(6)}`);
         return { ...mem, score: compositeScore };
     });
 
@@ -82,22 +151,18 @@ export async function recall(client, query, options = {}) {
     scored.sort((a, b) => b.score - a.score);
 
     // 3. Apply token budget with relevance floor
-    // Drop low-relevance noise; keep hop-linked memories (score=-1 sentinel)
+    // Drop low-relevance noise; keep hop-linked memories (`explanation`), which score
+    // a fraction of the memory they were reached from
     const MIN_SCORE = 0.001;
     let tokenCount = 0;
     let memories = [];
 
     for (const mem of scored) {
-        if (mem.score >= 0 && mem.score < MIN_SCORE) continue; // noise gate
-        const memTokens = estimateTokens(`[${mem.type}] ${mem.title}\n${mem.content}`);
+        if (!mem.explanation && mem.score < MIN_SCORE) continue; // noise gate
+        const entry = toRecallEntry(mem, chunks);
+        const memTokens = estimateTokens(`[${entry.type}] ${entry.title}\n${entry.content}`);
         if (tokenCount + memTokens > budget && memories.length > 0) break;
-        memories.push({
-            id: mem.id,
-            type: mem.type,
-            title: mem.title,
-            content: mem.content,
-            score: mem.score,
-        });
+        memories.push(entry);
         tokenCount += memTokens;
     }
 
@@ -109,16 +174,11 @@ export async function recall(client, query, options = {}) {
         tokenCount = 0;
         memories = []; // Reset memories for fallback
         for (const mem of scored) {
-            if (mem.score < 0) continue; // skip sentinel-only
-            const memTokens = estimateTokens(`[${mem.type}] ${mem.title}\n${mem.content}`);
+            if (mem.explanation) continue; // skip hop-linked only
+            const entry = toRecallEntry(mem, chunks);
+            const memTokens = estimateTokens(`[${entry.type}] ${entry.title}\n${entry.content}`);
             if (tokenCount + memTokens > budget && memories.length > 0) break;
-            memories.push({
-                id: mem.id,
-                type: mem.type,
-                title: mem.title,
-                content: mem.content,
-                score: mem.score,
-            });
+            memories.push(entry);
             tokenCount += memTokens;
         }
     }
@@ -165,7 +225,10 @@ export function formatRecallContext(result) {
     if (result.memories.length > 0) {
         lines.push("## Relevant Memories");
         for (const mem of result.memories) {
-            lines.push(`### [${mem.type}] ${mem.title}`);
+            lines.push(`### [${mem.type}] ${mem.title}${mem.chunk !== undefined ? ` (excerpt — engram get ${mem.id} for full)` : ""}`);
+            if (mem.supersededBy !== undefined) lines.push(`_Superseded by #${mem.supersededBy}_`);
+            if (mem.lineage) lines.push(`_Evolved from ${mem.lineage.map((id) => `#${id}`).join(" ← ")}_`);
+            if (mem.explanation) lines.push(`_Linked: ${formatPath(mem.explanation.seed, mem.explanation.path)}_`);
             lines.push(mem.content);
             lines.push("");
         }
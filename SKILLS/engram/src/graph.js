@@ -0,0 +1,834 @@
+// @ts-check
+/**
+ * Graph — queries over memory_links beyond one hop.
+ *
+ * walkGraph explores the links around a memory breadth- or depth-first, with
+ * filters on relation, direction and link strength. Every memory reached
+ * comes with the path that reached it and a score: the product of the link
+ * strengths along that path, so a memory two weak links away scores below a
+ * direct, strong neighbour. findPath answers "why is #12 connected to #40"
+ * with the shortest such path. exportGraph draws the graph (or part of it)
+ * for Graphviz, GraphML tools or Mermaid, and graphStats sums it up:
+ * components, communities, hubs, orphans and cross-type bridges.
+ *
+ * Archived memories are left out and not walked through. Superseded ones are
+ * walked like any other: this is the graph as stored, not as retrieval
+ * presents it (see lineage.js).
+ */
+
+import { normalizeScope } from "./memory.js";
+import { requireRelationType } from "./registry.js";
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+export const WALK_DIRECTIONS = ["out", "in", "both"];
+export const WALK_ORDERS = ["bfs", "dfs"];
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {number} from      - Memory the step leaves
+ * @property {number} to        - Memory the step arrives at
+ * @property {string} relation
+ * @property {'outgoing' | 'incoming'} direction - outgoing: stored as `from relation to`; incoming: as `to relation from`
+ * @property {number} strength
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {number} id
+ * @property {string} type
+ * @property {string} title
+ * @property {string} scope
+ * @property {number} depth       - Links between the start and this memory (0 for the start)
+ * @property {number} score       - Product of the link strengths along `path` (1 for the start)
+ * @property {GraphEdge[]} path   - Links from the start to this memory
+ */
+
+/**
+ * @typedef {Object} WalkOptions
+ * @property {string[]} [relations]   - Only follow these relations (default: all)
+ * @property {'out' | 'in' | 'both'} [direction] - out: from source to target only; in: from target to source only (default both)
+ * @property {number} [maxDepth]      - Links to follow from the start (default 2)
+ * @property {number} [minStrength]   - Skip links weaker than this (default 0)
+ * @property {'bfs' | 'dfs'} [order]  - bfs: each memory at its shortest distance, by its best path;
+ *                                      dfs: strongest links first, each memory by the first path found (default bfs)
+ * @property {number} [limit]         - Max memories reached, not counting the start (default 50)
+ * @property {string | string[]} [scope] - Only walk through memories in these scopes
+ * @property {number} [target]        - bfs: stop at the end of the layer that reaches this memory
+ */
+
+/**
+ * Walk the links around a memory.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} startId
+ * @param {WalkOptions} [options]
+ * @returns {Promise<GraphNode[] | null>} The start first, then the memories reached in walk order; null if the start doesn't exist (or is archived)
+ */
+export async function walkGraph(client, startId, options = {}) {
+    const {
+        relations,
+        direction = "both",
+        maxDepth = 2,
+        minStrength = 0,
+        order = "bfs",
+        limit = 50,
+        scope,
+        target,
+    } = options;
+    if (!WALK_DIRECTIONS.includes(direction)) {
+        throw new EngramError("invalid_argument", `Invalid direction: ${direction}. Must be one of: ${WALK_DIRECTIONS.join(", ")}`);
+    }
+    if (!WALK_ORDERS.includes(order)) {
+        throw new EngramError("invalid_argument", `Invalid order: ${order}. Must be one of: ${WALK_ORDERS.join(", ")}`);
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+        throw new EngramError("invalid_argument", `Invalid depth: ${maxDepth}. Must be a whole number, 0 or more`);
+    }
+    if (!Number.isFinite(minStrength) || minStrength < 0 || minStrength > 1) {
+        throw new EngramError("invalid_argument", `Invalid strength: ${minStrength}. Must be between 0.0 and 1.0`);
+    }
+    for (const relation of relations ?? []) await requireRelationType(client, relation);
+
+    const scopes = scope === undefined ? undefined : (Array.isArray(scope) ? scope : [scope]).map(normalizeScope);
+    const found = await liveMemories(client, [startId], undefined);
+    const startRow = found.get(startId);
+    if (!startRow) return null;
+
+    /** @type {GraphNode} */
+    const start = { ...startRow, depth: 0, score: 1, path: [] };
+    const filter = { relations, direction, minStrength, scopes };
+    const reached = order === "bfs"
+        ? await walkBreadthFirst(client, start, maxDepth, limit, filter, target)
+        : await walkDepthFirst(client, start, maxDepth, limit, filter);
+    trace(`[engram] Graph walk from #${startId} (${order}, ${direction}, depth ≤ ${maxDepth}): ${reached.length} reached`);
+    return [start, ...reached];
+}
+
+/**
+ * The shortest path between two memories (the best-scoring one, if several
+ * are as short). Takes the same filters as walkGraph.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} fromId
+ * @param {number} toId
+ * @param {Omit<WalkOptions, 'order' | 'limit'>} [options] - maxDepth defaults to 6
+ * @returns {Promise<GraphNode[] | null>} The memories along the path, `fromId` first and `toId` last; null if there is none within maxDepth
+ */
+export async function findPath(client, fromId, toId, options = {}) {
+    const nodes = await walkGraph(client, fromId, { maxDepth: 6, ...options, order: "bfs", limit: Infinity, target: toId });
+    const end = nodes?.find((n) => n.id === toId);
+    if (!nodes || !end) return null;
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    return [nodes[0], ...end.path.map((e) => /** @type {GraphNode} */ (byId.get(e.to)))];
+}
+
+/**
+ * A path as text, e.g. `#12 —caused_by→ #30 ←related_to— #40`: an arrow
+ * points the way the link is stored (source to target).
+ * @param {number} startId
+ * @param {GraphEdge[]} path
+ * @returns {string}
+ */
+export function formatPath(startId, path) {
+    return path.reduce((text, edge) => edge.direction === "outgoing"
+        ? `${text} —${edge.relation}→ #${edge.to}`
+        : `${text} ←${edge.relation}— #${edge.to}`, `#${startId}`);
+}
+
+// ---------------------------------------------------------------------------
+// Walks
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} EdgeFilter
+ * @property {string[] | undefined} relations
+ * @property {'out' | 'in' | 'both'} direction
+ * @property {number} minStrength
+ * @property {string[] | undefined} scopes
+ */
+
+/**
+ * Layer by layer: one query for the links of a whole layer, one for the
+ * memories they lead to.
+ * @param {import("@libsql/client").Client} client
+ * @param {GraphNode} start
+ * @param {number} maxDepth
+ * @param {number} limit
+ * @param {EdgeFilter} filter
+ * @param {number} [target] - Stop once reached
+ * @returns {Promise<GraphNode[]>}
+ */
+async function walkBreadthFirst(client, start, maxDepth, limit, filter, target) {
+    /** @type {Map<number, GraphNode>} */
+    const visited = new Map([[start.id, start]]);
+    /** @type {GraphNode[]} */
+    const reached = [];
+    let layer = [start];
+
+    for (let depth = 1; depth <= maxDepth && layer.length > 0 && reached.length < limit; depth++) {
+        const edges = await edgesFrom(client, layer.map((n) => n.id), filter);
+
+        // Best path into each memory not reached at a shorter distance
+        /** @type {Map<number, {parent: GraphNode, edge: GraphEdge, score: number}>} */
+        const best = new Map();
+        for (const edge of edges) {
+            if (visited.has(edge.to)) continue;
+            const parent = /** @type {GraphNode} */ (visited.get(edge.from));
+            const score = parent.score * edge.strength;
+            if ((best.get(edge.to)?.score ?? -1) < score) best.set(edge.to, { parent, edge, score });
+        }
+        if (best.size === 0) break;
+
+        const rows = await liveMemories(client, [...best.keys()], filter.scopes);
+        layer = [...best]
+            .filter(([id]) => rows.has(id))
+            .sort(([, a], [, b]) => b.score - a.score)
+            .slice(0, limit - reached.length)
+            .map(([id, { parent, edge, score }]) => ({
+                .../** @type {Omit<GraphNode, 'depth' | 'score' | 'path'>} */ (rows.get(id)),
+                depth,
+                score,
+                path: [...parent.path, edge],
+            }));
+        for (const node of layer) visited.set(node.id, node);
+        reached.push(...layer);
+        if (target !== undefined && visited.has(target)) break;
+    }
+    return reached;
+}
+
+/**
+ * Follows the strongest link first, as deep as allowed, before backtracking.
+ * @param {import("@libsql/client").Client} client
+ * @param {GraphNode} start
+ * @param {number} maxDepth
+ * @param {number} limit
+ * @param {EdgeFilter} filter
+ * @returns {Promise<GraphNode[]>}
+ */
+async function walkDepthFirst(client, start, maxDepth, limit, filter) {
+    const visited = new Set([start.id]);
+    /** @type {GraphNode[]} */
+    const reached = [];
+
+    /** @param {GraphNode} node */
+    const visit = async (node) => {
+        if (node.depth >= maxDepth) return;
+        const edges = (await edgesFrom(client, [node.id], filter)).filter((e) => !visited.has(e.to));
+        const rows = await liveMemories(client, edges.map((e) => e.to), filter.scopes);
+        for (const edge of edges) {
+            const row = rows.get(edge.to);
+            if (!row || visited.has(edge.to)) continue;
+            if (reached.length >= limit) return;
+            /** @type {GraphNode} */
+            const next = { ...row, depth: node.depth + 1, score: node.score * edge.strength, path: [...node.path, edge] };
+            visited.add(next.id);
+            reached.push(next);
+            await visit(next);
+        }
+    };
+    await visit(start);
+    return reached;
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const GRAPH_FORMATS = ["dot", "graphml", "mermaid"];
+
+/** Node fill per built-in type; other types take one of EXTRA_COLORS by name */
+const TYPE_COLORS = {
+    reflex: "#f4a261",
+    episode: "#8ecae6",
+    fact: "#b7e4c7",
+    preference: "#ffd166",
+    decision: "#cdb4db",
+    session_summary: "#dddddd",
+};
+const EXTRA_COLORS = ["#ffafcc", "#a8dadc", "#e9c46a", "#bde0fe", "#d8e2dc", "#f1c0e8"];
+
+/** Longest title shown on a node */
+const LABEL_MAX = 60;
+
+/**
+ * Which part of the graph to export or analyze.
+ * @typedef {Object} GraphExportOptions
+ * @property {string[]} [types]  - Only memories of these types
+ * @property {string} [tag]      - Only memories with this tag
+ * @property {string} [scope]    - Only this scope
+ * @property {number} [root]     - Only memories within `depth` links of this one
+ * @property {number} [depth]    - With root: links to follow, in either direction (default 2)
+ */
+
+/**
+ * @typedef {Object} ExportNode
+ * @property {number} id
+ * @property {string} type
+ * @property {string} title
+ * @property {string} scope
+ * @property {number} importance
+ * @property {number} strength
+ */
+
+/**
+ * @typedef {Object} ExportEdge
+ * @property {number} source
+ * @property {number} target
+ * @property {string} relation
+ * @property {number} strength
+ */
+
+/**
+ * The knowledge graph (live memories and the links between them) as Graphviz
+ * DOT, GraphML or a Mermaid flowchart. Nodes are colored by type and sized by
+ * the mean of importance and strength; edges are labeled with their relation
+ * and drawn thicker the stronger the link.
+ * @param {import("@libsql/client").Client} client
+ * @param {'dot' | 'graphml' | 'mermaid'} format
+ * @param {GraphExportOptions} [options]
+ * @returns {Promise<string>}
+ */
+export async function exportGraph(client, format, options = {}) {
+    if (!GRAPH_FORMATS.includes(format)) {
+        throw new EngramError("invalid_argument", `Invalid format: ${format}. Must be one of: ${GRAPH_FORMATS.join(", ")}`);
+    }
+    const { nodes, edges } = await loadGraph(client, options);
+    trace(`[engram] Graph export (${format}): ${nodes.length} memories, ${edges.length} links`);
+
+    switch (format) {
+        case "dot": return toDot(nodes, edges);
+        case "graphml": return toGraphML(nodes, edges);
+        default: return toMermaid(nodes, edges);
+    }
+}
+
+/**
+ * The live memories matching the options, and the links between them.
+ * @param {import("@libsql/client").Client} client
+ * @param {GraphExportOptions} options
+ * @returns {Promise<{nodes: ExportNode[], edges: ExportEdge[]}>}
+ */
+async function loadGraph(client, options) {
+    const { types, tag, scope, root, depth = 2 } = options;
+
+    /** @type {string[]} */
+    const where = ["m.archived = 0"];
+    /** @type {Array<string | number>} */
+    const args = [];
+    if (root !== undefined) {
+        const reached = await walkGraph(client, root, { maxDepth: depth, limit: Infinity, scope });
+        if (!reached) throw new Error(`Memory #${root} not found`);
+        where.push("m.id IN (SELECT value FROM json_each(?))");
+        args.push(JSON.stringify(reached.map((n) => n.id)));
+    }
+    if (types?.length) {
+        where.push("m.type IN (SELECT value FROM json_each(?))");
+        args.push(JSON.stringify(types));
+    }
+    if (scope !== undefined) {
+        where.push("m.scope = ?");
+        args.push(normalizeScope(scope));
+    }
+    if (tag !== undefined) {
+        where.push("EXISTS (SELECT 1 FROM memory_tags mt JOIN tags t ON t.id = mt.tag_id WHERE mt.memory_id = m.id AND t.name = ?)");
+        args.push(tag.toLowerCase().trim());
+    }
+    const memories = await client.execute({
+        sql: `SELECT m.id, m.type, m.title, m.scope, m.importance, m.strength FROM memories m
+              WHERE ${where.join(" AND ")} ORDER BY m.id`,
+        args,
+    });
+    /** @type {ExportNode[]} */
+    const nodes = memories.rows.map((r) => ({
+        id: Number(r.id),
+        type: String(r.type),
+        title: String(r.title),
+        scope: String(r.scope),
+        importance: Number(r.importance),
+        strength: Number(r.strength),
+    }));
+
+    const idsJson = JSON.stringify(nodes.map((n) => n.id));
+    const links = await client.execute({
+        sql: `SELECT source_id, target_id, relation, strength FROM memory_links
+              WHERE source_id IN (SELECT value FROM json_each(?)) AND target_id IN (SELECT value FROM json_each(?))
+              ORDER BY source_id, target_id`,
+        args: [idsJson, idsJson],
+    });
+    /** @type {ExportEdge[]} */
+    const edges = links.rows.map((r) => ({
+        source: Number(r.source_id),
+        target: Number(r.target_id),
+        relation: String(r.relation),
+        strength: Number(r.strength),
+    }));
+    return { nodes, edges };
+}
+
+/**
+ * @param {string} type
+ * @returns {string}
+ */
+function typeColor(type) {
+    if (Object.hasOwn(TYPE_COLORS, type)) return TYPE_COLORS[/** @type {keyof typeof TYPE_COLORS} */ (type)];
+    let hash = 0;
+    for (const ch of type) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return EXTRA_COLORS[hash % EXTRA_COLORS.length];
+}
+
+/**
+ * 0–1: how large to draw a memory.
+ * @param {ExportNode} node
+ * @returns {number}
+ */
+function nodeWeight(node) {
+    return Math.min(1, Math.max(0, (node.importance + node.strength) / 2));
+}
+
+/**
+ * @param {ExportNode} node
+ * @returns {string}
+ */
+function nodeLabel(node) {
+    const title = node.title.length > LABEL_MAX ? node.title.slice(0, LABEL_MAX - 1) + "…" : node.title;
+    return `#${node.id} ${title}`;
+}
+
+/**
+ * @param {ExportNode[]} nodes
+ * @param {ExportEdge[]} edges
+ * @returns {string}
+ */
+function toDot(nodes, edges) {
+    const quote = (/** @type {string} */ s) => `"${s.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+    const lines = [
+        "digraph engram {",
+        "  rankdir=LR;",
+        '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+        '  edge [fontname="Helvetica", fontsize=9];',
+    ];
+    for (const node of nodes) {
+        const w = nodeWeight(node);
+        lines.push(`  m${node.id} [label=${quote(`${nodeLabel(node)}\n[${node.type}]`)}, fillcolor=${quote(typeColor(node.type))}, width=${(0.75 + w).toFixed(2)}, fontsize=${Math.round(10 + 6 * w)}];`);
+    }
+    for (const edge of edges) {
+        lines.push(`  m${edge.source} -> m${edge.target} [label=${quote(edge.relation)}, penwidth=${(0.5 + 2.5 * edge.strength).toFixed(2)}];`);
+    }
+    lines.push("}");
+    return lines.join("\n");
+}
+
+/**
+ * @param {ExportNode[]} nodes
+ * @param {ExportEdge[]} edges
+ * @returns {string}
+ */
+function toGraphML(nodes, edges) {
+    const xml = (/** @type {string | number} */ s) => String(s)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    /** @type {Array<[string, 'node' | 'edge', string, string]>} id, for, attr.name, attr.type */
+    const keys = [
+        ["label", "node", "label", "string"],
+        ["type", "node", "type", "string"],
+        ["scope", "node", "scope", "string"],
+        ["importance", "node", "importance", "double"],
+        ["strength", "node", "strength", "double"],
+        ["color", "node", "color", "string"],
+        ["size", "node", "size", "double"],
+        ["relation", "edge", "label", "string"],
+        ["link_strength", "edge", "weight", "double"],
+    ];
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys.map(([id, kind, name, type]) => `  <key id="${id}" for="${kind}" attr.name="${name}" attr.type="${type}"/>`),
+        '  <graph id="engram" edgedefault="directed">',
+    ];
+    for (const node of nodes) {
+        /** @type {Record<string, string | number>} */
+        const data = {
+            label: nodeLabel(node),
+            type: node.type,
+            scope: node.scope,
+            importance: node.importance,
+            strength: node.strength,
+            color: typeColor(node.type),
+            size: Number((10 + 30 * nodeWeight(node)).toFixed(1)),
+        };
+        lines.push(`    <node id="m${node.id}">${Object.entries(data).map(([k, v]) => `<data key="${k}">${xml(v)}</data>`).join("")}</node>`);
+    }
+    edges.forEach((edge, i) => {
+        lines.push(`    <edge id="e${i}" source="m${edge.source}" target="m${edge.target}"><data key="relation">${xml(edge.relation)}</data><data key="link_strength">${edge.strength}</data></edge>`);
+    });
+    lines.push("  </graph>", "</graphml>");
+    return lines.join("\n");
+}
+
+/**
+ * Mermaid has no node size: importance and strength set the border width.
+ * @param {ExportNode[]} nodes
+ * @param {ExportEdge[]} edges
+ * @returns {string}
+ */
+function toMermaid(nodes, edges) {
+    const quote = (/** @type {string} */ s) => `"${s.replace(/"/g, "#quot;")}"`;
+    const lines = ["graph LR"];
+    for (const node of nodes) lines.push(`  m${node.id}[${quote(nodeLabel(node))}]:::${node.type}`);
+    for (const edge of edges) lines.push(`  m${edge.source} -- ${quote(edge.relation)} --> m${edge.target}`);
+    for (const type of new Set(nodes.map((n) => n.type))) lines.push(`  classDef ${type} fill:${typeColor(type)},stroke:#333`);
+    for (const node of nodes) lines.push(`  style m${node.id} stroke-width:${(1 + 3 * nodeWeight(node)).toFixed(1)}px`);
+    return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Analytics
+// ---------------------------------------------------------------------------
+
+export const HUB_RANKINGS = ["pagerank", "degree"];
+
+/** PageRank damping factor, iteration cap and convergence threshold */
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-9;
+/** Label propagation rounds; it usually settles in a handful */
+const COMMUNITY_ROUNDS = 20;
+
+/**
+ * The part of the graph to analyze, plus `top`: hubs and bridge memories
+ * listed (default 10), and `rankBy`: how hubs are ranked (default pagerank).
+ * @typedef {GraphExportOptions & {top?: number, rankBy?: 'pagerank' | 'degree'}} GraphStatsOptions
+ */
+
+/**
+ * @typedef {Object} StatNode
+ * @property {number} id
+ * @property {string} type
+ * @property {string} title
+ */
+
+/**
+ * A connected component or a community.
+ * @typedef {Object} GraphGroup
+ * @property {number} size
+ * @property {number} links                 - Links between members
+ * @property {Record<string, number>} types - Members per type
+ * @property {StatNode} hub                 - The member with the most links
+ * @property {number[]} members             - Ids, ascending
+ */
+
+/**
+ * @typedef {StatNode & {degree: number, inDegree: number, outDegree: number, pagerank: number}} GraphHub
+ */
+
+/**
+ * @typedef {Object} TypeBridge
+ * @property {string} from   - Source type
+ * @property {string} to     - Target type
+ * @property {number} links
+ */
+
+/**
+ * A memory linked to memories of other types: `links` such links, to `types`.
+ * @typedef {StatNode & {links: number, types: string[]}} BridgeMemory
+ */
+
+/**
+ * @typedef {Object} GraphStats
+ * @property {number} memories
+ * @property {number} links
+ * @property {number} averageDegree       - Links per memory, both ends counted
+ * @property {number} componentCount      - Connected components, orphans included
+ * @property {GraphGroup[]} components    - Components of 2+ memories, largest first: all but the first are islands
+ * @property {GraphGroup[]} communities   - Densely linked groups of 2+ memories, largest first
+ * @property {GraphHub[]} hubs            - Most central memories, by options.rankBy
+ * @property {StatNode[]} orphans         - Memories without links
+ * @property {{types: TypeBridge[], memories: BridgeMemory[]}} bridges - Links across types, by type pair and by memory
+ */
+
+/**
+ * Structure of the knowledge graph, or of the part selected like exportGraph's.
+ *
+ * Links count as undirected, weighted by strength: components and orphans
+ * come from reachability, communities from label propagation (each memory
+ * joins the group its neighbours' links weigh most for, until nothing moves),
+ * hubs from degree and PageRank. A hub with many links across communities is
+ * often a dumping ground; small components are knowledge islands.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {GraphStatsOptions} [options]
+ * @returns {Promise<GraphStats>}
+ */
+export async function graphStats(client, options = {}) {
+    const { top = 10, rankBy = "pagerank" } = options;
+    if (!HUB_RANKINGS.includes(rankBy)) {
+        throw new EngramError("invalid_argument", `Invalid ranking: ${rankBy}. Must be one of: ${HUB_RANKINGS.join(", ")}`);
+    }
+    const { nodes, edges } = await loadGraph(client, options);
+    const ids = nodes.map((n) => n.id);
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+
+    /** @type {Map<number, Map<number, number>>} Neighbour → summed link strength */
+    const adjacency = new Map(ids.map((id) => [id, new Map()]));
+    /** @type {Map<number, number>} */
+    const inDegree = new Map(ids.map((id) => [id, 0]));
+    /** @type {Map<number, number>} */
+    const outDegree = new Map(ids.map((id) => [id, 0]));
+    for (const e of edges) {
+        outDegree.set(e.source, (outDegree.get(e.source) ?? 0) + 1);
+        inDegree.set(e.target, (inDegree.get(e.target) ?? 0) + 1);
+        if (e.source === e.target) continue;
+        const out = /** @type {Map<number, number>} */ (adjacency.get(e.source));
+        const back = /** @type {Map<number, number>} */ (adjacency.get(e.target));
+        out.set(e.target, (out.get(e.target) ?? 0) + e.strength);
+        back.set(e.source, (back.get(e.source) ?? 0) + e.strength);
+    }
+    const degree = (/** @type {number} */ id) => (inDegree.get(id) ?? 0) + (outDegree.get(id) ?? 0);
+    const statNode = (/** @type {number} */ id) => {
+        const n = /** @type {ExportNode} */ (byId.get(id));
+        return { id, type: n.type, title: n.title };
+    };
+
+    /**
+     * @param {number[]} members
+     * @returns {GraphGroup}
+     */
+    const group = (members) => {
+        const inside = new Set(members);
+        /** @type {Record<string, number>} */
+        const types = {};
+        for (const id of members) {
+            const type = /** @type {ExportNode} */ (byId.get(id)).type;
+            types[type] = (types[type] ?? 0) + 1;
+        }
+        const hub = members.reduce((best, id) => degree(id) > degree(best) ? id : best);
+        return {
+            size: members.length,
+            links: edges.filter((e) => inside.has(e.source) && inside.has(e.target)).length,
+            types,
+            hub: statNode(hub),
+            members: [...members].sort((a, b) => a - b),
+        };
+    };
+    const bySize = (/** @type {GraphGroup} */ a, /** @type {GraphGroup} */ b) => b.size - a.size || a.members[0] - b.members[0];
+
+    const components = connectedComponents(ids, adjacency);
+    const orphans = ids.filter((id) => degree(id) === 0);
+    const rank = pageRank(ids, adjacency);
+
+    const hubs = ids
+        .filter((id) => degree(id) > 0)
+        .map((id) => ({
+            ...statNode(id),
+            degree: degree(id),
+            inDegree: inDegree.get(id) ?? 0,
+            outDegree: outDegree.get(id) ?? 0,
+            pagerank: rank.get(id) ?? 0,
+        }))
+        .sort((a, b) => rankBy === "degree"
+            ? b.degree - a.degree || b.pagerank - a.pagerank || a.id - b.id
+            : b.pagerank - a.pagerank || b.degree - a.degree || a.id - b.id)
+        .slice(0, top);
+
+    /** @type {Map<string, TypeBridge>} */
+    const typePairs = new Map();
+    /** @type {Map<number, {links: number, types: Set<string>}>} */
+    const crossing = new Map();
+    for (const e of edges) {
+        const from = /** @type {ExportNode} */ (byId.get(e.source)).type;
+        const to = /** @type {ExportNode} */ (byId.get(e.target)).type;
+        if (from === to) continue;
+        const pair = typePairs.get(`${from}\0${to}`) ?? { from, to, links: 0 };
+        pair.links++;
+        typePairs.set(`${from}\0${to}`, pair);
+        for (const [id, other] of /** @type {const} */ ([[e.source, to], [e.target, from]])) {
+            const entry = crossing.get(id) ?? { links: 0, types: new Set() };
+            entry.links++;
+            entry.types.add(other);
+            crossing.set(id, entry);
+        }
+    }
+    const bridges = {
+        types: [...typePairs.values()].sort((a, b) => b.links - a.links || a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+        memories: [...crossing]
+            .map(([id, { links, types }]) => ({ ...statNode(id), links, types: [...types].sort() }))
+            .sort((a, b) => b.types.length - a.types.length || b.links - a.links || a.id - b.id)
+            .slice(0, top),
+    };
+
+    trace(`[engram] Graph stats: ${nodes.length} memories, ${edges.length} links, ${components.length} components`);
+    return {
+        memories: nodes.length,
+        links: edges.length,
+        averageDegree: nodes.length > 0 ? (2 * edges.length) / nodes.length : 0,
+        componentCount: components.length,
+        components: components.filter((c) => c.length > 1).map(group).sort(bySize),
+        communities: communities(ids, adjacency).filter((c) => c.length > 1).map(group).sort(bySize),
+        hubs,
+        orphans: orphans.map(statNode),
+        bridges,
+    };
+}
+
+/**
+ * @param {number[]} ids
+ * @param {Map<number, Map<number, number>>} adjacency
+ * @returns {number[][]} Every component, orphans as their own
+ */
+function connectedComponents(ids, adjacency) {
+    /** @type {Set<number>} */
+    const seen = new Set();
+    /** @type {number[][]} */
+    const components = [];
+    for (const start of ids) {
+        if (seen.has(start)) continue;
+        seen.add(start);
+        const members = [start];
+        for (let i = 0; i < members.length; i++) {
+            for (const next of adjacency.get(members[i])?.keys() ?? []) {
+                if (seen.has(next)) continue;
+                seen.add(next);
+                members.push(next);
+            }
+        }
+        components.push(members);
+    }
+    return components;
+}
+
+/**
+ * Label propagation, in id order so the result is stable: each memory takes
+ * the label its neighbours' link strengths add up to most, keeping its own
+ * on a tie, else the lowest.
+ * @param {number[]} ids
+ * @param {Map<number, Map<number, number>>} adjacency
+ * @returns {number[][]}
+ */
+function communities(ids, adjacency) {
+    const label = new Map(ids.map((id) => [id, id]));
+    for (let round = 0; round < COMMUNITY_ROUNDS; round++) {
+        let moved = false;
+        for (const id of ids) {
+            /** @type {Map<number, number>} */
+            const weights = new Map();
+            for (const [neighbour, strength] of adjacency.get(id) ?? []) {
+                const l = /** @type {number} */ (label.get(neighbour));
+                weights.set(l, (weights.get(l) ?? 0) + strength);
+            }
+            if (weights.size === 0) continue;
+            const most = Math.max(...weights.values());
+            const current = /** @type {number} */ (label.get(id));
+            const best = weights.get(current) === most
+                ? current
+                : Math.min(...[...weights].filter(([, w]) => w === most).map(([l]) => l));
+            if (best !== current) { label.set(id, best); moved = true; }
+        }
+        if (!moved) break;
+    }
+    /** @type {Map<number, number[]>} */
+    const groups = new Map();
+    for (const id of ids) {
+        const l = /** @type {number} */ (label.get(id));
+        groups.set(l, [...(groups.get(l) ?? []), id]);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * PageRank over undirected links weighted by strength. Memories without
+ * links (or only zero-strength ones) spread their rank evenly.
+ * @param {number[]} ids
+ * @param {Map<number, Map<number, number>>} adjacency
+ * @returns {Map<number, number>} Sums to 1
+ */
+function pageRank(ids, adjacency) {
+    const n = ids.length;
+    const total = new Map(ids.map((id) => [id, [...(adjacency.get(id)?.values() ?? [])].reduce((s, w) => s + w, 0)]));
+    let rank = new Map(ids.map((id) => [id, 1 / n]));
+    for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+        let dangling = 0;
+        for (const id of ids) if (!total.get(id)) dangling += /** @type {number} */ (rank.get(id));
+        const base = (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n;
+        const next = new Map(ids.map((id) => [id, base]));
+        for (const id of ids) {
+            const out = total.get(id);
+            if (!out) continue;
+            const share = PAGERANK_DAMPING * /** @type {number} */ (rank.get(id)) / out;
+            for (const [neighbour, strength] of adjacency.get(id) ?? []) {
+                next.set(neighbour, /** @type {number} */ (next.get(neighbour)) + share * strength);
+            }
+        }
+        const delta = ids.reduce((sum, id) => sum + Math.abs(/** @type {number} */ (next.get(id)) - /** @type {number} */ (rank.get(id))), 0);
+        rank = next;
+        if (delta < PAGERANK_TOLERANCE) break;
+    }
+    return rank;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * The links these memories can be left by, oriented away from them.
+ * @param {import("@libsql/client").Client} client
+ * @param {number[]} ids
+ * @param {EdgeFilter} filter
+ * @returns {Promise<GraphEdge[]>} Strongest first
+ */
+async function edgesFrom(client, ids, { relations, direction, minStrength }) {
+    const idsJson = JSON.stringify(ids);
+    /** @type {string[]} */
+    const sides = [];
+    /** @type {Array<string | number>} */
+    const args = [];
+    if (direction !== "in") { sides.push("l.source_id IN (SELECT value FROM json_each(?))"); args.push(idsJson); }
+    if (direction !== "out") { sides.push("l.target_id IN (SELECT value FROM json_each(?))"); args.push(idsJson); }
+    args.push(minStrength);
+    const byRelation = relations ? " AND l.relation IN (SELECT value FROM json_each(?))" : "";
+    if (relations) args.push(JSON.stringify(relations));
+
+    const result = await client.execute({
+        sql: `SELECT l.source_id, l.target_id, l.relation, l.strength FROM memory_links l
+              WHERE (${sides.join(" OR ")}) AND l.strength >= ?${byRelation}
+              ORDER BY l.strength DESC, l.source_id, l.target_id`,
+        args,
+    });
+
+    const from = new Set(ids);
+    /** @type {GraphEdge[]} */
+    const edges = [];
+    for (const row of result.rows) {
+        const source = Number(row.source_id);
+        const target = Number(row.target_id);
+        const relation = String(row.relation);
+        const strength = Number(row.strength);
+        if (direction !== "in" && from.has(source)) edges.push({ from: source, to: target, relation, direction: "outgoing", strength });
+        if (direction !== "out" && from.has(target)) edges.push({ from: target, to: source, relation, direction: "incoming", strength });
+    }
+    return edges;
+}
+
+/**
+ * Which of these memories are live (and in scope).
+ * @param {import("@libsql/client").Client} client
+ * @param {number[]} ids
+ * @param {string[] | undefined} scopes
+ * @returns {Promise<Map<number, {id: number, type: string, title: string, scope: string}>>}
+ */
+async function liveMemories(client, ids, scopes) {
+    if (ids.length === 0) return new Map();
+    const byScope = scopes ? " AND scope IN (SELECT value FROM json_each(?))" : "";
+    const result = await client.execute({
+        sql: `SELECT id, type, title, scope FROM memories
+              WHERE id IN (SELECT value FROM json_each(?)) AND archived = 0${byScope}`,
+        args: scopes ? [JSON.stringify(ids), JSON.stringify(scopes)] : [JSON.stringify(ids)],
+    });
+    return new Map(result.rows.map((r) => [Number(r.id), {
+        id: Number(r.id),
+        type: String(r.type),
+        title: String(r.title),
+        scope: String(r.scope),
+    }]));
+}
@@ -0,0 +1,212 @@
+// @ts-check
+/**
+ * Memory version history.
+ *
+ * Every write path that overwrites a memory's title, content, importance or
+ * type first snapshots the previous values into memory_revisions, tagged with
+ * its cause: a manual update, merge-on-write in addMemory, a consolidation
+ * merge, an import merge, a revert, or undoing a sleep run (see journal.js).
+ * Revisions are numbered per memory from 1 and deleted with the memory.
+ * Reverting is itself an update (see revertMemory in memory.js), so it is
+ * recorded and can be undone too.
+ */
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Why a revision was recorded */
+export const REVISION_CAUSES = /** @type {const} */ (["update", "merge", "consolidation", "import", "revert", "undo"]);
+
+/**
+ * @typedef {typeof REVISION_CAUSES[number]} RevisionCause
+ */
+
+/**
+ * @typedef {Object} Revision
+ * @property {number} memoryId
+ * @property {number} revision       - 1 for the oldest snapshot of the memory
+ * @property {string} title
+ * @property {string} content
+ * @property {number} importance
+ * @property {string} type
+ * @property {RevisionCause} cause   - What replaced this version
+ * @property {string} created_at     - When it was replaced
+ */
+
+/**
+ * @param {Record<string, any>} r
+ * @returns {Revision}
+ */
+function rowToRevision(r) {
+    return {
+        memoryId: Number(r.memory_id),
+        revision: Number(r.revision),
+        title: String(r.title),
+        content: String(r.content),
+        importance: Number(r.importance),
+        type: String(r.type),
+        cause: /** @type {RevisionCause} */ (String(r.cause)),
+        created_at: String(r.created_at),
+    };
+}
+
+/**
+ * Snapshot a memory's current title/content/importance/type before it is
+ * overwritten. Call it right before the UPDATE.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} memoryId
+ * @param {RevisionCause} cause
+ * @returns {Promise<number | null>} The new revision number, or null if the memory doesn't exist
+ */
+export async function recordRevision(client, memoryId, cause) {
+    const result = await client.execute({
+        sql: `INSERT INTO memory_revisions (memory_id, revision, title, content, importance, type, cause)
+              SELECT id,
+                     COALESCE((SELECT MAX(revision) FROM memory_revisions WHERE memory_id = ?), 0) + 1,
+                     title, content, importance, type, ?
+              FROM memories WHERE id = ?
+              RETURNING revision`,
+        args: [memoryId, cause, memoryId],
+    });
+    if (result.rows.length === 0) return null;
+    const revision = Number(result.rows[0].revision);
+    trace(`[engram] Memory #${memoryId}: saved revision ${revision} (${cause})`);
+    return revision;
+}
+
+/**
+ * All revisions of a memory, oldest first.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} memoryId
+ * @returns {Promise<Revision[]>}
+ */
+export async function listRevisions(client, memoryId) {
+    const result = await client.execute({
+        sql: `SELECT memory_id, revision, title, content, importance, type, cause, created_at
+              FROM memory_revisions WHERE memory_id = ? ORDER BY revision`,
+        args: [memoryId],
+    });
+    return result.rows.map(rowToRevision);
+}
+
+/**
+ * One revision of a memory.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} memoryId
+ * @param {number} revision
+ * @returns {Promise<Revision | null>}
+ */
+export async function getRevision(client, memoryId, revision) {
+    const result = await client.execute({
+        sql: `SELECT memory_id, revision, title, content, importance, type, cause, created_at
+              FROM memory_revisions WHERE memory_id = ? AND revision = ?`,
+        args: [memoryId, revision],
+    });
+    return result.rows.length > 0 ? rowToRevision(result.rows[0]) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {' ' | '-' | '+'} op  - Unchanged, only in the old text, only in the new text
+ * @property {string} line
+ */
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffLine[]}
+ */
+export function diffLines(before, after) {
+    const a = before.split("\n");
+    const b = after.split("\n");
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    /** @type {DiffLine[]} */
+    const lines = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ op: " ", line: a[i] }); i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push({ op: "-", line: a[i++] });
+        } else {
+            lines.push({ op: "+", line: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ op: "-", line: a[i++] });
+    while (j < b.length) lines.push({ op: "+", line: b[j++] });
+    return lines;
+}
+
+/**
+ * Render a line diff, collapsing unchanged runs to `context` lines around each change.
+ * @param {DiffLine[]} lines
+ * @param {number} [context]
+ * @returns {string}
+ */
+export function formatDiff(lines, context = 3) {
+    const changed = lines.map((l) => l.op !== " ");
+    const keep = lines.map((_, i) => {
+        for (let k = Math.max(0, i - context); k <= Math.min(lines.length - 1, i + context); k++) {
+            if (changed[k]) return true;
+        }
+        return false;
+    });
+
+    /** @type {string[]} */
+    const out = [];
+    let skipped = false;
+    for (const [i, l] of lines.entries()) {
+        if (!keep[i]) { skipped = true; continue; }
+        if (skipped) { out.push("  …"); skipped = false; }
+        out.push(`${l.op} ${l.line}`);
+    }
+    if (skipped) out.push("  …");
+    return out.join("\n");
+}
+
+/**
+ * @typedef {Object} RevisionDiff
+ * @property {number} memoryId
+ * @property {number} revision
+ * @property {Record<string, {from: string | number, to: string | number}>} fields - title/type/importance that differ
+ * @property {DiffLine[]} content  - Line diff from the revision to the current content
+ */
+
+/**
+ * Compare a revision with the memory's current version.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} memoryId
+ * @param {number} revision
+ * @returns {Promise<RevisionDiff | null>} null if the memory or revision doesn't exist
+ */
+export async function diffRevision(client, memoryId, revision) {
+    const old = await getRevision(client, memoryId, revision);
+    if (!old) return null;
+    const current = await client.execute({
+        sql: "SELECT title, content, importance, type FROM memories WHERE id = ?",
+        args: [memoryId],
+    });
+    if (current.rows.length === 0) return null;
+    const now = current.rows[0];
+
+    /** @type {RevisionDiff["fields"]} */
+    const fields = {};
+    if (old.title !== String(now.title)) fields.title = { from: old.title, to: String(now.title) };
+    if (old.type !== String(now.type)) fields.type = { from: old.type, to: String(now.type) };
+    if (old.importance !== Number(now.importance)) fields.importance = { from: old.importance, to: Number(now.importance) };
+
+    return { memoryId, revision, fields, content: diffLines(old.content, String(now.content)) };
+}
@@ -0,0 +1,643 @@
+// @ts-check
+/**
+ * HTTP/JSON API — lets several local processes share one Engram database
+ * (and one warm embedding model) instead of each loading BGE-M3.
+ *
+ * Routes:
+ *   POST   /memories              addMemory
+ *   GET    /memories/:id          getMemory
+ *   PATCH  /memories/:id          updateMemory
+ *   DELETE /memories/:id          deleteMemory
+ *   GET    /search?q=&mode=       searchHybrid | searchSemantic | searchFTS
+ *   POST   /recall                recall (Focus of Attention)
+ *   GET    /sessions              listSessions
+ *   POST   /sessions              start a session
+ *   GET    /sessions/:id          getSessionContext
+ *   POST   /sessions/:id/end      endSession
+ *   GET    /tags                  getAllTags
+ *   GET    /tags/:name            getMemoriesByTag
+ *   POST   /tags                  addTag
+ *   DELETE /tags/:name?memoryId=  removeTag
+ *   GET    /links?memoryId=       getLinks
+ *   POST   /links                 linkMemories
+ *   GET    /graph/walk/:id        walkGraph
+ *   GET    /graph/path?from=&to=  findPath
+ *   GET    /graph/stats           graphStats
+ *   GET    /stats                 getStats
+ *   POST   /sleep                 runConsolidation (or preview with dryRun)
+ *
+ * Errors are JSON: { "error": { "code": "not_found", "message": "..." } }
+ */
+
+import { createServer } from "node:http";
+import {
+    addMemory, getMemory, updateMemory, deleteMemory,
+    searchSemantic, searchFTS, searchHybrid,
+    addTag, removeTag, getAllTags, getMemoriesByTag,
+    linkMemories, getLinks,
+    getStats,
+} from "./memory.js";
+import { recall } from "./foa.js";
+import { startSessionWithConsolidationCheck, endSession, listSessions, getSessionContext } from "./session.js";
+import { runConsolidation, getConsolidationPreview } from "./consolidation.js";
+import { walkGraph, findPath, graphStats } from "./graph.js";
+import { getEmbeddingProvider } from "./providers.js";
+import { getMeta } from "./db.js";
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Max accepted request body (1 MiB) */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/** HTTP status of each EngramError code (see errors.js) */
+const STATUS_BY_CODE = { invalid_argument: 400, conflict: 409 };
+
+/**
+ * Error carrying an HTTP status and a machine-readable code.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} code
+     * @param {string} message
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * @typedef {Object} RouteContext
+ * @property {import("@libsql/client").Client} client
+ * @property {Record<string, string>} params  - Path parameters
+ * @property {URLSearchParams} query
+ * @property {any} body                       - Parsed JSON body ({} when empty)
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} method
+ * @property {RegExp} pattern
+ * @property {string[]} keys
+ * @property {(ctx: RouteContext) => Promise<{status?: number, body: any}>} handler
+ */
+
+/**
+ * Compile "/memories/:id" into a matcher.
+ * @param {string} method
+ * @param {string} path
+ * @param {Route["handler"]} handler
+ * @returns {Route}
+ */
+function route(method, path, handler) {
+    /** @type {string[]} */
+    const keys = [];
+    const source = path.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return "([^/]+)";
+    });
+    return { method, pattern: new RegExp(`^${source}/?$`), keys, handler };
+}
+
+/**
+ * Parse a path/query integer, or throw 400.
+ * @param {string | null | undefined} value
+ * @param {string} name
+ * @returns {number}
+ */
+function requireInt(value, name) {
+    const n = Number(value);
+    if (value == null || value === "" || !Number.isInteger(n)) {
+        throw new HttpError(400, "invalid_argument", `"${name}" must be an integer`);
+    }
+    return n;
+}
+
+/**
+ * Require a non-empty string field in the body.
+ * @param {any} body
+ * @param {string} name
+ * @returns {string}
+ */
+function requireString(body, name) {
+    const value = body[name];
+    if (typeof value !== "string" || !value.trim()) {
+        throw new HttpError(400, "invalid_argument", `"${name}" is required`);
+    }
+    return value;
+}
+
+/**
+ * Optional integer from the query string.
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+function optionalInt(query, name) {
+    return query.has(name) ? requireInt(query.get(name), name) : undefined;
+}
+
+/**
+ * Expected type and range of a body field.
+ * @typedef {Object} FieldRule
+ * @property {'string' | 'boolean' | 'number' | 'integer' | 'array' | 'object'} type
+ * @property {number} [min]                       - Numbers: inclusive lower bound
+ * @property {number} [max]                       - Numbers: inclusive upper bound
+ * @property {string[]} [values]                  - Strings: the accepted values
+ * @property {boolean} [nullable]                 - null is accepted too (e.g. to clear a value)
+ * @property {boolean} [required]                 - Object fields: must be present
+ * @property {FieldRule} [items]                  - Arrays: rule of every item
+ * @property {Record<string, FieldRule>} [fields] - Objects: rules of their fields
+ */
+
+/**
+ * A strength, importance, rate or similarity
+ * @type {FieldRule}
+ */
+const UNIT = { type: "number", min: 0, max: 1 };
+
+/**
+ * Optional fields of POST /memories, as addMemory takes them
+ * @type {Record<string, FieldRule>}
+ */
+const MEMORY_FIELDS = {
+    importance: UNIT,
+    tags: { type: "array", items: { type: "string" } },
+    links: {
+        type: "array",
+        items: { type: "object", fields: { targetId: { type: "integer", required: true }, relation: { type: "string", required: true } } },
+    },
+    sourceConversationId: { type: "string" },
+    sourceType: { type: "string", values: ["manual", "auto", "migration"] },
+    scope: { type: "string" },
+    halfLife: { type: "number" },
+    autoLink: { type: "boolean" },
+    autoLinkThreshold: UNIT,
+    mergeThreshold: UNIT,
+    reviewMerges: { type: "boolean" },
+    detectConflicts: { type: "boolean" },
+    conflictThreshold: UNIT,
+};
+
+/**
+ * Fields of PATCH /memories/:id, as updateMemory takes them
+ * @type {Record<string, FieldRule>}
+ */
+const UPDATE_FIELDS = {
+    title: { type: "string" },
+    content: { type: "string" },
+    importance: UNIT,
+    strength: UNIT,
+    type: { type: "string" },
+    scope: { type: "string" },
+    halfLife: { type: "number", nullable: true },
+};
+
+/**
+ * Options of POST /recall, as recall takes them
+ * @type {Record<string, FieldRule>}
+ */
+const RECALL_FIELDS = {
+    k: { type: "integer", min: 1 },
+    budget: { type: "integer", min: 1 },
+    type: { type: "string" },
+    sessionId: { type: "string" },
+    rerank: { type: "boolean" },
+    hops: { type: "integer", min: 0 },
+    chunks: { type: "boolean" },
+    scope: { type: "string" },
+    includeSuperseded: { type: "boolean" },
+};
+
+/**
+ * Options of POST /sleep, as runConsolidation takes them
+ * @type {Record<string, FieldRule>}
+ */
+const SLEEP_FIELDS = {
+    decayRate: UNIT,
+    pruneThreshold: UNIT,
+    mergeThreshold: UNIT,
+    boostFactor: { type: "number", min: 0 },
+    boostMinAccess: { type: "integer", min: 0 },
+    importanceWeighted: { type: "boolean" },
+    spacedRepetition: { type: "boolean" },
+    reviewMerges: { type: "boolean" },
+    conflictThreshold: UNIT,
+    extractPatterns: { type: "boolean" },
+    clusterThreshold: UNIT,
+    linkLearningRate: UNIT,
+    linkDecayRate: UNIT,
+    linkPruneThreshold: UNIT,
+    dryRun: { type: "boolean" },
+};
+
+/**
+ * What a rule accepts, in words.
+ * @param {FieldRule} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+    if (rule.values) return `one of: ${rule.values.join(", ")}`;
+    const kind = { string: "a string", boolean: "true or false", number: "a number", integer: "an integer", array: "an array", object: "an object" }[rule.type];
+    const range = rule.min !== undefined && rule.max !== undefined ? ` between ${rule.min} and ${rule.max}`
+        : rule.min !== undefined ? ` of at least ${rule.min}`
+        : rule.max !== undefined ? ` of at most ${rule.max}` : "";
+    return `${kind}${range}${rule.nullable ? " or null" : ""}`;
+}
+
+/**
+ * Check a body value against its rule, or throw 400.
+ * @param {any} value
+ * @param {FieldRule} rule
+ * @param {string} name - Where the value is in the body, e.g. "links[0].targetId"
+ * @returns {any} The value; objects keep only the fields their rule knows
+ */
+function checkField(value, rule, name) {
+    const fail = () => { throw new HttpError(400, "invalid_argument", `"${name}" must be ${describeRule(rule)}`); };
+    if (value === null) {
+        if (!rule.nullable) fail();
+        return value;
+    }
+    switch (rule.type) {
+        case "number":
+        case "integer":
+            if (typeof value !== "number" || !Number.isFinite(value) || (rule.type === "integer" && !Number.isInteger(value))) fail();
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) fail();
+            return value;
+        case "string":
+            if (typeof value !== "string" || (rule.values && !rule.values.includes(value))) fail();
+            return value;
+        case "boolean":
+            if (typeof value !== "boolean") fail();
+            return value;
+        case "array":
+            if (!Array.isArray(value)) fail();
+            return value.map((item, i) => checkField(item, /** @type {FieldRule} */ (rule.items), `${name}[${i}]`));
+        case "object":
+            if (typeof value !== "object" || Array.isArray(value)) fail();
+            return pickFields(value, /** @type {Record<string, FieldRule>} */ (rule.fields), `${name}.`);
+    }
+}
+
+/**
+ * The body fields `rules` knows, each checked against its rule (400 when
+ * one doesn't match). Fields without a rule are dropped.
+ * @param {any} body
+ * @param {Record<string, FieldRule>} rules
+ * @param {string} [prefix] - Prepended to field names in messages
+ * @returns {Record<string, any>}
+ */
+function pickFields(body, rules, prefix = "") {
+    /** @type {Record<string, any>} */
+    const picked = {};
+    for (const [name, rule] of Object.entries(rules)) {
+        if (body[name] === undefined) {
+            if (rule.required) throw new HttpError(400, "invalid_argument", `"${prefix}${name}" is required`);
+            continue;
+        }
+        picked[name] = checkField(body[name], rule, `${prefix}${name}`);
+    }
+    return picked;
+}
+
+/** @type {Route[]} */
+const ROUTES = [
+    // -- memories --
+    route("POST", "/memories", async ({ client, body }) => {
+        const type = requireString(body, "type");
+        const title = requireString(body, "title");
+        const content = requireString(body, "content");
+        const result = await addMemory(client, { ...pickFields(body, MEMORY_FIELDS), type, title, content });
+        return { status: result.status === "created" ? 201 : 200, body: result };
+    }),
+    route("GET", "/memories/:id", async ({ client, params }) => {
+        const id = requireInt(params.id, "id");
+        const memory = await getMemory(client, id);
+        if (!memory) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        return { body: memory };
+    }),
+    route("PATCH", "/memories/:id", async ({ client, params, body }) => {
+        const id = requireInt(params.id, "id");
+        const updates = pickFields(body, UPDATE_FIELDS);
+        if (Object.keys(updates).length === 0) {
+            throw new HttpError(400, "invalid_argument", "No updates specified (title, content, importance, strength, type, scope, halfLife)");
+        }
+        if (!await updateMemory(client, id, updates)) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        return { body: await getMemory(client, id) };
+    }),
+    route("DELETE", "/memories/:id", async ({ client, params }) => {
+        const id = requireInt(params.id, "id");
+        if (!await deleteMemory(client, id)) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        return { body: { id, deleted: true } };
+    }),
+
+    // -- search & recall --
+    route("GET", "/search", async ({ client, query }) => {
+        const q = query.get("q");
+        if (!q) throw new HttpError(400, "invalid_argument", `"q" is required`);
+        const mode = query.get("mode") || "hybrid";
+        const k = optionalInt(query, "k");
+        const type = query.get("type") || undefined;
+        const since = query.get("since") || undefined;
+        const scope = query.get("scope") || undefined;
+        switch (mode) {
+            case "semantic":
+                return { body: await searchSemantic(client, q, { k, type, since, scope }) };
+            case "fts":
+                return { body: await searchFTS(client, q, { k, type, since, scope }) };
+            case "hybrid":
+                return {
+                    body: await searchHybrid(client, q, {
+                        k, type, since, scope,
+                        rerank: query.get("rerank") === "true",
+                        hops: optionalInt(query, "hops"),
+                        includeSuperseded: query.get("includeSuperseded") === "true",
+                    }),
+                };
+            default:
+                throw new HttpError(400, "invalid_argument", `Invalid mode: ${mode}. Must be one of: hybrid, semantic, fts`);
+        }
+    }),
+    route("POST", "/recall", async ({ client, body }) => {
+        const query = requireString(body, "query");
+        return { body: await recall(client, query, pickFields(body, RECALL_FIELDS)) };
+    }),
+
+    // -- sessions --
+    route("GET", "/sessions", async ({ client, query }) => ({
+        body: await listSessions(client, {
+            since: query.get("since") || undefined,
+            until: query.get("until") || undefined,
+            limit: optionalInt(query, "limit"),
+        }),
+    })),
+    route("POST", "/sessions", async ({ client, body }) => {
+        const id = requireString(body, "id");
+        const result = await startSessionWithConsolidationCheck(client, id, {
+            title: body.title,
+            autoConsolidate: body.autoConsolidate === true,
+        });
+        return { status: 201, body: { id, ...result } };
+    }),
+    route("GET", "/sessions/:id", async ({ client, params }) => {
+        const ctx = await getSessionContext(client, params.id);
+        if (!ctx) throw new HttpError(404, "not_found", `Session "${params.id}" not found`);
+        return { body: ctx };
+    }),
+    route("POST", "/sessions/:id/end", async ({ client, params, body }) => {
+        if (!await getSessionContext(client, params.id)) throw new HttpError(404, "not_found", `Session "${params.id}" not found`);
+        await endSession(client, params.id, body.summary);
+        return { body: { id: params.id, ended: true } };
+    }),
+
+    // -- tags --
+    route("GET", "/tags", async ({ client }) => ({ body: await getAllTags(client) })),
+    route("GET", "/tags/:name", async ({ client, params }) => ({ body: await getMemoriesByTag(client, params.name) })),
+    route("POST", "/tags", async ({ client, body }) => {
+        const memoryId = requireInt(body.memoryId, "memoryId");
+        const tag = requireString(body, "tag");
+        if (!await getMemory(client, memoryId)) throw new HttpError(404, "not_found", `Memory #${memoryId} not found`);
+        await addTag(client, memoryId, tag);
+        return { status: 201, body: { memoryId, tag } };
+    }),
+    route("DELETE", "/tags/:name", async ({ client, params, query }) => {
+        const memoryId = requireInt(query.get("memoryId"), "memoryId");
+        await removeTag(client, memoryId, params.name);
+        return { body: { memoryId, tag: params.name, removed: true } };
+    }),
+
+    // -- links --
+    route("GET", "/links", async ({ client, query }) => ({
+        body: await getLinks(client, requireInt(query.get("memoryId"), "memoryId")),
+    })),
+    route("POST", "/links", async ({ client, body }) => {
+        const sourceId = requireInt(body.sourceId, "sourceId");
+        const targetId = requireInt(body.targetId, "targetId");
+        const relation = body.relation || "related_to";
+        const { strength } = pickFields(body, { strength: UNIT });
+        for (const id of [sourceId, targetId]) {
+            if (!await getMemory(client, id)) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        }
+        await linkMemories(client, sourceId, targetId, relation, strength);
+        return { status: 201, body: { sourceId, targetId, relation } };
+    }),
+    route("GET", "/graph/walk/:id", async ({ client, params, query }) => {
+        const id = requireInt(params.id, "id");
+        const nodes = await walkGraph(client, id, {
+            relations: query.get("relation")?.split(",").filter(Boolean),
+            direction: /** @type {any} */ (query.get("direction") || undefined),
+            maxDepth: optionalInt(query, "depth"),
+            minStrength: query.has("minStrength") ? Number(query.get("minStrength")) : undefined,
+            order: /** @type {any} */ (query.get("order") || undefined),
+            limit: optionalInt(query, "limit"),
+            scope: query.get("scope") || undefined,
+        });
+        if (!nodes) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        return { body: nodes };
+    }),
+    route("GET", "/graph/path", async ({ client, query }) => {
+        const from = requireInt(query.get("from"), "from");
+        const to = requireInt(query.get("to"), "to");
+        for (const id of [from, to]) {
+            if (!await getMemory(client, id)) throw new HttpError(404, "not_found", `Memory #${id} not found`);
+        }
+        return {
+            body: await findPath(client, from, to, {
+                relations: query.get("relation")?.split(",").filter(Boolean),
+                direction: /** @type {any} */ (query.get("direction") || undefined),
+                maxDepth: optionalInt(query, "maxDepth"),
+                minStrength: query.has("minStrength") ? Number(query.get("minStrength")) : undefined,
+                scope: query.get("scope") || undefined,
+            }),
+        };
+    }),
+    route("GET", "/graph/stats", async ({ client, query }) => {
+        const root = optionalInt(query, "root");
+        if (root !== undefined && !await getMemory(client, root)) {
+            throw new HttpError(404, "not_found", `Memory #${root} not found`);
+        }
+        return {
+            body: await graphStats(client, {
+                top: optionalInt(query, "top"),
+                rankBy: /** @type {any} */ (query.get("rankBy") || undefined),
+                scope: query.get("scope") || undefined,
+                types: query.get("type")?.split(",").filter(Boolean),
+                tag: query.get("tag") || undefined,
+                root,
+                depth: optionalInt(query, "depth"),
+            }),
+        };
+    }),
+
+    // -- maintenance --
+    route("GET", "/stats", async ({ client, query }) => ({
+        body: {
+            ...await getStats(client, { scope: query.get("scope") || undefined }),
+            lastConsolidation: await getMeta(client, "last_consolidation_at"),
+        },
+    })),
+    route("POST", "/sleep", async ({ client, body }) => {
+        const { dryRun = false, ...options } = pickFields(body, SLEEP_FIELDS);
+        if (dryRun) return { body: await getConsolidationPreview(client, options) };
+        return { body: await runConsolidation(client, { ...options, dryRun: false }) };
+    }),
+];
+
+/**
+ * Read and parse a JSON request body.
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJsonBody(req) {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, "payload_too_large", `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString("utf8");
+    if (!raw.trim()) return {};
+
+    /** @type {any} */
+    let body;
+    try {
+        body = JSON.parse(raw);
+    } catch (/** @type {any} */ e) {
+        throw new HttpError(400, "invalid_json", `Invalid JSON — ${e?.message || String(e)}`);
+    }
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        throw new HttpError(400, "invalid_json", "Expected a JSON object body");
+    }
+    return body;
+}
+
+/**
+ * Write a JSON response.
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body ?? null);
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+    });
+    res.end(payload);
+}
+
+/**
+ * Map a thrown error to a status + JSON error body.
+ * Errors the memory layer raises with a code (see errors.js) — validation
+ * failures, a consolidation already running — are client errors, not server faults.
+ * @param {any} err
+ * @returns {{status: number, body: {error: {code: string, message: string}}}}
+ */
+function errorResponse(err) {
+    if (err instanceof HttpError) {
+        return { status: err.status, body: { error: { code: err.code, message: err.message } } };
+    }
+    if (err instanceof EngramError) {
+        return { status: STATUS_BY_CODE[err.code], body: { error: { code: err.code, message: err.message } } };
+    }
+    return { status: 500, body: { error: { code: "internal", message: err?.message || String(err) } } };
+}
+
+/**
+ * Create the HTTP server (not yet listening).
+ * @param {import("@libsql/client").Client} client
+ * @returns {import("node:http").Server}
+ */
+export function createHttpServer(client) {
+    return createServer(async (req, res) => {
+        const startTime = Date.now();
+        const url = new URL(req.url || "/", "http://localhost");
+        let status = 500;
+
+        try {
+            const candidates = ROUTES.filter((r) => r.pattern.test(url.pathname));
+            if (candidates.length === 0) throw new HttpError(404, "not_found", `No route for ${url.pathname}`);
+
+            const matched = candidates.find((r) => r.method === req.method);
+            if (!matched) {
+                res.setHeader("Allow", candidates.map((r) => r.method).join(", "));
+                throw new HttpError(405, "method_not_allowed", `${req.method} not allowed on ${url.pathname}`);
+            }
+
+            const match = /** @type {RegExpExecArray} */ (matched.pattern.exec(url.pathname));
+            /** @type {Record<string, string>} */
+            const params = {};
+            matched.keys.forEach((key, i) => {
+                try {
+                    params[key] = decodeURIComponent(match[i + 1]);
+                } catch {
+                    throw new HttpError(400, "invalid_argument", `Malformed ${key} in path: ${match[i + 1]}`);
+                }
+            });
+
+            const body = req.method === "GET" || req.method === "DELETE" ? {} : await readJsonBody(req);
+            const result = await matched.handler({ client, params, query: url.searchParams, body });
+            status = result.status || 200;
+            sendJson(res, status, result.body);
+        } catch (/** @type {any} */ err) {
+            const { status: errStatus, body } = errorResponse(err);
+            status = errStatus;
+            if (status >= 500) trace("[engram] http error:", err?.stack || String(err));
+            sendJson(res, status, body);
+        } finally {
+            trace(`[engram] http ${req.method} ${url.pathname} ${status} ${Date.now() - startTime}ms`);
+        }
+    });
+}
+
+/**
+ * Serve the HTTP API until SIGINT/SIGTERM.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} [options.host] - Bind address (default 127.0.0.1 — local processes only)
+ * @param {boolean} [options.warmup] - Load the embedding model before listening (default true)
+ * @param {(address: {host: string, port: number}) => void} [options.onListening]
+ * @returns {Promise<void>} Resolves once the server has closed
+ */
+export async function serveHttp(client, options) {
+    const { port, host = "127.0.0.1", warmup = true, onListening } = options;
+
+    if (warmup) {
+        try {
+            await getEmbeddingProvider().init();
+        } catch (/** @type {any} */ err) {
+            trace("[engram] http warm-up failed (will retry on first use):", err?.message || String(err));
+        }
+    }
+
+    const server = createHttpServer(client);
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(undefined));
+    });
+
+    const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+    trace(`[engram] HTTP API listening on http://${host}:${address.port}`);
+    onListening?.({ host, port: address.port });
+
+    await new Promise((resolve) => {
+        const shutdown = () => {
+            trace("[engram] HTTP API shutting down");
+            process.off("SIGINT", shutdown);
+            process.off("SIGTERM", shutdown);
+            server.close(() => resolve(undefined));
+            server.closeAllConnections?.();
+        };
+        process.on("SIGINT", shutdown);
+        process.on("SIGTERM", shutdown);
+        server.once("close", () => resolve(undefined));
+    });
+}
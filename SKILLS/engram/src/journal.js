@@ -0,0 +1,387 @@
+// @ts-check
+/**
+ * Consolidation journal — what each sleep run changed, and how to undo it.
+ *
+ * Every non-dry-run consolidation gets a row in consolidation_runs, and every
+ * row it touches a change in consolidation_changes: the columns the step wrote,
+ * before and after (strength for decay/boost, the archived flag for prune and
+ * merge, content/importance/strength for the kept side of a merge, source and
+ * target for moved links, the replaced link for `contradicts` links, strength
+ * for reinforced or decayed links, the whole row for pruned ones). Extracted
+ * patterns are journaled as un-archived, so undo archives them.
+ *
+ * A run can be undone while it is the latest one not yet undone and none of
+ * the memories or links it touched have changed since — an interrupted run
+ * too, from what it journaled before it stopped. Undo restores the pre-run
+ * values, re-embeds restored content, and puts last_consolidation_at back so
+ * the next sleep decays over the right period again.
+ *
+ * The journal keeps only what can still be undone: the last JOURNAL_MAX_RUNS
+ * runs, with undone runs keeping their row but not their changes.
+ */
+
+import { vectorToBlob } from "./embeddings.js";
+import { assertEmbeddingModel } from "./providers.js";
+import { embedBatchCached } from "./cache.js";
+import { indexChunks, embeddingTexts } from "./memory.js";
+import { recordRevision } from "./history.js";
+import { withWriteTransaction, getLockHolder } from "./db.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Runs kept in the journal; undoing further back means undoing all of them first anyway */
+const JOURNAL_MAX_RUNS = 10;
+
+/** system_meta lock held by a run, so two processes never consolidate at once */
+export const CONSOLIDATION_LOCK = "consolidation";
+
+/**
+ * @typedef {'decay' | 'prune' | 'merge' | 'conflict' | 'extract' | 'boost' | 'link' | 'link_weight' | 'link_prune'} ChangeStep
+ */
+
+/**
+ * One row-level change. For `link` changes memoryId is the merged-away memory
+ * and before/after hold the link's source_id and target_id. For `conflict`
+ * changes memoryId is the link's source; `before` adds the relation,
+ * strength and origin of the link it replaced, if there was one. `link_weight`
+ * and `link_prune` changes are keyed by source_id and target_id too, with the
+ * link's strength and reinforced_at (and, when pruned, the rest of the row).
+ * @typedef {Object} JournalChange
+ * @property {ChangeStep} step
+ * @property {number} memoryId
+ * @property {Record<string, any>} before
+ * @property {Record<string, any>} after
+ */
+
+/**
+ * @typedef {Object} ConsolidationRun
+ * @property {number} id
+ * @property {Record<string, any>} options   - Options the run was started with
+ * @property {number} decayed
+ * @property {number} pruned
+ * @property {number} merged
+ * @property {number} boosted
+ * @property {number} changes                - Journaled row-level changes
+ * @property {string} startedAt
+ * @property {string | null} finishedAt      - null if the run was interrupted
+ * @property {string | null} undoneAt
+ */
+
+/**
+ * Open a journal entry for a consolidation run.
+ * @param {import("@libsql/client").Client} client
+ * @param {Record<string, any>} options
+ * @param {string | null} previousRunAt - last_consolidation_at before this run, restored on undo
+ * @returns {Promise<number>} The run id
+ */
+export async function startConsolidationRun(client, options, previousRunAt) {
+    const result = await client.execute({
+        sql: "INSERT INTO consolidation_runs (options, previous_run_at) VALUES (?, ?) RETURNING id",
+        args: [JSON.stringify(options), previousRunAt],
+    });
+    return Number(result.rows[0].id);
+}
+
+/**
+ * Append row-level changes to a run's journal.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} runId
+ * @param {JournalChange[]} changes
+ */
+export async function recordConsolidationChanges(client, runId, changes) {
+    if (changes.length === 0) return;
+    await client.batch(changes.map((c) => ({
+        sql: "INSERT INTO consolidation_changes (run_id, step, memory_id, before, after) VALUES (?, ?, ?, ?, ?)",
+        args: [runId, c.step, c.memoryId, JSON.stringify(c.before), JSON.stringify(c.after)],
+    })), "write");
+}
+
+/**
+ * Close a run's journal entry with its step counts.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} runId
+ * @param {{decayed: number, pruned: number, merged: number, boosted: number}} counts
+ */
+export async function finishConsolidationRun(client, runId, counts) {
+    await client.execute({
+        sql: `UPDATE consolidation_runs SET decayed = ?, pruned = ?, merged = ?, boosted = ?, finished_at = datetime('now')
+              WHERE id = ?`,
+        args: [counts.decayed, counts.pruned, counts.merged, counts.boosted, runId],
+    });
+}
+
+/**
+ * Bound the journal to what can still be undone: runs older than the last
+ * JOURNAL_MAX_RUNS are deleted with their changes. (Undo drops the changes of
+ * the run it undoes.)
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<number>} Changes deleted
+ */
+export async function pruneConsolidationJournal(client) {
+    const kept = "SELECT id FROM consolidation_runs ORDER BY id DESC LIMIT ?";
+    const [changes] = await client.batch([
+        { sql: `DELETE FROM consolidation_changes WHERE run_id NOT IN (${kept})`, args: [JOURNAL_MAX_RUNS] },
+        { sql: `DELETE FROM consolidation_runs WHERE id NOT IN (${kept})`, args: [JOURNAL_MAX_RUNS] },
+    ], "write");
+    return changes.rowsAffected;
+}
+
+/**
+ * Recent consolidation runs, newest first.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} [limit]
+ * @returns {Promise<ConsolidationRun[]>}
+ */
+export async function listConsolidationRuns(client, limit = 20) {
+    const result = await client.execute({
+        sql: `SELECT r.*, (SELECT COUNT(*) FROM consolidation_changes c WHERE c.run_id = r.id) AS changes
+              FROM consolidation_runs r ORDER BY r.id DESC LIMIT ?`,
+        args: [limit],
+    });
+    return result.rows.map((r) => ({
+        id: Number(r.id),
+        options: r.options ? JSON.parse(String(r.options)) : {},
+        decayed: Number(r.decayed),
+        pruned: Number(r.pruned),
+        merged: Number(r.merged),
+        boosted: Number(r.boosted),
+        changes: Number(r.changes),
+        startedAt: String(r.started_at),
+        finishedAt: r.finished_at ? String(r.finished_at) : null,
+        undoneAt: r.undone_at ? String(r.undone_at) : null,
+    }));
+}
+
+/**
+ * @typedef {Object} UndoPlan
+ * @property {Record<string, any>} run
+ * @property {Map<number, {expected: Record<string, any>, original: Record<string, any>}>} memories
+ *   Per memory: what the run left (expected now) and what it found (to restore)
+ * @property {{before: Record<string, any>, after: Record<string, any>}[]} links
+ * @property {{before: Record<string, any>, after: Record<string, any>}[]} conflicts
+ * @property {{step: string, before: Record<string, any>, after: Record<string, any>}[]} weights
+ * @property {Map<number, Record<string, any>>} currentById - Memories as they are now
+ */
+
+/**
+ * Check that a run can be undone and work out what to restore.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} runId
+ * @returns {Promise<UndoPlan>}
+ * @throws {Error} when the run can't be undone (see undoConsolidationRun)
+ */
+async function checkUndo(client, runId) {
+    const runs = await client.execute({ sql: "SELECT * FROM consolidation_runs WHERE id = ?", args: [runId] });
+    if (runs.rows.length === 0) throw new Error(`Consolidation run #${runId} not found`);
+    const run = runs.rows[0];
+    if (run.undone_at) throw new Error(`Consolidation run #${runId} was already undone`);
+
+    const later = await client.execute({
+        sql: "SELECT id FROM consolidation_runs WHERE id > ? AND undone_at IS NULL ORDER BY id DESC LIMIT 1",
+        args: [runId],
+    });
+    if (later.rows.length > 0) {
+        throw new Error(`Consolidation run #${later.rows[0].id} ran after #${runId} — undo it first`);
+    }
+    if (!run.finished_at) {
+        const holder = await getLockHolder(/** @type {import("@libsql/client").Client} */ (client), CONSOLIDATION_LOCK);
+        if (holder) {
+            throw new Error(`Consolidation run #${runId} has not finished and a consolidation is running (pid ${holder.pid} on ${holder.host}) — wait for it to end`);
+        }
+    }
+
+    const journal = await client.execute({
+        sql: "SELECT step, memory_id, before, after FROM consolidation_changes WHERE run_id = ? ORDER BY id",
+        args: [runId],
+    });
+
+    // Fold each memory's changes: the last `after` is what it should look
+    // like now, the first `before` is what to restore.
+    /** @type {UndoPlan["memories"]} */
+    const memories = new Map();
+    /** @type {UndoPlan["links"]} */
+    const links = [];
+    /** @type {UndoPlan["conflicts"]} */
+    const conflicts = [];
+    /** @type {UndoPlan["weights"]} */
+    const weights = [];
+    for (const r of journal.rows) {
+        const before = JSON.parse(String(r.before));
+        const after = JSON.parse(String(r.after));
+        if (r.step === "link") { links.push({ before, after }); continue; }
+        if (r.step === "conflict") { conflicts.push({ before, after }); continue; }
+        if (r.step === "link_weight" || r.step === "link_prune") { weights.push({ step: String(r.step), before, after }); continue; }
+        const id = Number(r.memory_id);
+        const entry = memories.get(id) ?? { expected: {}, original: {} };
+        Object.assign(entry.expected, after);
+        entry.original = { ...before, ...entry.original };
+        memories.set(id, entry);
+    }
+
+    const current = await client.execute({
+        sql: `SELECT id, title, content, importance, strength, archived, access_count, updated_at
+              FROM memories WHERE id IN (SELECT value FROM json_each(?))`,
+        args: [JSON.stringify([...memories.keys()])],
+    });
+    const currentById = new Map(current.rows.map((r) => [Number(r.id), /** @type {Record<string, any>} */ (r)]));
+
+    /** @type {number[]} */
+    const changed = [];
+    for (const [id, { expected }] of memories) {
+        const row = currentById.get(id);
+        // access_count is restored relative to the current value, so accesses don't block undo
+        const fields = Object.keys(expected).filter((f) => f !== "access_count");
+        if (!row || fields.some((f) => row[f] !== expected[f])) changed.push(id);
+    }
+    for (const { after } of links) {
+        const found = await client.execute({
+            sql: "SELECT 1 FROM memory_links WHERE source_id = ? AND target_id = ?",
+            args: [after.source_id, after.target_id],
+        });
+        if (found.rows.length === 0) changed.push(after.source_id, after.target_id);
+    }
+    for (const { after } of conflicts) {
+        // Resolved or dismissed since: the link isn't `contradicts` anymore
+        const found = await client.execute({
+            sql: "SELECT 1 FROM memory_links WHERE source_id = ? AND target_id = ? AND relation = 'contradicts'",
+            args: [after.source_id, after.target_id],
+        });
+        if (found.rows.length === 0) changed.push(after.source_id, after.target_id);
+    }
+    for (const { step, after } of weights) {
+        // Pruned: nothing re-created it since. Reinforced or decayed: strength untouched since
+        const found = await client.execute({
+            sql: "SELECT strength FROM memory_links WHERE source_id = ? AND target_id = ?",
+            args: [after.source_id, after.target_id],
+        });
+        const row = found.rows[0];
+        if (step === "link_prune" ? row : !row || row.strength !== after.strength) changed.push(after.source_id, after.target_id);
+    }
+    if (changed.length > 0) {
+        const ids = [...new Set(changed)].sort((a, b) => a - b);
+        const shown = ids.slice(0, 10).map((id) => `#${id}`).join(", ") + (ids.length > 10 ? ", …" : "");
+        throw new Error(`Cannot undo consolidation run #${runId}: ${ids.length} memories changed since (${shown})`);
+    }
+
+    return { run, memories, links, conflicts, weights, currentById };
+}
+
+/**
+ * Memories whose content the undo puts back, with the title they keep.
+ * @param {UndoPlan} plan
+ * @returns {Array<{id: number, title: string, content: string}>}
+ */
+function restoredContents({ memories, currentById }) {
+    return [...memories]
+        .filter(([id, { original }]) => original.content !== undefined && original.content !== currentById.get(id)?.content)
+        .map(([id, { original }]) => ({ id, title: String(currentById.get(id)?.title), content: original.content }));
+}
+
+/**
+ * Restore the state before a consolidation run.
+ *
+ * Refused if the run is unknown or already undone, if a later run hasn't
+ * been undone first, or if any memory or link it touched was edited, deleted
+ * or consolidated again since. A run that never finished (e.g. the process
+ * died) is undone from whatever it journaled, once no consolidation is
+ * running. Access counts merged into a kept memory are subtracted, so
+ * accesses since the run are preserved.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {number} runId
+ * @returns {Promise<{runId: number, memories: number, links: number, reembedded: number}>}
+ */
+export async function undoConsolidationRun(client, runId) {
+    // Check up front, so that restored content can be embedded before the
+    // write lock is taken — chunks too, leaving indexChunks only cache hits
+    const restored = restoredContents(await checkUndo(client, runId));
+    if (restored.length > 0) await assertEmbeddingModel(client);
+    const texts = restored.flatMap(({ title, content }) => embeddingTexts(title, content));
+    const embeddings = await embedBatchCached(client, texts);
+    const embeddingByText = new Map(texts.map((text, i) => [text, vectorToBlob(embeddings[i])]));
+
+    const plan = await withWriteTransaction(client, async (tx) => {
+        // Check again under the lock: a write since the first check wins over the undo
+        const plan = await checkUndo(tx, runId);
+        const { run, memories, links, conflicts, weights } = plan;
+        const contents = restoredContents(plan);
+        for (const { id } of contents) await recordRevision(tx, id, "undo");
+        const blobById = new Map(contents.map(({ id, title, content }) => {
+            const blob = embeddingByText.get(`${title}\n${content}`);
+            if (!blob) throw new Error(`Consolidation run #${runId} changed while it was being undone — try again`);
+            return [id, blob];
+        }));
+
+        for (const [id, { expected, original }] of memories) {
+            /** @type {string[]} */
+            const sets = [];
+            /** @type {Array<string | number | null | ArrayBuffer>} */
+            const args = [];
+            for (const [field, value] of Object.entries(original)) {
+                if (field === "access_count") {
+                    sets.push("access_count = access_count - ?");
+                    args.push(expected.access_count - value);
+                } else {
+                    sets.push(`${field} = ?`);
+                    args.push(value);
+                }
+            }
+            const blob = blobById.get(id);
+            if (blob) { sets.push("content_embedding = vector(?)"); args.push(blob); }
+            await tx.execute({ sql: `UPDATE memories SET ${sets.join(", ")} WHERE id = ?`, args: [...args, id] });
+        }
+        for (const { id, title, content } of contents) await indexChunks(tx, id, title, content);
+
+        // Link learning ran last: undo it before moving merged links back
+        for (const { step, before } of weights) {
+            await tx.execute(step === "link_prune"
+                ? {
+                    sql: `INSERT INTO memory_links (source_id, target_id, relation, strength, origin, created_at, reinforced_at)
+                          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    args: [before.source_id, before.target_id, before.relation, before.strength, before.origin, before.created_at, before.reinforced_at],
+                }
+                : {
+                    sql: "UPDATE memory_links SET strength = ?, reinforced_at = ? WHERE source_id = ? AND target_id = ?",
+                    args: [before.strength, before.reinforced_at, before.source_id, before.target_id],
+                });
+        }
+
+        for (const { before, after } of [...links].reverse()) {
+            await tx.execute({
+                sql: "UPDATE memory_links SET source_id = ?, target_id = ? WHERE source_id = ? AND target_id = ?",
+                args: [before.source_id, before.target_id, after.source_id, after.target_id],
+            });
+        }
+
+        for (const { before } of conflicts) {
+            await tx.execute(before.relation
+                ? {
+                    sql: "UPDATE memory_links SET relation = ?, strength = ?, origin = COALESCE(?, origin) WHERE source_id = ? AND target_id = ?",
+                    args: [before.relation, before.strength, before.origin ?? null, before.source_id, before.target_id],
+                }
+                : {
+                    sql: "DELETE FROM memory_links WHERE source_id = ? AND target_id = ?",
+                    args: [before.source_id, before.target_id],
+                });
+        }
+
+        await tx.execute({ sql: "UPDATE consolidation_runs SET undone_at = datetime('now') WHERE id = ?", args: [runId] });
+        // An undone run can't be undone again, so its changes have served their purpose
+        await tx.execute({ sql: "DELETE FROM consolidation_changes WHERE run_id = ?", args: [runId] });
+        // The next sleep should decay from where this run started
+        if (run.previous_run_at) {
+            await tx.execute({
+                sql: "UPDATE system_meta SET value = ?, updated_at = datetime('now') WHERE key = 'last_consolidation_at'",
+                args: [String(run.previous_run_at)],
+            });
+        } else {
+            await tx.execute("DELETE FROM system_meta WHERE key = 'last_consolidation_at'");
+        }
+        return { ...plan, reembedded: contents.length };
+    });
+
+    const linkCount = plan.links.length + plan.conflicts.length + plan.weights.length;
+    trace(`[engram] Undid consolidation run #${runId}: ${plan.memories.size} memories, ${linkCount} links`);
+    return { runId, memories: plan.memories.size, links: linkCount, reembedded: plan.reembedded };
+}
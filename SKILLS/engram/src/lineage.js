@@ -0,0 +1,146 @@
+// @ts-check
+/**
+ * Lineage — the relations that make a memory outdated.
+ *
+ *  - `A supersedes B`    B is outdated; retrieval leaves it out (or, on
+ *                        request, ranks it last and marks it `supersededBy`).
+ *  - `A evolved_from B`  A is the newer version of B when both have the same
+ *                        type; retrieval collapses the chain into its newest
+ *                        node, which lists the older ones as its `lineage`.
+ *
+ * Only live (unarchived) memories count: archiving the superseding memory
+ * brings the superseded one back. `evolved_from` across types (a pattern and
+ * the episodes it generalizes, see patterns.js) is provenance, not a new
+ * version, and doesn't collapse.
+ */
+
+/** Longest `evolved_from` chain followed */
+const MAX_CHAIN_DEPTH = 20;
+
+/**
+ * @typedef {Object} Lineage
+ * @property {number} head       - Newest live memory of the chain
+ * @property {number[]} lineage  - The head's older versions, newest first
+ * @property {import("./graph.js").GraphEdge[]} path - The `evolved_from` links from the memory up to the head
+ */
+
+/**
+ * Which of these memories are superseded by a live memory, and by which.
+ * @param {import("@libsql/client").Client} client
+ * @param {number[]} ids
+ * @returns {Promise<Map<number, number>>} superseded id → superseding id (the newest, if several)
+ */
+export async function getSupersededBy(client, ids) {
+    if (ids.length === 0) return new Map();
+    const result = await client.execute({
+        sql: `SELECT l.target_id, l.source_id FROM memory_links l JOIN memories s ON s.id = l.source_id
+              WHERE l.relation = 'supersedes' AND s.archived = 0
+                AND l.target_id IN (SELECT value FROM json_each(?))
+              ORDER BY s.created_at DESC, s.id DESC`,
+        args: [JSON.stringify(ids)],
+    });
+    /** @type {Map<number, number>} */
+    const superseded = new Map();
+    for (const row of result.rows) {
+        const target = Number(row.target_id);
+        if (!superseded.has(target)) superseded.set(target, Number(row.source_id));
+    }
+    return superseded;
+}
+
+/**
+ * One step along same-type `evolved_from` links between live memories.
+ * @param {import("@libsql/client").Client} client
+ * @param {number[]} ids
+ * @param {'newer' | 'older'} direction - newer: memories evolved from `ids`; older: what `ids` evolved from
+ * @returns {Promise<Array<{from: number, to: number, strength: number, created_at: string}>>} Newest `to` first
+ */
+async function evolvedStep(client, ids, direction) {
+    const [from, to] = direction === "newer" ? ["target_id", "source_id"] : ["source_id", "target_id"];
+    const result = await client.execute({
+        sql: `SELECT l.${from} AS from_id, l.${to} AS to_id, l.strength, m.created_at FROM memory_links l
+              JOIN memories m ON m.id = l.${to}
+              JOIN memories o ON o.id = l.${from}
+              WHERE l.relation = 'evolved_from' AND m.archived = 0 AND m.type = o.type
+                AND l.${from} IN (SELECT value FROM json_each(?))
+              ORDER BY m.created_at DESC, m.id DESC`,
+        args: [JSON.stringify(ids)],
+    });
+    return result.rows.map((r) => ({
+        from: Number(r.from_id), to: Number(r.to_id), strength: Number(r.strength), created_at: String(r.created_at),
+    }));
+}
+
+/**
+ * Resolve the `evolved_from` chains these memories belong to. A memory that
+ * several newer ones evolved from follows the newest.
+ * @param {import("@libsql/client").Client} client
+ * @param {number[]} ids
+ * @returns {Promise<Map<number, Lineage>>} Only ids that are part of a chain
+ */
+export async function getLineages(client, ids) {
+    /** @type {Map<number, import("./graph.js").GraphEdge>} id → link to the newest memory evolved from it */
+    const newer = new Map();
+    let frontier = [...new Set(ids)];
+    const visited = new Set(frontier);
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH && frontier.length > 0; depth++) {
+        const next = [];
+        for (const { from, to, strength } of await evolvedStep(client, frontier, "newer")) {
+            if (newer.has(from)) continue;
+            // Stored as `to evolved_from from`
+            newer.set(from, { from, to, relation: "evolved_from", direction: "incoming", strength });
+            if (!visited.has(to)) {
+                visited.add(to);
+                next.push(to);
+            }
+        }
+        frontier = next;
+    }
+
+    /** @type {Map<number, number>} */
+    const heads = new Map();
+    /** @type {Map<number, import("./graph.js").GraphEdge[]>} */
+    const paths = new Map();
+    for (const id of new Set(ids)) {
+        let head = id;
+        const reached = new Set([head]);
+        const path = [];
+        let step;
+        while ((step = newer.get(head)) && !reached.has(step.to)) {
+            path.push(step);
+            head = step.to;
+            reached.add(head);
+        }
+        heads.set(id, head);
+        paths.set(id, path);
+    }
+
+    // Walk down from all heads at once; a memory may be an older version of several heads
+    /** @type {Map<number, Map<number, string>>} head → its older versions and their creation times */
+    const ancestry = new Map([...new Set(heads.values())].map((head) => [head, new Map()]));
+    /** @type {Map<number, Set<number>>} memory → heads it was reached from */
+    let layer = new Map([...ancestry.keys()].map((head) => [head, new Set([head])]));
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH && layer.size > 0; depth++) {
+        /** @type {Map<number, Set<number>>} */
+        const next = new Map();
+        for (const { from, to, created_at } of await evolvedStep(client, [...layer.keys()], "older")) {
+            for (const head of /** @type {Set<number>} */ (layer.get(from))) {
+                const older = /** @type {Map<number, string>} */ (ancestry.get(head));
+                if (to === head || older.has(to)) continue;
+                older.set(to, created_at);
+                next.set(to, (next.get(to) ?? new Set()).add(head));
+            }
+        }
+        layer = next;
+    }
+
+    /** @type {Map<number, Lineage>} */
+    const lineages = new Map();
+    for (const [id, head] of heads) {
+        const lineage = [.../** @type {Map<number, string>} */ (ancestry.get(head))]
+            .sort((a, b) => b[1].localeCompare(a[1]) || b[0] - a[0])
+            .map(([older]) => older);
+        if (head !== id || lineage.length > 0) lineages.set(id, { head, lineage, path: /** @type {import("./graph.js").GraphEdge[]} */ (paths.get(id)) });
+    }
+    return lineages;
+}
@@ -0,0 +1,168 @@
+// @ts-check
+/**
+ * Chat-completion providers — the language model sleep uses to generalize
+ * clusters of episodes into reflexes and facts (see patterns.js).
+ *
+ * Providers:
+ *  - openai    Any OpenAI-compatible /v1/chat/completions endpoint (LM Studio, Ollama, vLLM...)
+ *  - scripted  Canned replies, for tests
+ *
+ * Selected with ENGRAM_LLM_PROVIDER, or programmatically via setChatProvider().
+ * Unlike embeddings there is no default: without a chat provider, pattern
+ * extraction is skipped.
+ */
+
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'system' | 'user' | 'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} ChatOptions
+ * @property {number} [temperature]  - Default 0.2
+ * @property {number} [maxTokens]    - Default 1024
+ */
+
+/**
+ * @typedef {Object} ChatProvider
+ * @property {string} name                                                        - Provider name ('openai' | 'scripted')
+ * @property {string} model                                                       - Model identifier
+ * @property {(messages: ChatMessage[], options?: ChatOptions) => Promise<string>} complete - The assistant's reply text
+ */
+
+export const CHAT_PROVIDER_NAMES = ["openai"];
+
+// ---------------------------------------------------------------------------
+// openai — OpenAI-compatible HTTP endpoint
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl]   - API root including /v1 (default http://localhost:1234/v1, LM Studio)
+ * @param {string} [options.model]     - Model name sent in the request
+ * @param {string} [options.apiKey]    - Bearer token, if the endpoint needs one
+ * @param {number} [options.timeoutMs] - Per-request timeout (default 120000)
+ * @returns {ChatProvider}
+ */
+export function createOpenAIChatProvider(options = {}) {
+    const {
+        baseUrl = "http://localhost:1234/v1",
+        model = "local-model",
+        apiKey,
+        timeoutMs = 120_000,
+    } = options;
+    const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+    return {
+        name: "openai",
+        model,
+        complete: async (messages, { temperature = 0.2, maxTokens = 1024 } = {}) => {
+            /** @type {Record<string, string>} */
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            const res = await fetch(endpoint, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ model, messages, temperature, max_tokens: maxTokens }),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!res.ok) {
+                const detail = await res.text().catch(() => "");
+                throw new Error(`Chat request failed: ${res.status} ${res.statusText}${detail ? ` — ${detail.substring(0, 200)}` : ""}`);
+            }
+
+            const json = /** @type {any} */ (await res.json());
+            const content = json?.choices?.[0]?.message?.content;
+            if (typeof content !== "string") throw new Error("Chat response malformed: no message content");
+            return content;
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// scripted — canned replies (tests)
+// ---------------------------------------------------------------------------
+
+/**
+ * A provider that replies from a script instead of a model. Each call takes
+ * the next reply; a function reply is called with the request's messages.
+ * Requests are recorded in `calls`.
+ * @param {Array<string | ((messages: ChatMessage[]) => string)>} replies
+ * @returns {ChatProvider & {calls: ChatMessage[][]}}
+ */
+export function createScriptedChatProvider(replies) {
+    /** @type {ChatMessage[][]} */
+    const calls = [];
+    return {
+        name: "scripted",
+        model: "scripted",
+        calls,
+        complete: async (messages) => {
+            const reply = replies[calls.length];
+            calls.push(messages);
+            if (reply === undefined) throw new Error(`Scripted chat provider ran out of replies after ${replies.length}`);
+            return typeof reply === "function" ? reply(messages) : reply;
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Active provider
+// ---------------------------------------------------------------------------
+
+/** @type {ChatProvider | null | undefined} — undefined: not read from the environment yet */
+let _provider;
+
+/**
+ * Build a chat provider by name, reading its settings from the environment.
+ *
+ * Environment:
+ *  - ENGRAM_LLM_URL      base URL (default http://localhost:1234/v1)
+ *  - ENGRAM_LLM_MODEL    model name
+ *  - ENGRAM_LLM_API_KEY  bearer token
+ *
+ * @param {string} name
+ * @returns {ChatProvider}
+ */
+export function createChatProvider(name) {
+    const env = process.env;
+    switch (name) {
+        case "openai":
+            return createOpenAIChatProvider({
+                baseUrl: env.ENGRAM_LLM_URL || undefined,
+                model: env.ENGRAM_LLM_MODEL || undefined,
+                apiKey: env.ENGRAM_LLM_API_KEY || undefined,
+            });
+        default:
+            throw new EngramError("invalid_argument", `Invalid chat provider: ${name}. Must be one of: ${CHAT_PROVIDER_NAMES.join(", ")}`);
+    }
+}
+
+/**
+ * Get the active chat provider (created from ENGRAM_LLM_PROVIDER on first use).
+ * @returns {ChatProvider | null} null if none is configured
+ */
+export function getChatProvider() {
+    if (_provider === undefined) {
+        const name = process.env.ENGRAM_LLM_PROVIDER;
+        _provider = name ? createChatProvider(name) : null;
+        if (_provider) trace(`[engram] Chat provider: ${_provider.name} (${_provider.model})`);
+    }
+    return _provider;
+}
+
+/**
+ * Replace the active provider (pass undefined to re-read the environment on
+ * next use, null to turn pattern extraction off).
+ * @param {ChatProvider | null | undefined} provider
+ */
+export function setChatProvider(provider) {
+    _provider = provider;
+}
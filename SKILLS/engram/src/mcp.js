@@ -0,0 +1,485 @@
+// @ts-check
+/**
+ * MCP server — exposes Engram as Model Context Protocol tools over stdio.
+ *
+ * Speaks newline-delimited JSON-RPC 2.0 on stdin/stdout. The DB client and
+ * embedding pipeline stay warm for the lifetime of the process, so agents
+ * pay the model-load cost once instead of on every CLI call.
+ *
+ * stdout is reserved for protocol messages — diagnostics go through trace().
+ */
+
+import { createInterface } from "node:readline";
+import {
+    addMemory, getMemory, searchHybrid,
+    addTag, removeTag, getAllTags,
+    linkMemories,
+} from "./memory.js";
+import { recall } from "./foa.js";
+import { startSessionWithConsolidationCheck, endSession } from "./session.js";
+import { getEmbeddingProvider } from "./providers.js";
+import { getRegistryNames } from "./registry.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+const PROTOCOL_VERSION = "2024-11-05";
+const SERVER_INFO = { name: "engram", version: "0.1.0" };
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// ---------------------------------------------------------------------------
+// Tool schemas — mirror the MemoryInput / RecallOptions typedefs. Memory type
+// and relation enums come from the registry (see withRegistryEnums).
+// ---------------------------------------------------------------------------
+
+/** JSON schema for MemoryInput (memory.js) */
+const MEMORY_INPUT_SCHEMA = {
+    type: "object",
+    properties: {
+        type: { type: "string", description: "Memory type" },
+        title: { type: "string", description: "Short, searchable title" },
+        content: { type: "string", description: "Memory content" },
+        importance: { type: "number", minimum: 0, maximum: 1, description: "0.0–1.0, default 0.5" },
+        tags: { type: "array", items: { type: "string" }, description: "Tags to assign" },
+        links: {
+            type: "array",
+            description: "Links to create",
+            items: {
+                type: "object",
+                properties: {
+                    targetId: { type: "integer" },
+                    relation: { type: "string" },
+                },
+                required: ["targetId", "relation"],
+            },
+        },
+        sourceConversationId: { type: "string" },
+        scope: { type: "string", description: "Namespace, e.g. a project name (default global)" },
+        halfLife: { type: "number", exclusiveMinimum: 0, description: "Days for strength to halve, overriding the type's decay rate" },
+        autoLink: { type: "boolean", description: "Auto-discover and link related memories (default true)" },
+        autoLinkThreshold: { type: "number", description: "Cosine similarity threshold for auto-linking (default 0.7)" },
+        mergeThreshold: { type: "number", description: "Cosine similarity threshold for merge-on-write (default 0.92)" },
+    },
+    required: ["type", "title", "content"],
+};
+
+/** JSON schema for RecallOptions (foa.js) plus the query */
+const RECALL_SCHEMA = {
+    type: "object",
+    properties: {
+        query: { type: "string", description: "Context query" },
+        k: { type: "integer", minimum: 1, description: "Number of results (default 10)" },
+        budget: { type: "integer", minimum: 1, description: "Approximate token budget (default 4000)" },
+        type: { type: "string", description: "Filter by memory type" },
+        sessionId: { type: "string", description: "Include session context" },
+        rerank: { type: "boolean", description: "Re-score with cross-encoder (default true)" },
+        hops: { type: "integer", minimum: 0, description: "Follow graph links N hops deep (default 1)" },
+        chunks: { type: "boolean", description: "Return only the matching passage of long memories (default false)" },
+        scope: { type: "string", description: "Current scope — blended with global memories (default: all scopes)" },
+        includeSuperseded: { type: "boolean", description: "Keep memories superseded by another, ranked lower (default false)" },
+    },
+    required: ["query"],
+};
+
+/** JSON schema for searchHybrid options plus the query */
+const SEARCH_SCHEMA = {
+    type: "object",
+    properties: {
+        query: { type: "string", description: "Search query" },
+        k: { type: "integer", minimum: 1, description: "Number of results (default 10)" },
+        type: { type: "string", description: "Filter by memory type" },
+        rerank: { type: "boolean", description: "Use cross-encoder reranker (default false)" },
+        since: { type: "string", description: "Time filter: 1h, 1d, 7d, 30d" },
+        hops: { type: "integer", minimum: 0, description: "Follow graph links N hops deep (default 0)" },
+        scope: { type: "string", description: "Restrict to one scope (default: all scopes)" },
+        includeSuperseded: { type: "boolean", description: "Keep memories superseded by another, listed last (default false)" },
+    },
+    required: ["query"],
+};
+
+const MEMORY_ID_SCHEMA = {
+    type: "object",
+    properties: { id: { type: "integer", description: "Memory ID" } },
+    required: ["id"],
+};
+
+const TAG_SCHEMA = {
+    type: "object",
+    properties: {
+        memoryId: { type: "integer", description: "Memory ID" },
+        tag: { type: "string", description: "Tag name" },
+    },
+    required: ["memoryId", "tag"],
+};
+
+/**
+ * @typedef {Object} McpTool
+ * @property {string} name
+ * @property {string} description
+ * @property {object} inputSchema
+ * @property {(client: import("@libsql/client").Client, args: any) => Promise<any>} handler
+ */
+
+/** @type {McpTool[]} */
+const TOOLS = [
+    {
+        name: "recall",
+        description: "Recall relevant memories for a query (hybrid search + rerank + graph hops, fitted to a token budget). Prefer this over search.",
+        inputSchema: RECALL_SCHEMA,
+        handler: (client, { query, ...options }) => recall(client, query, options),
+    },
+    {
+        name: "add_memory",
+        description: "Store a memory with auto-embedding, dedup and merge-on-write.",
+        inputSchema: MEMORY_INPUT_SCHEMA,
+        handler: (client, input) => addMemory(client, input),
+    },
+    {
+        name: "search",
+        description: "Raw hybrid search (semantic + FTS via Reciprocal Rank Fusion).",
+        inputSchema: SEARCH_SCHEMA,
+        handler: (client, { query, ...options }) => searchHybrid(client, query, options),
+    },
+    {
+        name: "get_memory",
+        description: "Get a memory by ID with its tags and links.",
+        inputSchema: MEMORY_ID_SCHEMA,
+        handler: async (client, { id }) => {
+            const memory = await getMemory(client, id);
+            if (!memory) throw new Error(`Memory #${id} not found`);
+            return memory;
+        },
+    },
+    {
+        name: "link_memories",
+        description: "Create a typed link between two memories in the knowledge graph.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                sourceId: { type: "integer" },
+                targetId: { type: "integer" },
+                relation: { type: "string", description: "Default related_to" },
+                strength: { type: "number", minimum: 0, maximum: 1, description: "Default 0.5" },
+            },
+            required: ["sourceId", "targetId"],
+        },
+        handler: async (client, { sourceId, targetId, relation = "related_to", strength }) => {
+            await linkMemories(client, sourceId, targetId, relation, strength);
+            return { sourceId, targetId, relation };
+        },
+    },
+    {
+        name: "add_tag",
+        description: "Add a tag to a memory.",
+        inputSchema: TAG_SCHEMA,
+        handler: async (client, { memoryId, tag }) => {
+            await addTag(client, memoryId, tag);
+            return { memoryId, tag };
+        },
+    },
+    {
+        name: "remove_tag",
+        description: "Remove a tag from a memory.",
+        inputSchema: TAG_SCHEMA,
+        handler: async (client, { memoryId, tag }) => {
+            await removeTag(client, memoryId, tag);
+            return { memoryId, tag };
+        },
+    },
+    {
+        name: "list_tags",
+        description: "List all tags with usage counts.",
+        inputSchema: { type: "object", properties: {} },
+        handler: (client) => getAllTags(client),
+    },
+    {
+        name: "session_start",
+        description: "Start a session (optionally auto-running overdue consolidation).",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Session ID" },
+                title: { type: "string" },
+                autoConsolidate: { type: "boolean", description: "Auto-run sleep consolidation if overdue" },
+            },
+            required: ["id"],
+        },
+        handler: async (client, { id, title, autoConsolidate = false }) => {
+            const result = await startSessionWithConsolidationCheck(client, id, { title, autoConsolidate });
+            return { id, ...result };
+        },
+    },
+    {
+        name: "session_end",
+        description: "End a session with an optional summary (auto-embedded).",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Session ID" },
+                summary: { type: "string" },
+            },
+            required: ["id"],
+        },
+        handler: async (client, { id, summary }) => {
+            await endSession(client, id, summary);
+            return { id, ended: true };
+        },
+    },
+];
+
+/**
+ * Copy a tool schema with `type` / `relation` arguments (including link items)
+ * restricted to the registered memory types and relations. Resolved per
+ * request, so types added with `engram types add` show up without a restart.
+ * @param {any} schema
+ * @param {{types: string[], relations: string[]}} registry
+ * @returns {any}
+ */
+function withRegistryEnums(schema, registry) {
+    /** @param {Record<string, any>} properties */
+    const resolve = (properties) => Object.fromEntries(Object.entries(properties).map(([key, prop]) => {
+        if (key === "type") return [key, { ...prop, enum: registry.types }];
+        if (key === "relation") return [key, { ...prop, enum: registry.relations }];
+        if (prop.items?.properties) return [key, { ...prop, items: { ...prop.items, properties: resolve(prop.items.properties) } }];
+        return [key, prop];
+    }));
+    return { ...schema, properties: resolve(schema.properties ?? {}) };
+}
+
+/**
+ * Check one value against a property schema: type, enum, bounds, and
+ * recursively the items of an array and the fields of an object.
+ * @param {any} prop
+ * @param {any} value
+ * @param {string} name - Argument path for the message, e.g. links[0].targetId
+ * @returns {string | null} Error message, or null when valid
+ */
+function checkValue(prop, value, name) {
+    const ok = prop.type === undefined ? true
+        : prop.type === "integer" ? Number.isInteger(value)
+            : prop.type === "array" ? Array.isArray(value)
+                : prop.type === "object" ? value !== null && typeof value === "object" && !Array.isArray(value)
+                    : prop.type === "number" ? Number.isFinite(value)
+                        : typeof value === prop.type;
+    if (!ok) return `argument "${name}" must be ${prop.type === "integer" || prop.type === "array" || prop.type === "object" ? `an ${prop.type}` : `a ${prop.type}`}`;
+    if (prop.enum && !prop.enum.includes(value)) {
+        return `argument "${name}" must be one of: ${prop.enum.join(", ")}`;
+    }
+    if (prop.minimum !== undefined && value < prop.minimum) return `argument "${name}" must be at least ${prop.minimum}`;
+    if (prop.maximum !== undefined && value > prop.maximum) return `argument "${name}" must be at most ${prop.maximum}`;
+    if (prop.exclusiveMinimum !== undefined && value <= prop.exclusiveMinimum) {
+        return `argument "${name}" must be greater than ${prop.exclusiveMinimum}`;
+    }
+    if (prop.type === "array" && prop.items) {
+        for (let i = 0; i < value.length; i++) {
+            const invalid = checkValue(prop.items, value[i], `${name}[${i}]`);
+            if (invalid) return invalid;
+        }
+    }
+    if (prop.type === "object") return checkFields(prop, value, `${name}.`);
+    return null;
+}
+
+/**
+ * Check the required fields and known properties of an object.
+ * @param {any} schema
+ * @param {Record<string, any>} value
+ * @param {string} prefix - Path of the object, "" at the top level
+ * @returns {string | null} Error message, or null when valid
+ */
+function checkFields(schema, value, prefix) {
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) return `missing required argument "${prefix}${key}"`;
+    }
+    for (const [key, field] of Object.entries(value)) {
+        const prop = schema.properties?.[key];
+        if (!prop || field === undefined) continue;
+        const invalid = checkValue(prop, field, `${prefix}${key}`);
+        if (invalid) return invalid;
+    }
+    return null;
+}
+
+/**
+ * Check tool arguments against its input schema: required fields, types,
+ * enums and numeric bounds, down through array items and nested objects.
+ * @param {any} schema
+ * @param {any} args
+ * @returns {string | null} Error message, or null when valid
+ */
+function validateArgs(schema, args) {
+    if (args === null || typeof args !== "object" || Array.isArray(args)) {
+        return "arguments must be an object";
+    }
+    return checkFields(schema, args, "");
+}
+
+// ---------------------------------------------------------------------------
+// JSON-RPC dispatch
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {any} id
+ * @param {number} code
+ * @param {string} message
+ */
+function rpcError(id, code, message) {
+    return { jsonrpc: "2.0", id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Create a message handler bound to a DB client.
+ *
+ * The handler takes one parsed JSON-RPC message and resolves to the response
+ * object, or null for notifications (which never get a reply). It never
+ * rejects: failures outside a tool's own handler become INTERNAL_ERROR.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @returns {(message: any) => Promise<object | null>}
+ */
+export function createMcpHandler(client) {
+    return async (message) => {
+        if (!message || typeof message !== "object" || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+            return rpcError(message?.id, INVALID_REQUEST, "Invalid JSON-RPC 2.0 request");
+        }
+
+        const { id, method, params = {} } = message;
+        if (!params || typeof params !== "object" || Array.isArray(params)) {
+            return rpcError(id, INVALID_PARAMS, "Invalid params: must be an object");
+        }
+
+        try {
+            return await dispatch(client, id, method, params);
+        } catch (/** @type {any} */ err) {
+            trace(`[engram] mcp ${method} failed:`, err?.message || String(err));
+            return id === undefined ? null : rpcError(id, INTERNAL_ERROR, err?.message || String(err));
+        }
+    };
+}
+
+/**
+ * Answer one validated request.
+ * @param {import("@libsql/client").Client} client
+ * @param {any} id - undefined for notifications
+ * @param {string} method
+ * @param {Record<string, any>} params
+ * @returns {Promise<object | null>}
+ */
+async function dispatch(client, id, method, params) {
+    const isNotification = id === undefined;
+
+    switch (method) {
+        case "initialize":
+            return {
+                jsonrpc: "2.0", id,
+                result: {
+                    protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+                    capabilities: { tools: {} },
+                    serverInfo: SERVER_INFO,
+                },
+            };
+
+        case "ping":
+            return isNotification ? null : { jsonrpc: "2.0", id, result: {} };
+
+        case "tools/list": {
+            const registry = await getRegistryNames(client);
+            return {
+                jsonrpc: "2.0", id,
+                result: {
+                    tools: TOOLS.map(({ name, description, inputSchema }) => ({
+                        name, description, inputSchema: withRegistryEnums(inputSchema, registry),
+                    })),
+                },
+            };
+        }
+
+        case "tools/call": {
+            const tool = TOOLS.find((t) => t.name === params.name);
+            if (!tool) return rpcError(id, INVALID_PARAMS, `Unknown tool: ${params.name}`);
+
+            const args = params.arguments ?? {};
+            const invalid = validateArgs(withRegistryEnums(tool.inputSchema, await getRegistryNames(client)), args);
+            if (invalid) return rpcError(id, INVALID_PARAMS, `${tool.name}: ${invalid}`);
+
+            // Tool failures are reported in-band so the model can see and react to them
+            try {
+                const result = await tool.handler(client, args);
+                return {
+                    jsonrpc: "2.0", id,
+                    result: { content: [{ type: "text", text: JSON.stringify(result ?? null, null, 2) }] },
+                };
+            } catch (/** @type {any} */ err) {
+                trace(`[engram] mcp tool ${tool.name} failed:`, err?.message || String(err));
+                return {
+                    jsonrpc: "2.0", id,
+                    result: { content: [{ type: "text", text: err?.message || String(err) }], isError: true },
+                };
+            }
+        }
+
+        default:
+            // Notifications (e.g. notifications/initialized) need no reply
+            if (isNotification) return null;
+            return rpcError(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+}
+
+/**
+ * Serve MCP over a newline-delimited JSON-RPC stream until input closes.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {object} [options]
+ * @param {NodeJS.ReadableStream} [options.input] - Defaults to process.stdin
+ * @param {NodeJS.WritableStream} [options.output] - Defaults to process.stdout
+ * @param {boolean} [options.warmup] - Load the embedding model before serving (default true)
+ * @returns {Promise<void>} Resolves when the input stream ends
+ */
+export async function serveMcp(client, options = {}) {
+    const { input = process.stdin, output = process.stdout, warmup = true } = options;
+
+    if (warmup) {
+        try {
+            await getEmbeddingProvider().init();
+        } catch (/** @type {any} */ err) {
+            trace("[engram] mcp warm-up failed (will retry on first use):", err?.message || String(err));
+        }
+    }
+
+    const handle = createMcpHandler(client);
+    const rl = createInterface({ input, crlfDelay: Infinity });
+    /** @type {Set<Promise<void>>} */
+    const pending = new Set();
+
+    trace("[engram] MCP server listening on stdio");
+
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+
+        /** @type {any} */
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            output.write(JSON.stringify(rpcError(null, PARSE_ERROR, "Parse error")) + "\n");
+            continue;
+        }
+
+        // Requests are handled concurrently; responses carry their id
+        const task = handle(message).then((response) => {
+            if (response) output.write(JSON.stringify(response) + "\n");
+        }).catch((/** @type {any} */ err) => {
+            trace("[engram] mcp handler failed:", err?.message || String(err));
+        }).finally(() => pending.delete(task));
+        pending.add(task);
+    }
+
+    await Promise.all(pending);
+    trace("[engram] MCP input closed — shutting down");
+}
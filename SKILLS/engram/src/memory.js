@@ -3,24 +3,42 @@
  * Memory operations — CRUD, semantic/FTS/hybrid search, linking, tags.
  */
 
-import { embed, cosineSimilarity, vectorToBlob, blobToVector, getEmbeddingDim, rerank } from "./embeddings.js";
+import { cosineSimilarity, vectorToBlob, blobToVector, rerank } from "./embeddings.js";
+import { getEmbeddingProvider, assertEmbeddingModel } from "./providers.js";
+import { embedCached, embedBatchCached, warmEmbeddingCache, getRerankScores, storeRerankScores } from "./cache.js";
+import { chunkText } from "./chunking.js";
+import { requireMemoryType, requireRelationType, validateHalfLife } from "./registry.js";
+import { recordRevision, getRevision } from "./history.js";
+import { proposeMerge, mergeReviewDefault } from "./merges.js";
+import { canConflict, findConflictsFor, flagConflict } from "./conflicts.js";
+import { getSupersededBy, getLineages } from "./lineage.js";
+import { withWriteTransaction } from "./db.js";
+import { EngramError } from "./errors.js";
 
 /** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
 const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
 
+/** Default scope — memories that apply everywhere; recall blends it into every other scope */
+export const GLOBAL_SCOPE = "global";
+
 /**
  * @typedef {Object} MemoryInput
- * @property {'reflex' | 'episode' | 'fact' | 'preference' | 'decision' | 'session_summary'} type
+ * @property {string} type               - A registered memory type (see registry.js)
  * @property {string} title
  * @property {string} content
- * @property {number} [importance]        - 0.0–1.0, default 0.5
+ * @property {number} [importance]        - 0.0–1.0, default: the type's default importance
  * @property {string[]} [tags]            - Tags to assign
  * @property {Array<{targetId: number, relation: string}>} [links] - Links to create
  * @property {string} [sourceConversationId]
  * @property {'manual' | 'auto' | 'migration'} [sourceType]
+ * @property {string} [scope]               - Namespace, e.g. a project name (default 'global')
+ * @property {number} [halfLife]            - Days for strength to halve during sleep, overriding the type's decay rate
  * @property {boolean} [autoLink]           - Auto-discover and link related memories (default true)
  * @property {number} [autoLinkThreshold]   - Cosine similarity threshold for auto-linking (default 0.7)
  * @property {number} [mergeThreshold]      - Cosine similarity threshold for merge-on-write (default 0.92)
+ * @property {boolean} [reviewMerges]       - Queue a near-duplicate as a merge proposal instead of merging (default: ENGRAM_MERGE_REVIEW=1)
+ * @property {boolean} [detectConflicts]    - Link close memories that contradict this one with `contradicts` (default true)
+ * @property {number} [conflictThreshold]   - Cosine similarity for the contradiction check (default 0.8)
  */
 
 /**
@@ -38,26 +56,41 @@ const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1"
  * @property {string | null} source_conversation_id
  * @property {string} source_type
  * @property {number} archived
+ * @property {string} scope
+ * @property {number | null} [half_life_days] - Decay half-life override (getMemory only)
  * @property {string[]} [tags]
  * @property {Array<{id: number, relation: string, direction: string}>} [links]
  * @property {number} [score]  - Search relevance score
+ * @property {{index: number, content: string}} [chunk] - Best-matching chunk, when it outscored the whole memory
+ * @property {number[]} [lineage]      - Search: older versions this memory evolved from, newest first
+ * @property {number} [supersededBy]   - Search with includeSuperseded: the memory that supersedes this one
+ * @property {Explanation} [explanation] - Search with hops: how a memory that didn't match was linked in
+ */
+
+/**
+ * @typedef {Object} Explanation
+ * @property {number} seed   - The search result the links were followed from
+ * @property {import("./graph.js").GraphEdge[]} path - Links from the seed to this memory
  */
 
 /**
  * Add a new memory with auto-embedding, dedup, and merge-on-write.
  *
- * Before inserting, checks for:
+ * Before inserting, checks for (within the memory's scope only):
  * 1. Exact duplicate (same type + title) → skip, return existing ID
- * 2. Semantic near-duplicate (cosine > mergeThreshold) → merge content into existing
+ * 2. Semantic near-duplicate (cosine > mergeThreshold) → merge content into existing,
+ *    or with reviewMerges insert it and queue a merge proposal (see merges.js)
+ *
+ * A new memory that contradicts close ones is linked to them with
+ * `contradicts` (see conflicts.js) and returns them in `conflicts`.
  *
  * @param {import("@libsql/client").Client} client
  * @param {MemoryInput} input
- * @returns {Promise<{id: number, status: 'created' | 'duplicate' | 'merged', mergedInto?: number}>}
+ * @returns {Promise<{id: number, status: 'created' | 'duplicate' | 'merged', mergedInto?: number, mergeProposal?: number, conflicts?: Array<{id: number, reason: string}>}>}
  */
 export async function addMemory(client, input) {
     const {
         type, title, content,
-        importance = 0.5,
         tags = [],
         links = [],
         sourceConversationId = null,
@@ -65,55 +98,63 @@ export async function addMemory(client, input) {
         autoLink = true,
         autoLinkThreshold = 0.7,
         mergeThreshold = 0.92,
+        reviewMerges = mergeReviewDefault(),
+        detectConflicts = true,
+        conflictThreshold = 0.8,
     } = input;
-
-    // --- Check 1: Exact duplicate (same type + title) ---
-    const exactMatch = await client.execute({
-        sql: "SELECT id FROM memories WHERE type = ? AND title = ? AND archived = 0",
-        args: [type, title],
-    });
-    if (exactMatch.rows.length > 0) {
-        const existingId = Number(exactMatch.rows[0].id);
-        // Bump access count to signal re-encounter
-        await client.execute({
-            sql: "UPDATE memories SET access_count = access_count + 1, last_accessed_at = datetime('now') WHERE id = ?",
-            args: [existingId],
-        });
-        // Apply any new tags (e.g. --permanent) even on duplicate
-        if (tags.length > 0) {
-            await applyTags(client, existingId, tags);
-        }
-        return { id: existingId, status: "duplicate" };
+    const scope = normalizeScope(input.scope);
+    const memoryType = await requireMemoryType(client, type);
+    const importance = input.importance ?? memoryType.importance;
+    const halfLife = input.halfLife ?? null;
+    validateHalfLife(halfLife);
+    for (const link of links) await requireRelationType(client, link.relation);
+
+    const text = `${title}\n${content}`;
+    const exact = "SELECT id FROM memories WHERE type = ? AND title = ? AND scope = ? AND archived = 0";
+
+    // Embed before taking the write lock, the model being the slow part: the
+    // transaction below then finds the vectors in the cache. A merge is
+    // planned, and the merged text embedded, up front for the same reason
+    /** @type {WriteMerge | null} */
+    let plannedMerge = null;
+    if ((await client.execute({ sql: exact, args: [type, title, scope] })).rows.length === 0) {
+        await assertEmbeddingModel(client);
+        const [embedding] = await embedBatchCached(client, embeddingTexts(title, content));
+        if (!reviewMerges) plannedMerge = await planWriteMerge(client, { type, title, content, scope, embedding }, mergeThreshold);
     }
 
-    // Generate embedding
-    const embedding = await embed(`${title}\n${content}`);
-    const embeddingBlob = vectorToBlob(embedding);
+    // Check and write in one transaction, so that parallel writers (other
+    // processes included) can't both miss the other's duplicate
+    return withWriteTransaction(client, async (tx) => {
+        // --- Check 1: Exact duplicate (same type + title) ---
+        const exactMatch = await tx.execute({ sql: exact, args: [type, title, scope] });
+        if (exactMatch.rows.length > 0) {
+            const existingId = Number(exactMatch.rows[0].id);
+            // Bump access count to signal re-encounter
+            await tx.execute({
+                sql: "UPDATE memories SET access_count = access_count + 1, last_accessed_at = datetime('now') WHERE id = ?",
+                args: [existingId],
+            });
+            // Apply any new tags (e.g. --permanent) even on duplicate
+            if (tags.length > 0) {
+                await applyTags(tx, existingId, tags);
+            }
+            return { id: existingId, status: "duplicate" };
+        }
 
-    // --- Check 2: Semantic near-duplicate (merge-on-write) ---
-    try {
-        const similar = await client.execute({
-            sql: `SELECT m.id, m.title, m.content, m.type, v.distance as dist
-                  FROM vector_top_k('memories_vec_idx', vector(?), 3) v
-                  JOIN memories m ON m.rowid = v.id
-                  WHERE m.archived = 0 AND m.type = ?`,
-            args: [embeddingBlob, type],
-        });
+        // Cached since the warm-up above, unless the duplicate disappeared meanwhile
+        const embedding = await embedCached(tx, text);
+        const embeddingBlob = vectorToBlob(embedding);
 
-        for (const row of similar.rows) {
-            const similarity = 1 - Number(row.dist);
-            if (similarity >= mergeThreshold) {
-                const existingId = Number(row.id);
-                const existingContent = String(row.content);
-                // Merge: append new content if it adds information
-                const mergedContent = existingContent.includes(content)
-                    ? existingContent  // new content is a subset — skip
-                    : `${existingContent}\n\n---\n${content}`;
-                // Re-embed merged content
-                const mergedTitle = title.length > String(row.title).length ? title : String(row.title);
-                const mergedEmbedding = await embed(`${mergedTitle}\n${mergedContent}`);
-                const mergedBlob = vectorToBlob(mergedEmbedding);
-                await client.execute({
+        // --- Check 2: Semantic near-duplicate (merge-on-write) ---
+        /** @type {{id: number, similarity: number} | null} */
+        let proposeWith = null;
+        try {
+            const target = await findWriteMergeTarget(tx, { type, scope, embedding }, mergeThreshold);
+            if (target && !reviewMerges && isPlannedMerge(plannedMerge, target)) {
+                const existingId = target.id;
+                await recordRevision(tx, existingId, "merge");
+                await tx.execute({
                     sql: `UPDATE memories SET
                         content = ?, title = ?, content_embedding = vector(?),
                         access_count = access_count + 1,
@@ -121,54 +162,191 @@ export async function addMemory(client, input) {
                         last_accessed_at = datetime('now'),
                         updated_at = datetime('now')
                         WHERE id = ?`,
-                    args: [mergedContent, mergedTitle, mergedBlob, existingId],
+                    args: [plannedMerge.content, plannedMerge.title, vectorToBlob(plannedMerge.embedding), existingId],
                 });
+                // Chunk vectors were cached with the plan
+                await indexChunks(tx, existingId, plannedMerge.title, plannedMerge.content);
                 // Apply tags to existing memory too
                 if (tags.length > 0) {
-                    await applyTags(client, existingId, tags);
+                    await applyTags(tx, existingId, tags);
                 }
                 return { id: existingId, status: "merged", mergedInto: existingId };
             }
+            // Reviewed merges, and targets that changed since the merge was
+            // planned (no embedding under the lock), become a proposal
+            if (target) proposeWith = { id: target.id, similarity: target.similarity };
+        } catch (/** @type {any} */ err) {
+            // Vector index may not be ready — skip merge check
+            trace("[engram] merge-on-write check skipped:", err?.message || String(err));
         }
-    } catch (/** @type {any} */ err) {
-        // Vector index may not be ready — skip merge check
-        trace("[engram] merge-on-write check skipped:", err?.message || String(err));
-    }
 
-    // --- No duplicate/merge: insert new memory ---
-    const result = await client.execute({
-        sql: `INSERT INTO memories (type, title, content, content_embedding, importance, source_conversation_id, source_type)
-          VALUES (?, ?, ?, vector(?), ?, ?, ?)`,
-        args: [type, title, content, embeddingBlob, importance, sourceConversationId, sourceType],
+        // --- No duplicate/merge: insert new memory ---
+        const result = await tx.execute({
+            sql: `INSERT INTO memories (type, title, content, content_embedding, importance, source_conversation_id, source_type, scope, half_life_days)
+              VALUES (?, ?, ?, vector(?), ?, ?, ?, ?, ?)`,
+            args: [type, title, content, embeddingBlob, importance, sourceConversationId, sourceType, scope, halfLife],
+        });
+
+        const memoryId = Number(result.lastInsertRowid);
+        await indexChunks(tx, memoryId, title, content);
+
+        // Apply tags
+        if (tags.length > 0) {
+            await applyTags(tx, memoryId, tags);
+        }
+
+        // Create explicit links
+        if (links.length > 0) {
+            const linkBatch = links.map((link) => ({
+                sql: "INSERT OR REPLACE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, ?, ?)",
+                args: [memoryId, link.targetId, link.relation, 0.5],
+            }));
+            await tx.batch(linkBatch, "write");
+        }
+
+        // Auto-link — discover related memories by vector similarity
+        if (autoLink) {
+            await autoLinkMemory(tx, memoryId, embedding, autoLinkThreshold, 3, scope);
+        }
+
+        /** @type {{id: number, status: 'created', mergeProposal?: number, conflicts?: Array<{id: number, reason: string}>}} */
+        const created = { id: memoryId, status: "created" };
+
+        if (detectConflicts && canConflict(type)) {
+            const conflicts = await findConflictsFor(tx, { id: memoryId, title, content, scope, embedding: embeddingBlob }, conflictThreshold);
+            for (const c of conflicts) await flagConflict(tx, memoryId, c.id, c.similarity);
+            if (conflicts.length > 0) created.conflicts = conflicts.map(({ id, reason }) => ({ id, reason }));
+        }
+
+        if (proposeWith) {
+            const proposal = await proposeMerge(tx, {
+                keepId: proposeWith.id, removeId: memoryId, similarity: proposeWith.similarity, source: "write",
+            });
+            if (proposal !== null) created.mergeProposal = proposal;
+        }
+
+        return created;
     });
+}
 
-    const memoryId = Number(result.lastInsertRowid);
+/**
+ * @typedef {Object} WriteMerge
+ * @property {{id: number, title: string, content: string, similarity: number}} target - The memory to merge into, as planned
+ * @property {string} title       - Merged title
+ * @property {string} content     - Merged content
+ * @property {Float32Array} embedding - Of the merged title + content
+ */
 
-    // Apply tags
-    if (tags.length > 0) {
-        await applyTags(client, memoryId, tags);
-    }
+/**
+ * Texts embedded for a memory: the whole of it, then each chunk. Embedding
+ * them before a write transaction leaves indexChunks only cache hits under
+ * the lock.
+ * @param {string} title
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function embeddingTexts(title, content) {
+    return [`${title}\n${content}`, ...chunkText(content).map((chunk) => `${title}\n${chunk}`)];
+}
 
-    // Create explicit links
-    if (links.length > 0) {
-        const linkBatch = links.map((link) => ({
-            sql: "INSERT OR REPLACE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, ?, ?)",
-            args: [memoryId, link.targetId, link.relation, 0.5],
-        }));
-        await client.batch(linkBatch, "write");
+/**
+ * Find the memory a new one would merge into on write: the closest of the
+ * same type and scope at or above the threshold.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {{type: string, scope: string, embedding: Float32Array}} memory
+ * @param {number} threshold
+ * @returns {Promise<{id: number, title: string, content: string, similarity: number} | null>}
+ * @throws {Error} when the vector index isn't ready
+ */
+async function findWriteMergeTarget(client, memory, threshold) {
+    const similar = await client.execute({
+        sql: `SELECT m.id, m.title, m.content, v.distance as dist
+              FROM vector_top_k('memories_vec_idx', vector(?), 3) v
+              JOIN memories m ON m.rowid = v.id
+              WHERE m.archived = 0 AND m.type = ? AND m.scope = ?`,
+        args: [vectorToBlob(memory.embedding), memory.type, memory.scope],
+    });
+    for (const row of similar.rows) {
+        const similarity = 1 - Number(row.dist);
+        if (similarity >= threshold) {
+            return { id: Number(row.id), title: String(row.title), content: String(row.content), similarity };
+        }
     }
+    return null;
+}
 
-    // Auto-link — discover related memories by vector similarity
-    if (autoLink) {
-        await autoLinkMemory(client, memoryId, embedding, autoLinkThreshold);
+/**
+ * Plan a merge-on-write before the write transaction: find the target and
+ * embed the merged text and its chunks, so that the transaction only has to
+ * check the target is unchanged.
+ * @param {import("@libsql/client").Client} client
+ * @param {{type: string, title: string, content: string, scope: string, embedding: Float32Array}} memory
+ * @param {number} threshold
+ * @returns {Promise<WriteMerge | null>} null without a target, or when the vector index isn't ready
+ */
+async function planWriteMerge(client, memory, threshold) {
+    try {
+        const target = await findWriteMergeTarget(client, memory, threshold);
+        if (!target) return null;
+        // Append the new content if it adds information; the longer title wins
+        const content = target.content.includes(memory.content)
+            ? target.content
+            : `${target.content}\n\n---\n${memory.content}`;
+        const title = memory.title.length > target.title.length ? memory.title : target.title;
+        const [embedding] = await embedBatchCached(client, embeddingTexts(title, content));
+        return { target, title, content, embedding };
+    } catch (/** @type {any} */ err) {
+        trace("[engram] merge-on-write check skipped:", err?.message || String(err));
+        return null;
     }
+}
 
-    return { id: memoryId, status: "created" };
+/**
+ * Whether the target found under the write lock is still the one the merge was planned against.
+ * @param {WriteMerge | null} plan
+ * @param {{id: number, title: string, content: string}} target
+ * @returns {plan is WriteMerge}
+ */
+function isPlannedMerge(plan, target) {
+    return !!plan && plan.target.id === target.id && plan.target.title === target.title && plan.target.content === target.content;
+}
+
+/**
+ * (Re)build the chunk embeddings of a memory from its current title + content.
+ * Content short enough for a single vector gets no chunks.
+ *
+ * Chunks are a retrieval aid — the memory-level vector is already stored — so
+ * a failure here is traced rather than failing the write.
+ *
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} memoryId
+ * @param {string} title
+ * @param {string} content
+ * @returns {Promise<number>} Number of chunks stored
+ */
+export async function indexChunks(client, memoryId, title, content) {
+    const chunks = chunkText(content);
+    try {
+        /** @type {Array<{sql: string, args: any[]}>} */
+        const statements = [{ sql: "DELETE FROM memory_chunks WHERE memory_id = ?", args: [memoryId] }];
+        if (chunks.length > 0) {
+            const vectors = await embedBatchCached(client, chunks.map((chunk) => `${title}\n${chunk}`));
+            chunks.forEach((chunk, i) => statements.push({
+                sql: "INSERT INTO memory_chunks (memory_id, chunk_index, content, embedding) VALUES (?, ?, ?, vector(?))",
+                args: [memoryId, i, chunk, vectorToBlob(vectors[i])],
+            }));
+        }
+        await client.batch(statements, "write");
+        return chunks.length;
+    } catch (/** @type {any} */ err) {
+        trace(`[engram] chunk indexing skipped for #${memoryId}:`, err?.message || String(err));
+        return 0;
+    }
 }
 
 /**
  * Apply tags to a memory (extracted for reuse in merge path).
- * @param {import("@libsql/client").Client} client
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
  * @param {number} memoryId
  * @param {string[]} tags
  */
@@ -200,16 +378,20 @@ async function applyTags(client, memoryId, tags) {
 }
 
 /**
- * Auto-discover and link related memories by cosine similarity.
- * @param {import("@libsql/client").Client} client
+ * Auto-discover and link related memories by cosine similarity. The links are
+ * marked `auto`: consolidation may prune them once they decay (see
+ * consolidation.js).
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
  * @param {number} memoryId - The newly created memory ID
  * @param {Float32Array} embedding - The memory's embedding vector
  * @param {number} threshold - Cosine similarity threshold (default 0.7)
  * @param {number} [maxLinks] - Max auto-links to create (default 3)
+ * @param {string} [scope] - Scope of the new memory: only links within it or to global memories
  * @returns {Promise<Array<{targetId: number, similarity: number}>>}
  */
-export async function autoLinkMemory(client, memoryId, embedding, threshold = 0.7, maxLinks = 3) {
+export async function autoLinkMemory(client, memoryId, embedding, threshold = 0.7, maxLinks = 3, scope) {
     const queryBlob = vectorToBlob(embedding);
+    const scoped = scopeFilter(scope === undefined ? undefined : [scope, GLOBAL_SCOPE]);
 
     // Find similar memories (excluding self)
     try {
@@ -217,8 +399,8 @@ export async function autoLinkMemory(client, memoryId, embedding, threshold = 0.
             sql: `SELECT m.id, m.title, v.distance as dist
                   FROM vector_top_k('memories_vec_idx', vector(?), ?) v
                   JOIN memories m ON m.rowid = v.id
-                  WHERE m.id != ? AND m.archived = 0`,
-            args: [queryBlob, maxLinks + 5, memoryId],
+                  WHERE m.id != ? AND m.archived = 0${scoped.sql}`,
+            args: [queryBlob, maxLinks + 5, memoryId, ...scoped.args],
         });
 
         const linked = [];
@@ -229,7 +411,7 @@ export async function autoLinkMemory(client, memoryId, embedding, threshold = 0.
             const similarity = 1 - Number(row.dist);
             if (similarity >= threshold && linked.length < maxLinks) {
                 linkBatch.push({
-                    sql: "INSERT OR IGNORE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, 'related_to', ?)",
+                    sql: "INSERT OR IGNORE INTO memory_links (source_id, target_id, relation, strength, origin) VALUES (?, ?, 'related_to', ?, 'auto')",
                     args: [memoryId, Number(row.id), Math.round(similarity * 100) / 100],
                 });
                 linked.push({ targetId: Number(row.id), similarity });
@@ -257,7 +439,7 @@ export async function autoLinkMemory(client, memoryId, embedding, threshold = 0.
 export async function getMemory(client, id) {
     const result = await client.execute({
         sql: `SELECT id, type, title, content, importance, strength, access_count, 
-          last_accessed_at, created_at, updated_at, source_conversation_id, source_type, archived
+          last_accessed_at, created_at, updated_at, source_conversation_id, source_type, archived, scope, half_life_days
           FROM memories WHERE id = ? AND archived = 0`,
         args: [id],
     });
@@ -279,6 +461,8 @@ export async function getMemory(client, id) {
         source_conversation_id: row.source_conversation_id ? String(row.source_conversation_id) : null,
         source_type: String(row.source_type),
         archived: Number(row.archived),
+        scope: String(row.scope),
+        half_life_days: row.half_life_days === null ? null : Number(row.half_life_days),
     });
 
     // Fetch tags
@@ -308,13 +492,15 @@ export async function getMemory(client, id) {
 }
 
 /**
- * Update a memory. Re-embeds if title or content changes.
+ * Update a memory. Re-embeds if title or content changes. The previous
+ * title/content/importance/type is kept as a revision when any of them changes.
  * @param {import("@libsql/client").Client} client
  * @param {number} id
- * @param {Partial<{title: string, content: string, importance: number, strength: number, type: string}>} updates
+ * @param {Partial<{title: string, content: string, importance: number, strength: number, type: string, scope: string, halfLife: number | null}>} updates - halfLife null: back to the type's rate
+ * @param {{cause?: import("./history.js").RevisionCause}} [options] - Recorded with the revision (default 'update')
  * @returns {Promise<boolean>}
  */
-export async function updateMemory(client, id, updates) {
+export async function updateMemory(client, id, updates, options = {}) {
     const existing = await getMemory(client, id);
     if (!existing) return false;
 
@@ -338,15 +524,27 @@ export async function updateMemory(client, id, updates) {
         args.push(updates.strength);
     }
     if (updates.type !== undefined) {
+        await requireMemoryType(client, updates.type);
         sets.push("type = ?");
         args.push(updates.type);
     }
+    if (updates.scope !== undefined) {
+        sets.push("scope = ?");
+        args.push(normalizeScope(updates.scope));
+    }
+    if (updates.halfLife !== undefined) {
+        validateHalfLife(updates.halfLife);
+        sets.push("half_life_days = ?");
+        args.push(updates.halfLife);
+    }
 
-    // Re-embed if content or title changed
-    if (updates.title !== undefined || updates.content !== undefined) {
-        const newTitle = updates.title ?? existing.title;
-        const newContent = updates.content ?? existing.content;
-        const embedding = await embed(`${newTitle}\n${newContent}`);
+    // Re-embed if content or title changed — chunks too, before taking the write lock
+    const reembed = updates.title !== undefined || updates.content !== undefined;
+    const newTitle = updates.title ?? existing.title;
+    const newContent = updates.content ?? existing.content;
+    if (reembed) {
+        await assertEmbeddingModel(client);
+        const [embedding] = await embedBatchCached(client, embeddingTexts(newTitle, newContent));
         const embeddingBlob = vectorToBlob(embedding);
         sets.push("content_embedding = vector(?)");
         args.push(embeddingBlob);
@@ -355,14 +553,36 @@ export async function updateMemory(client, id, updates) {
     sets.push("updated_at = datetime('now')");
     args.push(id);
 
-    await client.execute({
-        sql: `UPDATE memories SET ${sets.join(", ")} WHERE id = ?`,
-        args,
+    const revised = /** @type {const} */ (["title", "content", "importance", "type"])
+        .some((key) => updates[key] !== undefined && updates[key] !== existing[key]);
+    // The revision and the row it preserves change together
+    await withWriteTransaction(client, async (tx) => {
+        if (revised) await recordRevision(tx, id, options.cause ?? "update");
+        await tx.execute({
+            sql: `UPDATE memories SET ${sets.join(", ")} WHERE id = ?`,
+            args,
+        });
+        if (reembed) await indexChunks(tx, id, newTitle, newContent);
     });
 
     return true;
 }
 
+/**
+ * Restore the title/content/importance/type of a revision and re-embed. The
+ * version being replaced is saved as a new revision (cause 'revert').
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ * @param {number} revision
+ * @returns {Promise<boolean>} false if the memory or revision doesn't exist
+ */
+export async function revertMemory(client, id, revision) {
+    const target = await getRevision(client, id, revision);
+    if (!target) return false;
+    const { title, content, importance, type } = target;
+    return updateMemory(client, id, { title, content, importance, type }, { cause: "revert" });
+}
+
 /**
  * Delete a memory (cascades to tags, links, access_log via FK).
  * @param {import("@libsql/client").Client} client
@@ -381,8 +601,18 @@ export async function deleteMemory(client, id) {
 // Search
 // ---------------------------------------------------------------------------
 
+/** Memory columns (aliased `m`) selected by semantic search queries */
+const MEMORY_COLUMNS = `m.id, m.type, m.title, m.content, m.importance, m.strength,
+               m.access_count, m.last_accessed_at, m.created_at, m.updated_at,
+               m.source_conversation_id, m.source_type, m.archived, m.scope`;
+
 /**
  * Semantic search using vector_top_k (or brute-force fallback).
+ *
+ * Long memories are also matched through their chunks (memory_chunks): a
+ * memory scores by whichever is closer to the query — its whole-memory vector
+ * or its best chunk. When a chunk wins, it is returned as `chunk`.
+ *
  * @param {import("@libsql/client").Client} client
  * @param {string} query
  * @param {object} [options]
@@ -390,88 +620,132 @@ export async function deleteMemory(client, id) {
  * @param {string} [options.type] - Filter by memory type
  * @param {boolean} [options.includeArchived] - Include archived memories
  * @param {string} [options.since] - Time filter: '1h', '1d', '7d', '30d' (default: no filter)
+ * @param {string | string[]} [options.scope] - Restrict to these scopes (default: all scopes)
  * @returns {Promise<Memory[]>}
  */
 export async function searchSemantic(client, query, options = {}) {
-    const { k = 10, type, includeArchived = false, since } = options;
-    const queryEmbedding = await embed(query);
+    const { k = 10, type, includeArchived = false, since, scope } = options;
+    await assertEmbeddingModel(client);
+    const queryEmbedding = await getEmbeddingProvider().embed(query);
     const queryBlob = vectorToBlob(queryEmbedding);
 
-    // Try vector_top_k first (uses DiskANN index)
-    try {
-        let sql = `SELECT m.id, m.type, m.title, m.content, m.importance, m.strength, 
-               m.access_count, m.last_accessed_at, m.created_at, m.updated_at,
-               m.source_conversation_id, m.source_type, m.archived,
-               v.distance as score
-               FROM vector_top_k('memories_vec_idx', vector(?), ?) v
-               JOIN memories m ON m.rowid = v.id
-               WHERE 1=1`;
-        /** @type {any[]} */
-        const args = [queryBlob, k * 2]; // Fetch extra to account for filters
-
-        if (!includeArchived) {
-            sql += " AND m.archived = 0";
-        }
-        if (type) {
-            sql += " AND m.type = ?";
-            args.push(type);
-        }
-        if (since) {
-            sql += " AND m.created_at >= ?";
-            args.push(parseSince(since));
-        }
-        sql += " LIMIT ?";
-        args.push(k);
+    let filterSql = "";
+    /** @type {any[]} */
+    const filterArgs = [];
+    if (!includeArchived) {
+        filterSql += " AND m.archived = 0";
+    }
+    if (type) {
+        filterSql += " AND m.type = ?";
+        filterArgs.push(type);
+    }
+    if (since) {
+        filterSql += " AND m.created_at >= ?";
+        filterArgs.push(typeof since === "string" && since.match(/^\d+(h|d|w|m)$/i) ? parseSince(since) : since);
+    }
+    const scoped = scopeFilter(scope);
+    const filters = { sql: filterSql + scoped.sql, args: [...filterArgs, ...scoped.args] };
 
-        const result = await client.execute({ sql, args });
-        return result.rows.map((r) => rowToMemory(r));
+    const [memoryRows, chunkRows] = await Promise.all([
+        nearestMemories(client, queryBlob, k, filters),
+        nearestChunks(client, queryBlob, k * 3, filters), // several chunks may belong to one memory
+    ]);
+
+    // Best match per memory — distance, lower is better
+    /** @type {Map<number, {row: any, dist: number, chunk?: {index: number, content: string}}>} */
+    const best = new Map();
+    for (const row of memoryRows) {
+        best.set(Number(row.id), { row, dist: Number(row.dist) });
+    }
+    for (const row of chunkRows) {
+        const current = best.get(Number(row.id));
+        if (current && current.dist <= Number(row.dist)) continue;
+        best.set(Number(row.id), {
+            row,
+            dist: Number(row.dist),
+            chunk: { index: Number(row.chunk_index), content: String(row.chunk_content) },
+        });
+    }
+
+    return [...best.values()]
+        .sort((a, b) => a.dist - b.dist)
+        .slice(0, k)
+        .map(({ row, chunk }) => {
+            const mem = rowToMemory(row);
+            if (chunk) mem.chunk = chunk;
+            return mem;
+        });
+}
+
+/**
+ * Nearest memories by whole-memory vector (DiskANN, brute-force fallback).
+ * @param {import("@libsql/client").Client} client
+ * @param {Uint8Array} queryBlob
+ * @param {number} k
+ * @param {{sql: string, args: any[]}} filters - Extra `AND m.…` conditions
+ * @returns {Promise<any[]>} Rows with memory columns and `dist`
+ */
+async function nearestMemories(client, queryBlob, k, filters) {
+    try {
+        const result = await client.execute({
+            sql: `SELECT ${MEMORY_COLUMNS},
+                  vector_distance_cos(m.content_embedding, vector(?)) as dist
+                  FROM vector_top_k('memories_vec_idx', vector(?), CAST(? AS INTEGER)) v
+                  JOIN memories m ON m.rowid = v.id
+                  WHERE 1=1${filters.sql}
+                  ORDER BY dist ASC LIMIT ?`,
+            args: [queryBlob, queryBlob, k * 2, ...filters.args, k], // Fetch extra to account for filters
+        });
+        return result.rows;
     } catch (/** @type {any} */ err) {
         // Fallback: brute-force cosine distance
         trace("[engram] vector_top_k failed, falling back to brute-force:", err?.message || String(err));
-        return await searchSemanticBruteForce(client, queryEmbedding, options);
+        const result = await client.execute({
+            sql: `SELECT ${MEMORY_COLUMNS},
+                  vector_distance_cos(m.content_embedding, vector(?)) as dist
+                  FROM memories m
+                  WHERE m.content_embedding IS NOT NULL${filters.sql}
+                  ORDER BY dist ASC LIMIT ?`,
+            args: [queryBlob, ...filters.args, k],
+        });
+        return result.rows;
     }
 }
 
 /**
- * Brute-force cosine distance search (fallback when no vector index).
+ * Nearest chunks, joined to their memories (DiskANN, brute-force fallback).
  * @param {import("@libsql/client").Client} client
- * @param {Float32Array} queryEmbedding
- * @param {object} [options]
- * @param {number} [options.k]
- * @param {string} [options.type]
- * @param {boolean} [options.includeArchived]
- * @param {string} [options.since] - Time filter: '1h', '1d', '7d', '30d' (default: no filter)
- * @returns {Promise<Memory[]>}
+ * @param {Uint8Array} queryBlob
+ * @param {number} k
+ * @param {{sql: string, args: any[]}} filters - Extra `AND m.…` conditions
+ * @returns {Promise<any[]>} Rows with memory columns, `chunk_index`, `chunk_content` and `dist`
  */
-async function searchSemanticBruteForce(client, queryEmbedding, options = {}) {
-    const { k = 10, type, since, includeArchived = false } = options;
-    const queryBlob = vectorToBlob(queryEmbedding);
-
-    let sql = `SELECT id, type, title, content, importance, strength,
-             access_count, last_accessed_at, created_at, updated_at,
-             source_conversation_id, source_type, archived,
-             vector_distance_cos(content_embedding, vector(?)) as score
-             FROM memories WHERE content_embedding IS NOT NULL`;
-    /** @type {any[]} */
-    const args = [queryBlob];
-
-    if (!includeArchived) {
-        sql += " AND archived = 0";
-    }
-    if (type) {
-        sql += " AND type = ?";
-        args.push(type);
-    }
-    if (since) {
-        sql += " AND created_at >= ?";
-        args.push(typeof since === "string" && since.match(/^\d+(h|d|w|m)$/i) ? parseSince(since) : since);
+async function nearestChunks(client, queryBlob, k, filters) {
+    const select = `SELECT ${MEMORY_COLUMNS}, c.chunk_index, c.content as chunk_content,
+                  vector_distance_cos(c.embedding, vector(?)) as dist`;
+    try {
+        const result = await client.execute({
+            sql: `${select}
+                  FROM vector_top_k('memory_chunks_vec_idx', vector(?), CAST(? AS INTEGER)) v
+                  JOIN memory_chunks c ON c.rowid = v.id
+                  JOIN memories m ON m.id = c.memory_id
+                  WHERE 1=1${filters.sql}
+                  ORDER BY dist ASC LIMIT ?`,
+            args: [queryBlob, queryBlob, k * 2, ...filters.args, k],
+        });
+        return result.rows;
+    } catch (/** @type {any} */ err) {
+        trace("[engram] chunk vector_top_k failed, falling back to brute-force:", err?.message || String(err));
+        const result = await client.execute({
+            sql: `${select}
+                  FROM memory_chunks c
+                  JOIN memories m ON m.id = c.memory_id
+                  WHERE c.embedding IS NOT NULL${filters.sql}
+                  ORDER BY dist ASC LIMIT ?`,
+            args: [queryBlob, ...filters.args, k],
+        });
+        return result.rows;
     }
-
-    sql += " ORDER BY score ASC LIMIT ?"; // Lower distance = more similar
-    args.push(k);
-
-    const result = await client.execute({ sql, args });
-    return result.rows.map((r) => rowToMemory(r));
 }
 
 /**
@@ -482,14 +756,15 @@ async function searchSemanticBruteForce(client, queryEmbedding, options = {}) {
  * @param {number} [options.k] - Number of results (default 10)
  * @param {string} [options.type] - Filter by memory type
  * @param {string} [options.since] - Time filter: '1h', '1d', '7d', '30d' (default: no filter)
+ * @param {string | string[]} [options.scope] - Restrict to these scopes (default: all scopes)
  * @returns {Promise<Memory[]>}
  */
 export async function searchFTS(client, query, options = {}) {
-    const { k = 10, type, since } = options;
+    const { k = 10, type, since, scope } = options;
 
     let sql = `SELECT m.id, m.type, m.title, m.content, m.importance, m.strength, 
              m.access_count, m.last_accessed_at, m.created_at, m.updated_at,
-             m.source_conversation_id, m.source_type, m.archived,
+             m.source_conversation_id, m.source_type, m.archived, m.scope,
              bm25(memories_fts) as score
              FROM memories_fts fts
              JOIN memories m ON m.id = fts.rowid
@@ -505,6 +780,9 @@ export async function searchFTS(client, query, options = {}) {
         sql += " AND m.created_at >= ?";
         args.push(parseSince(since));
     }
+    const scoped = scopeFilter(scope);
+    sql += scoped.sql;
+    args.push(...scoped.args);
 
     sql += " ORDER BY bm25(memories_fts) LIMIT ?";
     args.push(k);
@@ -515,6 +793,9 @@ export async function searchFTS(client, query, options = {}) {
 
 /**
  * Hybrid search combining semantic + FTS via Reciprocal Rank Fusion.
+ *
+ * Results are relation-aware (see lineage.js): an `evolved_from` chain is
+ * returned as its newest memory, and superseded memories are left out.
  * @param {import("@libsql/client").Client} client
  * @param {string} query
  * @param {object} [options]
@@ -524,17 +805,19 @@ export async function searchFTS(client, query, options = {}) {
  * @param {boolean} [options.rerank] - Use cross-encoder reranker for final scoring (default false)
  * @param {string} [options.since] - Time filter: '1h', '1d', '7d', '30d' (default: no filter)
  * @param {number} [options.hops] - Follow graph links N hops deep (default 0 = no hops)
+ * @param {string | string[]} [options.scope] - Restrict to these scopes, hops included (default: all scopes)
+ * @param {boolean} [options.includeSuperseded] - Keep superseded memories, ranked last (default false)
  * @returns {Promise<Memory[]>}
  */
 export async function searchHybrid(client, query, options = {}) {
-    const { k = 10, type, rrf_k = 60, rerank: useRerank = false, since, hops = 0 } = options;
+    const { k = 10, type, rrf_k = 60, rerank: useRerank = false, since, hops = 0, scope, includeSuperseded = false } = options;
     // Wide retrieval funnel — always fetch at least 20 candidates
     const fetchK = Math.max(k * 3, 20);
 
     // Run both searches in parallel
     const [semanticResults, ftsResults] = await Promise.all([
-        searchSemantic(client, query, { k: fetchK, type, since }),
-        searchFTS(client, query, { k: fetchK, type, since }).catch(() => []),
+        searchSemantic(client, query, { k: fetchK, type, since, scope }),
+        searchFTS(client, query, { k: fetchK, type, since, scope }).catch(() => []),
     ]);
 
     // Build RRF scores with importance/strength weighting
@@ -568,34 +851,49 @@ export async function searchHybrid(client, query, options = {}) {
     // If reranking is enabled: take top candidates and re-score with cross-encoder
     if (useRerank && sorted.length > 0) {
         // Take more candidates than k for reranking (wider funnel)
-        const rerankCandidates = sorted.slice(0, Math.max(k * 2, 10));
-        const documents = rerankCandidates.map((item) => `${item.memory.title}\n${item.memory.content}`);
-
-        const reranked = await rerank(query, documents, { topK: k });
+        const rerankCandidates = sorted.slice(0, Math.max(k * 2, 10)).map((item) => item.memory);
+
+        // Only score candidates without a cached score for this query
+        const scores = await getRerankScores(client, query, rerankCandidates);
+        const misses = rerankCandidates.filter((mem) => !scores.has(mem.id));
+        if (misses.length > 0) {
+            // A memory matched through a chunk is judged on that chunk — the rest would be truncated anyway
+            const documents = misses.map((mem) => `${mem.title}\n${mem.chunk?.content ?? mem.content}`);
+            const reranked = await rerank(query, documents);
+            for (const r of reranked) scores.set(misses[r.index].id, r.score);
+            await storeRerankScores(client, query, reranked.map((r) => ({
+                id: misses[r.index].id,
+                updated_at: misses[r.index].updated_at,
+                score: r.score,
+            })));
+        }
 
-        const rerankedResults = reranked.map((r) => {
-            const mem = rerankCandidates[r.index].memory;
-            mem.score = r.score;
-            return mem;
-        });
+        const rerankedResults = (await applyLineage(client, rerankCandidates
+            .map((mem) => {
+                mem.score = /** @type {number} */ (scores.get(mem.id));
+                return mem;
+            })
+            .sort((a, b) => /** @type {number} */ (b.score) - /** @type {number} */ (a.score)),
+        { scope, includeSuperseded }))
+            .slice(0, k);
 
         // F023: Multi-hop retrieval — also apply to reranked results
         if (hops > 0 && rerankedResults.length > 0) {
-            return await expandWithHops(client, rerankedResults, hops, k);
+            return await expandWithHops(client, rerankedResults, hops, k, scope, includeSuperseded);
         }
 
         return rerankedResults;
     }
 
-    // Without reranking: just take top-k
-    const finalResults = sorted.slice(0, k).map((item) => {
+    // Without reranking: just take top-k (of the candidates that remain current)
+    const finalResults = (await applyLineage(client, sorted.map((item) => {
         item.memory.score = item.score;
         return item.memory;
-    });
+    }), { scope, includeSuperseded })).slice(0, k);
 
     // F023: Multi-hop retrieval — follow graph links from results
     if (hops > 0 && finalResults.length > 0) {
-        return await expandWithHops(client, finalResults, hops, k);
+        return await expandWithHops(client, finalResults, hops, k, scope, includeSuperseded);
     }
 
     return finalResults;
@@ -603,13 +901,18 @@ export async function searchHybrid(client, query, options = {}) {
 
 /**
  * F023: Expand search results by following graph links (multi-hop).
+ * A linked memory scores its best neighbour's score times the link's
+ * strength (see graph.js), and explains which result and links brought it in.
  * @param {import("@libsql/client").Client} client
  * @param {Memory[]} results - Initial search results
  * @param {number} hops - Number of link hops to follow
  * @param {number} maxTotal - Max total results to return
+ * @param {string | string[]} [scope] - Only follow links into these scopes
+ * @param {boolean} [includeSuperseded] - Also hop into superseded memories
  * @returns {Promise<Memory[]>}
  */
-async function expandWithHops(client, results, hops, maxTotal) {
+async function expandWithHops(client, results, hops, maxTotal, scope, includeSuperseded = false) {
+    const scoped = scopeFilter(scope, "scope");
     const seen = new Set(results.map((m) => m.id));
     /** @type {Memory[]} */
     const expanded = [...results];
@@ -618,49 +921,69 @@ async function expandWithHops(client, results, hops, maxTotal) {
     for (let hop = 0; hop < hops && expanded.length < maxTotal; hop++) {
         if (currentLayer.length === 0) break;
 
-        // Batch: get all linked IDs for the entire current layer in ONE query
+        // Batch: get all links of the entire current layer in ONE query
         const layerIds = currentLayer.map((m) => m.id);
         const placeholders = layerIds.map(() => "?").join(",");
         const linksResult = await client.execute({
-            sql: `SELECT source_id, target_id FROM memory_links
+            sql: `SELECT source_id, target_id, relation, strength FROM memory_links
                   WHERE source_id IN (${placeholders}) OR target_id IN (${placeholders})`,
             args: [...layerIds, ...layerIds],
         });
 
-        // Collect unique linked IDs not yet seen
-        const linkedIds = new Set();
+        // Best-scoring link into each memory not yet seen
+        const layerById = new Map(currentLayer.map((m) => [m.id, m]));
+        /** @type {Map<number, {score: number, via: import("./graph.js").GraphEdge}>} */
+        const linked = new Map();
         for (const row of linksResult.rows) {
             const src = Number(row.source_id);
             const tgt = Number(row.target_id);
+            const relation = String(row.relation);
+            const strength = Number(row.strength);
             // The "other side" of each link
-            if (layerIds.includes(src) && !seen.has(tgt)) linkedIds.add(tgt);
-            if (layerIds.includes(tgt) && !seen.has(src)) linkedIds.add(src);
+            /** @type {import("./graph.js").GraphEdge[]} */
+            const steps = [];
+            if (layerById.has(src) && !seen.has(tgt)) steps.push({ from: src, to: tgt, relation, direction: "outgoing", strength });
+            if (layerById.has(tgt) && !seen.has(src)) steps.push({ from: tgt, to: src, relation, direction: "incoming", strength });
+            for (const via of steps) {
+                const score = (layerById.get(via.from)?.score ?? 0) * strength;
+                if ((linked.get(via.to)?.score ?? -1) < score) linked.set(via.to, { score, via });
+            }
         }
 
-        if (linkedIds.size === 0) break;
+        if (linked.size === 0) break;
 
-        // Limit to available budget
+        // Limit to available budget, best first
         const remaining = maxTotal - expanded.length;
-        const idsToFetch = [...linkedIds].slice(0, remaining);
+        const idsToFetch = [...linked.keys()]
+            .sort((a, b) => /** @type {number} */ (linked.get(b)?.score) - /** @type {number} */ (linked.get(a)?.score))
+            .slice(0, remaining);
 
         // Batch: fetch all linked memories in ONE query
         const memPlaceholders = idsToFetch.map(() => "?").join(",");
         const memsResult = await client.execute({
             sql: `SELECT id, type, title, content, importance, strength,
                   access_count, last_accessed_at, created_at, updated_at,
-                  source_conversation_id, source_type, archived
-                  FROM memories WHERE id IN (${memPlaceholders}) AND archived = 0`,
-            args: idsToFetch,
+                  source_conversation_id, source_type, archived, scope
+                  FROM memories WHERE id IN (${memPlaceholders}) AND archived = 0${scoped.sql}`,
+            args: [...idsToFetch, ...scoped.args],
         });
 
-        /** @type {Memory[]} */
-        const nextLayer = [];
-        for (const row of memsResult.rows) {
-            const mem = rowToMemory(row);
-            mem.score = -1; // Sentinel: linked, not scored
-            seen.add(mem.id);
-            nextLayer.push(mem);
-        }
+        // An older version hops to the newest one; superseded memories are a dead end
+        const layer = memsResult.rows
+            .map((row) => {
+                const mem = rowToMemory(row);
+                const { score, via } = /** @type {{score: number, via: import("./graph.js").GraphEdge}} */ (linked.get(mem.id));
+                const parent = /** @type {Memory} */ (layerById.get(via.from));
+                mem.score = score;
+                mem.explanation = {
+                    seed: parent.explanation?.seed ?? parent.id,
+                    path: [...parent.explanation?.path ?? [], via],
+                };
+                return mem;
+            })
+            .sort((a, b) => /** @type {number} */ (b.score) - /** @type {number} */ (a.score));
+        const nextLayer = await applyLineage(client, layer, { scope, includeSuperseded, exclude: seen });
+        for (const mem of nextLayer) seen.add(mem.id);
 
         expanded.push(...nextLayer);
         currentLayer = nextLayer;
@@ -669,6 +992,61 @@ async function expandWithHops(client, results, hops, maxTotal) {
     return expanded;
 }
 
+/**
+ * Make ranked results relation-aware (see lineage.js). A member of an
+ * `evolved_from` chain is replaced by the chain's newest memory, at the
+ * member's rank and score; the newest memory lists the chain as `lineage`.
+ * Memories superseded by a live memory are dropped, or with includeSuperseded
+ * moved after the others and marked `supersededBy`.
+ * @param {import("@libsql/client").Client} client
+ * @param {Memory[]} memories - Best first
+ * @param {{scope?: string | string[], includeSuperseded?: boolean, exclude?: Set<number>}} options - exclude: ids already returned
+ * @returns {Promise<Memory[]>}
+ */
+async function applyLineage(client, memories, { scope, includeSuperseded = false, exclude = new Set() }) {
+    if (memories.length === 0) return memories;
+    const lineages = await getLineages(client, memories.map((m) => m.id));
+
+    /** @type {Map<number, Memory>} */
+    const byId = new Map(memories.map((m) => [m.id, m]));
+    const missing = [...new Set([...lineages.values()].map((l) => l.head))].filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+        const scoped = scopeFilter(scope);
+        const heads = await client.execute({
+            sql: `SELECT ${MEMORY_COLUMNS} FROM memories m
+                  WHERE m.id IN (SELECT value FROM json_each(?)) AND m.archived = 0${scoped.sql}`,
+            args: [JSON.stringify(missing), ...scoped.args],
+        });
+        for (const row of heads.rows) byId.set(Number(row.id), rowToMemory(row));
+    }
+
+    /** @type {Memory[]} */
+    const collapsed = [];
+    const placed = new Set(exclude);
+    for (const mem of memories) {
+        const lineage = lineages.get(mem.id);
+        const head = lineage ? byId.get(lineage.head) : undefined;
+        // A swapped-in head was linked in through the older version: its explanation goes on up the chain
+        const explanation = mem.explanation && lineage && {
+            seed: mem.explanation.seed, path: [...mem.explanation.path, ...lineage.path],
+        };
+        /** @type {Memory} */
+        const node = head && head.id !== mem.id ? { ...head, score: mem.score, ...(explanation && { explanation }) } : mem;
+        if (placed.has(node.id)) continue;
+        placed.add(node.id);
+        if (head && lineage && lineage.lineage.length > 0) node.lineage = lineage.lineage;
+        collapsed.push(node);
+    }
+
+    const superseded = await getSupersededBy(client, collapsed.map((m) => m.id));
+    const current = collapsed.filter((m) => !superseded.has(m.id));
+    if (!includeSuperseded) return current;
+    const outdated = collapsed
+        .filter((m) => superseded.has(m.id))
+        .map((m) => ({ ...m, supersededBy: superseded.get(m.id) }));
+    return [...current, ...outdated];
+}
+
 // ---------------------------------------------------------------------------
 // Tags
 // ---------------------------------------------------------------------------
@@ -728,7 +1106,7 @@ export async function getMemoriesByTag(client, tagName) {
     const result = await client.execute({
         sql: `SELECT m.id, m.type, m.title, m.content, m.importance, m.strength,
           m.access_count, m.last_accessed_at, m.created_at, m.updated_at,
-          m.source_conversation_id, m.source_type, m.archived
+          m.source_conversation_id, m.source_type, m.archived, m.scope
           FROM memories m
           JOIN memory_tags mt ON m.id = mt.memory_id
           JOIN tags t ON t.id = mt.tag_id
@@ -761,10 +1139,9 @@ export async function getAllTags(client) {
 // Knowledge Graph — Links
 // ---------------------------------------------------------------------------
 
-const VALID_RELATIONS = ["related_to", "caused_by", "evolved_from", "contradicts", "supersedes"];
-
 /**
- * Create a link between two memories.
+ * Create a link between two memories. The relation must be registered (see registry.js).
+ * Links made here are manual: consolidation decays them but never prunes them.
  * @param {import("@libsql/client").Client} client
  * @param {number} sourceId
  * @param {number} targetId
@@ -772,9 +1149,7 @@ const VALID_RELATIONS = ["related_to", "caused_by", "evolved_from", "contradicts
  * @param {number} [strength]
  */
 export async function linkMemories(client, sourceId, targetId, relation, strength = 0.5) {
-    if (!VALID_RELATIONS.includes(relation)) {
-        throw new Error(`Invalid relation: ${relation}. Must be one of: ${VALID_RELATIONS.join(", ")}`);
-    }
+    await requireRelationType(client, relation);
     await client.execute({
         sql: "INSERT OR REPLACE INTO memory_links (source_id, target_id, relation, strength) VALUES (?, ?, ?, ?)",
         args: [sourceId, targetId, relation, strength],
@@ -877,19 +1252,30 @@ export async function logAccess(client, memoryId, sessionId = null, query = null
 /**
  * Get memory statistics.
  * @param {import("@libsql/client").Client} client
+ * @param {object} [options]
+ * @param {string} [options.scope] - Count only this scope (links: those leaving it)
  * @returns {Promise<object>}
  */
-export async function getStats(client) {
-    const [totalResult, typeResult, linksResult, avgStrengthResult] = await Promise.all([
-        client.execute("SELECT COUNT(*) as total FROM memories WHERE archived = 0"),
-        client.execute("SELECT type, COUNT(*) as count FROM memories WHERE archived = 0 GROUP BY type"),
-        client.execute("SELECT COUNT(*) as total FROM memory_links"),
-        client.execute("SELECT AVG(strength) as avg FROM memories WHERE archived = 0"),
+export async function getStats(client, options = {}) {
+    const scoped = scopeFilter(options.scope, "scope");
+    const scopedLinks = scopeFilter(options.scope, "m.scope");
+    const [totalResult, typeResult, scopeResult, linksResult, avgStrengthResult] = await Promise.all([
+        client.execute({ sql: `SELECT COUNT(*) as total FROM memories WHERE archived = 0${scoped.sql}`, args: scoped.args }),
+        client.execute({ sql: `SELECT type, COUNT(*) as count FROM memories WHERE archived = 0${scoped.sql} GROUP BY type`, args: scoped.args }),
+        client.execute({ sql: `SELECT scope, COUNT(*) as count FROM memories WHERE archived = 0${scoped.sql} GROUP BY scope`, args: scoped.args }),
+        options.scope === undefined
+            ? client.execute("SELECT COUNT(*) as total FROM memory_links")
+            : client.execute({
+                sql: `SELECT COUNT(*) as total FROM memory_links l JOIN memories m ON m.id = l.source_id WHERE 1=1${scopedLinks.sql}`,
+                args: scopedLinks.args,
+            }),
+        client.execute({ sql: `SELECT AVG(strength) as avg FROM memories WHERE archived = 0${scoped.sql}`, args: scoped.args }),
     ]);
 
     return {
         totalMemories: Number(totalResult.rows[0].total),
         byType: Object.fromEntries(typeResult.rows.map((r) => [String(r.type), Number(r.count)])),
+        byScope: Object.fromEntries(scopeResult.rows.map((r) => [String(r.scope), Number(r.count)])),
         totalLinks: Number(linksResult.rows[0].total),
         avgStrength: Number(avgStrengthResult.rows[0].avg) || 0,
     };
@@ -905,7 +1291,7 @@ export async function getWeakest(client, n = 10) {
     const result = await client.execute({
         sql: `SELECT id, type, title, content, importance, strength,
               access_count, last_accessed_at, created_at, updated_at,
-              source_conversation_id, source_type, archived
+              source_conversation_id, source_type, archived, scope
               FROM memories WHERE archived = 0
               ORDER BY strength ASC LIMIT ?`,
         args: [n],
@@ -918,7 +1304,7 @@ export async function getWeakest(client, n = 10) {
  *
  * Uses DiskANN vector_top_k for O(n log n) performance instead of O(n²)
  * brute-force. For each memory, queries the ANN index for nearest neighbors
- * of the same type and collects pairs above the threshold.
+ * of the same type and scope and collects pairs above the threshold.
  *
  * Falls back to brute-force when the vector index is unavailable.
  *
@@ -948,7 +1334,7 @@ async function _getDuplicatesDiskANN(client, threshold, maxMemories) {
     const memories = await client.execute({
         sql: `SELECT id, type, title, content, content_embedding, importance, strength,
               access_count, last_accessed_at, created_at, updated_at,
-              source_conversation_id, source_type, archived
+              source_conversation_id, source_type, archived, scope
               FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL
               ORDER BY id LIMIT ?`,
         args: [maxMemories],
@@ -979,8 +1365,8 @@ async function _getDuplicatesDiskANN(client, threshold, maxMemories) {
             sql: `SELECT m.id, m.type, v.distance as dist
                   FROM vector_top_k('memories_vec_idx', vector(?), ?) v
                   JOIN memories m ON m.rowid = v.id
-                  WHERE m.id != ? AND m.archived = 0 AND m.type = ?`,
-            args: [embeddingBlob, neighborsK, id, type],
+                  WHERE m.id != ? AND m.archived = 0 AND m.type = ? AND m.scope = ?`,
+            args: [embeddingBlob, neighborsK, id, type, String(row.scope)],
         });
 
         for (const neighbor of neighbors.rows) {
@@ -1018,7 +1404,7 @@ async function _getDuplicatesBruteForce(client, threshold, maxMemories) {
     const memories = await client.execute({
         sql: `SELECT id, type, title, content, content_embedding, importance, strength,
               access_count, last_accessed_at, created_at, updated_at,
-              source_conversation_id, source_type, archived
+              source_conversation_id, source_type, archived, scope
               FROM memories WHERE archived = 0 AND content_embedding IS NOT NULL
               ORDER BY id LIMIT ?`,
         args: [maxMemories],
@@ -1037,6 +1423,7 @@ async function _getDuplicatesBruteForce(client, threshold, maxMemories) {
     for (let i = 0; i < parsed.length; i++) {
         for (let j = i + 1; j < parsed.length; j++) {
             if (parsed[i].memory.type !== parsed[j].memory.type) continue;
+            if (parsed[i].memory.scope !== parsed[j].memory.scope) continue;
             const sim = cosineSimilarity(parsed[i].embedding, parsed[j].embedding);
             if (sim >= threshold) {
                 pairs.push({ a: parsed[i].memory, b: parsed[j].memory, similarity: sim });
@@ -1051,12 +1438,16 @@ async function _getDuplicatesBruteForce(client, threshold, maxMemories) {
  * Export all active memories with tags and links.
  * @param {import("@libsql/client").Client} client
  * @param {'json' | 'md'} [format] - Output format (default 'json')
+ * @param {object} [options]
+ * @param {string} [options.scope] - Export only this scope (default: all scopes)
  * @returns {Promise<string>}
  */
-export async function exportMemories(client, format = "json") {
-    const memoriesResult = await client.execute(
-        "SELECT id, type, title, content, importance, strength, access_count, last_accessed_at, created_at, updated_at, source_conversation_id, source_type, archived FROM memories WHERE archived = 0 ORDER BY id"
-    );
+export async function exportMemories(client, format = "json", options = {}) {
+    const scoped = scopeFilter(options.scope, "scope");
+    const memoriesResult = await client.execute({
+        sql: `SELECT id, type, title, content, importance, strength, access_count, last_accessed_at, created_at, updated_at, source_conversation_id, source_type, archived, scope FROM memories WHERE archived = 0${scoped.sql} ORDER BY id`,
+        args: scoped.args,
+    });
 
     // Bulk-fetch all tags in one query → build a Map<memoryId, string[]>
     const allTagsResult = await client.execute(
@@ -1100,7 +1491,7 @@ export async function exportMemories(client, format = "json") {
         const lines = [`# Engram Memory Export\n`, `> ${memories.length} memories | ${new Date().toISOString()}\n`];
         for (const mem of memories) {
             lines.push(`## [${mem.type}] ${mem.title}`);
-            lines.push(`> ID: ${mem.id} | Importance: ${mem.importance} | Strength: ${mem.strength.toFixed(3)} | Accesses: ${mem.access_count}`);
+            lines.push(`> ID: ${mem.id} | Scope: ${mem.scope} | Importance: ${mem.importance} | Strength: ${mem.strength.toFixed(3)} | Accesses: ${mem.access_count}`);
             if (mem.tags?.length) lines.push(`> Tags: ${mem.tags.join(", ")}`);
             if (mem.links?.length) {
                 lines.push(`> Links: ${mem.links.map((l) => `${l.direction === "outgoing" ? "→" : "←"} #${l.id} (${l.relation})`).join(", ")}`);
@@ -1123,13 +1514,13 @@ export async function exportMemories(client, format = "json") {
 /**
  * Import memories from an export JSON, preserving metadata.
  *
- * For each memory in the export:
+ * For each memory in the export (dedup stays within the memory's scope):
  * 1. Exact duplicate (same type + title) → skip, optionally update metadata if richer
  * 2. Semantic near-duplicate (cosine > mergeThreshold) → merge content
  * 3. New → insert with original metadata (strength, access_count, created_at, importance)
  *
  * @param {import("@libsql/client").Client} client
- * @param {Array<{id?: number, type: string, title: string, content: string, importance?: number, strength?: number, access_count?: number, created_at?: string, updated_at?: string, source_type?: string, source_conversation_id?: string, tags?: string[], links?: Array<{id: number, relation: string, direction: string}>}>} memories
+ * @param {Array<{id?: number, type: string, title: string, content: string, importance?: number, strength?: number, access_count?: number, created_at?: string, updated_at?: string, source_type?: string, source_conversation_id?: string, scope?: string, tags?: string[], links?: Array<{id: number, relation: string, direction: string}>}>} memories
  * @param {object} [options]
  * @param {number} [options.mergeThreshold] - Cosine similarity for merge (default 0.92)
  * @param {(result: {index: number, title: string, status: string, id: number}) => void} [options.onProgress]
@@ -1141,121 +1532,26 @@ export async function importMemories(client, memories, options = {}) {
     /** @type {Map<number, number>} old ID → new ID mapping for link restoration */
     const idMap = new Map();
 
+    if (memories.length > 0) await assertEmbeddingModel(client);
+    // Chunks too: the per-memory transactions below shouldn't wait on the model
+    await warmEmbeddingCache(client, memories.flatMap((m) =>
+        [m.content, ...chunkText(String(m.content))].map((text) => `${m.title}\n${text}`)));
+
     for (let i = 0; i < memories.length; i++) {
         const mem = memories[i];
         try {
-            // --- Check 1: Exact duplicate (same type + title) ---
-            const exactMatch = await client.execute({
-                sql: "SELECT id, access_count, strength FROM memories WHERE type = ? AND title = ? AND archived = 0",
-                args: [mem.type, mem.title],
-            });
-
-            if (exactMatch.rows.length > 0) {
-                const existingId = Number(exactMatch.rows[0].id);
-                const existingAccessCount = Number(exactMatch.rows[0].access_count);
-                const existingStrength = Number(exactMatch.rows[0].strength);
-
-                // Keep the better metadata (higher access_count, higher strength)
-                const newAccessCount = Math.max(existingAccessCount, mem.access_count || 0);
-                const newStrength = Math.max(existingStrength, mem.strength || 1.0);
-                if (newAccessCount > existingAccessCount || newStrength > existingStrength) {
-                    await client.execute({
-                        sql: "UPDATE memories SET access_count = ?, strength = ? WHERE id = ?",
-                        args: [newAccessCount, newStrength, existingId],
-                    });
-                }
-
-                // Apply any tags from the import
-                if (mem.tags && mem.tags.length > 0) {
-                    await applyTags(client, existingId, mem.tags);
-                }
-
-                if (mem.id != null) idMap.set(mem.id, existingId);
-                duplicates++;
-                onProgress?.({ index: i, title: mem.title, status: "duplicate", id: existingId });
-                continue;
-            }
-
-            // Generate embedding
-            const embedding = await embed(`${mem.title}\n${mem.content}`);
-            const embeddingBlob = vectorToBlob(embedding);
-
-            // --- Check 2: Semantic near-duplicate (merge) ---
-            let wasMerged = false;
-            try {
-                const similar = await client.execute({
-                    sql: `SELECT m.id, m.title, m.content, m.type, v.distance as dist
-                          FROM vector_top_k('memories_vec_idx', vector(?), 3) v
-                          JOIN memories m ON m.rowid = v.id
-                          WHERE m.archived = 0 AND m.type = ?`,
-                    args: [embeddingBlob, mem.type],
-                });
-
-                for (const row of similar.rows) {
-                    const similarity = 1 - Number(row.dist);
-                    if (similarity >= mergeThreshold) {
-                        const existingId = Number(row.id);
-                        const existingContent = String(row.content);
-                        const mergedContent = existingContent.includes(mem.content)
-                            ? existingContent
-                            : `${existingContent}\n\n---\n${mem.content}`;
-                        const mergedTitle = mem.title.length > String(row.title).length ? mem.title : String(row.title);
-                        const mergedEmbedding = await embed(`${mergedTitle}\n${mergedContent}`);
-                        const mergedBlob = vectorToBlob(mergedEmbedding);
-                        await client.execute({
-                            sql: `UPDATE memories SET
-                                content = ?, title = ?, content_embedding = vector(?),
-                                strength = MIN(COALESCE(?, strength) * 1.1, 1.0),
-                                updated_at = datetime('now')
-                                WHERE id = ?`,
-                            args: [mergedContent, mergedTitle, mergedBlob, mem.strength || null, existingId],
-                        });
-                        if (mem.tags && mem.tags.length > 0) {
-                            await applyTags(client, existingId, mem.tags);
-                        }
-                        if (mem.id != null) idMap.set(mem.id, existingId);
-                        merged++;
-                        wasMerged = true;
-                        onProgress?.({ index: i, title: mem.title, status: "merged", id: existingId });
-                        break;
-                    }
-                }
-            } catch (/** @type {any} */ err) {
-                trace("[engram] import merge check skipped:", err?.message || String(err));
-            }
-
-            if (wasMerged) continue;
-
-            // --- No duplicate/merge: insert with original metadata ---
-            const result = await client.execute({
-                sql: `INSERT INTO memories (type, title, content, content_embedding, importance, strength, access_count, last_accessed_at, created_at, updated_at, source_conversation_id, source_type)
-                      VALUES (?, ?, ?, vector(?), ?, ?, ?, ?, ?, ?, ?, ?)`,
-                args: [
-                    mem.type,
-                    mem.title,
-                    mem.content,
-                    embeddingBlob,
-                    mem.importance ?? 0.5,
-                    mem.strength ?? 1.0,
-                    mem.access_count ?? 0,
-                    null,
-                    mem.created_at || new Date().toISOString().replace("T", " ").substring(0, 19),
-                    mem.updated_at || new Date().toISOString().replace("T", " ").substring(0, 19),
-                    mem.source_conversation_id || null,
-                    mem.source_type || "import",
-                ],
-            });
-
-            const newId = Number(result.lastInsertRowid);
-            if (mem.id != null) idMap.set(mem.id, newId);
-
-            // Apply tags
-            if (mem.tags && mem.tags.length > 0) {
-                await applyTags(client, newId, mem.tags);
-            }
-
-            created++;
-            onProgress?.({ index: i, title: mem.title, status: "created", id: newId });
+            const scope = normalizeScope(mem.scope);
+            const memoryType = await requireMemoryType(client, mem.type);
+            // Planned outside the lock, as in addMemory
+            const embedding = await embedCached(client, `${mem.title}\n${mem.content}`);
+            const plannedMerge = await planWriteMerge(client, { ...mem, scope, embedding }, mergeThreshold);
+            // One transaction per memory, as in addMemory
+            const { status, id } = await withWriteTransaction(client, (tx) => importOne(tx, mem, scope, memoryType, mergeThreshold, plannedMerge));
+            if (status === "created") created++;
+            else if (status === "merged") merged++;
+            else duplicates++;
+            if (mem.id != null) idMap.set(mem.id, id);
+            onProgress?.({ index: i, title: mem.title, status, id });
         } catch (/** @type {any} */ err) {
             failed++;
             onProgress?.({ index: i, title: mem.title, status: "failed", id: -1 });
@@ -1295,10 +1591,144 @@ export async function importMemories(client, memories, options = {}) {
     return { created, duplicates, merged, failed, idMap };
 }
 
+/**
+ * Import one memory of an export, inside importMemories' transaction.
+ * @param {import("@libsql/client").Transaction} tx
+ * @param {Parameters<typeof importMemories>[1][number]} mem
+ * @param {string} scope - Normalized
+ * @param {import("./registry.js").MemoryType} memoryType
+ * @param {number} mergeThreshold
+ * @param {WriteMerge | null} plannedMerge - See planWriteMerge
+ * @returns {Promise<{status: 'created' | 'duplicate' | 'merged', id: number}>}
+ */
+async function importOne(tx, mem, scope, memoryType, mergeThreshold, plannedMerge) {
+    // --- Check 1: Exact duplicate (same type + title) ---
+    const exactMatch = await tx.execute({
+        sql: "SELECT id, access_count, strength FROM memories WHERE type = ? AND title = ? AND scope = ? AND archived = 0",
+        args: [mem.type, mem.title, scope],
+    });
+
+    if (exactMatch.rows.length > 0) {
+        const existingId = Number(exactMatch.rows[0].id);
+        const existingAccessCount = Number(exactMatch.rows[0].access_count);
+        const existingStrength = Number(exactMatch.rows[0].strength);
+
+        // Keep the better metadata (higher access_count, higher strength)
+        const newAccessCount = Math.max(existingAccessCount, mem.access_count || 0);
+        const newStrength = Math.max(existingStrength, mem.strength || 1.0);
+        if (newAccessCount > existingAccessCount || newStrength > existingStrength) {
+            await tx.execute({
+                sql: "UPDATE memories SET access_count = ?, strength = ? WHERE id = ?",
+                args: [newAccessCount, newStrength, existingId],
+            });
+        }
+
+        // Apply any tags from the import
+        if (mem.tags && mem.tags.length > 0) {
+            await applyTags(tx, existingId, mem.tags);
+        }
+
+        return { status: "duplicate", id: existingId };
+    }
+
+    // Cached by the warm-up in importMemories
+    const embedding = await embedCached(tx, `${mem.title}\n${mem.content}`);
+    const embeddingBlob = vectorToBlob(embedding);
+
+    // --- Check 2: Semantic near-duplicate (merge) ---
+    /** @type {{id: number, similarity: number} | null} */
+    let proposeWith = null;
+    try {
+        const target = await findWriteMergeTarget(tx, { type: mem.type, scope, embedding }, mergeThreshold);
+        if (target && isPlannedMerge(plannedMerge, target)) {
+            const existingId = target.id;
+            await recordRevision(tx, existingId, "import");
+            await tx.execute({
+                sql: `UPDATE memories SET
+                    content = ?, title = ?, content_embedding = vector(?),
+                    strength = MIN(COALESCE(?, strength) * 1.1, 1.0),
+                    updated_at = datetime('now')
+                    WHERE id = ?`,
+                args: [plannedMerge.content, plannedMerge.title, vectorToBlob(plannedMerge.embedding), mem.strength || null, existingId],
+            });
+            await indexChunks(tx, existingId, plannedMerge.title, plannedMerge.content);
+            if (mem.tags && mem.tags.length > 0) {
+                await applyTags(tx, existingId, mem.tags);
+            }
+            return { status: "merged", id: existingId };
+        }
+        // Changed since the merge was planned: insert, and leave the merge for review
+        if (target) proposeWith = { id: target.id, similarity: target.similarity };
+    } catch (/** @type {any} */ err) {
+        trace("[engram] import merge check skipped:", err?.message || String(err));
+    }
+
+    // --- No duplicate/merge: insert with original metadata ---
+    const result = await tx.execute({
+        sql: `INSERT INTO memories (type, title, content, content_embedding, importance, strength, access_count, last_accessed_at, created_at, updated_at, source_conversation_id, source_type, scope)
+              VALUES (?, ?, ?, vector(?), ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+            mem.type,
+            mem.title,
+            mem.content,
+            embeddingBlob,
+            mem.importance ?? memoryType.importance,
+            mem.strength ?? 1.0,
+            mem.access_count ?? 0,
+            null,
+            mem.created_at || new Date().toISOString().replace("T", " ").substring(0, 19),
+            mem.updated_at || new Date().toISOString().replace("T", " ").substring(0, 19),
+            mem.source_conversation_id || null,
+            mem.source_type || "import",
+            scope,
+        ],
+    });
+
+    const newId = Number(result.lastInsertRowid);
+    await indexChunks(tx, newId, mem.title, mem.content);
+
+    // Apply tags
+    if (mem.tags && mem.tags.length > 0) {
+        await applyTags(tx, newId, mem.tags);
+    }
+
+    if (proposeWith) {
+        await proposeMerge(tx, { keepId: proposeWith.id, removeId: newId, similarity: proposeWith.similarity, source: "write" });
+    }
+
+    return { status: "created", id: newId };
+}
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Normalize a scope name (trimmed, lowercase). Empty or missing means global.
+ * @param {string | null | undefined} scope
+ * @returns {string}
+ */
+export function normalizeScope(scope) {
+    const normalized = String(scope ?? "").trim().toLowerCase();
+    if (!normalized) return GLOBAL_SCOPE;
+    if (!/^[a-z0-9][a-z0-9._\/-]*$/.test(normalized)) {
+        throw new EngramError("invalid_argument", `Invalid scope: ${scope}. Use letters, digits, '.', '_', '-' and '/'`);
+    }
+    return normalized;
+}
+
+/**
+ * SQL condition restricting a scope column to one or more scopes.
+ * @param {string | string[] | undefined} scope - undefined → no restriction
+ * @param {string} [column] - Column to filter (default `m.scope`)
+ * @returns {{sql: string, args: string[]}}
+ */
+function scopeFilter(scope, column = "m.scope") {
+    if (scope === undefined) return { sql: "", args: [] };
+    const scopes = [...new Set((Array.isArray(scope) ? scope : [scope]).map(normalizeScope))];
+    return { sql: ` AND ${column} IN (${scopes.map(() => "?").join(", ")})`, args: scopes };
+}
+
 /**
  * Convert a DB row to a Memory object.
  * @param {any} row
@@ -1319,6 +1749,7 @@ function rowToMemory(row) {
         source_conversation_id: row.source_conversation_id ? String(row.source_conversation_id) : null,
         source_type: String(row.source_type),
         archived: Number(row.archived),
+        scope: String(row.scope),
     };
 }
 
@@ -1330,7 +1761,7 @@ function rowToMemory(row) {
 export function parseSince(since) {
     const match = since.match(/^(\d+)(h|d|w|m)$/i);
     if (!match) {
-        throw new Error(`Invalid since format: ${since}. Use: 1h, 6h, 1d, 7d, 30d, 1w, 1m`);
+        throw new EngramError("invalid_argument", `Invalid since format: ${since}. Use: 1h, 6h, 1d, 7d, 30d, 1w, 1m`);
     }
 
     const amount = parseInt(match[1]);
@@ -0,0 +1,223 @@
+// @ts-check
+/**
+ * Merge proposal queue.
+ *
+ * With merge review on (`reviewMerges`, or ENGRAM_MERGE_REVIEW=1), near-
+ * duplicates found by merge-on-write in addMemory or by the sleep merge step
+ * are queued here instead of being concatenated, so that memories which are
+ * similar but contradict each other aren't glued together unseen. A proposal
+ * is accepted (see acceptMergeProposal in consolidation.js), optionally after
+ * editing the merged title/content, or rejected. There is one proposal per
+ * pair of memories: a rejected pair is never proposed — or auto-merged — again.
+ */
+
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Proposal states; `stale` means one side was merged away or archived by another merge */
+export const PROPOSAL_STATUSES = /** @type {const} */ (["pending", "accepted", "rejected", "stale"]);
+
+/**
+ * @typedef {typeof PROPOSAL_STATUSES[number]} ProposalStatus
+ */
+
+/**
+ * @typedef {Object} MergeProposal
+ * @property {number} id
+ * @property {{id: number, title: string}} keep     - Survives the merge
+ * @property {{id: number, title: string}} remove   - Archived on accept; its links move to `keep`
+ * @property {number} similarity
+ * @property {'write' | 'consolidation'} source      - Found by merge-on-write or by sleep
+ * @property {ProposalStatus} status
+ * @property {string | null} title                   - Edited merged title (null: keep's title)
+ * @property {string | null} content                 - Edited merged content (null: both contents)
+ * @property {string} created_at
+ * @property {string | null} resolved_at
+ */
+
+/**
+ * Whether merges should be queued for review when the caller doesn't say.
+ * @returns {boolean}
+ */
+export function mergeReviewDefault() {
+    return process.env.ENGRAM_MERGE_REVIEW === "1";
+}
+
+/**
+ * Order-independent key for a pair of memory ids.
+ * @param {number} a
+ * @param {number} b
+ * @returns {string}
+ */
+export function pairKey(a, b) {
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+const SELECT_PROPOSALS = `SELECT p.*, k.title AS keep_title, r.title AS remove_title
+    FROM merge_proposals p
+    JOIN memories k ON k.id = p.keep_id
+    JOIN memories r ON r.id = p.remove_id`;
+
+/**
+ * @param {Record<string, any>} r
+ * @returns {MergeProposal}
+ */
+function rowToProposal(r) {
+    return {
+        id: Number(r.id),
+        keep: { id: Number(r.keep_id), title: String(r.keep_title) },
+        remove: { id: Number(r.remove_id), title: String(r.remove_title) },
+        similarity: Number(r.similarity),
+        source: /** @type {MergeProposal["source"]} */ (String(r.source)),
+        status: /** @type {ProposalStatus} */ (String(r.status)),
+        title: r.title === null ? null : String(r.title),
+        content: r.content === null ? null : String(r.content),
+        created_at: String(r.created_at),
+        resolved_at: r.resolved_at ? String(r.resolved_at) : null,
+    };
+}
+
+/**
+ * Queue a merge for review. A pair that is already pending or was rejected
+ * isn't queued again; a stale or accepted one (e.g. restored by `sleep --undo`)
+ * is reopened.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {{keepId: number, removeId: number, similarity: number, source: MergeProposal["source"]}} input
+ * @returns {Promise<number | null>} The proposal id, or null if the pair is pending or rejected
+ */
+export async function proposeMerge(client, { keepId, removeId, similarity, source }) {
+    const existing = await client.execute({
+        sql: `SELECT id, status FROM merge_proposals
+              WHERE min(keep_id, remove_id) = min(?, ?) AND max(keep_id, remove_id) = max(?, ?)`,
+        args: [keepId, removeId, keepId, removeId],
+    });
+    if (existing.rows.length > 0) {
+        const { id, status } = existing.rows[0];
+        if (status === "pending" || status === "rejected") return null;
+        await client.execute({
+            sql: `UPDATE merge_proposals SET keep_id = ?, remove_id = ?, similarity = ?, source = ?,
+                  status = 'pending', title = NULL, content = NULL, created_at = datetime('now'), resolved_at = NULL
+                  WHERE id = ?`,
+            args: [keepId, removeId, similarity, source, id],
+        });
+        return Number(id);
+    }
+    const result = await client.execute({
+        sql: "INSERT INTO merge_proposals (keep_id, remove_id, similarity, source) VALUES (?, ?, ?, ?) RETURNING id",
+        args: [keepId, removeId, similarity, source],
+    });
+    const id = Number(result.rows[0].id);
+    trace(`[engram] Proposed merge #${id}: #${removeId} into #${keepId} (${similarity.toFixed(3)}, ${source})`);
+    return id;
+}
+
+/**
+ * List proposals, oldest first.
+ * @param {import("@libsql/client").Client} client
+ * @param {{status?: ProposalStatus | 'all'}} [options] - Default: pending only
+ * @returns {Promise<MergeProposal[]>}
+ */
+export async function listMergeProposals(client, options = {}) {
+    const { status = "pending" } = options;
+    if (status !== "all" && !PROPOSAL_STATUSES.includes(status)) {
+        throw new EngramError("invalid_argument", `Invalid status: ${status}. Must be one of: ${PROPOSAL_STATUSES.join(", ")}, all`);
+    }
+    const result = await client.execute({
+        sql: `${SELECT_PROPOSALS} ${status === "all" ? "" : "WHERE p.status = ?"} ORDER BY p.id`,
+        args: status === "all" ? [] : [status],
+    });
+    return result.rows.map(rowToProposal);
+}
+
+/**
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ * @returns {Promise<MergeProposal | null>}
+ */
+export async function getMergeProposal(client, id) {
+    const result = await client.execute({ sql: `${SELECT_PROPOSALS} WHERE p.id = ?`, args: [id] });
+    return result.rows.length > 0 ? rowToProposal(result.rows[0]) : null;
+}
+
+/**
+ * Fetch a proposal that can still be acted on.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ * @returns {Promise<MergeProposal>}
+ */
+export async function requirePendingProposal(client, id) {
+    const proposal = await getMergeProposal(client, id);
+    if (!proposal) throw new Error(`Merge proposal #${id} not found`);
+    if (proposal.status !== "pending") throw new Error(`Merge proposal #${id} is already ${proposal.status}`);
+    return proposal;
+}
+
+/**
+ * Reject a proposal; the pair won't be proposed or auto-merged again.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ */
+export async function rejectMergeProposal(client, id) {
+    await requirePendingProposal(client, id);
+    await setProposalStatus(client, id, "rejected");
+}
+
+/**
+ * Set the title and/or content the merged memory will get on accept.
+ * @param {import("@libsql/client").Client} client
+ * @param {number} id
+ * @param {{title?: string, content?: string}} edits
+ * @returns {Promise<MergeProposal>}
+ */
+export async function editMergeProposal(client, id, edits) {
+    await requirePendingProposal(client, id);
+    /** @type {string[]} */
+    const sets = [];
+    /** @type {string[]} */
+    const args = [];
+    if (edits.title !== undefined) { sets.push("title = ?"); args.push(edits.title); }
+    if (edits.content !== undefined) { sets.push("content = ?"); args.push(edits.content); }
+    if (sets.length === 0) throw new Error("No edits specified (title, content)");
+    await client.execute({ sql: `UPDATE merge_proposals SET ${sets.join(", ")} WHERE id = ?`, args: [...args, id] });
+    return /** @type {MergeProposal} */ (await getMergeProposal(client, id));
+}
+
+/**
+ * Close a proposal.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} id
+ * @param {Exclude<ProposalStatus, 'pending'>} status
+ */
+export async function setProposalStatus(client, id, status) {
+    await client.execute({
+        sql: "UPDATE merge_proposals SET status = ?, resolved_at = datetime('now') WHERE id = ?",
+        args: [status, id],
+    });
+}
+
+/**
+ * Mark pending proposals that involve a merged-away memory as stale.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {number} memoryId
+ * @returns {Promise<number>} Proposals closed
+ */
+export async function staleProposalsFor(client, memoryId) {
+    const result = await client.execute({
+        sql: `UPDATE merge_proposals SET status = 'stale', resolved_at = datetime('now')
+              WHERE status = 'pending' AND (keep_id = ? OR remove_id = ?)`,
+        args: [memoryId, memoryId],
+    });
+    return result.rowsAffected;
+}
+
+/**
+ * Keys (see pairKey) of every rejected pair.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<Set<string>>}
+ */
+export async function getRejectedPairs(client) {
+    const result = await client.execute("SELECT keep_id, remove_id FROM merge_proposals WHERE status = 'rejected'");
+    return new Set(result.rows.map((r) => pairKey(Number(r.keep_id), Number(r.remove_id))));
+}
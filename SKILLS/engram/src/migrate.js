@@ -10,6 +10,7 @@
 import { readFileSync, existsSync } from "node:fs";
 import { resolve, basename } from "node:path";
 import { addMemory, linkMemories, addTag } from "./memory.js";
+import { warmEmbeddingCache } from "./cache.js";
 
 /**
  * @typedef {Object} ParsedEntry
@@ -270,6 +271,8 @@ export async function migrateFromSkill(client, sourceDir, options = {}) {
             continue;
         }
 
+        await warmEmbeddingCache(client, entries.map((e) => `${e.title}\n${e.content}`));
+
         for (const entry of entries) {
             try {
                 const { id } = await addMemory(client, {
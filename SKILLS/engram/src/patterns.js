@@ -0,0 +1,216 @@
+// @ts-check
+/**
+ * Pattern extraction — the sleep step that turns recurring experience into
+ * knowledge.
+ *
+ * Episodes are clustered by embedding similarity and by the links between
+ * them (same scope only). Each cluster is sent to a chat model (see llm.js),
+ * which generalizes it into `reflex` or `fact` memories. These are stored with
+ * source_type 'auto' and `evolved_from` links to the episodes they came from;
+ * an episode with a live pattern linked to it isn't clustered again.
+ */
+
+import { blobToVector, cosineSimilarity } from "./embeddings.js";
+import { addMemory } from "./memory.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Memory types the model may produce */
+export const PATTERN_TYPES = ["reflex", "fact"];
+
+/** Smallest cluster worth generalizing */
+const MIN_CLUSTER_SIZE = 3;
+/** Episodes sent per cluster (the most important ones) */
+const MAX_CLUSTER_SIZE = 8;
+/** Clusters sent per run, largest first */
+const MAX_CLUSTERS = 5;
+
+/**
+ * @typedef {Object} PatternCluster
+ * @property {string} scope
+ * @property {{id: number, title: string, content: string}[]} memories
+ */
+
+/**
+ * @typedef {Object} ExtractedPattern
+ * @property {number} id            - The new memory
+ * @property {'reflex' | 'fact'} type
+ * @property {string} title
+ * @property {number[]} sources     - Episodes it evolved from
+ */
+
+/**
+ * Group related episodes: two episodes of the same scope are related when
+ * their cosine similarity reaches `threshold` or a link joins them
+ * (`contradicts` aside). Episodes already generalized by a pattern are left out.
+ * @param {import("@libsql/client").Client} client
+ * @param {{threshold?: number, exclude?: Set<number>}} [options] - threshold default 0.75; exclude: ids to leave out (e.g. about to be pruned)
+ * @returns {Promise<PatternCluster[]>} Largest first, at most 5, each of 3–8 episodes
+ */
+export async function findPatternClusters(client, options = {}) {
+    const { threshold = 0.75, exclude = new Set() } = options;
+    const rows = await client.execute(
+        `SELECT id, title, content, scope, importance, content_embedding FROM memories
+         WHERE type = 'episode' AND archived = 0 AND content_embedding IS NOT NULL
+           AND id NOT IN (
+             SELECT l.target_id FROM memory_links l JOIN memories p ON p.id = l.source_id
+             WHERE l.relation = 'evolved_from' AND p.source_type = 'auto' AND p.archived = 0
+           )
+         ORDER BY id`
+    );
+    const episodes = rows.rows.filter((r) => !exclude.has(Number(r.id))).map((r) => ({
+        id: Number(r.id),
+        title: String(r.title),
+        content: String(r.content),
+        scope: String(r.scope),
+        importance: Number(r.importance),
+        embedding: blobToVector(/** @type {Uint8Array} */(/** @type {unknown} */(r.content_embedding))),
+    }));
+    if (episodes.length < MIN_CLUSTER_SIZE) return [];
+
+    // Union-find over episode indexes
+    const index = new Map(episodes.map((e, i) => [e.id, i]));
+    const parent = episodes.map((_, i) => i);
+    const find = (/** @type {number} */ i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    const union = (/** @type {number} */ a, /** @type {number} */ b) => {
+        if (episodes[a].scope === episodes[b].scope) parent[find(a)] = find(b);
+    };
+
+    for (let i = 0; i < episodes.length; i++) {
+        for (let j = i + 1; j < episodes.length; j++) {
+            if (episodes[i].scope !== episodes[j].scope) continue;
+            if (cosineSimilarity(episodes[i].embedding, episodes[j].embedding) >= threshold) union(i, j);
+        }
+    }
+    const links = await client.execute("SELECT source_id, target_id FROM memory_links WHERE relation != 'contradicts'");
+    for (const link of links.rows) {
+        const a = index.get(Number(link.source_id));
+        const b = index.get(Number(link.target_id));
+        if (a !== undefined && b !== undefined) union(a, b);
+    }
+
+    /** @type {Map<number, typeof episodes>} */
+    const groups = new Map();
+    for (const [i, episode] of episodes.entries()) {
+        const root = find(i);
+        groups.set(root, [...(groups.get(root) ?? []), episode]);
+    }
+
+    return [...groups.values()]
+        .filter((group) => group.length >= MIN_CLUSTER_SIZE)
+        .sort((a, b) => b.length - a.length || a[0].id - b[0].id)
+        .slice(0, MAX_CLUSTERS)
+        .map((group) => ({
+            scope: group[0].scope,
+            memories: [...group]
+                .sort((a, b) => b.importance - a.importance || a.id - b.id)
+                .slice(0, MAX_CLUSTER_SIZE)
+                .map(({ id, title, content }) => ({ id, title, content })),
+        }));
+}
+
+const SYSTEM_PROMPT = `You consolidate an AI agent's episodic memories into durable knowledge.
+You are given related episodes. Extract the generalizations they support:
+- "reflex": a rule for next time, phrased "When <situation>, <action>"
+- "fact": a stable piece of knowledge about the project, tools or user
+Only extract what at least two of the episodes support, and at most 3 patterns. Don't restate a single episode.
+Reply with JSON only, no prose:
+{"patterns": [{"type": "reflex" | "fact", "title": "<short title>", "content": "<the generalization>", "importance": <0.0-1.0>, "sources": [<ids of the supporting episodes>]}]}
+Reply {"patterns": []} if nothing generalizes.`;
+
+/**
+ * The chat request for one cluster.
+ * @param {PatternCluster} cluster
+ * @returns {import("./llm.js").ChatMessage[]}
+ */
+export function buildPatternPrompt(cluster) {
+    const episodes = cluster.memories.map((m) => `#${m.id} ${m.title}\n${m.content}`).join("\n\n");
+    return [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: `Episodes:\n\n${episodes}` },
+    ];
+}
+
+/**
+ * Parse and validate the model's reply. Tolerates code fences and prose
+ * around the JSON object; drops patterns with an unknown type, an empty
+ * title or content, or fewer than two sources from the cluster (a missing
+ * `sources` means the whole cluster).
+ * @param {string} reply
+ * @param {number[]} clusterIds
+ * @returns {{type: 'reflex' | 'fact', title: string, content: string, importance?: number, sources: number[]}[]}
+ */
+export function parsePatternReply(reply, clusterIds) {
+    const start = reply.indexOf("{");
+    const end = reply.lastIndexOf("}");
+    if (start === -1 || end < start) throw new Error("Pattern reply has no JSON object");
+    const json = JSON.parse(reply.slice(start, end + 1));
+    if (!Array.isArray(json?.patterns)) throw new Error("Pattern reply has no patterns array");
+
+    const allowed = new Set(clusterIds);
+    /** @type {ReturnType<typeof parsePatternReply>} */
+    const patterns = [];
+    for (const p of json.patterns) {
+        if (!PATTERN_TYPES.includes(p?.type)) continue;
+        if (typeof p.title !== "string" || !p.title.trim()) continue;
+        if (typeof p.content !== "string" || !p.content.trim()) continue;
+        const cited = Array.isArray(p.sources) && p.sources.length > 0 ? p.sources.map(Number) : clusterIds;
+        const sources = [...new Set(cited)].filter((id) => allowed.has(id));
+        if (sources.length < 2) continue;
+        const importance = typeof p.importance === "number" ? Math.min(1, Math.max(0, p.importance)) : undefined;
+        patterns.push({ type: p.type, title: p.title.trim(), content: p.content.trim(), importance, sources });
+    }
+    return patterns;
+}
+
+/**
+ * Generalize each cluster with the chat model and store the patterns. A
+ * reply that can't be parsed skips its cluster; a failing endpoint ends the
+ * step. Patterns whose title already exists for the type are skipped.
+ * @param {import("@libsql/client").Client} client
+ * @param {import("./llm.js").ChatProvider} chat
+ * @param {PatternCluster[]} clusters
+ * @returns {Promise<ExtractedPattern[]>}
+ */
+export async function extractPatterns(client, chat, clusters) {
+    /** @type {ExtractedPattern[]} */
+    const extracted = [];
+    for (const cluster of clusters) {
+        const ids = cluster.memories.map((m) => m.id);
+        let reply;
+        try {
+            reply = await chat.complete(buildPatternPrompt(cluster));
+        } catch (/** @type {any} */ err) {
+            trace("[engram] Pattern extraction stopped:", err?.message || String(err));
+            break;
+        }
+
+        let patterns;
+        try {
+            patterns = parsePatternReply(reply, ids);
+        } catch (/** @type {any} */ err) {
+            trace(`[engram] Pattern reply for episodes ${ids.join(",")} skipped:`, err?.message || String(err));
+            continue;
+        }
+
+        for (const p of patterns) {
+            const result = await addMemory(client, {
+                type: p.type,
+                title: p.title,
+                content: p.content,
+                importance: p.importance,
+                scope: cluster.scope,
+                sourceType: "auto",
+                links: p.sources.map((targetId) => ({ targetId, relation: "evolved_from" })),
+            });
+            if (result.status !== "created") continue;
+            extracted.push({ id: result.id, type: p.type, title: p.title, sources: p.sources });
+            trace(`[engram] Extracted ${p.type} #${result.id} "${p.title}" from ${p.sources.map((id) => `#${id}`).join(", ")}`);
+        }
+    }
+    return extracted;
+}
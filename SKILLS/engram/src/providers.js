@@ -0,0 +1,429 @@
+// @ts-check
+/**
+ * Embedding providers — a common init/embed/embedBatch/dim interface over
+ * interchangeable backends.
+ *
+ * Providers:
+ *  - transformers  BGE-M3 via @huggingface/transformers (default, see embeddings.js)
+ *  - openai        Any OpenAI-compatible /v1/embeddings endpoint (LM Studio, Ollama, vLLM...)
+ *  - hash          Deterministic feature hashing — no model, for tests, CI and air-gapped machines
+ *
+ * Selected with ENGRAM_EMBEDDING_PROVIDER, or programmatically via setEmbeddingProvider().
+ *
+ * The store records which model its vectors came from (system_meta
+ * embedding_provider / embedding_model / embedding_dim); vectors from different
+ * models are not comparable, so searching or writing with a mismatched provider
+ * is refused until the store is migrated with `engram reembed`.
+ */
+
+import {
+    initEmbeddings, embed as transformersEmbed, embedBatch as transformersEmbedBatch,
+    getEmbeddingDim, getEmbeddingModelId,
+} from "./embeddings.js";
+import { getMeta, withWriteTransaction, emptyVectorColumnsSchema, rebuildVectorIndex } from "./db.js";
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name                                   - Provider name ('transformers' | 'openai' | 'hash')
+ * @property {string} model                                  - Model identifier the vectors come from
+ * @property {() => Promise<void>} init                      - Load / connect (idempotent)
+ * @property {(text: string) => Promise<Float32Array>} embed - Embed one text (L2-normalized)
+ * @property {(texts: string[]) => Promise<Float32Array[]>} embedBatch
+ * @property {() => number} dim                              - Vector dimension
+ */
+
+export const PROVIDER_NAMES = ["transformers", "openai", "hash"];
+
+/**
+ * L2-normalize a vector in place.
+ * @param {Float32Array} vec
+ * @returns {Float32Array}
+ */
+function normalize(vec) {
+    let norm = 0;
+    for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+    norm = Math.sqrt(norm);
+    if (norm === 0) {
+        // Zero vectors break cosine distance — give empty input a fixed direction
+        vec[0] = 1;
+        return vec;
+    }
+    for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+    return vec;
+}
+
+// ---------------------------------------------------------------------------
+// transformers — BGE-M3 (local ONNX inference)
+// ---------------------------------------------------------------------------
+
+/**
+ * The pipeline is shared module state in embeddings.js, so every call loads
+ * this provider's model first — a no-op unless another model was loaded since.
+ *
+ * @param {object} [options]
+ * @param {string} [options.modelId] - Override model ID (default Xenova/bge-m3)
+ * @param {string} [options.device]  - Force device: 'webgpu' | 'cpu'
+ * @param {number} [options.dim]     - Expected dimension (measured from the model when omitted)
+ * @param {number} [options.batchSize] - Texts per forward pass in embedBatch (default 8)
+ * @param {(task: string, model: string, options: object) => Promise<any>} [options.pipeline] - Pipeline factory (tests inject a stub)
+ * @returns {EmbeddingProvider}
+ */
+export function createTransformersProvider(options = {}) {
+    const { modelId = "Xenova/bge-m3", device, batchSize, pipeline } = options;
+    let dimension = options.dim || 0;
+
+    async function load() {
+        await initEmbeddings({ modelId, device, pipeline });
+        const measured = getEmbeddingDim();
+        if (dimension && measured !== dimension) {
+            throw new Error(`Vector dimension mismatch: ${modelId} produces ${measured} but ${dimension} was configured`);
+        }
+        dimension = measured;
+    }
+
+    return {
+        name: "transformers",
+        model: modelId,
+        init: load,
+        embed: async (text) => {
+            await load();
+            return transformersEmbed(text);
+        },
+        embedBatch: async (texts) => {
+            await load();
+            return transformersEmbedBatch(texts, { batchSize });
+        },
+        dim: () => dimension || (getEmbeddingModelId() === modelId ? getEmbeddingDim() : 0),
+    };
+}
+
+// ---------------------------------------------------------------------------
+// openai — OpenAI-compatible HTTP endpoint
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - API root including /v1 (default http://localhost:1234/v1, LM Studio)
+ * @param {string} [options.model]   - Model name sent in the request
+ * @param {string} [options.apiKey]  - Bearer token, if the endpoint needs one
+ * @param {number} [options.dim]     - Expected dimension (detected from the first response when omitted)
+ * @param {number} [options.timeoutMs] - Per-request timeout (default 60000)
+ * @param {number} [options.batchSize] - Max inputs per request in embedBatch (default 64)
+ * @returns {EmbeddingProvider}
+ */
+export function createOpenAIProvider(options = {}) {
+    const {
+        baseUrl = "http://localhost:1234/v1",
+        model = "text-embedding-bge-m3",
+        apiKey,
+        timeoutMs = 60_000,
+        batchSize = 64,
+    } = options;
+    let dimension = options.dim || 0;
+    const endpoint = `${baseUrl.replace(/\/+$/, "")}/embeddings`;
+
+    /**
+     * @param {string[]} input
+     * @returns {Promise<Float32Array[]>}
+     */
+    async function request(input) {
+        /** @type {Record<string, string>} */
+        const headers = { "Content-Type": "application/json" };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const res = await fetch(endpoint, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ model, input }),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => "");
+            throw new Error(`Embedding request failed: ${res.status} ${res.statusText}${detail ? ` — ${detail.substring(0, 200)}` : ""}`);
+        }
+
+        const json = /** @type {any} */ (await res.json());
+        if (!Array.isArray(json?.data) || json.data.length !== input.length) {
+            throw new Error(`Embedding response malformed: expected ${input.length} vectors`);
+        }
+
+        // Servers may return items out of order — `index` is authoritative
+        const vectors = [...json.data]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map((item) => normalize(Float32Array.from(item.embedding)));
+
+        if (!dimension) dimension = vectors[0].length;
+        for (const vec of vectors) {
+            if (vec.length !== dimension) {
+                throw new Error(`Vector dimension mismatch: ${vec.length} vs ${dimension}`);
+            }
+        }
+        return vectors;
+    }
+
+    return {
+        name: "openai",
+        model,
+        init: async () => {
+            if (dimension) return;
+            trace(`[engram] Probing embedding endpoint: ${endpoint} (model: ${model})`);
+            await request(["dimension probe"]);
+        },
+        embed: async (text) => (await request([text]))[0],
+        embedBatch: async (texts) => {
+            const results = [];
+            for (let i = 0; i < texts.length; i += batchSize) {
+                results.push(...await request(texts.slice(i, i + batchSize)));
+            }
+            return results;
+        },
+        dim: () => dimension,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// hash — deterministic feature hashing (no model)
+// ---------------------------------------------------------------------------
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Deterministic bag-of-words embedding: word unigrams plus character trigrams,
+ * hashed into a fixed number of signed buckets. Texts that share vocabulary
+ * land close together, so dedup, merge and search behave sensibly in tests —
+ * but there is no real semantics (synonyms and translations don't match).
+ *
+ * @param {object} [options]
+ * @param {number} [options.dim] - Vector dimension (default 1024, matches the schema)
+ * @returns {EmbeddingProvider}
+ */
+export function createHashProvider(options = {}) {
+    const { dim = 1024 } = options;
+
+    /**
+     * @param {string} text
+     * @returns {Float32Array}
+     */
+    function hashEmbed(text) {
+        const vec = new Float32Array(dim);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        /**
+         * @param {string} feature
+         * @param {number} weight
+         */
+        const add = (feature, weight) => {
+            const h = fnv1a(feature);
+            vec[h % dim] += (h & 0x80000000) ? -weight : weight;
+        };
+        for (const word of words) {
+            add(`w:${word}`, 1);
+            const padded = `^${word}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                add(`c:${padded.slice(i, i + 3)}`, 0.25);
+            }
+        }
+        return normalize(vec);
+    }
+
+    return {
+        name: "hash",
+        model: `hash-${dim}`,
+        init: async () => { },
+        embed: async (text) => hashEmbed(text),
+        embedBatch: async (texts) => texts.map(hashEmbed),
+        dim: () => dim,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Active provider
+// ---------------------------------------------------------------------------
+
+/** @type {EmbeddingProvider | null} */
+let _provider = null;
+
+/**
+ * Build a provider by name, reading its settings from the environment.
+ *
+ * Environment:
+ *  - ENGRAM_EMBEDDING_MODEL    model id (transformers / openai)
+ *  - ENGRAM_EMBEDDING_URL      base URL (openai)
+ *  - ENGRAM_EMBEDDING_API_KEY  bearer token (openai)
+ *  - ENGRAM_EMBEDDING_DIM      dimension (all providers)
+ *  - ENGRAM_EMBEDDING_BATCH_SIZE  texts per forward pass / request (transformers / openai)
+ *
+ * @param {string} name
+ * @param {object} [overrides] - Take precedence over the environment
+ * @param {string} [overrides.model]
+ * @param {number} [overrides.dim]
+ * @returns {EmbeddingProvider}
+ */
+export function createProvider(name, overrides = {}) {
+    const env = process.env;
+    const model = overrides.model || env.ENGRAM_EMBEDDING_MODEL || undefined;
+    const dim = overrides.dim || (env.ENGRAM_EMBEDDING_DIM ? parseInt(env.ENGRAM_EMBEDDING_DIM, 10) : undefined);
+    const batchSize = env.ENGRAM_EMBEDDING_BATCH_SIZE ? parseInt(env.ENGRAM_EMBEDDING_BATCH_SIZE, 10) : undefined;
+    switch (name) {
+        case "transformers":
+            return createTransformersProvider({ modelId: model, dim, batchSize });
+        case "openai":
+            return createOpenAIProvider({
+                baseUrl: env.ENGRAM_EMBEDDING_URL || undefined,
+                model,
+                apiKey: env.ENGRAM_EMBEDDING_API_KEY || undefined,
+                dim,
+                batchSize,
+            });
+        case "hash": {
+            // Model names are hash-<dim>, so the dimension can come from either
+            const fromModel = model?.match(/^hash-(\d+)$/);
+            return createHashProvider({ dim: dim || (fromModel ? parseInt(fromModel[1], 10) : undefined) });
+        }
+        default:
+            throw new EngramError("invalid_argument", `Invalid embedding provider: ${name}. Must be one of: ${PROVIDER_NAMES.join(", ")}`);
+    }
+}
+
+/**
+ * Get the active embedding provider (created from ENGRAM_EMBEDDING_PROVIDER on first use).
+ * @returns {EmbeddingProvider}
+ */
+export function getEmbeddingProvider() {
+    if (!_provider) {
+        _provider = createProvider(process.env.ENGRAM_EMBEDDING_PROVIDER || "transformers");
+        trace(`[engram] Embedding provider: ${_provider.name} (${_provider.model})`);
+    }
+    return _provider;
+}
+
+/**
+ * Replace the active provider (pass null to re-read the environment on next use).
+ * @param {EmbeddingProvider | null} provider
+ */
+export function setEmbeddingProvider(provider) {
+    _provider = provider;
+}
+
+// ---------------------------------------------------------------------------
+// Store ↔ model consistency
+// ---------------------------------------------------------------------------
+
+/** Model every store used before the model was recorded in system_meta; the schema creates the vector columns at its dimension */
+const LEGACY_MODEL = { provider: "transformers", model: "Xenova/bge-m3", dim: 1024 };
+
+/** @type {WeakMap<import("@libsql/client").Client, string>} client → model already verified */
+const _verified = new WeakMap();
+
+/**
+ * Get the embedding model recorded for the store, or null if none is recorded yet.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @returns {Promise<{provider: string, model: string, dim: number} | null>}
+ */
+export async function getStoreEmbeddingModel(client) {
+    const model = await getMeta(client, "embedding_model");
+    if (!model) return null;
+    return {
+        provider: (await getMeta(client, "embedding_provider")) || LEGACY_MODEL.provider,
+        model,
+        dim: Number(await getMeta(client, "embedding_dim")) || LEGACY_MODEL.dim,
+    };
+}
+
+/**
+ * Record the model the store's vectors come from.
+ * @param {import("@libsql/client").Client | import("@libsql/client").Transaction} client
+ * @param {{provider: string, model: string, dim: number}} info
+ * @param {import("@libsql/client").InStatement[]} [statements] - Run first, in the same write transaction (reembed's column swap)
+ */
+export async function recordEmbeddingModel(client, info, statements = []) {
+    const upsert = `INSERT INTO system_meta (key, value, updated_at) VALUES (?, ?, datetime('now'))
+                    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = datetime('now')`;
+    await client.batch([
+        ...statements,
+        { sql: upsert, args: ["embedding_provider", info.provider] },
+        { sql: upsert, args: ["embedding_model", info.model] },
+        { sql: upsert, args: ["embedding_dim", String(info.dim)] },
+    ], "write");
+    _verified.delete(client);
+}
+
+/**
+ * Refuse to embed against a store whose vectors came from a different model.
+ *
+ * A store without a recorded model is claimed by the active provider when it
+ * holds no vectors yet, its vector columns recreated at the provider's
+ * dimension; otherwise it predates provider support and is BGE-M3.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<void>}
+ * @throws {Error} when the active provider's model differs from the store's
+ */
+export async function assertEmbeddingModel(client) {
+    const provider = getEmbeddingProvider();
+    if (_verified.get(client) === provider.model) return;
+
+    let stored = await getStoreEmbeddingModel(client);
+    if (!stored) {
+        // Measure the dimension before taking the write lock
+        await provider.init();
+        const claimed = await withWriteTransaction(client, (tx) => claimStore(tx, provider));
+        if (claimed.resized) await rebuildVectorIndex(client);
+        stored = claimed.stored;
+    }
+
+    const dim = provider.dim();
+    if (stored.model !== provider.model || (dim && dim !== stored.dim)) {
+        throw new Error(
+            `Embedding model mismatch: the store was embedded with "${stored.model}" (${stored.provider}, ${stored.dim}-dim) ` +
+            `but "${provider.model}" (${provider.name}${dim ? `, ${dim}-dim` : ""}) is loaded. ` +
+            `Set ENGRAM_EMBEDDING_PROVIDER / ENGRAM_EMBEDDING_MODEL / ENGRAM_EMBEDDING_DIM to match, ` +
+            `or migrate the store with: engram reembed --model ${provider.model}`
+        );
+    }
+    _verified.set(client, provider.model);
+}
+
+/**
+ * Record the model of a store that has none recorded: the legacy model when
+ * it already holds vectors, else the active provider's, with the vector
+ * columns recreated at its dimension if that isn't the schema's. Checked and
+ * written in one transaction, so another process can't add vectors between.
+ * @param {import("@libsql/client").Transaction} tx
+ * @param {EmbeddingProvider} provider - Initialized
+ * @returns {Promise<{stored: {provider: string, model: string, dim: number}, resized: boolean}>}
+ */
+async function claimStore(tx, provider) {
+    const recorded = await getStoreEmbeddingModel(tx);
+    if (recorded) return { stored: recorded, resized: false };
+
+    const existing = await tx.execute(
+        `SELECT 1 FROM memories WHERE content_embedding IS NOT NULL
+         UNION ALL SELECT 1 FROM sessions WHERE summary_embedding IS NOT NULL LIMIT 1`
+    );
+    if (existing.rows.length > 0) {
+        await recordEmbeddingModel(tx, LEGACY_MODEL);
+        return { stored: LEGACY_MODEL, resized: false };
+    }
+
+    const stored = { provider: provider.name, model: provider.model, dim: provider.dim() };
+    const resized = stored.dim !== LEGACY_MODEL.dim;
+    await recordEmbeddingModel(tx, stored, resized ? emptyVectorColumnsSchema(stored.dim) : []);
+    trace(`[engram] Store claimed by ${stored.model} (${stored.dim}-dim)${resized ? ", vector columns recreated" : ""}`);
+    return { stored, resized };
+}
@@ -0,0 +1,212 @@
+// @ts-check
+/**
+ * Re-embed — migrate the whole store to a new embedding model / dimension.
+ *
+ * New vectors are written to staging columns (content_embedding_next,
+ * summary_embedding_next) declared with the target dimension, in batches.
+ * Rows whose staging column is still NULL are the remaining work, so an
+ * interrupted run simply picks up where it stopped. Once every row is done the
+ * staging columns replace the live ones in one transaction, the vector index
+ * is rebuilt, the new model is recorded in system_meta and cached vectors from
+ * other models are dropped.
+ *
+ * Chunk vectors (memory_chunks) are derived data: the table is recreated at the
+ * new dimension during the swap and refilled afterwards by backfillChunks(),
+ * which also runs when the store is already on the target model — so
+ * re-running the command finishes an interrupted backfill, or chunks memories
+ * written before chunking existed.
+ */
+
+import { vectorToBlob } from "./embeddings.js";
+import { getMeta, setMeta, rebuildVectorIndex, memoryChunksSchema } from "./db.js";
+import { getStoreEmbeddingModel, recordEmbeddingModel, setEmbeddingProvider } from "./providers.js";
+import { pruneEmbeddingCache } from "./cache.js";
+import { indexChunks } from "./memory.js";
+import { chunkText } from "./chunking.js";
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/**
+ * @typedef {Object} ReembedResult
+ * @property {string} model       - Model the store now uses
+ * @property {number} dim         - Vector dimension the store now uses
+ * @property {number} memories    - Memories embedded in this run
+ * @property {number} sessions    - Session summaries embedded in this run
+ * @property {number} chunked     - Memories whose chunks were (re)built in this run
+ * @property {boolean} resumed    - Continued an interrupted run for the same target
+ * @property {boolean} skipped    - Store already used this model (nothing done)
+ * @property {boolean} vectorIndex - Vector index rebuilt successfully
+ */
+
+/**
+ * @typedef {Object} ReembedOptions
+ * @property {number} [batchSize]   - Texts per embedBatch call (default 32)
+ * @property {boolean} [force]      - Re-embed even if the store already uses this model
+ * @property {(progress: {phase: 'memories' | 'sessions' | 'chunks', done: number, total: number}) => void} [onProgress]
+ */
+
+/**
+ * @param {import("@libsql/client").Client} client
+ * @param {string} table
+ * @param {string} column
+ * @returns {Promise<boolean>}
+ */
+async function hasColumn(client, table, column) {
+    const info = await client.execute(`PRAGMA table_info(${table})`);
+    return info.rows.some((r) => r.name === column);
+}
+
+/**
+ * Drop leftover staging columns from an abandoned run.
+ * @param {import("@libsql/client").Client} client
+ */
+async function dropStagingColumns(client) {
+    if (await hasColumn(client, "memories", "content_embedding_next")) {
+        await client.execute("ALTER TABLE memories DROP COLUMN content_embedding_next");
+    }
+    if (await hasColumn(client, "sessions", "summary_embedding_next")) {
+        await client.execute("ALTER TABLE sessions DROP COLUMN summary_embedding_next");
+    }
+}
+
+/**
+ * Embed all rows whose staging column is still NULL, one batch at a time.
+ * @param {import("@libsql/client").Client} client
+ * @param {import("./providers.js").EmbeddingProvider} provider
+ * @param {object} spec
+ * @param {'memories' | 'sessions'} spec.phase
+ * @param {string} spec.pendingSql   - Selects `key` and `text` of pending rows; takes LIMIT as its only arg
+ * @param {string} spec.countSql     - Returns `total` and `done`
+ * @param {string} spec.updateSql    - Takes (blob, key)
+ * @param {number} batchSize
+ * @param {ReembedOptions["onProgress"]} onProgress
+ * @returns {Promise<number>} Rows embedded
+ */
+async function embedPending(client, provider, spec, batchSize, onProgress) {
+    const counts = await client.execute(spec.countSql);
+    const total = Number(counts.rows[0].total);
+    let done = Number(counts.rows[0].done);
+    let embedded = 0;
+
+    while (true) {
+        const batch = await client.execute({ sql: spec.pendingSql, args: [batchSize] });
+        if (batch.rows.length === 0) break;
+
+        const vectors = await provider.embedBatch(batch.rows.map((r) => String(r.text)));
+        await client.batch(batch.rows.map((r, i) => ({
+            sql: spec.updateSql,
+            args: [vectorToBlob(vectors[i]), /** @type {any} */ (r.key)],
+        })), "write");
+
+        embedded += batch.rows.length;
+        done += batch.rows.length;
+        onProgress?.({ phase: spec.phase, done, total });
+    }
+    return embedded;
+}
+
+/**
+ * Build chunks for every memory that should have them but has none.
+ * Uses the active embedding provider.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {ReembedOptions["onProgress"]} [onProgress]
+ * @returns {Promise<number>} Memories chunked
+ */
+export async function backfillChunks(client, onProgress) {
+    const candidates = await client.execute(
+        `SELECT id, title, content FROM memories m
+         WHERE NOT EXISTS (SELECT 1 FROM memory_chunks c WHERE c.memory_id = m.id)
+         ORDER BY id`
+    );
+    const pending = candidates.rows.filter((r) => chunkText(String(r.content)).length > 0);
+
+    let chunked = 0;
+    for (const [i, row] of pending.entries()) {
+        if (await indexChunks(client, Number(row.id), String(row.title), String(row.content)) > 0) chunked++;
+        onProgress?.({ phase: "chunks", done: i + 1, total: pending.length });
+    }
+    return chunked;
+}
+
+/**
+ * Re-embed every memory and session summary with `provider`, then switch the
+ * store over to it.
+ *
+ * @param {import("@libsql/client").Client} client
+ * @param {import("./providers.js").EmbeddingProvider} provider - Target provider (already configured with the new model)
+ * @param {ReembedOptions} [options]
+ * @returns {Promise<ReembedResult>}
+ */
+export async function reembedStore(client, provider, options = {}) {
+    const { batchSize = 32, force = false, onProgress } = options;
+
+    await provider.init();
+    const target = { provider: provider.name, model: provider.model, dim: provider.dim() };
+    if (!Number.isInteger(target.dim) || target.dim <= 0) {
+        throw new EngramError("invalid_argument", `Invalid embedding dimension for ${target.model}: ${target.dim}`);
+    }
+
+    const stored = await getStoreEmbeddingModel(client);
+    const pendingRaw = await getMeta(client, "reembed_target");
+    const pending = pendingRaw ? JSON.parse(pendingRaw) : null;
+    const resumed = !!pending && pending.provider === target.provider && pending.model === target.model && pending.dim === target.dim;
+
+    if (!pending && !force && stored && stored.model === target.model && stored.dim === target.dim) {
+        trace(`[engram] reembed: store already uses ${target.model} — only backfilling chunks`);
+        setEmbeddingProvider(provider);
+        const chunked = await backfillChunks(client, onProgress);
+        return { model: target.model, dim: target.dim, memories: 0, sessions: 0, chunked, resumed: false, skipped: true, vectorIndex: false };
+    }
+
+    if (pending && !resumed) {
+        trace(`[engram] reembed: discarding unfinished run for ${pending.model} (${pending.dim}-dim)`);
+    }
+    if (!resumed) {
+        await dropStagingColumns(client);
+        await client.execute(`ALTER TABLE memories ADD COLUMN content_embedding_next F32_BLOB(${target.dim})`);
+        await client.execute(`ALTER TABLE sessions ADD COLUMN summary_embedding_next F32_BLOB(${target.dim})`);
+        await setMeta(client, "reembed_target", JSON.stringify(target));
+    }
+    trace(`[engram] reembed: ${resumed ? "resuming" : "starting"} → ${target.model} (${target.provider}, ${target.dim}-dim)`);
+
+    const memories = await embedPending(client, provider, {
+        phase: "memories",
+        countSql: "SELECT COUNT(*) as total, COUNT(content_embedding_next) as done FROM memories",
+        pendingSql: `SELECT id as key, title || char(10) || content as text FROM memories
+                     WHERE content_embedding_next IS NULL ORDER BY id LIMIT ?`,
+        updateSql: "UPDATE memories SET content_embedding_next = vector(?) WHERE id = ?",
+    }, batchSize, onProgress);
+
+    const sessions = await embedPending(client, provider, {
+        phase: "sessions",
+        countSql: "SELECT COUNT(*) as total, COUNT(summary_embedding_next) as done FROM sessions WHERE summary IS NOT NULL",
+        pendingSql: `SELECT id as key, summary as text FROM sessions
+                     WHERE summary IS NOT NULL AND summary_embedding_next IS NULL ORDER BY id LIMIT ?`,
+        updateSql: "UPDATE sessions SET summary_embedding_next = vector(?) WHERE id = ?",
+    }, batchSize, onProgress);
+
+    // Swap staging columns in and record the new model — one transaction, so
+    // the store is never half-switched
+    await recordEmbeddingModel(client, target, [
+        "DROP INDEX IF EXISTS memories_vec_idx",
+        "ALTER TABLE memories DROP COLUMN content_embedding",
+        "ALTER TABLE memories RENAME COLUMN content_embedding_next TO content_embedding",
+        "ALTER TABLE sessions DROP COLUMN summary_embedding",
+        "ALTER TABLE sessions RENAME COLUMN summary_embedding_next TO summary_embedding",
+        "DROP INDEX IF EXISTS memory_chunks_vec_idx",
+        "DROP TABLE memory_chunks",
+        ...memoryChunksSchema(target.dim),
+        "DELETE FROM system_meta WHERE key = 'reembed_target'",
+    ]);
+    await pruneEmbeddingCache(client, target.model);
+    const vectorIndex = await rebuildVectorIndex(client);
+    setEmbeddingProvider(provider);
+
+    const chunked = await backfillChunks(client, onProgress);
+
+    trace(`[engram] reembed: done — ${memories} memories, ${sessions} sessions, ${chunked} chunked`);
+    return { model: target.model, dim: target.dim, memories, sessions, chunked, resumed, skipped: false, vectorIndex };
+}
@@ -0,0 +1,303 @@
+// @ts-check
+/**
+ * Type registry — memory types and link relations.
+ *
+ * The memory_types and relation_types tables are the single source of truth
+ * for valid `memories.type` and `memory_links.relation` values: the memory
+ * layer, CLI, MCP and HTTP APIs validate against them, and triggers reject
+ * anything else at the database level. Built-in entries are seeded by
+ * migration v6 and cannot be removed.
+ *
+ * Each memory type carries defaults applied when a memory doesn't set its own:
+ * importance on write, and decay rate / permanence during sleep consolidation.
+ * The built-in decay profiles (migration v11) keep reflexes and preferences
+ * for months (half-life 90 days) and let episodes fade within weeks (7 days);
+ * the other built-ins use the run's rate.
+ */
+
+import { EngramError } from "./errors.js";
+
+/** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
+const trace = (/** @type {any[]} */ ...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
+
+/** Type and relation names: lowercase snake_case, as in `api_contract` or `depends_on` */
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * @typedef {Object} MemoryType
+ * @property {string} name
+ * @property {string | null} description
+ * @property {number} importance          - Default importance for new memories of this type
+ * @property {number | null} decayRate    - Daily decay rate; null uses the consolidation run's rate
+ * @property {number | null} halfLifeDays - Days for strength to halve at decayRate (null: no own rate, or no decay)
+ * @property {boolean} permanent          - Exempt from decay and pruning, like the `permanent` tag
+ * @property {boolean} builtin
+ */
+
+/**
+ * @typedef {Object} RelationType
+ * @property {string} name
+ * @property {string | null} description
+ * @property {boolean} builtin
+ */
+
+/**
+ * @param {Record<string, any>} r
+ * @returns {MemoryType}
+ */
+function rowToType(r) {
+    return {
+        name: String(r.name),
+        description: r.description === null ? null : String(r.description),
+        importance: Number(r.default_importance),
+        decayRate: r.decay_rate === null ? null : Number(r.decay_rate),
+        halfLifeDays: r.decay_rate === null || Number(r.decay_rate) === 1 ? null : Math.log(0.5) / Math.log(Number(r.decay_rate)),
+        permanent: Boolean(r.permanent),
+        builtin: Boolean(r.builtin),
+    };
+}
+
+/**
+ * @param {string} kind - "type" or "relation", for the error message
+ * @param {string} name
+ * @returns {string}
+ */
+function validateName(kind, name) {
+    const trimmed = String(name ?? "").trim();
+    if (!NAME_PATTERN.test(trimmed)) {
+        throw new EngramError("invalid_argument", `Invalid ${kind} name: "${name}". Use lowercase letters, digits and underscores, starting with a letter`);
+    }
+    return trimmed;
+}
+
+/**
+ * @param {number | null | undefined} importance
+ */
+function validateImportance(importance) {
+    if (importance === undefined || importance === null) return;
+    if (!Number.isFinite(importance) || importance < 0 || importance > 1) {
+        throw new EngramError("invalid_argument", `Invalid importance: ${importance}. Must be between 0.0 and 1.0`);
+    }
+}
+
+/**
+ * @param {number | null | undefined} decayRate
+ */
+function validateDecayRate(decayRate) {
+    if (decayRate === undefined || decayRate === null) return;
+    if (!Number.isFinite(decayRate) || decayRate <= 0 || decayRate > 1) {
+        throw new EngramError("invalid_argument", `Invalid decay rate: ${decayRate}. Must be greater than 0.0 and at most 1.0`);
+    }
+}
+
+/**
+ * @param {number | null | undefined} days
+ */
+export function validateHalfLife(days) {
+    if (days === undefined || days === null) return;
+    if (!Number.isFinite(days) || days <= 0) {
+        throw new EngramError("invalid_argument", `Invalid half-life: ${days}. Must be a positive number of days`);
+    }
+}
+
+/**
+ * The daily decay rate that halves strength in `days` days.
+ * @param {number} days
+ * @returns {number}
+ */
+export function decayRateForHalfLife(days) {
+    validateHalfLife(days);
+    return 0.5 ** (1 / days);
+}
+
+// ---------------------------------------------------------------------------
+// Memory types
+// ---------------------------------------------------------------------------
+
+/**
+ * List all memory types, built-ins first.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<MemoryType[]>}
+ */
+export async function listMemoryTypes(client) {
+    const result = await client.execute(
+        `SELECT name, description, default_importance, decay_rate, permanent, builtin
+         FROM memory_types ORDER BY builtin DESC, name`
+    );
+    return result.rows.map(rowToType);
+}
+
+/**
+ * Get one memory type.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @returns {Promise<MemoryType | null>}
+ */
+export async function getMemoryType(client, name) {
+    const result = await client.execute({
+        sql: `SELECT name, description, default_importance, decay_rate, permanent, builtin
+              FROM memory_types WHERE name = ?`,
+        args: [name],
+    });
+    return result.rows.length > 0 ? rowToType(result.rows[0]) : null;
+}
+
+/**
+ * Resolve a memory type, throwing if it isn't registered.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @returns {Promise<MemoryType>}
+ */
+export async function requireMemoryType(client, name) {
+    const type = await getMemoryType(client, name);
+    if (!type) {
+        const names = (await listMemoryTypes(client)).map((t) => t.name);
+        throw new EngramError("invalid_argument", `Invalid type: ${name}. Must be one of: ${names.join(", ")}`);
+    }
+    return type;
+}
+
+/**
+ * Register a new memory type.
+ * @param {import("@libsql/client").Client} client
+ * @param {{name: string, description?: string, importance?: number, decayRate?: number | null, permanent?: boolean}} input
+ * @returns {Promise<MemoryType>}
+ */
+export async function addMemoryType(client, input) {
+    const name = validateName("type", input.name);
+    validateImportance(input.importance);
+    validateDecayRate(input.decayRate);
+    if (await getMemoryType(client, name)) {
+        throw new Error(`Memory type "${name}" already exists`);
+    }
+    await client.execute({
+        sql: `INSERT INTO memory_types (name, description, default_importance, decay_rate, permanent)
+              VALUES (?, ?, ?, ?, ?)`,
+        args: [name, input.description ?? null, input.importance ?? 0.5, input.decayRate ?? null, input.permanent ? 1 : 0],
+    });
+    trace(`[engram] Registered memory type ${name}`);
+    return /** @type {MemoryType} */ (await getMemoryType(client, name));
+}
+
+/**
+ * Change the description or defaults of a memory type (built-ins included).
+ * Pass `decayRate: null` to fall back to the consolidation run's rate.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ * @param {{description?: string, importance?: number, decayRate?: number | null, permanent?: boolean}} updates
+ * @returns {Promise<MemoryType>}
+ */
+export async function updateMemoryType(client, name, updates) {
+    await requireMemoryType(client, name);
+    validateImportance(updates.importance);
+    validateDecayRate(updates.decayRate);
+
+    /** @type {string[]} */
+    const sets = [];
+    /** @type {Array<string | number | null>} */
+    const args = [];
+    if (updates.description !== undefined) { sets.push("description = ?"); args.push(updates.description); }
+    if (updates.importance !== undefined) { sets.push("default_importance = ?"); args.push(updates.importance); }
+    if (updates.decayRate !== undefined) { sets.push("decay_rate = ?"); args.push(updates.decayRate); }
+    if (updates.permanent !== undefined) { sets.push("permanent = ?"); args.push(updates.permanent ? 1 : 0); }
+    if (sets.length === 0) {
+        throw new Error("No updates specified (description, importance, decayRate, permanent)");
+    }
+
+    await client.execute({ sql: `UPDATE memory_types SET ${sets.join(", ")} WHERE name = ?`, args: [...args, name] });
+    return /** @type {MemoryType} */ (await getMemoryType(client, name));
+}
+
+/**
+ * Remove a custom memory type. Refused for built-ins and types still in use.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ */
+export async function removeMemoryType(client, name) {
+    const type = await requireMemoryType(client, name);
+    if (type.builtin) throw new Error(`Memory type "${name}" is built in and cannot be removed`);
+    const used = await client.execute({ sql: "SELECT COUNT(*) AS n FROM memories WHERE type = ?", args: [name] });
+    const count = Number(used.rows[0].n);
+    if (count > 0) {
+        throw new Error(`Memory type "${name}" is used by ${count} memories — change their type first`);
+    }
+    await client.execute({ sql: "DELETE FROM memory_types WHERE name = ?", args: [name] });
+}
+
+// ---------------------------------------------------------------------------
+// Relation types
+// ---------------------------------------------------------------------------
+
+/**
+ * List all link relations, built-ins first.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<RelationType[]>}
+ */
+export async function listRelationTypes(client) {
+    const result = await client.execute(
+        "SELECT name, description, builtin FROM relation_types ORDER BY builtin DESC, name"
+    );
+    return result.rows.map((r) => ({
+        name: String(r.name),
+        description: r.description === null ? null : String(r.description),
+        builtin: Boolean(r.builtin),
+    }));
+}
+
+/**
+ * Throw if a relation isn't registered.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} relation
+ */
+export async function requireRelationType(client, relation) {
+    const found = await client.execute({ sql: "SELECT 1 FROM relation_types WHERE name = ?", args: [relation] });
+    if (found.rows.length === 0) {
+        const names = (await listRelationTypes(client)).map((r) => r.name);
+        throw new EngramError("invalid_argument", `Invalid relation: ${relation}. Must be one of: ${names.join(", ")}`);
+    }
+}
+
+/**
+ * Register a new link relation.
+ * @param {import("@libsql/client").Client} client
+ * @param {{name: string, description?: string}} input
+ * @returns {Promise<RelationType>}
+ */
+export async function addRelationType(client, input) {
+    const name = validateName("relation", input.name);
+    const existing = await client.execute({ sql: "SELECT 1 FROM relation_types WHERE name = ?", args: [name] });
+    if (existing.rows.length > 0) throw new Error(`Relation "${name}" already exists`);
+    await client.execute({
+        sql: "INSERT INTO relation_types (name, description) VALUES (?, ?)",
+        args: [name, input.description ?? null],
+    });
+    trace(`[engram] Registered relation ${name}`);
+    return { name, description: input.description ?? null, builtin: false };
+}
+
+/**
+ * Remove a custom relation. Refused for built-ins and relations still in use.
+ * @param {import("@libsql/client").Client} client
+ * @param {string} name
+ */
+export async function removeRelationType(client, name) {
+    await requireRelationType(client, name);
+    const relation = (await listRelationTypes(client)).find((r) => r.name === name);
+    if (relation?.builtin) throw new Error(`Relation "${name}" is built in and cannot be removed`);
+    const used = await client.execute({ sql: "SELECT COUNT(*) AS n FROM memory_links WHERE relation = ?", args: [name] });
+    const count = Number(used.rows[0].n);
+    if (count > 0) {
+        throw new Error(`Relation "${name}" is used by ${count} links — relink or remove them first`);
+    }
+    await client.execute({ sql: "DELETE FROM relation_types WHERE name = ?", args: [name] });
+}
+
+/**
+ * Names of all registered types and relations, e.g. for schema enums.
+ * @param {import("@libsql/client").Client} client
+ * @returns {Promise<{types: string[], relations: string[]}>}
+ */
+export async function getRegistryNames(client) {
+    const [types, relations] = await Promise.all([listMemoryTypes(client), listRelationTypes(client)]);
+    return { types: types.map((t) => t.name), relations: relations.map((r) => r.name) };
+}
@@ -3,8 +3,10 @@
  * Session management — track conversation sessions and generate summaries.
  */
 
-import { embed, vectorToBlob } from "./embeddings.js";
+import { vectorToBlob } from "./embeddings.js";
+import { getEmbeddingProvider, assertEmbeddingModel } from "./providers.js";
 import { shouldConsolidate, runConsolidation } from "./consolidation.js";
+import { EngramError } from "./errors.js";
 
 /** Write diagnostic output to stderr, only when ENGRAM_TRACE=1 */
 const trace = (...args) => process.env.ENGRAM_TRACE === "1" && process.stderr.write(args.join(" ") + "\n");
@@ -32,7 +34,8 @@ export async function startSession(client, sessionId, title = null) {
  */
 export async function endSession(client, sessionId, summary = null) {
     if (summary) {
-        const embedding = await embed(summary);
+        await assertEmbeddingModel(client);
+        const embedding = await getEmbeddingProvider().embed(summary);
         const embeddingBlob = vectorToBlob(embedding);
         await client.execute({
             sql: `UPDATE sessions SET 
@@ -158,8 +161,14 @@ export async function startSessionWithConsolidationCheck(client, sessionId, opti
     let autoRan = false;
     if (shouldRun && autoConsolidate) {
         trace(`[engram] 💤 Auto-consolidation triggered (${daysSinceLast === null ? "never run" : daysSinceLast.toFixed(1) + " days ago"})`);
-        await runConsolidation(client);
-        autoRan = true;
+        try {
+            await runConsolidation(client);
+            autoRan = true;
+        } catch (err) {
+            // Another process (e.g. `engram daemon`) is already on it
+            if (!(err instanceof EngramError && err.code === "conflict")) throw err;
+            trace(`[engram] 💤 ${err.message}`);
+        }
     } else if (shouldRun) {
         trace(`[engram] 💡 Consolidation suggested — ${daysSinceLast === null ? "never run" : daysSinceLast.toFixed(1) + " days since last run"}`);
     }